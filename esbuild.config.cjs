@@ -29,7 +29,8 @@ const CONFIG = {
       background: './src/background/background.js',
       popup: './src/popup/popup.js',
       options: './src/options/options.js',
-      backupHistory: './src/backup-history/backup-history.js'
+      backupHistory: './src/backup-history/backup-history.js',
+      conflictResolution: './src/conflict-resolution/conflict-resolution.js'
     }
   }
 };
@@ -2,6 +2,9 @@
 /**
  * Script to copy manifest.json for BookDrive extension build
  * Cross-platform alternative to Unix cp command
+ *
+ * Usage: node scripts/copy-manifest.js [--browser=firefox]
+ * With --browser=firefox the Firefox variant of the manifest is written instead.
  */
 
 import fs from 'fs';
@@ -12,15 +15,66 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.join(__dirname, '..');
 
+// Add-on ID; Firefox derives the OAuth2 redirect URL from it
+const FIREFOX_ADDON_ID = 'bookdrive@nightcodex7.github.io';
+
+// First Firefox release with MV3 background scripts as modules and storage.session
+const FIREFOX_MIN_VERSION = '115.0';
+
+/**
+ * Turn the Chrome manifest into the Firefox one
+ * @param {Object} manifest - Chrome manifest
+ * @returns {Object} Firefox manifest
+ */
+function toFirefoxManifest(manifest) {
+  const {
+    oauth2, // Firefox has no getAuthToken; sign-in uses the web flow
+    minimum_chrome_version,
+    offline_enabled,
+    ...firefoxManifest
+  } = manifest;
+
+  return {
+    ...firefoxManifest,
+    // Firefox runs MV3 backgrounds as event pages rather than service workers
+    background: {
+      scripts: [manifest.background.service_worker],
+      type: 'module',
+    },
+    // Chrome-only permission
+    permissions: manifest.permissions.filter((permission) => permission !== 'windows'),
+    browser_specific_settings: {
+      gecko: {
+        id: FIREFOX_ADDON_ID,
+        strict_min_version: FIREFOX_MIN_VERSION,
+      },
+    },
+  };
+}
+
+const browserArg = process.argv.find((arg) => arg.startsWith('--browser='));
+const browser = browserArg ? browserArg.split('=')[1] : 'chrome';
+
 // Ensure dist directory exists
 if (!fs.existsSync(path.join(rootDir, 'dist'))) {
   fs.mkdirSync(path.join(rootDir, 'dist'), { recursive: true });
 }
 
-// Copy manifest.json
-fs.copyFileSync(
-  path.join(rootDir, 'src', 'manifest.json'),
-  path.join(rootDir, 'dist', 'manifest.json')
-);
+if (browser === 'firefox') {
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(rootDir, 'src', 'manifest.json'), 'utf8')
+  );
+  fs.writeFileSync(
+    path.join(rootDir, 'dist', 'manifest.json'),
+    JSON.stringify(toFirefoxManifest(manifest), null, 2)
+  );
+  console.log('✅ Firefox manifest written successfully');
+} else {
+  // Copy manifest.json
+  fs.copyFileSync(
+    path.join(rootDir, 'src', 'manifest.json'),
+    path.join(rootDir, 'dist', 'manifest.json')
+  );
 
-console.log('✅ Manifest copied successfully');
\ No newline at end of file
+  console.log('✅ Manifest copied successfully');
+}
@@ -40,7 +40,7 @@ function loadOAuth2Config() {
     const config = JSON.parse(configContent);
 
     // Validate required fields
-    const requiredFields = ['client_id', 'client_secret', 'extension_id', 'redirect_uri', 'scopes'];
+    const requiredFields = ['client_id', 'extension_id', 'redirect_uri', 'scopes'];
     const missingFields = requiredFields.filter(field => !config[field]);
 
     if (missingFields.length > 0) {
@@ -112,12 +112,6 @@ function injectDriveAuthCredentials(config) {
       `client_id: '${config.client_id}'`
     );
 
-    // Replace client_secret placeholder
-    driveAuthContent = driveAuthContent.replace(
-      /client_secret:\s*['"][^'"]*['"]/,
-      `client_secret: '${config.client_secret}'`
-    );
-
     // Replace redirect_uri placeholder
     driveAuthContent = driveAuthContent.replace(
       /redirect_uri:\s*chrome\.identity\s*\?\s*chrome\.identity\.getRedirectURL\(\)\s*:\s*`https:\/\/\$\{chrome\.runtime\.id\}\.chromiumapp\.org\/`/,
@@ -27,11 +27,11 @@ async function setupOAuth2() {
 
   try {
     // Get OAuth2 credentials from user
+    // The extension signs in with PKCE, so no client secret is needed
     const clientId = await question('Enter your OAuth2 Client ID: ');
-    const clientSecret = await question('Enter your OAuth2 Client Secret: ');
-    
-    if (!clientId || !clientSecret) {
-      console.error('❌ Client ID and Client Secret are required!');
+
+    if (!clientId) {
+      console.error('❌ Client ID is required!');
       process.exit(1);
     }
 
@@ -44,7 +44,6 @@ async function setupOAuth2() {
     // Create oauth2_config.json
     const oauth2Config = {
       client_id: clientId,
-      client_secret: clientSecret,
       extension_id: 'ajkofadmedmmckhnjeelnjlmcpmfmohp',
       redirect_uri: 'https://ajkofadmedmmckhnjeelnjlmcpmfmohp.chromiumapp.org/',
       scopes: [
@@ -71,10 +70,6 @@ async function setupOAuth2() {
         /client_id: 'YOUR_OAUTH2_CLIENT_ID\.apps\.googleusercontent\.com'/g,
         `client_id: '${clientId}'`
       );
-      authContent = authContent.replace(
-        /client_secret: 'YOUR_OAUTH2_CLIENT_SECRET'/g,
-        `client_secret: '${clientSecret}'`
-      );
       fs.writeFileSync(authPath, authContent);
     }
 
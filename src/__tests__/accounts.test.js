@@ -0,0 +1,141 @@
+// accounts.test.js - Tests for Google account profiles
+
+import { getAccounts, addAccount, switchAccount, removeAccount } from '../lib/auth/accounts.js';
+import { signIn, signOut } from '../lib/auth/drive-auth.js';
+
+jest.mock('../lib/auth/drive-auth.js', () => ({
+  AUTH_STORAGE_KEYS: {
+    AUTH_TOKEN: 'bookDriveAuthToken',
+    REFRESH_TOKEN: 'bookDriveRefreshToken',
+    TOKEN_EXPIRY: 'bookDriveTokenExpiry',
+    AUTH_METHOD: 'bookDriveAuthMethod',
+    USER_INFO: 'bookDriveUserInfo',
+  },
+  signIn: jest.fn(),
+  signOut: jest.fn(),
+}));
+
+const ALICE = { sub: 'alice-id', email: 'alice@example.com', name: 'Alice' };
+const BOB = { sub: 'bob-id', email: 'bob@example.com', name: 'Bob' };
+
+describe('Accounts', () => {
+  let storage;
+
+  // Simulates signing in: the token set is written under the active account keys
+  const signInAs = (userInfo, token) =>
+    signIn.mockImplementationOnce(async () => {
+      Object.assign(storage, { bookDriveAuthToken: token, bookDriveUserInfo: userInfo });
+      return userInfo;
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (keys) =>
+      Object.fromEntries([].concat(keys).map((key) => [key, storage[key]])),
+    );
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+    chrome.storage.local.remove.mockImplementation(async (keys) =>
+      [].concat(keys).forEach((key) => delete storage[key]),
+    );
+    signOut.mockImplementation(async () => {
+      delete storage.bookDriveAuthToken;
+      delete storage.bookDriveUserInfo;
+    });
+  });
+
+  it('turns the account signed in before profiles existed into the first profile', async () => {
+    storage.bookDriveUserInfo = ALICE;
+
+    const { activeAccountId, accounts } = await getAccounts();
+
+    expect(activeAccountId).toBe('alice-id');
+    expect(accounts).toEqual([expect.objectContaining({ id: 'alice-id', email: ALICE.email })]);
+  });
+
+  it('keeps the current account aside when another one is added', async () => {
+    signInAs(ALICE, 'alice-token');
+    await addAccount();
+    storage.lastSyncState = { owner: 'alice' };
+
+    signInAs(BOB, 'bob-token');
+    const added = await addAccount();
+
+    expect(signIn).toHaveBeenLastCalledWith({ selectAccount: true });
+    expect(added.id).toBe('bob-id');
+    expect(storage.bookDriveAuthToken).toBe('bob-token');
+    expect(storage.lastSyncState).toBeUndefined();
+    expect((await getAccounts()).accounts.map((account) => account.id)).toEqual([
+      'alice-id',
+      'bob-id',
+    ]);
+  });
+
+  it('swaps tokens and sync state when switching accounts', async () => {
+    signInAs(ALICE, 'alice-token');
+    await addAccount();
+    storage.lastSyncState = { owner: 'alice' };
+    signInAs(BOB, 'bob-token');
+    await addAccount();
+    storage.lastSyncState = { owner: 'bob' };
+
+    await switchAccount('alice-id');
+    expect(storage.bookDriveAuthToken).toBe('alice-token');
+    expect(storage.lastSyncState).toEqual({ owner: 'alice' });
+    expect((await getAccounts()).activeAccountId).toBe('alice-id');
+
+    await switchAccount('bob-id');
+    expect(storage.bookDriveAuthToken).toBe('bob-token');
+    expect(storage.lastSyncState).toEqual({ owner: 'bob' });
+
+    await expect(switchAccount('carol-id')).rejects.toThrow('Unknown account');
+  });
+
+  it('moves the payloads of interrupted uploads with their sessions', async () => {
+    signInAs(ALICE, 'alice-token');
+    await addAccount();
+    storage.bookDriveUploadSessions = { 'upload-1': { id: 'upload-1', name: 'backup.json' } };
+    storage['bookDriveUploadPayload_upload-1'] = 'alice backup';
+    signInAs(BOB, 'bob-token');
+    await addAccount();
+
+    expect(storage.bookDriveUploadSessions).toBeUndefined();
+    expect(storage['bookDriveUploadPayload_upload-1']).toBeUndefined();
+
+    await switchAccount('alice-id');
+    expect(storage['bookDriveUploadPayload_upload-1']).toBe('alice backup');
+
+    await removeAccount('alice-id');
+    expect(storage['bookDriveUploadPayload_upload-1']).toBeUndefined();
+  });
+
+  it('restores the current account when adding another one fails', async () => {
+    signInAs(ALICE, 'alice-token');
+    await addAccount();
+    storage.lastSyncState = { owner: 'alice' };
+    signIn.mockRejectedValueOnce(new Error('User cancelled'));
+
+    await expect(addAccount()).rejects.toThrow('User cancelled');
+
+    expect(storage.bookDriveAuthToken).toBe('alice-token');
+    expect(storage.lastSyncState).toEqual({ owner: 'alice' });
+  });
+
+  it('switches to a remaining account when the active one signs out', async () => {
+    signInAs(ALICE, 'alice-token');
+    await addAccount();
+    signInAs(BOB, 'bob-token');
+    await addAccount();
+    storage.lastSyncState = { owner: 'bob' };
+
+    const active = await removeAccount('bob-id');
+
+    expect(signOut).toHaveBeenCalled();
+    expect(active.id).toBe('alice-id');
+    expect(storage.bookDriveAuthToken).toBe('alice-token');
+    expect(storage.lastSyncState).toBeUndefined();
+
+    expect(await removeAccount('alice-id')).toBeNull();
+    expect(await getAccounts()).toEqual({ activeAccountId: null, accounts: [] });
+  });
+});
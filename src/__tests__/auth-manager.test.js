@@ -0,0 +1,185 @@
+// auth-manager.test.js - Tests for the access token lifecycle
+
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+  AUTH_STATES,
+  TOKEN_REFRESH_ALARM_NAME,
+  getAuthState,
+  onAuthStateChanged,
+  reauthenticate,
+  refreshAuthToken,
+  scheduleTokenRefresh,
+} from '../lib/auth/auth-manager.js';
+import { loadRefreshToken } from '../lib/auth/token-store.js';
+import { launchWebAuthFlow } from '../lib/browser-api.js';
+import { AuthenticationError } from '../utils/error-handler.js';
+
+jest.mock('../lib/auth/token-store.js', () => ({
+  saveRefreshToken: jest.fn(),
+  loadRefreshToken: jest.fn(),
+}));
+
+jest.mock('../lib/browser-api.js', () => ({
+  ...jest.requireActual('../lib/browser-api.js'),
+  launchWebAuthFlow: jest.fn(),
+}));
+
+const NOW = new Date('2025-07-17T12:00:00Z').getTime();
+
+describe('Auth Manager', () => {
+  let storage;
+  let listeners;
+
+  const tokenResponse = (accessToken) => ({
+    ok: true,
+    json: async () => ({ access_token: accessToken, expires_in: 3600 }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    storage = {
+      bookDriveAuthToken: 'old-token',
+      bookDriveTokenExpiry: new Date(NOW + 2 * 60 * 1000).toISOString(),
+      bookDriveAuthMethod: 'oauth2_fallback',
+    };
+    listeners = [];
+
+    chrome.storage.local.get.mockImplementation(async (keys) =>
+      Object.fromEntries([].concat(keys).map((key) => [key, storage[key]])),
+    );
+    chrome.storage.local.set.mockImplementation(async (data) => {
+      const changes = Object.fromEntries(
+        Object.entries(data).map(([key, value]) => [
+          key,
+          { oldValue: storage[key], newValue: value },
+        ]),
+      );
+      Object.assign(storage, data);
+      listeners.forEach((listener) => listener(changes, 'local'));
+    });
+    chrome.storage.local.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach((key) => delete storage[key]);
+    });
+    chrome.storage.onChanged = {
+      addListener: jest.fn((listener) => listeners.push(listener)),
+      removeListener: jest.fn((listener) => listeners.splice(listeners.indexOf(listener), 1)),
+    };
+    loadRefreshToken.mockResolvedValue('1//refresh-token');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  it('schedules the refresh five minutes before web flow tokens expire', async () => {
+    storage.bookDriveTokenExpiry = new Date(NOW + 60 * 60 * 1000).toISOString();
+
+    expect(await scheduleTokenRefresh()).toBe(NOW + 55 * 60 * 1000);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(TOKEN_REFRESH_ALARM_NAME, {
+      when: NOW + 55 * 60 * 1000,
+    });
+
+    // Chrome renews its own tokens
+    storage.bookDriveAuthMethod = 'chrome_identity';
+    expect(await scheduleTokenRefresh()).toBeNull();
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(TOKEN_REFRESH_ALARM_NAME);
+  });
+
+  it('refreshes a rejected token once for concurrent requests', async () => {
+    global.fetch.mockResolvedValueOnce(tokenResponse('new-token'));
+
+    const tokens = await Promise.all([
+      refreshAuthToken({ rejectedToken: 'old-token' }),
+      refreshAuthToken({ rejectedToken: 'old-token' }),
+    ]);
+
+    expect(tokens).toEqual(['new-token', 'new-token']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(storage.bookDriveAuthToken).toBe('new-token');
+    expect((await getAuthState()).state).toBe(AUTH_STATES.SIGNED_IN);
+  });
+
+  it('requires a new sign-in when the user revoked access', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onAuthStateChanged(listener);
+    global.fetch.mockResolvedValueOnce({
+      ok: false,
+      text: async () =>
+        '{"error": "invalid_grant", "error_description": "Token has been revoked."}',
+    });
+
+    await expect(refreshAuthToken()).rejects.toThrow(AuthenticationError);
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ state: AUTH_STATES.REAUTH_REQUIRED }),
+    );
+    unsubscribe();
+    expect(listeners).toHaveLength(0);
+  });
+
+  it('does not renew again when Google rejects a token it just issued', async () => {
+    global.fetch.mockResolvedValueOnce(tokenResponse('new-token'));
+    await refreshAuthToken({ rejectedToken: 'old-token' });
+
+    await expect(refreshAuthToken({ rejectedToken: 'new-token' })).rejects.toThrow(
+      AuthenticationError,
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect((await getAuthState()).state).toBe(AUTH_STATES.REAUTH_REQUIRED);
+  });
+
+  describe('reauthenticate', () => {
+    const userInfoResponse = (userInfo) => ({ ok: true, json: async () => userInfo });
+
+    beforeAll(() => {
+      Object.defineProperty(global.crypto, 'subtle', {
+        value: webcrypto.subtle,
+        configurable: true,
+      });
+      global.TextEncoder = TextEncoder;
+    });
+
+    beforeEach(() => {
+      storage.bookDriveUserInfo = { sub: 'user-1', email: 'me@example.com' };
+      storage.bookDriveAccounts = {
+        activeAccountId: 'user-1',
+        accounts: { 'user-1': { id: 'user-1', email: 'me@example.com', state: null } },
+      };
+      storage.bookDriveAuthState = { state: AUTH_STATES.REAUTH_REQUIRED, reason: 'revoked' };
+      launchWebAuthFlow.mockImplementation(async ({ url }) => {
+        const state = new URL(url).searchParams.get('state');
+        return `https://mock-redirect-url.com/?code=auth-code&state=${state}`;
+      });
+    });
+
+    it('signs in to the active account again', async () => {
+      global.fetch
+        .mockResolvedValueOnce(tokenResponse('new-token'))
+        .mockResolvedValueOnce(userInfoResponse({ sub: 'user-1', email: 'me@example.com' }));
+
+      await reauthenticate();
+
+      const authUrl = new URL(launchWebAuthFlow.mock.calls[0][0].url);
+      expect(authUrl.searchParams.get('login_hint')).toBe('me@example.com');
+      expect(storage.bookDriveAuthToken).toBe('new-token');
+      expect((await getAuthState()).state).toBe(AUTH_STATES.SIGNED_IN);
+    });
+
+    it('keeps the previous sign-in when the user picks another account', async () => {
+      const previous = { ...storage };
+      global.fetch
+        .mockResolvedValueOnce(tokenResponse('other-token'))
+        .mockResolvedValueOnce(userInfoResponse({ sub: 'user-2', email: 'other@example.com' }));
+
+      await expect(reauthenticate()).rejects.toThrow(/sign in as me@example.com/);
+
+      expect(storage).toEqual(previous);
+      expect((await getAuthState()).state).toBe(AUTH_STATES.REAUTH_REQUIRED);
+    });
+  });
+});
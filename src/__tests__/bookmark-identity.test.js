@@ -0,0 +1,156 @@
+// bookmark-identity.test.js - Tests for cross-device bookmark identity
+
+import {
+  assignSyncIds,
+  toLocalState,
+  toLocalOperations,
+  recordCreatedIds,
+  normalizeLegacyState,
+} from '../lib/sync/bookmark-identity.js';
+
+const folder = (id, title, parentId) => ({ id, title, parentId });
+const bookmark = (id, title, url, parentId) => ({ id, title, url, parentId });
+
+// Local tree: Bookmarks bar (1) > Work (20) > docs, plus a duplicate "docs" link in Other (2)
+const localState = () => ({
+  folders: [
+    folder('0', '', '0'),
+    folder('1', 'Bookmarks bar', '0'),
+    folder('2', 'Other bookmarks', '0'),
+    folder('20', 'Work', '1'),
+  ],
+  bookmarks: [
+    bookmark('30', 'Docs', 'https://docs.example.com', '20'),
+    bookmark('31', 'Docs', 'https://docs.example.com', '2'),
+  ],
+});
+
+describe('Bookmark Identity', () => {
+  describe('assignSyncIds', () => {
+    it('maps root folders to well-known sync ids', () => {
+      const { state } = assignSyncIds(localState(), {});
+
+      expect(state.folders.slice(0, 3).map((f) => f.id)).toEqual([
+        'root________',
+        'toolbar_____',
+        'unfiled_____',
+      ]);
+      expect(state.idScheme).toBe('sync-id');
+    });
+
+    it('keeps existing mappings', () => {
+      const { state, created } = assignSyncIds(localState(), {
+        20: 'sync-work',
+        30: 'sync-docs',
+        31: 'sync-docs-other',
+      });
+
+      expect(created).toBe(0);
+      expect(state.bookmarks).toEqual([
+        bookmark('sync-docs', 'Docs', 'https://docs.example.com', 'sync-work'),
+        bookmark('sync-docs-other', 'Docs', 'https://docs.example.com', 'unfiled_____'),
+      ]);
+    });
+
+    it('pairs unmapped items by url, title and folder path', () => {
+      const remote = {
+        folders: [folder('remote-work', 'Work', 'toolbar_____')],
+        bookmarks: [
+          bookmark('remote-other-docs', 'Docs', 'https://docs.example.com', 'unfiled_____'),
+          bookmark('remote-docs', 'Docs', 'https://docs.example.com', 'remote-work'),
+        ],
+      };
+
+      const { identityMap, matched, created } = assignSyncIds(localState(), {}, [remote]);
+
+      expect(matched).toBe(3);
+      expect(created).toBe(0);
+      expect(identityMap).toMatchObject({
+        20: 'remote-work',
+        30: 'remote-docs',
+        31: 'remote-other-docs',
+      });
+    });
+
+    it('does not pair two local items with the same remote item', () => {
+      const local = localState();
+      local.bookmarks.push(bookmark('32', 'Docs', 'https://docs.example.com', '20'));
+      const remote = {
+        folders: [folder('remote-work', 'Work', 'toolbar_____')],
+        bookmarks: [bookmark('remote-docs', 'Docs', 'https://docs.example.com', 'remote-work')],
+      };
+
+      const { identityMap, created } = assignSyncIds(local, {}, [remote]);
+
+      expect(identityMap['30']).toBe('remote-docs');
+      expect(identityMap['32']).not.toBe('remote-docs');
+      expect(created).toBe(2);
+    });
+
+    it('drops mappings of nodes that no longer exist', () => {
+      const { identityMap } = assignSyncIds(localState(), { 99: 'sync-gone', 20: 'sync-work' });
+
+      expect(identityMap['99']).toBeUndefined();
+      expect(identityMap['20']).toBe('sync-work');
+    });
+  });
+
+  describe('toLocalOperations', () => {
+    const identityMap = { 20: 'sync-work', 30: 'sync-docs' };
+
+    it('translates ids and parents to local node ids', () => {
+      const operations = toLocalOperations(
+        [
+          {
+            type: 'update',
+            id: 'sync-docs',
+            bookmark: bookmark('sync-docs', 'D', 'u', 'sync-work'),
+          },
+          {
+            type: 'create',
+            id: 'sync-new',
+            bookmark: bookmark('sync-new', 'N', 'u', 'unfiled_____'),
+          },
+        ],
+        identityMap,
+      );
+
+      expect(operations).toEqual([
+        { type: 'update', id: '30', bookmark: bookmark('30', 'D', 'u', '20') },
+        { type: 'create', id: 'sync-new', bookmark: bookmark('sync-new', 'N', 'u', '2') },
+      ]);
+    });
+
+    it('skips operations on items without a local node', () => {
+      const operations = toLocalOperations(
+        [{ type: 'remove', id: 'sync-unknown', bookmark: bookmark('sync-unknown', 'X', 'u', '1') }],
+        identityMap,
+      );
+
+      expect(operations).toEqual([]);
+    });
+  });
+
+  it('records created nodes and converts states back to local ids', () => {
+    const identityMap = recordCreatedIds({ 20: 'sync-work' }, { 'sync-new': '40' });
+    const state = toLocalState(
+      { folders: [], bookmarks: [bookmark('sync-new', 'N', 'u', 'sync-work')] },
+      identityMap,
+    );
+
+    expect(state.bookmarks).toEqual([bookmark('40', 'N', 'u', '20')]);
+  });
+
+  it('translates root folders of states written before sync ids', () => {
+    const state = normalizeLegacyState({
+      folders: [folder('1', 'Bookmarks bar', '0'), folder('7', 'Work', '1')],
+      bookmarks: [bookmark('8', 'A', 'u', '1')],
+    });
+
+    expect(state.folders).toEqual([
+      folder('toolbar_____', 'Bookmarks bar', 'root________'),
+      folder('7', 'Work', 'toolbar_____'),
+    ]);
+    expect(state.bookmarks[0].parentId).toBe('toolbar_____');
+  });
+});
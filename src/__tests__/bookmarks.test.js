@@ -1,4 +1,8 @@
-import { exportBookmarksTree, exportBookmarksState } from '../lib/bookmarks.js';
+import {
+  exportBookmarksTree,
+  exportBookmarksState,
+  applyBookmarkOperations,
+} from '../lib/bookmarks.js';
 
 const mockBookmarkTree = [
   {
@@ -57,4 +61,68 @@ describe('Bookmarks Module', () => {
     expect(state).toHaveProperty('hash');
     expect(state.device).toContain('MockBrowser');
   });
+
+  describe('applyBookmarkOperations', () => {
+    beforeEach(() => {
+      chrome.bookmarks.create.mockReset();
+      chrome.bookmarks.move = jest.fn(() => Promise.resolve({}));
+      chrome.bookmarks.removeTree = jest.fn(() => Promise.resolve());
+    });
+
+    it('creates folders and places children in folders created in the same batch', async () => {
+      chrome.bookmarks.create
+        .mockResolvedValueOnce({ id: '100' })
+        .mockResolvedValueOnce({ id: '101' });
+
+      const { createdIds, failed } = await applyBookmarkOperations([
+        { type: 'create', id: 'sync-f', bookmark: { title: 'Work', parentId: '1', index: 0 } },
+        {
+          type: 'create',
+          id: 'sync-a',
+          bookmark: { title: 'A', url: 'https://a.com', parentId: 'sync-f', index: 0 },
+        },
+      ]);
+
+      expect(chrome.bookmarks.create).toHaveBeenNthCalledWith(1, {
+        title: 'Work',
+        parentId: '1',
+        index: 0,
+      });
+      expect(chrome.bookmarks.create).toHaveBeenNthCalledWith(2, {
+        title: 'A',
+        url: 'https://a.com',
+        parentId: '100',
+        index: 0,
+      });
+      expect(createdIds).toEqual({ 'sync-f': '100', 'sync-a': '101' });
+      expect(failed).toEqual([]);
+    });
+
+    it('compensates for the moved node when moving down within the same folder', async () => {
+      chrome.bookmarks.get.mockResolvedValueOnce([{ id: '5', parentId: '1', index: 0 }]);
+
+      await applyBookmarkOperations([
+        { type: 'move', id: '5', bookmark: { title: 'A', url: 'u', parentId: '1', index: 2 } },
+      ]);
+
+      expect(chrome.bookmarks.move).toHaveBeenCalledWith('5', { parentId: '1', index: 3 });
+    });
+
+    it('returns the operations that could not be applied', async () => {
+      chrome.bookmarks.update.mockRejectedValueOnce(new Error("Can't find bookmark"));
+      const update = { type: 'update', id: '9', bookmark: { title: 'B', url: 'u', parentId: '1' } };
+
+      const result = await applyBookmarkOperations([update]);
+
+      expect(result).toEqual({ createdIds: {}, failed: [update] });
+    });
+
+    it('removes folders with their contents', async () => {
+      await applyBookmarkOperations([
+        { type: 'remove', id: '7', bookmark: { title: 'Work', parentId: '1' } },
+      ]);
+
+      expect(chrome.bookmarks.removeTree).toHaveBeenCalledWith('7');
+    });
+  });
 });
@@ -0,0 +1,94 @@
+// browser-api.test.js - Tests for the Chromium/Firefox abstraction
+
+const FIREFOX_UA = 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0';
+const CHROME_UA =
+  'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36';
+
+const setUserAgent = (userAgent) =>
+  Object.defineProperty(window.navigator, 'userAgent', { value: userAgent, configurable: true });
+
+describe('Browser API', () => {
+  const originalUserAgent = window.navigator.userAgent;
+
+  afterEach(() => {
+    setUserAgent(originalUserAgent);
+    delete global.browser;
+  });
+
+  it('uses numeric root folder IDs in Chromium and GUIDs in Firefox', () => {
+    let chromeRoots;
+    let firefoxRoots;
+    let firefoxRootSyncIds;
+
+    setUserAgent(CHROME_UA);
+    jest.isolateModules(() => {
+      ({ BOOKMARK_ROOT_IDS: chromeRoots } = require('../lib/browser-api.js'));
+    });
+
+    setUserAgent(FIREFOX_UA);
+    jest.isolateModules(() => {
+      ({ BOOKMARK_ROOT_IDS: firefoxRoots } = require('../lib/browser-api.js'));
+      ({ ROOT_SYNC_IDS: firefoxRootSyncIds } = require('../lib/sync/bookmark-identity.js'));
+    });
+
+    expect(chromeRoots).toEqual({ ROOT: '0', TOOLBAR: '1', OTHER: '2', MOBILE: '3', MENU: null });
+    expect(firefoxRoots.TOOLBAR).toBe('toolbar_____');
+    // Firefox root GUIDs are the sync IDs of the root folders
+    expect(firefoxRootSyncIds).toEqual({
+      root________: 'root________',
+      toolbar_____: 'toolbar_____',
+      unfiled_____: 'unfiled_____',
+      mobile______: 'mobile______',
+      menu________: 'menu________',
+    });
+  });
+
+  it('only offers getAuthToken in Chrome', () => {
+    const { supportsGetAuthToken } = require('../lib/browser-api.js');
+
+    setUserAgent(CHROME_UA);
+    expect(supportsGetAuthToken()).toBe(true);
+
+    setUserAgent(FIREFOX_UA);
+    expect(supportsGetAuthToken()).toBe(false);
+  });
+
+  it('skips bookmark events the browser does not have', () => {
+    const { addBookmarkListener } = require('../lib/browser-api.js');
+    const listener = jest.fn();
+    chrome.bookmarks.onMoved = { addListener: jest.fn() };
+
+    expect(addBookmarkListener('onMoved', listener)).toBe(true);
+    expect(chrome.bookmarks.onMoved.addListener).toHaveBeenCalledWith(listener);
+    expect(addBookmarkListener('onImportBegan', listener)).toBe(false);
+  });
+
+  it('runs the web auth flow through the browser namespace in Firefox', async () => {
+    const { launchWebAuthFlow, getRedirectURL } = require('../lib/browser-api.js');
+    global.browser = {
+      runtime: {},
+      identity: {
+        getRedirectURL: () => 'https://abc.extensions.allizom.org/',
+        launchWebAuthFlow: jest.fn(async () => 'https://abc.extensions.allizom.org/?code=1'),
+      },
+    };
+
+    expect(getRedirectURL()).toBe('https://abc.extensions.allizom.org/');
+    await expect(launchWebAuthFlow({ url: 'https://accounts.google.com/' })).resolves.toBe(
+      'https://abc.extensions.allizom.org/?code=1',
+    );
+  });
+
+  it('turns launchWebAuthFlow errors into rejections in Chromium', async () => {
+    const { launchWebAuthFlow } = require('../lib/browser-api.js');
+    chrome.identity.launchWebAuthFlow = jest.fn((details, callback) => {
+      chrome.runtime.lastError = { message: 'The user did not approve access.' };
+      callback(undefined);
+      chrome.runtime.lastError = null;
+    });
+
+    await expect(launchWebAuthFlow({ url: 'https://accounts.google.com/' })).rejects.toThrow(
+      'The user did not approve access.',
+    );
+  });
+});
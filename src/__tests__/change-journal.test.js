@@ -0,0 +1,176 @@
+// change-journal.test.js - Tests for the local bookmark change journal
+
+import {
+  startChangeJournal,
+  withSyncOperations,
+  getJournal,
+  clearJournal,
+  invalidateJournal,
+  applyJournalToState,
+} from '../lib/sync/change-journal.js';
+
+const event = () => ({
+  listeners: [],
+  addListener: jest.fn(function (fn) {
+    this.listeners.push(fn);
+  }),
+});
+
+describe('Change Journal', () => {
+  let storage;
+
+  beforeAll(() => {
+    chrome.bookmarks.onCreated = event();
+    chrome.bookmarks.onChanged = event();
+    chrome.bookmarks.onMoved = event();
+    chrome.bookmarks.onRemoved = event();
+    chrome.bookmarks.onChildrenReordered = event();
+    startChangeJournal();
+  });
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+  });
+
+  const emit = (name, ...args) => chrome.bookmarks[name].listeners.forEach((fn) => fn(...args));
+
+  describe('recording', () => {
+    it('treats a journal that was never cleared as invalid', async () => {
+      const journal = await getJournal();
+
+      expect(journal.invalid).toBe('missing');
+    });
+
+    it('records bookmark events with increasing sequence numbers', async () => {
+      await clearJournal(0);
+
+      emit('onCreated', '10', { title: 'A', url: 'https://a.com', parentId: '1', index: 0 });
+      emit('onChanged', '10', { title: 'A2' });
+      emit('onMoved', '10', { parentId: '2', index: 3 });
+
+      const journal = await getJournal();
+      expect(journal.invalid).toBeNull();
+      expect(journal.entries.map((e) => [e.seq, e.type])).toEqual([
+        [1, 'create'],
+        [2, 'update'],
+        [3, 'move'],
+      ]);
+    });
+
+    it('skips the events of sync operations but records user edits made meanwhile', async () => {
+      await clearJournal(0);
+      const operations = [
+        { type: 'remove', id: '10', bookmark: { url: 'https://a.com' } },
+        { type: 'create', id: 'sync-c', bookmark: { title: 'C', url: 'https://c.com' } },
+      ];
+
+      await withSyncOperations(operations, async () => {
+        emit('onRemoved', '10', { parentId: '1', node: { id: '10', url: 'https://a.com' } });
+        emit('onChanged', '11', { title: 'Edited by the user' });
+      });
+      // Delivered after the operations returned
+      emit('onCreated', '30', { title: 'C', url: 'https://c.com', parentId: '1', index: 0 });
+
+      const journal = await getJournal();
+      expect(journal.entries.map((e) => [e.type, e.id])).toEqual([['update', '11']]);
+    });
+
+    it('keeps entries recorded after the synced sequence number', async () => {
+      await clearJournal(0);
+      emit('onChanged', '1', { title: 'One' });
+      emit('onChanged', '2', { title: 'Two' });
+
+      await clearJournal(1);
+
+      const journal = await getJournal();
+      expect(journal.entries.map((e) => e.id)).toEqual(['2']);
+    });
+
+    it('keeps an invalidation made while a sync was running', async () => {
+      await clearJournal(0);
+      emit('onChanged', '1', { title: 'One' });
+      const journal = await getJournal();
+
+      await invalidateJournal('import');
+      await clearJournal(journal.lastSeq);
+
+      expect((await getJournal()).invalid).toBe('import');
+
+      await clearJournal((await getJournal()).lastSeq);
+      expect((await getJournal()).invalid).toBeNull();
+    });
+
+    it('drops entries when invalidated', async () => {
+      await clearJournal(0);
+      emit('onChanged', '1', { title: 'One' });
+
+      await invalidateJournal('startup');
+
+      const journal = await getJournal();
+      expect(journal.entries).toEqual([]);
+      expect(journal.invalid).toBe('startup');
+    });
+  });
+
+  describe('applyJournalToState', () => {
+    const base = {
+      folders: [{ id: 'f1', title: 'Folder', parentId: '1' }],
+      bookmarks: [
+        { id: 'a', title: 'A', url: 'https://a.com', parentId: 'f1' },
+        { id: 'b', title: 'B', url: 'https://b.com', parentId: '1' },
+      ],
+    };
+
+    it('replays creates, updates and moves', () => {
+      const result = applyJournalToState(base, [
+        { type: 'create', id: 'c', data: { title: 'C', url: 'https://c.com', parentId: '1' } },
+        { type: 'update', id: 'b', data: { title: 'B2' } },
+        { type: 'move', id: 'b', data: { parentId: 'f1' } },
+      ]);
+
+      expect(result.bookmarks).toEqual([
+        { ...base.bookmarks[0], index: 0 },
+        { id: 'b', title: 'B2', url: 'https://b.com', parentId: 'f1', index: 1 },
+        { id: 'c', title: 'C', url: 'https://c.com', parentId: '1', index: 1 },
+      ]);
+      expect(base.bookmarks[1].title).toBe('B');
+    });
+
+    it('replays positions of created, moved and reordered items', () => {
+      const ordered = {
+        folders: [],
+        bookmarks: ['a', 'b', 'c'].map((id, index) => ({ id, title: id, parentId: '1', index })),
+      };
+      const indexesOf = (state) =>
+        state.bookmarks
+          .slice()
+          .sort((x, y) => x.index - y.index)
+          .map((b) => b.id);
+
+      const created = applyJournalToState(ordered, [
+        { type: 'create', id: 'd', data: { title: 'd', url: 'u', parentId: '1', index: 1 } },
+      ]);
+      const moved = applyJournalToState(ordered, [
+        { type: 'move', id: 'a', data: { parentId: '1', index: 2 } },
+      ]);
+      const reordered = applyJournalToState(ordered, [
+        { type: 'reorder', id: '1', data: { childIds: ['c', 'a', 'b'] } },
+      ]);
+
+      expect(indexesOf(created)).toEqual(['a', 'd', 'b', 'c']);
+      expect(indexesOf(moved)).toEqual(['b', 'c', 'a']);
+      expect(indexesOf(reordered)).toEqual(['c', 'a', 'b']);
+    });
+
+    it('removes everything below a removed folder', () => {
+      const result = applyJournalToState(base, [
+        { type: 'remove', id: 'f1', folder: true, data: { parentId: '1' } },
+      ]);
+
+      expect(result.folders).toEqual([]);
+      expect(result.bookmarks.map((b) => b.id)).toEqual(['b']);
+    });
+  });
+});
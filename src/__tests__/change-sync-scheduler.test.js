@@ -0,0 +1,92 @@
+// change-sync-scheduler.test.js - Tests for the debounced sync after bookmark changes
+
+import {
+  CHANGE_SYNC_ALARM_NAME,
+  getChangeSyncSettings,
+  scheduleChangeSync,
+  takePendingChangeSync,
+  cancelChangeSync,
+} from '../lib/sync/change-sync-scheduler.js';
+
+describe('Change Sync Scheduler', () => {
+  let storage;
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = {};
+    now = new Date(2025, 6, 17, 12, 0, 0).getTime();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+    chrome.storage.local.remove.mockImplementation(async (key) => {
+      delete storage[key];
+    });
+  });
+
+  afterEach(() => {
+    Date.now.mockRestore();
+  });
+
+  it('fires after the quiet period following a single change', async () => {
+    const batch = await scheduleChangeSync({ quietPeriod: 30, maxWait: 300 });
+
+    expect(batch.fireAt).toBe(now + 30000);
+    expect(chrome.alarms.create).toHaveBeenCalledWith(CHANGE_SYNC_ALARM_NAME, {
+      when: now + 30000,
+    });
+  });
+
+  it('pushes the sync back while changes keep coming', async () => {
+    await scheduleChangeSync({ quietPeriod: 30, maxWait: 300 });
+    now += 20000;
+    const batch = await scheduleChangeSync({ quietPeriod: 30, maxWait: 300 });
+
+    expect(batch.changeCount).toBe(2);
+    expect(batch.fireAt).toBe(now + 30000);
+  });
+
+  it('never waits longer than the max wait after the first change', async () => {
+    const start = now;
+    let batch;
+    for (let i = 0; i < 20; i++) {
+      batch = await scheduleChangeSync({ quietPeriod: 30, maxWait: 120 });
+      now += 20000;
+    }
+
+    expect(batch.changeCount).toBe(20);
+    expect(batch.fireAt).toBe(start + 120000);
+  });
+
+  it('starts a new batch once the pending one was taken', async () => {
+    await scheduleChangeSync({ quietPeriod: 30, maxWait: 120 });
+    const taken = await takePendingChangeSync();
+
+    now += 600000;
+    const batch = await scheduleChangeSync({ quietPeriod: 30, maxWait: 120 });
+
+    expect(taken.changeCount).toBe(1);
+    expect(batch.firstChangeAt).toBe(now);
+    expect(batch.changeCount).toBe(1);
+  });
+
+  it('clears the alarm when cancelled', async () => {
+    await scheduleChangeSync({ quietPeriod: 30, maxWait: 120 });
+    await cancelChangeSync();
+
+    expect(chrome.alarms.clear).toHaveBeenCalledWith(CHANGE_SYNC_ALARM_NAME);
+    expect(await takePendingChangeSync()).toBeNull();
+  });
+
+  it('falls back to defaults for missing or invalid settings', async () => {
+    chrome.storage.sync.get.mockImplementationOnce(async (defaults) => ({
+      ...defaults,
+      bookDriveSyncOnChangeDelay: 'abc',
+    }));
+
+    const settings = await getChangeSyncSettings();
+
+    expect(settings).toEqual({ enabled: true, quietPeriod: 30, maxWait: 300 });
+  });
+});
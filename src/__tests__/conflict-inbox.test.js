@@ -0,0 +1,94 @@
+// conflict-inbox.test.js - Tests for the inbox of conflicts held by syncs
+
+import {
+  CONFLICT_STATUS,
+  getConflictResolutions,
+  getPendingConflicts,
+  recordSyncConflicts,
+  resolveConflict,
+} from '../lib/sync/conflict-inbox.js';
+
+const bookmark = (title, url = 'https://example.com/a') => ({
+  id: 'sync-a',
+  title,
+  url,
+  parentId: 'toolbar_____',
+});
+
+const conflictDetail = (localVersion, remoteVersion, type = 'both-modified') => ({
+  bookmarkId: 'sync-a',
+  itemType: 'bookmark',
+  type,
+  localVersion,
+  remoteVersion,
+});
+
+describe('Conflict Inbox', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+  });
+
+  it('keeps a conflict that a later sync finds again', async () => {
+    const [first] = await recordSyncConflicts([
+      conflictDetail(bookmark('Local'), bookmark('Remote')),
+    ]);
+    const [again] = await recordSyncConflicts([
+      conflictDetail(bookmark('Local'), bookmark('Remote')),
+    ]);
+
+    expect(again).toEqual(first);
+    expect(first.status).toBe(CONFLICT_STATUS.PENDING);
+
+    await recordSyncConflicts([]);
+    expect(await getPendingConflicts()).toEqual([]);
+  });
+
+  it('resolves with the local, remote or merged version', async () => {
+    const [conflict] = await recordSyncConflicts([
+      conflictDetail(bookmark('Local'), bookmark('Remote title', 'https://example.com/b')),
+    ]);
+
+    await expect(resolveConflict(conflict.id, 'remote')).resolves.toMatchObject({
+      status: CONFLICT_STATUS.RESOLVED_REMOTE,
+      resolvedVersion: { title: 'Remote title' },
+    });
+
+    const merged = await resolveConflict(conflict.id, 'merge');
+    expect(merged.status).toBe(CONFLICT_STATUS.RESOLVED_MANUAL);
+    expect(merged.resolvedVersion).toMatchObject({
+      title: 'Remote title',
+      url: 'https://example.com/a',
+    });
+    expect((await getConflictResolutions()).get('sync-a')).toEqual(merged);
+  });
+
+  it('resolves a deletion conflict by deleting or keeping the bookmark', async () => {
+    const [conflict] = await recordSyncConflicts([
+      conflictDetail(null, bookmark('Edited'), 'delete-modify'),
+    ]);
+
+    await expect(resolveConflict(conflict.id, 'merge')).rejects.toThrow('cannot be merged');
+    await expect(resolveConflict(conflict.id, 'local')).resolves.toMatchObject({
+      resolvedVersion: null,
+    });
+  });
+
+  it('keeps resolutions made while a sync was running', async () => {
+    const [conflict] = await recordSyncConflicts([
+      conflictDetail(bookmark('Local'), bookmark('Remote')),
+    ]);
+    const handled = await getConflictResolutions();
+    await resolveConflict(conflict.id, 'local');
+
+    await recordSyncConflicts([conflictDetail(bookmark('Local'), bookmark('Remote'))], handled);
+    expect(await getPendingConflicts()).toEqual([]);
+
+    // The next sync applied it
+    await recordSyncConflicts([], await getConflictResolutions());
+    expect(storage.bookDriveConflictInbox).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+// conflict-policies.test.js - Tests for the user-defined conflict rules
+
+import {
+  POLICY_ACTIONS,
+  readConflictPolicies,
+  saveConflictPolicies,
+  validateConflictPolicies,
+  describeConflictPolicy,
+  findConflictPolicy,
+  applyConflictPolicy,
+} from '../lib/sync/conflict-policies.js';
+import { resolveConflictsAdvanced, CONFLICT_STRATEGIES } from '../lib/sync/conflict-resolver.js';
+import { createMemoryProvider } from '../lib/storage/memory.js';
+import { RevisionConflictError } from '../utils/error-handler.js';
+
+const folder = (id, title, parentId) => ({ id, title, parentId });
+
+// Work/Clients below the toolbar, as in a state with sync IDs
+const folders = new Map(
+  [
+    folder('root________', '', 'root________'),
+    folder('toolbar_____', 'Bookmarks Bar', 'root________'),
+    folder('work', 'Work', 'toolbar_____'),
+    folder('clients', 'Clients', 'work'),
+    folder('home', 'Home', 'toolbar_____'),
+  ].map((f) => [f.id, f]),
+);
+
+const bookmark = (title, overrides = {}) => ({
+  id: 'sync-a',
+  title,
+  url: 'https://example.com/a',
+  parentId: 'home',
+  ...overrides,
+});
+
+describe('Conflict Policies', () => {
+  it('validates rules and fills in their defaults', () => {
+    const [policy] = validateConflictPolicies([{ folder: 'Work', action: 'remote' }]);
+
+    expect(policy).toEqual({
+      id: expect.stringMatching(/^policy_/),
+      enabled: true,
+      folder: 'Work',
+      action: 'remote',
+    });
+    expect(() => validateConflictPolicies([{ action: 'theirs' }])).toThrow(/Rule 1: action/);
+    expect(() =>
+      validateConflictPolicies([{ action: 'local' }, { conflictType: 'title', action: 'local' }]),
+    ).toThrow(/Rule 2: conflictType/);
+    expect(() => validateConflictPolicies({ action: 'local' })).toThrow(/must be a list/);
+  });
+
+  it('does not overwrite rules another device saved since they were read', async () => {
+    const storage = createMemoryProvider();
+    const empty = await readConflictPolicies(storage);
+    expect(empty).toEqual({ policies: [], revision: null });
+
+    await saveConflictPolicies(storage, [{ folder: 'Work', action: 'remote' }], empty.revision);
+    await expect(
+      saveConflictPolicies(storage, [{ action: 'local' }], empty.revision),
+    ).rejects.toThrow(RevisionConflictError);
+
+    const { policies, revision } = await readConflictPolicies(storage);
+    expect(policies).toEqual([expect.objectContaining({ folder: 'Work', action: 'remote' })]);
+    await saveConflictPolicies(storage, [], revision);
+    expect((await readConflictPolicies(storage)).policies).toEqual([]);
+  });
+
+  it('describes rules for the options page', () => {
+    expect(describeConflictPolicy({ folder: '/Work/', action: 'remote' })).toBe(
+      'Work/: remote wins',
+    );
+    expect(describeConflictPolicy({ domain: '*.internal.corp', action: 'manual' })).toBe(
+      '*.internal.corp URLs: never auto-resolve',
+    );
+    expect(describeConflictPolicy({ action: 'newer' })).toBe('All conflicts: newer version wins');
+  });
+
+  it('matches a folder and its subfolders by path below the root folders', () => {
+    const policies = validateConflictPolicies([{ folder: 'work', action: 'remote' }]);
+
+    const inSubfolder = { local: bookmark('L', { parentId: 'clients' }), remote: bookmark('R') };
+    expect(findConflictPolicy(inSubfolder, policies, folders)).toBe(policies[0]);
+
+    const elsewhere = { local: bookmark('L'), remote: bookmark('R') };
+    expect(findConflictPolicy(elsewhere, policies, folders)).toBeNull();
+  });
+
+  it('matches host names against a domain pattern', () => {
+    const policies = validateConflictPolicies([{ domain: '*.internal.corp', action: 'manual' }]);
+    const conflict = (url) => ({
+      local: bookmark('L', { url }),
+      remote: bookmark('R', { url }),
+    });
+
+    expect(findConflictPolicy(conflict('https://wiki.internal.corp/x'), policies)).toBe(
+      policies[0],
+    );
+    expect(findConflictPolicy(conflict('https://internal.corp.example.com/'), policies)).toBeNull();
+  });
+
+  it('uses the first enabled rule that matches', () => {
+    const policies = validateConflictPolicies([
+      { conflictType: 'url_only', action: 'local' },
+      { conflictType: 'title_only', action: 'newer', enabled: false },
+      { conflictType: 'title_only', action: 'longer_title' },
+      { action: 'remote' },
+    ]);
+
+    const titleOnly = { local: bookmark('Docs'), remote: bookmark('Project docs') };
+    expect(findConflictPolicy(titleOnly, policies, folders)).toBe(policies[2]);
+
+    const deleted = { local: null, remote: bookmark('Remote') };
+    expect(findConflictPolicy(deleted, policies, folders)).toBe(policies[3]);
+  });
+
+  it('resolves the way the rule says', () => {
+    const local = bookmark('Docs', { dateModified: '2026-01-02T00:00:00Z' });
+    const remote = bookmark('Project docs', { dateModified: '2026-01-01T00:00:00Z' });
+    const apply = (action, conflict = { local, remote }) =>
+      applyConflictPolicy({ action }, conflict);
+
+    expect(apply(POLICY_ACTIONS.LONGER_TITLE).bookmark).toBe(remote);
+    expect(apply(POLICY_ACTIONS.NEWER_WINS).bookmark).toBe(local);
+    expect(apply(POLICY_ACTIONS.REMOTE_WINS, { local, remote: null })).toMatchObject({
+      resolved: true,
+      bookmark: null,
+    });
+    expect(apply(POLICY_ACTIONS.LONGER_TITLE, { local, remote: null }).resolved).toBe(false);
+    expect(apply(POLICY_ACTIONS.NEVER_AUTO_RESOLVE).resolved).toBe(false);
+  });
+
+  it('decides conflicts in resolveConflictsAdvanced before the strategy', async () => {
+    const policies = validateConflictPolicies([
+      { domain: '*.internal.corp', action: 'manual' },
+      { folder: 'Work', action: 'remote' },
+    ]);
+    const conflicts = [
+      {
+        id: 'a',
+        local: bookmark('L', { parentId: 'work' }),
+        remote: bookmark('R', { parentId: 'work' }),
+      },
+      {
+        id: 'b',
+        local: bookmark('L', { parentId: 'work', url: 'https://wiki.internal.corp/' }),
+        remote: null,
+      },
+      { id: 'c', local: bookmark('L'), remote: bookmark('R') },
+    ];
+
+    const result = await resolveConflictsAdvanced(conflicts, CONFLICT_STRATEGIES.MANUAL, {
+      policies,
+      folders,
+      recordHistory: false,
+    });
+
+    expect([...result.resolvedVersions]).toEqual([['a', conflicts[0].remote]]);
+    expect(result.unresolved.map((conflict) => conflict.id)).toEqual(['b', 'c']);
+    expect(result.resolutionHistory.map((entry) => entry.policyId)).toEqual([
+      policies[1].id,
+      policies[0].id,
+      null,
+    ]);
+  });
+});
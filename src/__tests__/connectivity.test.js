@@ -0,0 +1,31 @@
+// connectivity.test.js - Tests for detecting network failures
+
+import { isNetworkError, probeConnectivity } from '../lib/sync/connectivity.js';
+
+describe('Connectivity', () => {
+  afterEach(() => {
+    navigator.onLine = true;
+  });
+
+  it('tells network failures apart from other sync errors', () => {
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError('NetworkError when attempting to fetch resource.')).toBe(true);
+    expect(isNetworkError(new Error('API request failed: 500'))).toBe(false);
+
+    navigator.onLine = false;
+    expect(isNetworkError(new Error('API request failed: 500'))).toBe(true);
+  });
+
+  it('probes Google only when the browser reports being online', async () => {
+    global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(probeConnectivity()).resolves.toBe(false);
+
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 204 });
+    await expect(probeConnectivity()).resolves.toBe(true);
+
+    navigator.onLine = false;
+    global.fetch.mockClear();
+    await expect(probeConnectivity()).resolves.toBe(false);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
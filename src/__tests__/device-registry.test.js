@@ -0,0 +1,100 @@
+// device-registry.test.js - Tests for host and client roles in host-to-many sync
+
+import {
+  DEVICE_ROLES,
+  registerDevice,
+  finishDeviceSync,
+  requestHostHandover,
+} from '../lib/sync/device-registry.js';
+import { createMemoryProvider } from '../lib/storage/memory.js';
+import { getOrCreateDeviceId } from '../lib/team/team-manager.js';
+
+jest.mock('../lib/team/team-manager.js', () => ({
+  getOrCreateDeviceId: jest.fn(),
+}));
+
+const REGISTRY_FILE = 'bookdrive_devices.json';
+
+const device = (id, lastSeen = new Date().toISOString()) => ({ id, name: id, lastSeen });
+
+describe('Device Registry', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = createMemoryProvider();
+    getOrCreateDeviceId.mockResolvedValue('device-a');
+  });
+
+  const readRegistry = async () => (await storage.get(REGISTRY_FILE)).content;
+
+  it('makes the first registered device the host', async () => {
+    const { registry, role } = await registerDevice(storage);
+
+    expect(role).toBe(DEVICE_ROLES.HOST);
+    expect(registry.hostDeviceId).toBe('device-a');
+    expect(registry.devices['device-a'].role).toBe(DEVICE_ROLES.HOST);
+    expect(await readRegistry()).toEqual(registry);
+  });
+
+  it('registers later devices as clients', async () => {
+    await registerDevice(storage);
+    getOrCreateDeviceId.mockResolvedValue('device-b');
+
+    const { registry, role } = await registerDevice(storage);
+
+    expect(role).toBe(DEVICE_ROLES.CLIENT);
+    expect(registry.hostDeviceId).toBe('device-a');
+    expect(Object.keys(registry.devices)).toEqual(['device-a', 'device-b']);
+    expect(await readRegistry()).toEqual(registry);
+  });
+
+  it('hands the host role over after the host finished its next sync', async () => {
+    await storage.put(REGISTRY_FILE, {
+      hostDeviceId: 'device-a',
+      devices: { 'device-a': device('device-a'), 'device-b': device('device-b') },
+      handover: null,
+    });
+    getOrCreateDeviceId.mockResolvedValue('device-b');
+
+    const requested = await requestHostHandover(storage);
+
+    expect(requested.hostDeviceId).toBe('device-a');
+    expect(requested.handover).toMatchObject({ from: 'device-a', to: 'device-b' });
+
+    // A client finishing a sync does not complete the handover
+    await finishDeviceSync(storage);
+    expect((await readRegistry()).hostDeviceId).toBe('device-a');
+
+    getOrCreateDeviceId.mockResolvedValue('device-a');
+    const completed = await finishDeviceSync(storage);
+
+    expect(completed.hostDeviceId).toBe('device-b');
+    expect(completed.handover).toBeNull();
+    expect(completed.devices['device-a'].role).toBe(DEVICE_ROLES.CLIENT);
+    expect(completed.devices['device-b'].role).toBe(DEVICE_ROLES.HOST);
+  });
+
+  it('replaces a host that has not been seen for a week right away', async () => {
+    const longAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+    await storage.put(REGISTRY_FILE, {
+      hostDeviceId: 'device-a',
+      devices: { 'device-a': device('device-a', longAgo), 'device-b': device('device-b') },
+      handover: null,
+    });
+    getOrCreateDeviceId.mockResolvedValue('device-b');
+
+    const registry = await requestHostHandover(storage);
+
+    expect(registry.hostDeviceId).toBe('device-b');
+    expect(registry.handover).toBeNull();
+  });
+
+  it('rejects a handover to an unknown device', async () => {
+    await registerDevice(storage);
+    const { revision } = await storage.get(REGISTRY_FILE);
+
+    await expect(requestHostHandover(storage, 'device-x')).rejects.toThrow('not registered');
+    expect((await storage.get(REGISTRY_FILE)).revision).toBe(revision);
+  });
+});
@@ -225,6 +225,261 @@ describe('Google Drive API', () => {
     });
   });
 
+  describe('upsertFile', () => {
+    beforeEach(() => {
+      global.chrome.storage.local.get.mockImplementation(async (key) => ({
+        [key]: mockStorage[key],
+      }));
+      global.chrome.storage.local.set.mockImplementation(async (data) => {
+        Object.assign(mockStorage, data);
+      });
+      delete mockStorage.bookDriveFileIds;
+    });
+
+    it('should update an existing file found by name', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ files: [{ id: 'existing-file', modifiedTime: '2025-01-01' }] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'existing-file' }),
+        });
+
+      const result = await driveApi.upsertFile(
+        'sync_metadata.json',
+        { a: 1 },
+        'folder-123',
+        'test-token',
+      );
+
+      expect(result).toEqual({ id: 'existing-file' });
+      expect(global.fetch.mock.calls[1][0]).toContain('/upload/drive/v3/files/existing-file');
+      expect(global.fetch.mock.calls[1][1].method).toBe('PATCH');
+      expect(mockStorage.bookDriveFileIds).toEqual({
+        'folder-123/sync_metadata.json': 'existing-file',
+      });
+    });
+
+    it('should create the file when none exists', async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ files: [] }),
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'new-file' }),
+        });
+
+      const result = await driveApi.upsertFile('team.json', { a: 1 }, 'folder-123', 'test-token');
+
+      expect(result).toEqual({ id: 'new-file' });
+      expect(global.fetch.mock.calls[1][0]).toContain('uploadType=multipart');
+      expect(global.fetch.mock.calls[1][1].method).toBe('POST');
+    });
+
+    it('should use the cached file ID without listing files', async () => {
+      mockStorage.bookDriveFileIds = { 'folder-123/team.json': 'cached-file' };
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ id: 'cached-file' }),
+      });
+
+      await driveApi.upsertFile('team.json', { a: 1 }, 'folder-123', 'test-token');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toContain('/files/cached-file');
+    });
+
+    it('should recreate the file when the cached one is gone', async () => {
+      mockStorage.bookDriveFileIds = { 'folder-123/team.json': 'deleted-file' };
+      global.fetch
+        .mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found' })
+        .mockResolvedValueOnce({
+          ok: true,
+          status: 200,
+          json: async () => ({ id: 'new-file' }),
+        });
+
+      const result = await driveApi.upsertFile('team.json', { a: 1 }, 'folder-123', 'test-token');
+
+      expect(result).toEqual({ id: 'new-file' });
+      expect(mockStorage.bookDriveFileIds['folder-123/team.json']).toBe('new-file');
+    });
+  });
+
+  describe('resumable uploads', () => {
+    const response = (status, { body = {}, headers = {} } = {}) => ({
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: '',
+      headers: { get: (name) => headers[name] || null },
+      json: async () => body,
+    });
+    const contentRange = (call) => global.fetch.mock.calls[call][1].headers['Content-Range'];
+
+    beforeEach(() => {
+      global.chrome.storage.local.get.mockImplementation(async (key) => ({
+        [key]: mockStorage[key],
+      }));
+      global.chrome.storage.local.set.mockImplementation(async (data) => {
+        Object.assign(mockStorage, data);
+      });
+      global.chrome.storage.local.remove.mockImplementation(async (key) => {
+        delete mockStorage[key];
+      });
+      delete mockStorage.bookDriveUploadSessions;
+    });
+
+    it('should upload in chunks and report progress', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(200, { headers: { Location: 'https://upload/session-1' } }))
+        .mockResolvedValueOnce(response(308, { headers: { Range: 'bytes=0-5' } }))
+        .mockResolvedValueOnce(response(200, { body: { id: 'new-file' } }));
+      const onProgress = jest.fn();
+
+      const result = await driveApi.uploadFileResumable(
+        'backup.json',
+        'abcdefghij',
+        'folder-123',
+        'test-token',
+        { onProgress, chunkSize: 6 },
+      );
+
+      expect(result).toEqual({ id: 'new-file' });
+      expect(global.fetch.mock.calls[0][0]).toContain('uploadType=resumable');
+      expect(contentRange(1)).toBe('bytes 0-5/10');
+      expect(contentRange(2)).toBe('bytes 6-9/10');
+      expect(onProgress.mock.calls).toEqual([
+        [6, 10],
+        [10, 10],
+      ]);
+      expect(mockStorage.bookDriveUploadSessions).toEqual({});
+    });
+
+    it('should be used by uploadFile when asked for', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(200, { headers: { Location: 'https://upload/session-1' } }))
+        .mockResolvedValueOnce(response(201, { body: { id: 'new-file' } }));
+
+      const result = await driveApi.uploadFile('a.json', { a: 1 }, 'folder-123', 'test-token', {
+        resumable: true,
+      });
+
+      expect(result).toEqual({ id: 'new-file' });
+      expect(global.fetch.mock.calls[0][0]).toContain('uploadType=resumable');
+      expect(global.fetch.mock.calls[1][0]).toBe('https://upload/session-1');
+    });
+
+    it('should continue from the received offset after a network error', async () => {
+      global.fetch
+        .mockResolvedValueOnce(response(200, { headers: { Location: 'https://upload/session-1' } }))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+        .mockResolvedValueOnce(response(308, { headers: { Range: 'bytes=0-2' } }))
+        .mockResolvedValueOnce(response(200, { body: { id: 'new-file' } }));
+
+      const result = await driveApi.uploadFileResumable(
+        'backup.json',
+        'abcdefghij',
+        'folder-123',
+        'test-token',
+      );
+
+      expect(result).toEqual({ id: 'new-file' });
+      expect(contentRange(2)).toBe('bytes */10');
+      expect(contentRange(3)).toBe('bytes 3-9/10');
+    });
+
+    it('should resume persisted uploads on the next wake-up', async () => {
+      mockStorage.bookDriveUploadSessions = {
+        'upload-1': {
+          id: 'upload-1',
+          uri: 'https://upload/session-1',
+          name: 'backup.json',
+          fileId: null,
+          parentId: 'folder-123',
+          size: 10,
+          uploaded: 6,
+          createdAt: new Date().toISOString(),
+        },
+      };
+      mockStorage['bookDriveUploadPayload_upload-1'] = 'abcdefghij';
+      global.fetch
+        .mockResolvedValueOnce(response(200, { body: { files: [] } }))
+        .mockResolvedValueOnce(response(308, { headers: { Range: 'bytes=0-5' } }))
+        .mockResolvedValueOnce(response(200, { body: { id: 'new-file' } }));
+
+      const files = await driveApi.resumePendingUploads({ token: 'test-token' });
+
+      expect(files).toEqual([{ id: 'new-file' }]);
+      expect(global.fetch.mock.calls[0][0]).toContain(encodeURIComponent("name='backup.json'"));
+      expect(contentRange(2)).toBe('bytes 6-9/10');
+      expect(mockStorage.bookDriveUploadSessions).toEqual({});
+      expect(mockStorage['bookDriveUploadPayload_upload-1']).toBeUndefined();
+    });
+
+    it('should drop an interrupted snapshot write when the file changed since', async () => {
+      mockStorage.bookDriveUploadSessions = {
+        'upload-1': {
+          id: 'upload-1',
+          uri: 'https://upload/session-1',
+          name: 'sync-file',
+          fileId: 'sync-file',
+          parentId: null,
+          expectedRevision: 'rev-1',
+          size: 10,
+          uploaded: 6,
+          createdAt: new Date().toISOString(),
+        },
+      };
+      mockStorage['bookDriveUploadPayload_upload-1'] = 'abcdefghij';
+      global.fetch.mockResolvedValueOnce(
+        response(200, { body: { id: 'sync-file', headRevisionId: 'rev-2' } }),
+      );
+
+      const files = await driveApi.resumePendingUploads({ token: 'test-token' });
+
+      expect(files).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toContain('/files/sync-file?');
+      expect(mockStorage.bookDriveUploadSessions).toEqual({});
+      expect(mockStorage['bookDriveUploadPayload_upload-1']).toBeUndefined();
+    });
+
+    it('should drop an interrupted new file when another one was created meanwhile', async () => {
+      mockStorage.bookDriveUploadSessions = {
+        'upload-1': {
+          id: 'upload-1',
+          uri: 'https://upload/session-1',
+          name: 'bookmarks_sync.json',
+          fileId: null,
+          parentId: 'folder-123',
+          expectedRevision: null,
+          size: 10,
+          uploaded: 6,
+          createdAt: new Date().toISOString(),
+        },
+      };
+      mockStorage['bookDriveUploadPayload_upload-1'] = 'abcdefghij';
+      global.fetch.mockResolvedValueOnce(
+        response(200, { body: { files: [{ id: 'other', name: 'bookmarks_sync.json' }] } }),
+      );
+
+      const files = await driveApi.resumePendingUploads({ token: 'test-token' });
+
+      expect(files).toEqual([]);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(mockStorage.bookDriveUploadSessions).toEqual({});
+    });
+  });
+
   describe('downloadFile', () => {
     it('should download a file successfully', async () => {
       global.fetch.mockResolvedValue({
@@ -254,26 +509,26 @@ describe('Google Drive API', () => {
   });
 
   describe('listFiles', () => {
+    const page = (files, nextPageToken) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ files, ...(nextPageToken ? { nextPageToken } : {}) }),
+    });
+
     it('should list files in a folder', async () => {
-      global.fetch.mockResolvedValue({
-        ok: true,
-        status: 200,
-        json: async () => ({
-          files: [
-            { id: 'file-1', name: 'file1.json' },
-            { id: 'file-2', name: 'file2.json' },
-          ],
-        }),
-      });
+      global.fetch.mockResolvedValue(
+        page([
+          { id: 'file-1', name: 'file1.json' },
+          { id: 'file-2', name: 'file2.json' },
+        ]),
+      );
 
       const result = await driveApi.listFiles('folder-123', 'test-token');
 
-      expect(result).toEqual({
-        files: [
-          { id: 'file-1', name: 'file1.json' },
-          { id: 'file-2', name: 'file2.json' },
-        ],
-      });
+      expect(result).toEqual([
+        { id: 'file-1', name: 'file1.json' },
+        { id: 'file-2', name: 'file2.json' },
+      ]);
 
       expect(global.fetch).toHaveBeenCalledWith(
         expect.stringContaining('https://www.googleapis.com/drive/v3/files'),
@@ -285,76 +540,120 @@ describe('Google Drive API', () => {
       );
     });
 
-    it('should handle pagination', async () => {
-      global.fetch.mockResolvedValue({
-        ok: true,
-        status: 200,
-        json: async () => ({
-          files: [{ id: 'file-1', name: 'file1.json' }],
-          nextPageToken: 'next-page',
-        }),
-      });
+    it('should follow every result page', async () => {
+      global.fetch
+        .mockResolvedValueOnce(page([{ id: 'file-1', name: 'file1.json' }], 'next-page'))
+        .mockResolvedValueOnce(page([{ id: 'file-2', name: 'file2.json' }]));
 
       const result = await driveApi.listFiles('folder-123', 'test-token');
 
-      expect(result).toEqual({
-        files: [{ id: 'file-1', name: 'file1.json' }],
-        nextPageToken: 'next-page',
-      });
+      expect(result.map((file) => file.id)).toEqual(['file-1', 'file-2']);
+      expect(global.fetch.mock.calls[0][0]).toContain(encodeURIComponent('nextPageToken,files('));
+      expect(global.fetch.mock.calls[1][0]).toContain('&pageToken=next-page');
+    });
+
+    it('should combine the folder and the query into a single q parameter', async () => {
+      global.fetch.mockResolvedValue(page([]));
+
+      await driveApi.listFiles('folder-123', 'test-token', "name='a.json'");
+
+      const url = global.fetch.mock.calls[0][0];
+      expect(url.match(/&q=/g)).toHaveLength(1);
+      expect(decodeURIComponent(url)).toContain("q='folder-123' in parents and name='a.json'");
+    });
+
+    it('should search the app data space for the app data folder', async () => {
+      global.fetch.mockResolvedValue(page([]));
+
+      await driveApi.listFiles(driveApi.APP_DATA_FOLDER, 'test-token', { name: 'a.json' });
+
+      expect(global.fetch.mock.calls[0][0]).toContain('&spaces=appDataFolder');
     });
 
     it('should handle empty folderId', async () => {
-      global.fetch.mockResolvedValue({
-        ok: true,
-        status: 200,
-        json: async () => ({
-          files: [{ id: 'file-2', name: 'file2.json' }],
-        }),
-      });
+      global.fetch.mockResolvedValue(page([{ id: 'file-2', name: 'file2.json' }]));
 
       const result = await driveApi.listFiles('', 'test-token');
 
-      expect(result).toEqual({
-        files: [{ id: 'file-2', name: 'file2.json' }],
-      });
+      expect(result).toEqual([{ id: 'file-2', name: 'file2.json' }]);
+      expect(global.fetch.mock.calls[0][0]).not.toContain('&q=');
     });
   });
 
-  describe('findOrCreateBookDriveFolder', () => {
-    it('should return existing folder ID if found', async () => {
-      global.fetch.mockResolvedValue({
-        ok: true,
-        status: 200,
-        json: async () => ({
-          files: [{ id: 'bookdrive-folder' }],
-        }),
-      });
+  describe('changes', () => {
+    const ok = (body) => ({ ok: true, status: 200, json: async () => body });
 
-      const result = await driveApi.findOrCreateBookDriveFolder('test-token');
+    it('should get the start page token for a space', async () => {
+      global.fetch.mockResolvedValue(ok({ startPageToken: '42' }));
 
-      expect(result).toBe('bookdrive-folder');
-      expect(global.fetch).toHaveBeenCalledTimes(1);
+      const pageToken = await driveApi.getChangesStartPageToken('test-token', {
+        spaces: 'appDataFolder',
+      });
+
+      expect(pageToken).toBe('42');
+      expect(global.fetch.mock.calls[0][0]).toBe(
+        'https://www.googleapis.com/drive/v3/changes/startPageToken?spaces=appDataFolder',
+      );
     });
 
-    it('should create folder if not found', async () => {
-      // First call returns empty files array
-      global.fetch.mockResolvedValueOnce({
-        ok: true,
-        status: 200,
-        json: async () => ({ files: [] }),
+    it('should follow every page of changes', async () => {
+      global.fetch
+        .mockResolvedValueOnce(ok({ changes: [{ fileId: 'a' }], nextPageToken: '43' }))
+        .mockResolvedValueOnce(ok({ changes: [{ fileId: 'b' }], newStartPageToken: '44' }));
+
+      const result = await driveApi.listChanges('42', 'test-token');
+
+      expect(result).toEqual({
+        changes: [{ fileId: 'a' }, { fileId: 'b' }],
+        newStartPageToken: '44',
       });
+      expect(global.fetch.mock.calls[1][0]).toContain('pageToken=43');
+    });
+  });
 
-      // Second call (createFolder) returns new folder
-      global.fetch.mockResolvedValueOnce({
+  describe('buildFileQuery', () => {
+    it('should combine criteria and exclude trashed files', () => {
+      expect(
+        driveApi.buildFileQuery({
+          parent: 'folder-123',
+          nameContains: 'backup_',
+          mimeType: 'application/json',
+          modifiedAfter: new Date(Date.UTC(2025, 0, 1)),
+          appProperties: { kind: 'backup' },
+        }),
+      ).toBe(
+        "'folder-123' in parents and name contains 'backup_' and mimeType='application/json'" +
+          " and modifiedTime > '2025-01-01T00:00:00.000Z'" +
+          " and appProperties has { key='kind' and value='backup' } and trashed=false",
+      );
+    });
+
+    it('should escape quotes in values', () => {
+      expect(driveApi.buildFileQuery({ name: "Bob's.json", trashed: null })).toBe(
+        "name='Bob\\'s.json'",
+      );
+    });
+  });
+
+  describe('iterateFiles', () => {
+    it('should request the given fields', async () => {
+      global.fetch.mockResolvedValue({
         ok: true,
         status: 200,
-        json: async () => ({ id: 'new-bookdrive-folder' }),
+        json: async () => ({ files: [{ id: 'file-1' }] }),
       });
 
-      const result = await driveApi.findOrCreateBookDriveFolder('test-token');
+      const files = [];
+      for await (const file of driveApi.iterateFiles({ name: 'a.json' }, 'test-token', {
+        fields: ['id', 'headRevisionId'],
+      })) {
+        files.push(file);
+      }
 
-      expect(result).toBe('new-bookdrive-folder');
-      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(files).toEqual([{ id: 'file-1' }]);
+      expect(global.fetch.mock.calls[0][0]).toContain(
+        encodeURIComponent('nextPageToken,files(id,headRevisionId)'),
+      );
     });
   });
 
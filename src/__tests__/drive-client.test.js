@@ -0,0 +1,144 @@
+// drive-client.test.js - Tests for the Drive request scheduler
+
+const mockResponse = (status, { headers = {}, body = {} } = {}) => ({
+  status,
+  ok: status >= 200 && status < 300,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+  clone: () => mockResponse(status, { headers, body }),
+});
+
+const rateLimitBody = (reason) => ({ error: { errors: [{ reason }] } });
+
+describe('Drive Client', () => {
+  let driveFetch;
+  let parseRetryAfter;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-07-17T12:00:00Z') });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = jest.fn();
+
+    // The scheduler keeps its queue and pause in module state
+    jest.isolateModules(() => {
+      ({ driveFetch, parseRetryAfter } = require('../lib/drive-client.js'));
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('waits for Retry-After before retrying a rate-limited request', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse(429, { headers: { 'Retry-After': '3' } }))
+      .mockResolvedValueOnce(mockResponse(200));
+
+    const request = driveFetch('https://www.googleapis.com/drive/v3/files');
+
+    await jest.advanceTimersByTimeAsync(2999);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect((await request).status).toBe(200);
+  });
+
+  it('backs off exponentially when Drive does not say how long to wait', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(503))
+      .mockResolvedValueOnce(mockResponse(200));
+
+    const request = driveFetch('https://www.googleapis.com/drive/v3/files');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect((await request).status).toBe(200);
+  });
+
+  it('retries 403 rate limit errors but not other 403 or failed writes', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse(403, { body: rateLimitBody('userRateLimitExceeded') }))
+      .mockResolvedValueOnce(mockResponse(200))
+      .mockResolvedValueOnce(mockResponse(403, { body: rateLimitBody('insufficientPermissions') }))
+      .mockResolvedValueOnce(mockResponse(500));
+
+    const limited = driveFetch('https://www.googleapis.com/drive/v3/files/a');
+    await jest.advanceTimersByTimeAsync(1000);
+    expect((await limited).status).toBe(200);
+
+    const forbidden = await driveFetch('https://www.googleapis.com/drive/v3/files/b');
+    const write = await driveFetch('https://www.googleapis.com/drive/v3/files', { method: 'POST' });
+
+    expect(forbidden.status).toBe(403);
+    expect(write.status).toBe(500);
+    expect(fetch).toHaveBeenCalledTimes(4);
+  });
+
+  it('returns the response when Drive asks to wait too long', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(429, { headers: { 'Retry-After': '3600' } }));
+
+    const response = await driveFetch('https://www.googleapis.com/drive/v3/files');
+
+    expect(response.status).toBe(429);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('limits how many requests run at once', async () => {
+    const pending = [];
+    fetch.mockImplementation(
+      () => new Promise((resolve) => pending.push(() => resolve(mockResponse(200)))),
+    );
+
+    const requests = [1, 2, 3, 4, 5, 6].map((n) =>
+      driveFetch(`https://www.googleapis.com/drive/v3/files/${n}`),
+    );
+    await jest.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(4);
+
+    pending[0]();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(fetch).toHaveBeenCalledTimes(5);
+
+    pending.slice(1).forEach((resolve) => resolve());
+    await jest.advanceTimersByTimeAsync(0);
+    pending.slice(5).forEach((resolve) => resolve());
+    await Promise.all(requests);
+    expect(fetch).toHaveBeenCalledTimes(6);
+  });
+
+  it('shares identical GET requests that are in flight', async () => {
+    fetch.mockImplementation(async () => mockResponse(200, { body: { files: [] } }));
+    const url = 'https://www.googleapis.com/drive/v3/files?q=trashed%3Dfalse';
+    const headers = { Authorization: 'Bearer token' };
+
+    const [first, second] = await Promise.all([
+      driveFetch(url, { headers }),
+      driveFetch(url, { headers }),
+    ]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(first).not.toBe(second);
+    expect(await second.json()).toEqual({ files: [] });
+
+    // Finished requests and other tokens are sent again
+    await driveFetch(url, { headers });
+    await driveFetch(url, { headers: { Authorization: 'Bearer other' } });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('parses Retry-After given in seconds or as a date', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).toBe(5000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(null)).toBeNull();
+  });
+});
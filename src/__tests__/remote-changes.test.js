@@ -0,0 +1,125 @@
+// remote-changes.test.js - Tests for detecting remote updates through the Drive change log
+
+import {
+  checkRemoteChanges,
+  resetRemoteChanges,
+  hasPendingRemoteChanges,
+} from '../lib/sync/remote-changes.js';
+import { getChangesStartPageToken, listChanges } from '../lib/drive.js';
+import { getStorageSettings } from '../lib/storage/location.js';
+
+jest.mock('../lib/drive.js', () => ({
+  APP_DATA_FOLDER: 'appDataFolder',
+  getChangesStartPageToken: jest.fn(),
+  listChanges: jest.fn(),
+}));
+
+jest.mock('../lib/auth/drive-auth.js', () => ({
+  getAuthToken: jest.fn(async () => 'token'),
+}));
+
+jest.mock('../lib/storage/sync-folder.js', () => ({
+  getSyncFolderId: jest.fn(async () => 'folder-123'),
+}));
+
+jest.mock('../lib/storage/location.js', () => ({
+  STORAGE_LOCATIONS: { APP_DATA: 'appDataFolder', FOLDER: 'folder' },
+  getStorageSettings: jest.fn(),
+}));
+
+jest.mock('../lib/team/team-manager.js', () => ({
+  getOrCreateDeviceId: jest.fn(async () => 'device-a'),
+}));
+
+const change = (name, parents = ['folder-123']) => ({
+  fileId: name,
+  removed: false,
+  file: { name, parents, trashed: false },
+});
+
+describe('Remote Changes', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+
+    getStorageSettings.mockResolvedValue({ location: 'folder', mirrorBackups: true });
+    getChangesStartPageToken.mockResolvedValue('start');
+  });
+
+  it('only records the position in the change log on the first check', async () => {
+    const result = await checkRemoteChanges();
+
+    expect(result).toEqual({ changed: false, files: [] });
+    expect(getChangesStartPageToken).toHaveBeenCalledWith('token', {
+      location: 'folder',
+      spaces: 'drive',
+      folderId: 'folder-123',
+    });
+    expect(listChanges).not.toHaveBeenCalled();
+  });
+
+  it('reports sync files other devices changed in the BookDrive folder', async () => {
+    await checkRemoteChanges();
+    listChanges.mockResolvedValue({
+      changes: [
+        change('bookmarks_sync.json'),
+        change('bookmarks_delta_device-b.json'),
+        change('bookmarks_delta_device-a.json'),
+        change('team_metadata.json'),
+        change('bookmarks_sync.json', ['elsewhere']),
+        { fileId: 'gone', removed: true },
+      ],
+      newStartPageToken: 'next',
+    });
+
+    const result = await checkRemoteChanges();
+
+    expect(listChanges).toHaveBeenCalledWith('start', 'token', expect.any(Object));
+    expect(result).toEqual({
+      changed: true,
+      files: ['bookmarks_sync.json', 'bookmarks_delta_device-b.json'],
+    });
+    expect(await hasPendingRemoteChanges()).toBe(true);
+
+    listChanges.mockResolvedValue({ changes: [], newStartPageToken: 'later' });
+    await checkRemoteChanges();
+    expect(listChanges).toHaveBeenLastCalledWith('next', 'token', expect.any(Object));
+  });
+
+  it('watches the app data space and starts over when the location changes', async () => {
+    await checkRemoteChanges();
+    getStorageSettings.mockResolvedValue({ location: 'appDataFolder', mirrorBackups: true });
+
+    await checkRemoteChanges();
+    expect(listChanges).not.toHaveBeenCalled();
+
+    listChanges.mockResolvedValue({
+      changes: [change('bookmarks_sync.json', ['app-data-id'])],
+      newStartPageToken: 'next',
+    });
+    const result = await checkRemoteChanges();
+
+    expect(listChanges).toHaveBeenCalledWith('start', 'token', {
+      location: 'appDataFolder',
+      spaces: 'appDataFolder',
+      folderId: null,
+    });
+    expect(result.changed).toBe(true);
+  });
+
+  it('skips changes up to now after a sync', async () => {
+    storage.bookDriveRemoteChangesPending = true;
+    getChangesStartPageToken.mockResolvedValue('after-sync');
+
+    await resetRemoteChanges();
+    listChanges.mockResolvedValue({ changes: [], newStartPageToken: 'after-sync' });
+    await checkRemoteChanges();
+
+    expect(await hasPendingRemoteChanges()).toBe(false);
+    expect(listChanges).toHaveBeenCalledWith('after-sync', 'token', expect.any(Object));
+  });
+});
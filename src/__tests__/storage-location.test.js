@@ -0,0 +1,97 @@
+// storage-location.test.js - Tests for keeping sync state in the app data folder
+
+import {
+  getSyncStorageProvider,
+  getBackupMirrorProvider,
+  copySyncState,
+} from '../lib/storage/location.js';
+import { createMemoryProvider } from '../lib/storage/memory.js';
+
+const mockProviders = {};
+
+jest.mock('../lib/storage/provider.js', () => ({
+  getStorageProvider: (location = 'folder') => mockProviders[location],
+}));
+
+describe('Storage Location', () => {
+  let settings;
+  let local;
+
+  beforeEach(() => {
+    settings = {};
+    local = {};
+    chrome.storage.sync.get.mockImplementation(async (defaults) => ({ ...defaults, ...settings }));
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: local[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(local, data));
+
+    mockProviders.folder = createMemoryProvider({
+      files: {
+        'bookmarks_sync.json': { bookmarks: [] },
+        'bookmarks_delta_device-a.json': { operations: [] },
+        'bookmarks_backup_1.json': { id: '1' },
+        'team_metadata.json': {},
+      },
+    });
+    mockProviders.appDataFolder = createMemoryProvider();
+  });
+
+  const names = async (storage) => (await storage.list()).map((file) => file.name).sort();
+
+  it('moves internal files to the app data folder on first use', async () => {
+    const storage = await getSyncStorageProvider();
+
+    expect(storage).toBe(mockProviders.appDataFolder);
+    expect(await names(storage)).toEqual(['bookmarks_delta_device-a.json', 'bookmarks_sync.json']);
+
+    // Only once: later changes to the visible folder are not copied again
+    await mockProviders.folder.put('bookmarks_delta_device-b.json', {});
+    await getSyncStorageProvider();
+    expect(await names(storage)).toHaveLength(2);
+  });
+
+  it('reads the state where it is without moving it when read-only', async () => {
+    const storage = await getSyncStorageProvider({ readOnly: true });
+
+    expect(storage).toBe(mockProviders.folder);
+    expect(await names(mockProviders.appDataFolder)).toEqual([]);
+    expect(local.bookDriveAppDataMigrated).toBeUndefined();
+
+    await mockProviders.appDataFolder.put('bookmarks_sync.json', { bookmarks: ['newer'] });
+    expect(await getSyncStorageProvider({ readOnly: true })).toBe(mockProviders.appDataFolder);
+  });
+
+  it('keeps files another device already moved', async () => {
+    await mockProviders.appDataFolder.put('bookmarks_sync.json', { bookmarks: ['newer'] });
+
+    const storage = await getSyncStorageProvider();
+
+    expect((await storage.get('bookmarks_sync.json')).content).toEqual({ bookmarks: ['newer'] });
+  });
+
+  it('uses the visible folder when asked to', async () => {
+    settings = { bookDriveStorageLocation: 'folder' };
+
+    expect(await getSyncStorageProvider()).toBe(mockProviders.folder);
+    expect(await getBackupMirrorProvider(mockProviders.folder)).toBeNull();
+  });
+
+  it('mirrors backups to the visible folder only when enabled', async () => {
+    settings = { bookDriveMirrorBackups: false };
+    expect(await getBackupMirrorProvider(mockProviders.appDataFolder)).toBeNull();
+
+    settings = { bookDriveMirrorBackups: true };
+    expect(await getBackupMirrorProvider(mockProviders.appDataFolder)).toBe(mockProviders.folder);
+  });
+
+  it('replaces the sync state in the new location when the setting changes', async () => {
+    await mockProviders.appDataFolder.put('bookmarks_sync.json', { bookmarks: ['stale'] });
+
+    const copied = await copySyncState('folder', 'appDataFolder');
+
+    expect(copied).toBe(2);
+    expect((await mockProviders.appDataFolder.get('bookmarks_sync.json')).content).toEqual({
+      bookmarks: [],
+    });
+    expect(local.bookDriveAppDataMigrated).toBe(true);
+  });
+});
@@ -0,0 +1,148 @@
+// storage-provider.test.js - Tests for the storage provider adapters
+
+import { createMemoryProvider } from '../lib/storage/memory.js';
+import { createDriveProvider } from '../lib/storage/drive.js';
+import { getStorageProvider, setStorageProvider } from '../lib/storage/provider.js';
+import { listFiles, uploadFile, updateFileIfUnchanged } from '../lib/drive.js';
+import { AuthenticationError, RevisionConflictError } from '../utils/error-handler.js';
+
+jest.mock('../lib/drive.js', () => ({
+  listFiles: jest.fn(),
+  downloadFile: jest.fn(),
+  uploadFile: jest.fn(async (name) => ({ id: 'file-1', name })),
+  upsertFile: jest.fn(),
+  deleteFile: jest.fn(),
+  getFileMetadata: jest.fn(),
+  updateFileIfUnchanged: jest.fn(async (fileId) => ({ id: fileId })),
+}));
+
+describe('Storage Providers', () => {
+  describe('memory provider', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = createMemoryProvider({ files: { 'a.json': { value: 1 } } });
+    });
+
+    it('lists the files matching a prefix', async () => {
+      await storage.put('b.json', { value: 2 });
+      await storage.put('other.json', {});
+
+      const files = await storage.list({ prefix: 'b' });
+
+      expect(files.map((file) => file.name)).toEqual(['b.json']);
+      expect((await storage.list()).map((file) => file.name)).toContain('a.json');
+    });
+
+    it('returns copies so callers cannot change stored content', async () => {
+      const file = await storage.get('a.json');
+      file.content.value = 99;
+
+      expect((await storage.get('a.json')).content).toEqual({ value: 1 });
+      expect(await storage.get('missing.json')).toBeNull();
+    });
+
+    it('writes only when the file is still at the expected revision', async () => {
+      const { revision } = await storage.get('a.json');
+
+      await storage.put('a.json', { value: 2 }, { expectedRevision: revision });
+
+      await expect(
+        storage.put('a.json', { value: 3 }, { expectedRevision: revision }),
+      ).rejects.toThrow(RevisionConflictError);
+      expect((await storage.get('a.json')).content).toEqual({ value: 2 });
+    });
+
+    it('refuses to create a file that already exists when asked to', async () => {
+      await expect(storage.put('a.json', {}, { expectedRevision: null })).rejects.toThrow(
+        'File was created by another device',
+      );
+      await storage.put('new.json', {}, { expectedRevision: null });
+
+      expect(await storage.get('new.json')).not.toBeNull();
+    });
+
+    it('reports changes to watchers until they stop watching', async () => {
+      const callback = jest.fn();
+      const stop = storage.watch(callback, { prefix: 'a' });
+
+      await storage.put('a.json', { value: 2 });
+      await storage.put('b.json', {});
+      await storage.delete('a.json');
+      stop();
+      await storage.put('a.json', {});
+
+      expect(callback.mock.calls).toEqual([
+        [{ name: 'a.json', type: 'changed' }],
+        [{ name: 'a.json', type: 'deleted' }],
+      ]);
+    });
+
+    it('keeps files in chrome.storage.local when given a storage key', async () => {
+      const persisted = {};
+      chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: persisted[key] }));
+      chrome.storage.local.set.mockImplementation(async (data) => Object.assign(persisted, data));
+
+      await createMemoryProvider({ storageKey: 'offlineFiles' }).put('a.json', { value: 1 });
+      const reopened = createMemoryProvider({ storageKey: 'offlineFiles' });
+      await reopened.put('b.json', {});
+
+      expect((await reopened.get('a.json')).content).toEqual({ value: 1 });
+      expect((await reopened.get('b.json')).revision).toBe('rev-2');
+    });
+  });
+
+  describe('drive provider', () => {
+    const connect = () =>
+      createDriveProvider({
+        getToken: async () => 'token',
+        getFolderId: async () => 'folder-123',
+      });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('creates a file only when no file of that name exists', async () => {
+      listFiles.mockResolvedValueOnce([]);
+      await connect().put('a.json', {}, { expectedRevision: null });
+
+      expect(uploadFile).toHaveBeenCalledWith('a.json', {}, 'folder-123', 'token', {
+        onProgress: undefined,
+        expectedRevision: null,
+      });
+
+      listFiles.mockResolvedValueOnce([{ id: 'file-1', name: 'a.json' }]);
+      await expect(connect().put('a.json', {}, { expectedRevision: null })).rejects.toThrow(
+        RevisionConflictError,
+      );
+    });
+
+    it('updates the newest file of that name against the expected revision', async () => {
+      listFiles.mockResolvedValueOnce([
+        { id: 'old', name: 'a.json', modifiedTime: '2025-01-01T00:00:00Z' },
+        { id: 'new', name: 'a.json', modifiedTime: '2025-02-01T00:00:00Z' },
+      ]);
+
+      await connect().put('a.json', { value: 1 }, { expectedRevision: 'rev-1' });
+
+      expect(updateFileIfUnchanged).toHaveBeenCalledWith('new', { value: 1 }, 'rev-1', 'token');
+    });
+
+    it('requires authentication', async () => {
+      const storage = createDriveProvider({ getToken: async () => null });
+
+      await expect(storage.get('a.json')).rejects.toThrow(AuthenticationError);
+    });
+  });
+
+  it('uses the Drive provider unless another one is set', () => {
+    const memory = createMemoryProvider();
+
+    setStorageProvider(memory);
+    expect(getStorageProvider()).toBe(memory);
+
+    setStorageProvider(null);
+    expect(getStorageProvider().name).toBe('drive');
+  });
+});
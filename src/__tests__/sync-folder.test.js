@@ -0,0 +1,105 @@
+// sync-folder.test.js - Tests for choosing and checking the Drive sync folder
+
+import {
+  SYNC_FOLDER_STATUS,
+  ensureBookDriveFolder,
+  restoreSyncFolder,
+  selectSyncFolder,
+  createSyncFolder,
+  getSyncFolderStatus,
+} from '../lib/storage/sync-folder.js';
+import { createFolder, getFileMetadata, listFiles, restoreFile } from '../lib/drive.js';
+import { DriveApiError, SyncFolderError } from '../utils/error-handler.js';
+
+jest.mock('../lib/drive.js', () => ({
+  createFolder: jest.fn(),
+  getFileMetadata: jest.fn(),
+  listFiles: jest.fn(async () => []),
+  restoreFile: jest.fn(),
+}));
+
+jest.mock('../lib/auth/drive-auth.js', () => ({
+  getAuthToken: jest.fn(async () => 'token'),
+}));
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+describe('Sync Folder', () => {
+  let storage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (keys) =>
+      Object.fromEntries([].concat(keys).map((key) => [key, storage[key]])),
+    );
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+  });
+
+  it('does not search Drive for a folder on new installs', async () => {
+    await expect(ensureBookDriveFolder(false)).resolves.toBeNull();
+    await expect(ensureBookDriveFolder(true)).rejects.toThrow(SyncFolderError);
+    expect(listFiles).not.toHaveBeenCalled();
+  });
+
+  it('keeps syncing with the BookDrive folder of older installs', async () => {
+    storage.lastSync = '2025-07-01T00:00:00Z';
+    listFiles.mockResolvedValueOnce([{ id: 'legacy', name: 'BookDrive' }]);
+    getFileMetadata.mockResolvedValueOnce({ id: 'legacy', name: 'BookDrive', trashed: false });
+
+    await expect(ensureBookDriveFolder(true)).resolves.toBe('legacy');
+    expect(storage.bookDriveFolderId).toBe('legacy');
+  });
+
+  it('offers to restore a trashed folder', async () => {
+    storage.bookDriveFolderId = 'folder-1';
+    getFileMetadata.mockResolvedValueOnce({ id: 'folder-1', name: 'BookDrive', trashed: true });
+
+    await expect(ensureBookDriveFolder(true)).rejects.toMatchObject({
+      status: SYNC_FOLDER_STATUS.TRASHED,
+    });
+    expect(await getSyncFolderStatus()).toBe(SYNC_FOLDER_STATUS.TRASHED);
+
+    restoreFile.mockResolvedValueOnce({ id: 'folder-1', name: 'BookDrive', trashed: false });
+    await restoreSyncFolder();
+    expect(restoreFile).toHaveBeenCalledWith('folder-1', 'token');
+    expect(await getSyncFolderStatus()).toBe(SYNC_FOLDER_STATUS.OK);
+  });
+
+  it('reports a deleted folder as inaccessible but rethrows network errors', async () => {
+    storage.bookDriveFolderId = 'folder-1';
+    getFileMetadata.mockRejectedValueOnce(new DriveApiError('API request failed: 404', 404));
+
+    await expect(ensureBookDriveFolder(false)).rejects.toMatchObject({
+      status: SYNC_FOLDER_STATUS.INACCESSIBLE,
+    });
+
+    getFileMetadata.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(ensureBookDriveFolder(false)).rejects.toThrow('Failed to fetch');
+    expect(await getSyncFolderStatus()).toBe(SYNC_FOLDER_STATUS.INACCESSIBLE);
+  });
+
+  it('only accepts folders that are not in the trash', async () => {
+    getFileMetadata.mockResolvedValueOnce({
+      id: 'file-1',
+      name: 'notes.txt',
+      mimeType: 'text/plain',
+    });
+    await expect(selectSyncFolder('file-1')).rejects.toThrow('cannot be used');
+
+    getFileMetadata.mockResolvedValueOnce({
+      id: 'folder-2',
+      name: 'Laptop',
+      mimeType: FOLDER_MIME_TYPE,
+      trashed: false,
+    });
+    await expect(selectSyncFolder('folder-2')).resolves.toEqual({ id: 'folder-2', name: 'Laptop' });
+
+    createFolder.mockResolvedValueOnce({ id: 'folder-3', name: 'Bookmarks' });
+    await expect(createSyncFolder('Bookmarks')).resolves.toEqual({
+      id: 'folder-3',
+      name: 'Bookmarks',
+    });
+    expect(storage.bookDriveFolderId).toBe('folder-3');
+  });
+});
@@ -7,6 +7,9 @@ import {
   decompressBookmarkData,
   withRetry,
   performOptimizedSync,
+  queueOfflineOperation,
+  processOfflineQueue,
+  getOfflineQueueLength,
 } from '../lib/sync/sync-optimizer.js';
 
 import { canPerformOperation } from '../lib/scheduling/resource-monitor.js';
@@ -165,6 +168,18 @@ describe('Sync Optimizer', () => {
       // Total changes should be at least 3
       expect(delta.changes).toBeGreaterThanOrEqual(3);
     });
+
+    it('should match bookmarks by sync id instead of node id', () => {
+      const sourceTree = [{ id: '7', title: 'Docs', url: 'https://docs.example.com' }];
+      const targetTree = [
+        { id: '42', syncId: 'sync-docs', title: 'Docs', url: 'https://docs.example.com' },
+      ];
+
+      const delta = calculateDelta(sourceTree, targetTree, { 7: 'sync-docs' });
+
+      expect(delta.changes).toBe(0);
+      expect(delta.unchanged).toHaveLength(1);
+    });
   });
 
   describe('Delta Application', () => {
@@ -332,4 +347,58 @@ describe('Sync Optimizer', () => {
       expect(result.success).toBe(false);
     });
   });
+
+  describe('Offline Queue', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = {};
+      // Stored values are copies, like in chrome.storage
+      chrome.storage.local.get.mockImplementation(async (defaults) =>
+        JSON.parse(JSON.stringify({ ...defaults, ...storage })),
+      );
+      chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+    });
+
+    it('should collapse duplicate queued syncs into one', async () => {
+      await queueOfflineOperation({ mode: 'sync' });
+      const result = await queueOfflineOperation({ mode: 'sync' });
+
+      expect(result).toMatchObject({ collapsed: true, queueLength: 1 });
+      expect(await getOfflineQueueLength()).toBe(1);
+
+      await queueOfflineOperation({ mode: 'sync', options: { dryRun: true } });
+      expect(await getOfflineQueueLength()).toBe(2);
+    });
+
+    it('should keep failed syncs queued and drop successful ones', async () => {
+      await queueOfflineOperation({ mode: 'sync' });
+      const execute = jest.fn().mockRejectedValue(new Error('Failed to fetch'));
+
+      const pending = processOfflineQueue({ execute });
+      await jest.advanceTimersByTimeAsync(10000);
+      const failed = await pending;
+
+      expect(execute).toHaveBeenCalledTimes(3);
+      expect(failed).toMatchObject({ failed: 1, remainingInQueue: 1 });
+      expect(storage.sync_offline_queue[0].attempts).toBe(1);
+
+      execute.mockResolvedValue({ success: true });
+      const processed = await processOfflineQueue({ execute });
+      expect(processed).toMatchObject({ processed: 1, remainingInQueue: 0 });
+    });
+
+    it('should keep syncs queued while the queue was processed', async () => {
+      await queueOfflineOperation({ mode: 'sync' });
+      const execute = jest.fn(async () => {
+        await queueOfflineOperation({ mode: 'backup' });
+        return { success: true };
+      });
+
+      const result = await processOfflineQueue({ execute });
+
+      expect(result.remainingInQueue).toBe(1);
+      expect(storage.sync_offline_queue[0].operation).toEqual({ mode: 'backup' });
+    });
+  });
 });
@@ -0,0 +1,94 @@
+// sync-preview.test.js - Tests for building the sync preview from a sync plan
+
+import { generateSyncPreview, showSyncPreviewModal } from '../lib/sync/sync-preview.js';
+
+const operation = (type, target, id, overrides = {}) => ({
+  type,
+  target,
+  reorderOnly: false,
+  itemType: 'bookmark',
+  id,
+  localId: null,
+  changeId: `sync:${id}`,
+  title: id.toUpperCase(),
+  url: `https://example.com/${id}`,
+  parentId: 'toolbar_____',
+  reason: `${type} ${target}`,
+  ...overrides,
+});
+
+const plan = (operations, conflicts = []) => ({ operations, conflicts });
+
+describe('Sync Preview', () => {
+  it('lists each item once, in the section of its operation', () => {
+    const { preview } = generateSyncPreview(
+      plan([
+        operation('create', 'local', 'a'),
+        operation('update', 'local', 'b'),
+        operation('move', 'remote', 'b'),
+        operation('remove', 'remote', 'c', { localId: '12', changeId: 'local:12' }),
+      ]),
+    );
+
+    expect(preview.changes).toEqual({ added: 1, updated: 1, removed: 1, conflicts: 0 });
+    expect(preview.details.updatedBookmarks).toEqual([
+      expect.objectContaining({ id: 'b', reason: 'update local; move remote' }),
+    ]);
+    expect(preview.details.removedBookmarks[0].changeId).toBe('local:12');
+  });
+
+  it('accepts reordered siblings with any selection instead of listing them', () => {
+    const { preview } = generateSyncPreview(
+      plan([operation('move', 'remote', 'a', { reorderOnly: true })]),
+    );
+
+    expect(preview.details.updatedBookmarks).toEqual([]);
+    expect(preview.details.reordered).toEqual(['sync:a']);
+  });
+
+  it('shows held conflicts without a change ID', () => {
+    const { preview } = generateSyncPreview(
+      plan(
+        [],
+        [
+          {
+            bookmarkId: 'a',
+            itemType: 'bookmark',
+            type: 'both-modified',
+            reason: 'Changed on this device and on another device',
+            resolution: 'held',
+            localVersion: { id: 'a', title: 'Local' },
+            remoteVersion: { id: 'a', title: 'Remote' },
+          },
+        ],
+      ),
+    );
+
+    expect(preview.details.conflicts).toEqual([
+      expect.objectContaining({ id: 'a', title: 'Local' }),
+    ]);
+    expect(preview.details.conflicts[0].changeId).toBeUndefined();
+    expect(preview.details.conflicts[0].reason).toMatch(/conflict page/);
+  });
+
+  it('tells the user when the plan could not be copied', async () => {
+    const preview = generateSyncPreview(plan([operation('create', 'local', 'a')]));
+    const writeText = jest.fn().mockRejectedValue(new Error('Document is not focused'));
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const accepted = showSyncPreviewModal(preview);
+    const copyButton = document.getElementById('preview-copy-plan');
+    copyButton.click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(writeText).toHaveBeenCalledWith(JSON.stringify(preview.plan, null, 2));
+    expect(copyButton.textContent).toBe('Copy failed');
+
+    document.getElementById('preview-cancel').click();
+    expect(await accepted).toBe(false);
+    console.warn.mockRestore();
+    delete navigator.clipboard;
+  });
+});
@@ -0,0 +1,779 @@
+// sync-service.test.js - Tests for the three-way bookmark merge
+
+import { mergeBookmarkStates, performRealSync } from '../lib/sync/sync-service.js';
+import { exportBookmarksState, applyBookmarkOperations } from '../lib/bookmarks.js';
+import { setStorageProvider } from '../lib/storage/provider.js';
+import { createMemoryProvider } from '../lib/storage/memory.js';
+import { resolveConflict } from '../lib/sync/conflict-inbox.js';
+import { saveConflictPolicies } from '../lib/sync/conflict-policies.js';
+
+jest.mock('../lib/analytics/sync-analytics.js', () => ({
+  recordEvent: jest.fn(),
+  ANALYTICS_EVENTS: {},
+}));
+
+jest.mock('../lib/bookmarks.js', () => ({
+  exportBookmarksState: jest.fn(),
+  importBookmarksState: jest.fn(),
+  applyBookmarkOperations: jest.fn(async () => ({ createdIds: {}, failed: [] })),
+}));
+
+const bookmark = (id, title, url = `https://example.com/${id}`, parentId = '1') => ({
+  id,
+  title,
+  url,
+  parentId,
+});
+
+const state = (bookmarks) => ({ folders: [], bookmarks });
+
+describe('Sync Service', () => {
+  describe('mergeBookmarkStates', () => {
+    it('keeps the local state when there is no remote state', () => {
+      const local = state([bookmark('a', 'A')]);
+
+      const result = mergeBookmarkStates(local, null, null, true);
+
+      expect(result.mergedState).toBe(local);
+      expect(result.remoteChanged).toBe(true);
+      expect(result.localOperations).toEqual([]);
+    });
+
+    it('propagates a local deletion instead of restoring it from remote', () => {
+      const base = state([bookmark('a', 'A'), bookmark('b', 'B')]);
+      const local = state([bookmark('a', 'A')]);
+      const remote = state([bookmark('a', 'A'), bookmark('b', 'B')]);
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(result.mergedState.bookmarks.map((b) => b.id)).toEqual(['a']);
+      expect(result.localOperations).toEqual([]);
+      expect(result.remoteChanged).toBe(true);
+      expect(result.changes).toEqual({ added: 0, updated: 0, removed: 1 });
+    });
+
+    it('applies a remote deletion locally', () => {
+      const base = state([bookmark('a', 'A'), bookmark('b', 'B')]);
+      const local = state([bookmark('a', 'A'), bookmark('b', 'B')]);
+      const remote = state([bookmark('a', 'A')]);
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(result.localOperations).toEqual([
+        { type: 'remove', id: 'b', bookmark: bookmark('b', 'B') },
+      ]);
+      expect(result.remoteChanged).toBe(false);
+      expect(result.changes.removed).toBe(1);
+    });
+
+    it('merges a remote rename and a local move of the same bookmark', () => {
+      const base = state([bookmark('a', 'A')]);
+      const local = state([bookmark('a', 'A', undefined, '5')]);
+      const remote = state([bookmark('a', 'Renamed')]);
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(result.mergedState.bookmarks).toEqual([
+        { ...bookmark('a', 'Renamed', undefined, '5'), index: 0 },
+      ]);
+      expect(result.conflicts).toBe(0);
+      expect(result.localOperations.map((op) => op.type)).toEqual(['update']);
+    });
+
+    it('keeps a bookmark edited remotely after it was deleted locally', () => {
+      const base = state([bookmark('a', 'A')]);
+      const local = state([]);
+      const remote = state([bookmark('a', 'Edited')]);
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(result.conflicts).toBe(1);
+      expect(result.conflictDetails[0].type).toBe('delete-modify');
+      expect(result.localOperations.map((op) => op.type)).toEqual(['create']);
+    });
+
+    it('leaves conflicting bookmarks untouched when auto resolution is off', () => {
+      const base = state([bookmark('a', 'A')]);
+      const local = state([bookmark('a', 'Local')]);
+      const remote = state([bookmark('a', 'Remote')]);
+
+      const result = mergeBookmarkStates(local, remote, base, false);
+
+      expect(result.conflicts).toBe(1);
+      expect(result.localOperations).toEqual([]);
+      expect(result.remoteChanged).toBe(false);
+      expect(result.nextBaseState.bookmarks).toEqual([{ ...base.bookmarks[0], index: 0 }]);
+    });
+
+    it('writes the version chosen for a conflict to both sides', () => {
+      const base = state([bookmark('a', 'A')]);
+      const local = state([bookmark('a', 'Local')]);
+      const remote = state([bookmark('a', 'Remote')]);
+      const resolutions = new Map([
+        [
+          'a',
+          {
+            localVersion: bookmark('a', 'Local'),
+            remoteVersion: bookmark('a', 'Remote'),
+            resolvedVersion: bookmark('a', 'Remote'),
+          },
+        ],
+      ]);
+
+      const result = mergeBookmarkStates(local, remote, base, false, { resolutions });
+
+      expect(result.conflicts).toBe(0);
+      expect(result.localOperations.map((op) => op.type)).toEqual(['update']);
+      expect(result.nextBaseState.bookmarks[0].title).toBe('Remote');
+    });
+
+    it('holds a resolved conflict again when a side changed since', () => {
+      const base = state([bookmark('a', 'A')]);
+      const local = state([bookmark('a', 'Local')]);
+      const remote = state([bookmark('a', 'Remote again')]);
+      const resolutions = new Map([
+        [
+          'a',
+          {
+            localVersion: bookmark('a', 'Local'),
+            remoteVersion: bookmark('a', 'Remote'),
+            resolvedVersion: bookmark('a', 'Local'),
+          },
+        ],
+      ]);
+
+      const result = mergeBookmarkStates(local, remote, base, false, { resolutions });
+
+      expect(result.conflicts).toBe(1);
+      expect(result.localOperations).toEqual([]);
+      expect(result.remoteChanged).toBe(false);
+    });
+
+    it('holds the changes rejected in the sync preview for a later sync', () => {
+      const base = state([bookmark('a', 'A'), bookmark('b', 'B')]);
+      const local = state([bookmark('a', 'A local'), bookmark('b', 'B')]);
+      const remote = state([bookmark('a', 'A'), bookmark('b', 'B remote'), bookmark('c', 'C')]);
+
+      const result = mergeBookmarkStates(local, remote, base, true, {
+        acceptedIds: new Set(['c']),
+      });
+
+      expect(result.held).toBe(2);
+      expect(result.localOperations.map((op) => [op.type, op.id])).toEqual([['create', 'c']]);
+      expect(result.remoteChanged).toBe(false);
+      expect(result.nextBaseState.pendingChanges).toBe(2);
+      expect(result.nextBaseState.bookmarks.map((b) => b.title)).toEqual(['A', 'B', 'C']);
+    });
+
+    it('treats missing items as additions without a base state', () => {
+      const local = state([bookmark('a', 'A')]);
+      const remote = state([bookmark('b', 'B')]);
+
+      const result = mergeBookmarkStates(local, remote, null, true);
+
+      expect(result.mergedState.bookmarks.map((b) => b.id).sort()).toEqual(['a', 'b']);
+      expect(result.localOperations.map((op) => op.type)).toEqual(['create']);
+      expect(result.remoteChanged).toBe(true);
+    });
+  });
+
+  describe('mergeBookmarkStates folder structure', () => {
+    const folder = (id, title, parentId = 'toolbar_____', index) => ({
+      id,
+      title,
+      parentId,
+      index,
+    });
+    const positioned = (id, index, parentId = 'toolbar_____') => ({
+      ...bookmark(id, id.toUpperCase(), undefined, parentId),
+      index,
+    });
+    const orderOf = (result, parentId = 'toolbar_____') =>
+      [...result.mergedState.folders, ...result.mergedState.bookmarks]
+        .filter((item) => item.parentId === parentId)
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.id);
+
+    it('applies a remote folder rename and move locally', () => {
+      const base = { folders: [folder('f', 'Work', 'toolbar_____', 0)], bookmarks: [] };
+      const local = base;
+      const remote = { folders: [folder('f', 'Projects', 'unfiled_____', 0)], bookmarks: [] };
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(result.mergedState.folders).toEqual([folder('f', 'Projects', 'unfiled_____', 0)]);
+      expect(result.localOperations.map((op) => op.type)).toEqual(['move', 'update']);
+      expect(result.remoteChanged).toBe(false);
+    });
+
+    it('creates remote folders before the bookmarks inside them', () => {
+      const base = { folders: [], bookmarks: [] };
+      const remote = {
+        folders: [folder('f', 'Work', 'toolbar_____', 0)],
+        bookmarks: [positioned('a', 0, 'f')],
+      };
+
+      const result = mergeBookmarkStates(base, remote, base, true);
+
+      expect(result.localOperations.map((op) => [op.type, op.id])).toEqual([
+        ['create', 'f'],
+        ['create', 'a'],
+      ]);
+    });
+
+    it('takes the toolbar order from the side that reordered it', () => {
+      const base = state([positioned('a', 0), positioned('b', 1), positioned('c', 2)]);
+      const local = base;
+      const remote = state([positioned('c', 0), positioned('a', 1), positioned('b', 2)]);
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(orderOf(result)).toEqual(['c', 'a', 'b']);
+      expect(result.localOperations.every((op) => op.type === 'move')).toBe(true);
+      expect(result.remoteChanged).toBe(false);
+    });
+
+    it('keeps a local insertion next to its sibling when the other side reorders', () => {
+      const base = state([positioned('a', 0), positioned('b', 1), positioned('c', 2)]);
+      const local = state([
+        positioned('a', 0),
+        positioned('x', 1),
+        positioned('b', 2),
+        positioned('c', 3),
+      ]);
+      const remote = state([positioned('c', 0), positioned('b', 1), positioned('a', 2)]);
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(orderOf(result)).toEqual(['c', 'b', 'a', 'x']);
+      expect(result.remoteChanged).toBe(true);
+    });
+
+    it('restores a deleted folder that received a bookmark on the other side', () => {
+      const base = { folders: [folder('f', 'Work', 'toolbar_____', 0)], bookmarks: [] };
+      const local = { folders: [], bookmarks: [] };
+      const remote = {
+        folders: [folder('f', 'Work', 'toolbar_____', 0)],
+        bookmarks: [positioned('a', 0, 'f')],
+      };
+
+      const result = mergeBookmarkStates(local, remote, base, true);
+
+      expect(result.mergedState.folders.map((f) => f.id)).toEqual(['f']);
+      expect(result.localOperations.map((op) => [op.type, op.id])).toEqual([
+        ['create', 'f'],
+        ['create', 'a'],
+      ]);
+    });
+
+    it('removes a folder without separate removals for its contents', () => {
+      const base = {
+        folders: [folder('f', 'Work', 'toolbar_____', 0)],
+        bookmarks: [positioned('a', 0, 'f')],
+      };
+      const remote = { folders: [], bookmarks: [] };
+
+      const result = mergeBookmarkStates(base, remote, base, true);
+
+      expect(result.localOperations).toEqual([
+        { type: 'remove', id: 'f', bookmark: folder('f', 'Work', 'toolbar_____', 0) },
+      ]);
+    });
+  });
+
+  describe('performRealSync', () => {
+    let drive;
+    let storage;
+
+    // Local node ids differ from the sync ids used on Drive
+    const syncState = (bookmarks) => ({ idScheme: 'sync-id', folders: [], bookmarks });
+    const synced = (id, title) =>
+      bookmark(id, title, `https://example.com/${title}`, 'toolbar_____');
+    const localBookmark = (id, title) => bookmark(id, title, `https://example.com/${title}`, '1');
+    const titles = (bookmarks) => bookmarks.map((b) => b.title).sort();
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      drive = createMemoryProvider();
+      setStorageProvider(drive);
+
+      storage = {};
+      chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+      chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+
+      exportBookmarksState.mockResolvedValue(
+        state([localBookmark('10', 'A'), localBookmark('11', 'B')]),
+      );
+    });
+
+    afterEach(() => {
+      setStorageProvider(null);
+    });
+
+    // Make another device write the snapshot right before each of our writes
+    const interleaveWrites = (write) => {
+      const put = drive.put;
+      drive.put = async (name, content, options) => {
+        if (name === 'bookmarks_sync.json') await write(put);
+        return put(name, content, options);
+      };
+    };
+
+    it('uploads the local state with new sync ids on the first sync', async () => {
+      const result = await performRealSync('global');
+
+      expect(result.success).toBe(true);
+      const syncFile = await drive.get('bookmarks_sync.json');
+      const uploaded = syncFile.content.data.bookmarks;
+      expect(titles(uploaded)).toEqual(['A', 'B']);
+      expect(uploaded.every((b) => b.parentId === 'toolbar_____')).toBe(true);
+      expect(uploaded.map((b) => b.id)).not.toContain('10');
+      expect(storage.bookDriveIdentityMap['10']).toBe(uploaded.find((b) => b.title === 'A').id);
+      expect(storage.lastSyncState.bookmarks).toHaveLength(2);
+    });
+
+    it('pairs identical bookmarks of a new device instead of duplicating them', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A'), synced('sync-b', 'B')]),
+        metadata: {},
+      });
+      const { revision } = await drive.get('bookmarks_sync.json');
+
+      const result = await performRealSync('global');
+
+      expect(result.success).toBe(true);
+      expect(applyBookmarkOperations).not.toHaveBeenCalled();
+      expect((await drive.get('bookmarks_sync.json')).revision).toBe(revision);
+      expect(storage.bookDriveIdentityMap).toEqual({ 10: 'sync-a', 11: 'sync-b' });
+    });
+
+    it('re-fetches and re-merges when another device writes during the sync', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A')]),
+        metadata: {},
+      });
+      storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+
+      // Another device adds bookmark "C" between our first read and our first write
+      let raced = false;
+      interleaveWrites(async (put) => {
+        if (raced) return;
+        raced = true;
+        await put('bookmarks_sync.json', {
+          data: syncState([synced('sync-a', 'A'), synced('sync-c', 'C')]),
+          metadata: {},
+        });
+      });
+
+      const result = await performRealSync('global');
+
+      expect(result.success).toBe(true);
+      expect(raced).toBe(true);
+      const syncFile = await drive.get('bookmarks_sync.json');
+      expect(titles(syncFile.content.data.bookmarks)).toEqual(['A', 'B', 'C']);
+      expect(exportBookmarksState).toHaveBeenCalledTimes(2);
+      expect(applyBookmarkOperations).toHaveBeenLastCalledWith([
+        {
+          type: 'create',
+          id: 'sync-c',
+          bookmark: { ...synced('sync-c', 'C'), parentId: '1', index: 1 },
+        },
+      ]);
+    });
+
+    it('uploads journaled changes as a delta without exporting the tree', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A')]),
+        metadata: {},
+      });
+      const { revision } = await drive.get('bookmarks_sync.json');
+      storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+      storage.bookDriveDeviceId = 'device-1';
+      storage.bookDriveChangeJournal = {
+        lastSeq: 1,
+        invalid: null,
+        entries: [
+          {
+            seq: 1,
+            type: 'create',
+            id: '11',
+            folder: false,
+            data: { title: 'B', url: 'https://example.com/B', parentId: '1' },
+          },
+        ],
+      };
+
+      const result = await performRealSync('global');
+
+      expect(result.success).toBe(true);
+      expect(exportBookmarksState).not.toHaveBeenCalled();
+      expect((await drive.get('bookmarks_sync.json')).revision).toBe(revision);
+      const deltaFile = await drive.get('bookmarks_delta_device-1.json');
+      expect(deltaFile.content.operations).toEqual([
+        expect.objectContaining({ seq: 1, type: 'create', id: storage.bookDriveIdentityMap['11'] }),
+      ]);
+      expect(storage.bookDriveChangeJournal.entries).toEqual([]);
+    });
+
+    it('removes the contents of a folder deleted through a delta on other devices', async () => {
+      const work = { id: 'sync-work', title: 'Work', parentId: 'toolbar_____' };
+      const inWork = bookmark('sync-a', 'A', 'https://example.com/A', 'sync-work');
+      const synced = { ...syncState([inWork]), folders: [work] };
+      await drive.put('bookmarks_sync.json', { data: synced, metadata: {} });
+      storage.lastSyncState = synced;
+      storage.bookDriveIdentityMap = { 10: 'sync-a', 20: 'sync-work' };
+      storage.bookDriveDeviceId = 'device-1';
+      storage.bookDriveChangeJournal = {
+        lastSeq: 1,
+        invalid: null,
+        entries: [{ seq: 1, type: 'remove', id: '20', folder: true, data: { parentId: '1' } }],
+      };
+
+      await performRealSync('global');
+      const deltaFile = await drive.get('bookmarks_delta_device-1.json');
+      expect(deltaFile.content.operations.map((op) => [op.type, op.id])).toEqual([
+        ['remove', 'sync-work'],
+      ]);
+
+      // Another device still has the folder and its bookmark
+      storage.lastSyncState = synced;
+      storage.bookDriveDeviceId = 'device-2';
+      delete storage.bookDriveChangeJournal;
+      exportBookmarksState.mockResolvedValue({
+        folders: [{ id: '20', title: 'Work', parentId: '1' }],
+        bookmarks: [bookmark('10', 'A', 'https://example.com/A', '20')],
+      });
+
+      await performRealSync('global');
+
+      expect(applyBookmarkOperations).toHaveBeenCalledWith([
+        expect.objectContaining({ type: 'remove', id: '20' }),
+      ]);
+      expect(storage.lastSyncState.folders.map((f) => f.id)).not.toContain('sync-work');
+      expect(storage.lastSyncState.bookmarks).toEqual([]);
+    });
+
+    it('merges delta operations uploaded by other devices', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A')]),
+        metadata: {},
+      });
+      await drive.put('bookmarks_delta_device-2.json', {
+        deviceId: 'device-2',
+        lastSeq: 1,
+        operations: [
+          { seq: 1, type: 'create', id: 'sync-c', bookmark: synced('sync-c', 'C'), timestamp: '' },
+        ],
+      });
+      storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+      exportBookmarksState.mockResolvedValue(state([localBookmark('10', 'A')]));
+      applyBookmarkOperations.mockResolvedValueOnce({ createdIds: { 'sync-c': '12' }, failed: [] });
+
+      const result = await performRealSync('global');
+
+      expect(result.success).toBe(true);
+      expect(applyBookmarkOperations).toHaveBeenCalledWith([
+        {
+          type: 'create',
+          id: 'sync-c',
+          bookmark: { ...synced('sync-c', 'C'), parentId: '1', index: 1 },
+        },
+      ]);
+      expect(storage.bookDriveIdentityMap).toEqual({ 10: 'sync-a', 12: 'sync-c' });
+    });
+
+    it('leaves failed local operations out of the base so the next sync retries them', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A'), synced('sync-c', 'C')]),
+        metadata: {},
+      });
+      storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+      exportBookmarksState.mockResolvedValue(state([localBookmark('10', 'A')]));
+      applyBookmarkOperations.mockImplementationOnce(async (operations) => ({
+        createdIds: {},
+        failed: operations,
+      }));
+
+      const result = await performRealSync('global');
+
+      expect(result.failedChanges).toBe(1);
+      expect(result.message).toMatch(/1 failed$/);
+      expect(storage.lastSyncState.bookmarks.map((b) => b.id)).toEqual(['sync-a']);
+
+      await performRealSync('global');
+
+      expect(applyBookmarkOperations).toHaveBeenCalledTimes(2);
+      expect(applyBookmarkOperations).toHaveBeenLastCalledWith([
+        expect.objectContaining({ type: 'create', id: 'sync-c' }),
+      ]);
+    });
+
+    it('holds conflicts in the inbox and applies the chosen version on the next sync', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'Remote')]),
+        metadata: {},
+      });
+      const { revision } = await drive.get('bookmarks_sync.json');
+      storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+      exportBookmarksState.mockResolvedValue(state([localBookmark('10', 'Local')]));
+
+      await performRealSync('global', { autoResolveConflicts: false });
+
+      expect(applyBookmarkOperations).not.toHaveBeenCalled();
+      expect((await drive.get('bookmarks_sync.json')).revision).toBe(revision);
+      const [conflict] = storage.bookDriveConflictInbox;
+      expect(conflict).toMatchObject({ bookmarkId: 'sync-a', status: 'pending' });
+
+      await resolveConflict(conflict.id, 'local');
+      const result = await performRealSync('global', { autoResolveConflicts: false });
+
+      expect(result.conflicts).toBe(0);
+      expect(storage.bookDriveConflictInbox).toEqual([]);
+      const syncFile = await drive.get('bookmarks_sync.json');
+      expect(titles(syncFile.content.data.bookmarks)).toEqual(['Local']);
+      expect(storage.lastSyncState.bookmarks[0].title).toBe('Local');
+    });
+
+    describe('with conflict rules', () => {
+      beforeEach(async () => {
+        const rules = [
+          { id: 'corp', domain: '*.internal.corp', action: 'manual' },
+          { id: 'work', folder: 'Work', action: 'remote' },
+        ];
+        await saveConflictPolicies(drive, rules, null);
+      });
+
+      it('resolves conflicts by rule and holds the ones a rule leaves alone', async () => {
+        const work = { id: 'sync-work', title: 'Work', parentId: 'toolbar_____' };
+        const inWork = (id, title, url) => bookmark(id, title, url, 'sync-work');
+        const wiki = 'https://wiki.internal.corp/';
+        await drive.put('bookmarks_sync.json', {
+          data: {
+            ...syncState([inWork('sync-a', 'Remote A'), inWork('sync-b', 'Remote B', wiki)]),
+            folders: [work],
+          },
+          metadata: {},
+        });
+        storage.lastSyncState = {
+          ...syncState([inWork('sync-a', 'A'), inWork('sync-b', 'B', wiki)]),
+          folders: [work],
+        };
+        storage.bookDriveIdentityMap = { 10: 'sync-a', 11: 'sync-b', 20: 'sync-work' };
+        exportBookmarksState.mockResolvedValue({
+          folders: [{ id: '20', title: 'Work', parentId: '1' }],
+          bookmarks: [
+            bookmark('10', 'Local A', 'https://example.com/sync-a', '20'),
+            bookmark('11', 'Local B', wiki, '20'),
+          ],
+        });
+
+        const result = await performRealSync('global');
+
+        expect(result.success).toBe(true);
+        expect(applyBookmarkOperations).toHaveBeenCalledWith([
+          expect.objectContaining({ type: 'update', id: '10', bookmark: expect.anything() }),
+        ]);
+        expect(applyBookmarkOperations.mock.calls[0][0][0].bookmark.title).toBe('Remote A');
+        expect(storage.bookDriveConflictInbox).toEqual([
+          expect.objectContaining({ bookmarkId: 'sync-b', status: 'pending' }),
+        ]);
+        expect(storage.lastSyncState.bookmarks.map((b) => b.title).sort()).toEqual([
+          'B',
+          'Remote A',
+        ]);
+      });
+    });
+
+    it('applies only the changes accepted in the sync preview', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A'), synced('sync-b', 'B')]),
+        metadata: {},
+      });
+      storage.lastSyncState = syncState([synced('sync-a', 'A'), synced('sync-b', 'B')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a', 11: 'sync-b' };
+      exportBookmarksState.mockResolvedValue(
+        state([localBookmark('10', 'A'), localBookmark('12', 'C')]),
+      );
+
+      const result = await performRealSync('global', { acceptedChanges: ['local:12'] });
+
+      expect(result.heldChanges).toBe(1);
+      expect(applyBookmarkOperations).not.toHaveBeenCalled();
+      const syncFile = await drive.get('bookmarks_sync.json');
+      expect(titles(syncFile.content.data.bookmarks)).toEqual(['A', 'B', 'C']);
+      expect(storage.lastSyncState.pendingChanges).toBe(1);
+
+      // The rejected removal of B is found again by the next sync
+      const next = await performRealSync('global');
+
+      expect(next.heldChanges).toBe(0);
+      expect(titles((await drive.get('bookmarks_sync.json')).content.data.bookmarks)).toEqual([
+        'A',
+        'C',
+      ]);
+    });
+
+    it('plans a sync in a dry run without writing anything', async () => {
+      await drive.put('bookmarks_sync.json', {
+        data: syncState([synced('sync-a', 'A'), synced('sync-c', 'C')]),
+        metadata: {},
+      });
+      const { revision } = await drive.get('bookmarks_sync.json');
+      const baseState = syncState([synced('sync-a', 'A')]);
+      storage.lastSyncState = baseState;
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+
+      const result = await performRealSync('global', { dryRun: true });
+
+      expect(result.success).toBe(true);
+      expect(applyBookmarkOperations).not.toHaveBeenCalled();
+      expect((await drive.get('bookmarks_sync.json')).revision).toBe(revision);
+      expect(storage.lastSyncState).toBe(baseState);
+      expect(storage.bookDriveIdentityMap).toEqual({ 10: 'sync-a' });
+      expect(result.plan).toMatchObject({ mode: 'global', upload: 'snapshot', conflicts: [] });
+      expect(result.plan.operations).toEqual([
+        expect.objectContaining({
+          type: 'create',
+          target: 'local',
+          id: 'sync-c',
+          changeId: 'sync:sync-c',
+          reason: 'Added on another device',
+        }),
+        expect.objectContaining({
+          type: 'create',
+          target: 'remote',
+          localId: '11',
+          changeId: 'local:11',
+          title: 'B',
+          reason: 'Added on this device',
+        }),
+      ]);
+    });
+
+    it('gives up after repeated concurrent writes', async () => {
+      const remote = { data: syncState([synced('sync-a', 'A')]), metadata: {} };
+      await drive.put('bookmarks_sync.json', remote);
+      storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+      storage.bookDriveIdentityMap = { 10: 'sync-a' };
+
+      interleaveWrites((put) => put('bookmarks_sync.json', remote));
+
+      const result = await performRealSync('global');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('File was modified by another device');
+      expect(exportBookmarksState).toHaveBeenCalledTimes(3);
+      expect(storage.lastSyncState.bookmarks).toHaveLength(1);
+    });
+
+    describe('in host-to-many mode', () => {
+      const registry = (hostDeviceId, deviceIds) => ({
+        hostDeviceId,
+        devices: Object.fromEntries(
+          deviceIds.map((id) => [id, { id, name: id, lastSeen: new Date().toISOString() }]),
+        ),
+        handover: null,
+      });
+
+      it('files client additions into the inbox folder when publishing as host', async () => {
+        storage.bookDriveDeviceId = 'device-1';
+        await drive.put('bookmarks_sync.json', {
+          data: syncState([synced('sync-a', 'A')]),
+          metadata: {},
+        });
+        await drive.put('bookdrive_devices.json', registry('device-1', ['device-1', 'device-2']));
+        await drive.put('bookmarks_inbox_device-2.json', {
+          deviceId: 'device-2',
+          lastSeq: 1,
+          items: [
+            { seq: 1, id: 'sync-c', title: 'C', url: 'https://example.com/C', timestamp: '' },
+          ],
+        });
+        storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+        storage.bookDriveIdentityMap = { 10: 'sync-a' };
+        exportBookmarksState.mockResolvedValue(state([localBookmark('10', 'A')]));
+        applyBookmarkOperations.mockResolvedValueOnce({
+          createdIds: { 'bookdrive-inbox': '20', 'sync-c': '21' },
+          failed: [],
+        });
+
+        const result = await performRealSync('host-to-many');
+
+        expect(result.success).toBe(true);
+        expect(result.role).toBe('host');
+        expect(applyBookmarkOperations).toHaveBeenCalledWith([
+          expect.objectContaining({ type: 'create', id: 'bookdrive-inbox' }),
+          expect.objectContaining({
+            type: 'create',
+            id: 'sync-c',
+            bookmark: expect.objectContaining({ parentId: 'bookdrive-inbox' }),
+          }),
+        ]);
+        const syncFile = await drive.get('bookmarks_sync.json');
+        expect(titles(syncFile.content.data.bookmarks)).toEqual(['A', 'C']);
+        expect(syncFile.content.data.inboxCursors).toEqual({ 'device-2': 1 });
+      });
+
+      it('overwrites a client with the host state and submits its additions', async () => {
+        storage.bookDriveDeviceId = 'device-2';
+        await drive.put('bookmarks_sync.json', {
+          data: syncState([synced('sync-a', 'A'), synced('sync-b', 'B')]),
+          metadata: {},
+        });
+        const { revision } = await drive.get('bookmarks_sync.json');
+        await drive.put('bookdrive_devices.json', registry('device-1', ['device-1', 'device-2']));
+        storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+        storage.bookDriveIdentityMap = { 10: 'sync-a' };
+
+        // The client renamed "A" and added "C" since its last sync
+        exportBookmarksState.mockResolvedValue(
+          state([bookmark('10', 'A2', 'https://example.com/A', '1'), localBookmark('12', 'C')]),
+        );
+        applyBookmarkOperations.mockResolvedValueOnce({
+          createdIds: { 'sync-b': '11' },
+          failed: [],
+        });
+
+        const result = await performRealSync('host-to-many', { clientInbox: true });
+
+        expect(result.success).toBe(true);
+        expect(result.role).toBe('client');
+        expect((await drive.get('bookmarks_sync.json')).revision).toBe(revision);
+        expect((await drive.get('bookmarks_inbox_device-2.json')).content.items).toEqual([
+          expect.objectContaining({ seq: 1, title: 'C', url: 'https://example.com/C' }),
+        ]);
+        const operations = applyBookmarkOperations.mock.calls[0][0];
+        expect(operations.map((op) => [op.type, op.bookmark.title])).toEqual([
+          ['remove', 'C'],
+          ['create', 'B'],
+          ['update', 'A'],
+        ]);
+        expect(titles(storage.lastSyncState.bookmarks)).toEqual(['A', 'B']);
+      });
+
+      it('discards client additions without the inbox policy', async () => {
+        storage.bookDriveDeviceId = 'device-2';
+        await drive.put('bookmarks_sync.json', {
+          data: syncState([synced('sync-a', 'A')]),
+          metadata: {},
+        });
+        await drive.put('bookdrive_devices.json', registry('device-1', ['device-1', 'device-2']));
+        storage.lastSyncState = syncState([synced('sync-a', 'A')]);
+        storage.bookDriveIdentityMap = { 10: 'sync-a' };
+
+        const result = await performRealSync('host-to-many');
+
+        expect(result.success).toBe(true);
+        expect(await drive.get('bookmarks_inbox_device-2.json')).toBeNull();
+        expect(applyBookmarkOperations).toHaveBeenCalledWith([
+          expect.objectContaining({ type: 'remove', id: '11' }),
+        ]);
+      });
+    });
+  });
+});
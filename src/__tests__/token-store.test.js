@@ -0,0 +1,63 @@
+// token-store.test.js - Tests for encrypted refresh token storage
+
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { saveRefreshToken, loadRefreshToken } from '../lib/auth/token-store.js';
+import { getDeviceKey } from '../lib/auth/device-key.js';
+
+jest.mock('../lib/auth/device-key.js', () => ({
+  getDeviceKey: jest.fn(),
+}));
+
+const generateKey = () =>
+  webcrypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+describe('Token Store', () => {
+  let storage;
+
+  beforeAll(() => {
+    Object.defineProperty(global.crypto, 'subtle', { value: webcrypto.subtle, configurable: true });
+    global.TextEncoder = TextEncoder;
+    global.TextDecoder = TextDecoder;
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    storage = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({ [key]: storage[key] }));
+    chrome.storage.local.set.mockImplementation(async (data) => Object.assign(storage, data));
+    getDeviceKey.mockResolvedValue(await generateKey());
+  });
+
+  it('never writes the refresh token in plain text', async () => {
+    await saveRefreshToken('1//refresh-token');
+
+    expect(JSON.stringify(storage)).not.toContain('refresh-token');
+    expect(storage.bookDriveRefreshToken).toEqual({
+      iv: expect.any(String),
+      data: expect.any(String),
+    });
+    expect(await loadRefreshToken()).toBe('1//refresh-token');
+  });
+
+  it('encrypts refresh tokens saved in plain text by older versions', async () => {
+    storage.bookDriveRefreshToken = '1//legacy-token';
+
+    expect(await loadRefreshToken()).toBe('1//legacy-token');
+    expect(typeof storage.bookDriveRefreshToken).toBe('object');
+    expect(await loadRefreshToken()).toBe('1//legacy-token');
+  });
+
+  it('returns null when the token cannot be decrypted with this device key', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await saveRefreshToken('1//refresh-token');
+    getDeviceKey.mockResolvedValue(await generateKey());
+
+    expect(await loadRefreshToken()).toBeNull();
+    console.warn.mockRestore();
+  });
+
+  it('returns null without a saved token', async () => {
+    expect(await loadRefreshToken()).toBeNull();
+  });
+});
@@ -2,7 +2,19 @@
 console.log('BookDrive background script loaded');
 
 // Import only the specific modules needed for background functionality
-import { isAuthenticated, ensureBookDriveFolder } from '../lib/auth/drive-auth.js';
+import { isAuthenticated, getAuthToken } from '../lib/auth/drive-auth.js';
+import { addAccount, switchAccount, removeAccount } from '../lib/auth/accounts.js';
+import {
+  TOKEN_REFRESH_ALARM_NAME,
+  AUTH_STATES,
+  onAuthStateChanged,
+  reauthenticate,
+  refreshAuthToken,
+  scheduleTokenRefresh,
+  setAuthState,
+} from '../lib/auth/auth-manager.js';
+import { resetStorageProviders } from '../lib/storage/provider.js';
+import { ensureBookDriveFolder, SYNC_FOLDER_KEYS } from '../lib/storage/sync-folder.js';
 import {
   createBackupMetadata,
   saveBackup,
@@ -24,10 +36,56 @@ import {
   restoreRealBackup,
   SYNC_MODES,
 } from '../lib/sync/sync-service.js';
+import { DEFAULTS } from '../config/constants.js';
+import {
+  startChangeJournal,
+  invalidateJournal,
+  isApplyingSyncOperations,
+} from '../lib/sync/change-journal.js';
+import {
+  CHANGE_SYNC_ALARM_NAME,
+  CHANGE_SYNC_SETTINGS_KEYS,
+  getChangeSyncSettings,
+  scheduleChangeSync,
+  takePendingChangeSync,
+  cancelChangeSync,
+} from '../lib/sync/change-sync-scheduler.js';
+import { listenForBookmarkChanges } from '../lib/bookmarks.js';
+import { resumePendingUploads } from '../lib/drive.js';
+import { addBookmarkListener, getAlarm } from '../lib/browser-api.js';
+import { CLIENT_INBOX_SETTING_KEY } from '../lib/sync/client-inbox.js';
+import {
+  REMOTE_CHANGES_ALARM_NAME,
+  checkRemoteChanges,
+  resetRemoteChanges,
+  hasPendingRemoteChanges,
+} from '../lib/sync/remote-changes.js';
+import {
+  getOfflineQueueLength,
+  processOfflineQueue,
+  queueOfflineOperation,
+} from '../lib/sync/sync-optimizer.js';
+import {
+  CONNECTIVITY_PROBE_ALARM_NAME,
+  cancelConnectivityProbe,
+  isNetworkError,
+  probeConnectivity,
+  scheduleConnectivityProbe,
+} from '../lib/sync/connectivity.js';
+import { OfflineError } from '../utils/error-handler.js';
+
+// Sync settings saved by the options page
+const SYNC_SETTINGS_KEYS = {
+  SYNC_MODE: 'bookDriveSyncMode',
+  AUTO_SYNC: 'bookDriveAutoSync',
+  SYNC_INTERVAL: 'bookDriveSyncInterval',
+  CLIENT_INBOX: CLIENT_INBOX_SETTING_KEY,
+};
 
 // Global state
 let syncInProgress = false;
 let authInitialized = false;
+let bookmarkImportInProgress = false;
 
 // Log a sync event
 function logSyncEvent(event) {
@@ -67,6 +125,322 @@ async function initializeAuth() {
   }
 }
 
+/**
+ * Read the sync settings saved by the options page
+ * @returns {Promise<{syncMode: string, clientInbox: boolean}>} Sync mode and client inbox policy
+ */
+async function getSyncSettings() {
+  // The options page saves the mode as 'host' or 'global'
+  const result = await chrome.storage.sync.get({
+    [SYNC_SETTINGS_KEYS.SYNC_MODE]: 'host',
+    [SYNC_SETTINGS_KEYS.CLIENT_INBOX]: DEFAULTS.CLIENT_INBOX,
+  });
+
+  return {
+    syncMode:
+      result[SYNC_SETTINGS_KEYS.SYNC_MODE] === 'global'
+        ? SYNC_MODES.GLOBAL
+        : SYNC_MODES.HOST_TO_MANY,
+    clientInbox: result[SYNC_SETTINGS_KEYS.CLIENT_INBOX] === true,
+  };
+}
+
+/**
+ * Plan a sync with the settings runSync uses, without changing anything
+ * @returns {Promise<import('../types/sync.js').SyncPlan>} Sync plan
+ */
+async function planSync() {
+  const { syncMode, clientInbox } = await getSyncSettings();
+  await ensureBookDriveFolder(true);
+
+  const result = await performRealSync(syncMode, {
+    autoResolveConflicts: false,
+    clientInbox,
+    dryRun: true,
+  });
+  if (!result.success) {
+    throw new Error(result.message || 'Failed to plan the sync');
+  }
+  return result.plan;
+}
+
+/**
+ * Run the full sync pipeline and record its outcome
+ * @param {string} trigger - What started the sync ('manual', 'auto', 'change', 'queued')
+ * @param {Object} options - Run options
+ * @param {boolean} options.queueWhenOffline - Queue the sync when the network is unreachable
+ * @param {Array<string>|null} options.acceptedChanges - Change IDs accepted in the sync preview,
+ *   or null to sync every change
+ * @returns {Promise<Object>} Sync result
+ * @throws {OfflineError} When the sync was queued to run once the network is back
+ */
+async function runSync(trigger, { queueWhenOffline = true, acceptedChanges = null } = {}) {
+  syncInProgress = true;
+
+  try {
+    const { syncMode, clientInbox } = await getSyncSettings();
+
+    // The folder may have been trashed or deleted since the last sync
+    await ensureBookDriveFolder(true);
+
+    // Perform real sync; conflicts are held for the user in the conflict inbox
+    const syncResult = await performRealSync(syncMode, {
+      autoResolveConflicts: false,
+      clientInbox,
+      acceptedChanges,
+    });
+
+    if (!syncResult.success) {
+      throw new Error(syncResult.message || 'Sync failed');
+    }
+
+    const now = new Date().toISOString();
+
+    // Update storage with sync results
+    chrome.storage.local.set({
+      lastSync: now,
+      lastSyncStatus: 'success',
+      lastChange: now,
+    });
+
+    // Remote changes were pulled, and the sync's own writes should not count as new ones
+    updateRemoteChangesBadge(false);
+    resetRemoteChanges().catch((error) => {
+      console.warn('Failed to reset the Drive change log position:', error);
+    });
+
+    if (syncResult.conflicts > 0) {
+      showNotification(
+        `${syncResult.conflicts} conflict${syncResult.conflicts !== 1 ? 's' : ''} waiting to be resolved`,
+        'warning',
+      );
+    }
+
+    // Log the sync event
+    logSyncEvent({
+      time: now,
+      mode: trigger,
+      role: syncResult.role,
+      status: 'success',
+      bookmarkCount: syncResult.bookmarkCount,
+      changes: syncResult.localChanges,
+      conflicts: syncResult.conflicts,
+    });
+
+    return syncResult;
+  } catch (error) {
+    console.error(`${trigger} sync failed:`, error);
+
+    // A selection made in the preview may be outdated by the time the network is back
+    const queued = queueWhenOffline && !acceptedChanges && isNetworkError(error);
+    const status = queued ? 'queued' : 'error';
+
+    chrome.storage.local.set({ lastSyncStatus: status });
+    logSyncEvent({
+      time: new Date().toISOString(),
+      mode: trigger,
+      status,
+      error: error.message,
+    });
+
+    if (queued) {
+      // Duplicates collapse, so any number of failed syncs runs once when the network is back
+      const { queueLength } = await queueOfflineOperation({ mode: 'sync' });
+      await scheduleConnectivityProbe();
+      throw new OfflineError('Offline, the sync will run when the connection is back', {
+        queueLength,
+      });
+    }
+
+    throw error;
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Run the queued sync once Google Drive can be reached again. Until then the
+ * connectivity probe alarm keeps calling this.
+ * @returns {Promise<void>}
+ */
+async function drainOfflineQueue() {
+  if ((await getOfflineQueueLength()) === 0) {
+    await cancelConnectivityProbe();
+    return;
+  }
+  if (syncInProgress || !(await probeConnectivity())) {
+    return;
+  }
+
+  await initializeAuth();
+  const result = await processOfflineQueue({
+    execute: () => runSync('queued', { queueWhenOffline: false }),
+  });
+
+  if (result.remainingInQueue === 0) {
+    await cancelConnectivityProbe();
+  }
+}
+
+/**
+ * Create or clear the autoSync alarm based on the saved sync settings
+ * @returns {Promise<void>}
+ */
+async function scheduleAutoSyncAlarm() {
+  const settings = await chrome.storage.sync.get({
+    [SYNC_SETTINGS_KEYS.AUTO_SYNC]: DEFAULTS.AUTO_SYNC,
+    [SYNC_SETTINGS_KEYS.SYNC_INTERVAL]: DEFAULTS.SYNC_INTERVAL,
+  });
+
+  await chrome.alarms.clear('autoSync');
+
+  if (!settings[SYNC_SETTINGS_KEYS.AUTO_SYNC]) {
+    return;
+  }
+
+  const interval =
+    parseInt(settings[SYNC_SETTINGS_KEYS.SYNC_INTERVAL], 10) || DEFAULTS.SYNC_INTERVAL;
+  chrome.alarms.create('autoSync', { periodInMinutes: interval });
+}
+
+/**
+ * Show or clear the "remote changes available" badge on the action icon
+ * @param {boolean} pending - Whether remote changes are waiting to be pulled
+ * @returns {void}
+ */
+function updateRemoteChangesBadge(pending) {
+  chrome.action.setBadgeText({ text: pending ? '↓' : '' });
+  chrome.action.setTitle({
+    title: pending ? 'BookDrive - remote changes available' : 'BookDrive',
+  });
+  if (pending) {
+    chrome.action.setBadgeBackgroundColor({ color: '#1a73e8' });
+  }
+}
+
+/**
+ * Show that the user has to sign in again, or restore the normal badge
+ * @param {Object} authState - Auth state ({state, reason})
+ * @returns {Promise<void>}
+ */
+async function handleAuthStateChange(authState) {
+  if (authState.state === AUTH_STATES.REAUTH_REQUIRED) {
+    chrome.action.setBadgeText({ text: '!' });
+    chrome.action.setBadgeBackgroundColor({ color: '#d93025' });
+    chrome.action.setTitle({ title: 'BookDrive - sign in again to keep syncing' });
+    showNotification('Access to Google Drive was lost. Open BookDrive to sign in again.', 'error');
+    return;
+  }
+
+  if (authState.state === AUTH_STATES.SIGNED_IN) {
+    await scheduleTokenRefresh();
+  } else {
+    await chrome.alarms.clear(TOKEN_REFRESH_ALARM_NAME);
+  }
+  updateRemoteChangesBadge(await hasPendingRemoteChanges());
+}
+
+/**
+ * Create the alarm that checks the Drive change log, unless it already exists
+ * @returns {Promise<void>}
+ */
+async function scheduleRemoteChangesAlarm() {
+  if (!(await getAlarm(REMOTE_CHANGES_ALARM_NAME))) {
+    chrome.alarms.create(REMOTE_CHANGES_ALARM_NAME, {
+      periodInMinutes: DEFAULTS.REMOTE_CHANGES_INTERVAL,
+    });
+  }
+}
+
+/**
+ * Check the Drive change log and pull when another device published changes
+ * @returns {Promise<void>}
+ */
+async function handleRemoteChangesAlarm() {
+  await initializeAuth();
+
+  const { changed, files } = await checkRemoteChanges();
+  if (!changed) {
+    return;
+  }
+
+  console.log(`Remote changes available: ${files.join(', ')}`);
+  updateRemoteChangesBadge(true);
+
+  // Without auto sync the badge stays until the user syncs
+  const settings = await chrome.storage.sync.get({
+    [SYNC_SETTINGS_KEYS.AUTO_SYNC]: DEFAULTS.AUTO_SYNC,
+  });
+  if (settings[SYNC_SETTINGS_KEYS.AUTO_SYNC] && !syncInProgress) {
+    await runSync('remote').catch(() => {
+      // Failure already logged by runSync
+    });
+  }
+}
+
+/**
+ * Schedule a debounced sync after a local bookmark change
+ * @returns {Promise<void>}
+ */
+async function handleBookmarkChange() {
+  // Ignore changes made by sync itself and hold off until bulk imports finish
+  if (isApplyingSyncOperations() || bookmarkImportInProgress) {
+    return;
+  }
+
+  const settings = await getChangeSyncSettings();
+  if (!settings.enabled) {
+    return;
+  }
+
+  await scheduleChangeSync(settings);
+}
+
+/**
+ * Run the sync for a batch of bookmark changes once its quiet period is over
+ * @returns {Promise<void>}
+ */
+async function runChangeSync() {
+  const pending = await takePendingChangeSync();
+  if (!pending) {
+    return;
+  }
+
+  await initializeAuth();
+
+  if (syncInProgress) {
+    // The running sync may have started before the last change, try again later
+    await scheduleChangeSync(await getChangeSyncSettings());
+    return;
+  }
+
+  console.log(`Syncing ${pending.changeCount} bookmark change(s)`);
+  await runSync('change');
+}
+
+/**
+ * Change the active account and drop everything that belongs to the previous one
+ * @param {Function} change - Changes the active account, resolves with the new one
+ * @returns {Promise<Object|null>} Active account
+ */
+async function changeAccount(change) {
+  if (syncInProgress) {
+    throw new Error('Sync in progress, try again when it has finished');
+  }
+
+  const account = await change();
+
+  // Local edits made so far were recorded for the previous account's sync
+  await invalidateJournal('account-switch');
+  resetStorageProviders();
+  authInitialized = false;
+  await setAuthState(account ? AUTH_STATES.SIGNED_IN : AUTH_STATES.SIGNED_OUT);
+  await scheduleTokenRefresh();
+  updateRemoteChangesBadge(await hasPendingRemoteChanges());
+
+  return account;
+}
+
 // Handle messages from popup and other parts of the extension
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Received message:', message);
@@ -80,53 +454,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           return;
         }
 
-        syncInProgress = true;
-
         try {
-          // Get current sync mode from settings
-          const result = await chrome.storage.sync.get({ syncMode: 'host-to-many' });
-          const syncMode =
-            result.syncMode === 'global' ? SYNC_MODES.GLOBAL : SYNC_MODES.HOST_TO_MANY;
-
-          // Perform real sync
-          const syncResult = await performRealSync(syncMode, {
-            autoResolveConflicts: true,
+          const syncResult = await runSync('manual', {
+            acceptedChanges: message.acceptedChanges || null,
           });
-
-          if (syncResult.success) {
-            const now = new Date().toISOString();
-
-            // Update storage with sync results
-            chrome.storage.local.set({
-              lastSync: now,
-              lastSyncStatus: 'success',
-              lastChange: now,
-            });
-
-            // Log the sync event
-            logSyncEvent({
-              time: now,
-              mode: 'manual',
-              status: 'success',
-              bookmarkCount: syncResult.bookmarkCount,
-              changes: syncResult.localChanges,
-              conflicts: syncResult.conflicts,
-            });
-
-            syncInProgress = false;
-            sendResponse({ status: 'ok', result: syncResult });
-          } else {
-            throw new Error(syncResult.message || 'Sync failed');
-          }
+          sendResponse({ status: 'ok', result: syncResult });
         } catch (error) {
-          console.error('Real sync failed:', error);
-          syncInProgress = false;
+          if (error instanceof OfflineError) {
+            sendResponse({ status: 'queued', queueLength: error.details.queueLength });
+            return;
+          }
           sendResponse({ status: 'error', error: error.message });
           showNotification(`Sync failed: ${error.message}`, 'error');
         }
       })
       .catch((_error) => {
-        syncInProgress = false;
         sendResponse({ status: 'error', error: 'Authentication failed' });
         showNotification('Authentication failed', 'error');
       });
@@ -134,6 +476,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep the message channel open for the async response
   }
 
+  if (message.action === 'planSync') {
+    initializeAuth()
+      .then(() => planSync())
+      .then((plan) => sendResponse({ status: 'ok', plan }))
+      .catch((error) => sendResponse({ status: 'error', error: error.message }));
+
+    return true;
+  }
+
   if (message.action === 'manualBackup') {
     // Ensure we're authenticated before backup
     initializeAuth()
@@ -181,6 +532,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep the message channel open for the async response
   }
 
+  if (
+    message.action === 'addAccount' ||
+    message.action === 'switchAccount' ||
+    message.action === 'removeAccount'
+  ) {
+    // Runs here rather than in the popup, which closes when the sign-in window opens
+    const change = {
+      addAccount: () => addAccount(),
+      switchAccount: () => switchAccount(message.accountId),
+      removeAccount: () => removeAccount(message.accountId),
+    }[message.action];
+
+    changeAccount(change)
+      .then((account) => sendResponse({ status: 'ok', account }))
+      .catch((error) => sendResponse({ status: 'error', error: error.message }));
+
+    return true; // Keep the message channel open for the async response
+  }
+
+  if (message.action === 'reauthenticate') {
+    reauthenticate()
+      .then((userInfo) => {
+        authInitialized = false;
+        sendResponse({ status: 'ok', userInfo });
+      })
+      .catch((error) => sendResponse({ status: 'error', error: error.message }));
+
+    return true; // Keep the message channel open for the async response
+  }
+
   if (message.action === 'getSyncLog') {
     chrome.storage.local.get({ syncLog: [] }, (data) => {
       sendResponse({ log: data.syncLog });
@@ -206,11 +587,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.action === 'getFolderInfo') {
-    chrome.storage.local.get(['bookDriveFolderId'], (result) => {
-      if (result.bookDriveFolderId) {
+    chrome.storage.local.get([SYNC_FOLDER_KEYS.ID, SYNC_FOLDER_KEYS.NAME], (result) => {
+      if (result[SYNC_FOLDER_KEYS.ID]) {
         sendResponse({
-          folderId: result.bookDriveFolderId,
-          folderName: 'MyExtensionData',
+          folderId: result[SYNC_FOLDER_KEYS.ID],
+          folderName: result[SYNC_FOLDER_KEYS.NAME],
         });
       } else {
         sendResponse({ folderId: null });
@@ -500,8 +881,97 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// Set up alarm for auto sync
-chrome.alarms.create('autoSync', { periodInMinutes: 30 });
+// Set up alarm for auto sync and keep it in line with the saved settings
+scheduleAutoSyncAlarm();
+
+// Record local bookmark changes between syncs for incremental uploads
+startChangeJournal();
+
+// Finish uploads that were cut short when the service worker last went idle; signed
+// out, expired sessions are still cleared
+getAuthToken(false)
+  .catch(() => null)
+  .then((token) => resumePendingUploads({ token }))
+  .then((files) => {
+    if (files.length > 0) console.log(`Resumed ${files.length} interrupted upload(s)`);
+  })
+  .catch((error) => {
+    console.error('Failed to resume interrupted uploads:', error);
+  });
+
+// Watch the Drive change log; the badge does not survive a browser restart
+scheduleRemoteChangesAlarm().catch((error) => {
+  console.error('Failed to schedule remote change checks:', error);
+});
+hasPendingRemoteChanges().then(updateRemoteChangesBadge);
+
+// A sync queued while offline may be able to run by the time the service worker wakes up
+drainOfflineQueue().catch((error) => {
+  console.warn('Failed to run queued sync:', error);
+});
+
+// Refresh the access token before it expires, and ask for a new sign-in when access was revoked
+scheduleTokenRefresh().catch((error) => {
+  console.error('Failed to schedule token refresh:', error);
+});
+onAuthStateChanged((authState) => {
+  handleAuthStateChange(authState).catch((error) => {
+    console.error('Failed to handle auth state change:', error);
+  });
+});
+
+// Sync shortly after bookmarks change, coalescing bursts into one upload
+listenForBookmarkChanges(() => {
+  handleBookmarkChange().catch((error) => {
+    console.error('Failed to schedule sync on change:', error);
+  });
+});
+
+// Firefox has no import events
+addBookmarkListener('onImportBegan', () => {
+  bookmarkImportInProgress = true;
+});
+addBookmarkListener('onImportEnded', () => {
+  bookmarkImportInProgress = false;
+  handleBookmarkChange().catch((error) => {
+    console.error('Failed to schedule sync after import:', error);
+  });
+});
+
+// Run the queued sync as soon as the browser is back online; the probe alarm
+// catches reconnects that happen while the service worker is asleep
+self.addEventListener('online', () => {
+  drainOfflineQueue().catch((error) => {
+    console.warn('Failed to run queued sync:', error);
+  });
+});
+
+// Changes made while the extension was not running were not journaled
+chrome.runtime.onStartup.addListener(() => {
+  invalidateJournal('startup');
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (
+    areaName === 'sync' &&
+    (changes[SYNC_SETTINGS_KEYS.AUTO_SYNC] || changes[SYNC_SETTINGS_KEYS.SYNC_INTERVAL])
+  ) {
+    scheduleAutoSyncAlarm();
+  }
+
+  if (
+    areaName === 'sync' &&
+    changes[CHANGE_SYNC_SETTINGS_KEYS.ENABLED] &&
+    changes[CHANGE_SYNC_SETTINGS_KEYS.ENABLED].newValue === false
+  ) {
+    cancelChangeSync();
+  }
+
+  // Providers remember the folder they found, so a newly chosen folder needs new ones
+  if (areaName === 'local' && changes[SYNC_FOLDER_KEYS.ID]) {
+    resetStorageProviders();
+  }
+});
 
 // Handle alarm
 chrome.alarms.onAlarm.addListener((alarm) => {
@@ -520,67 +990,45 @@ chrome.alarms.onAlarm.addListener((alarm) => {
 
   // Handle auto sync alarm
   if (alarm.name === 'autoSync') {
-    // Check if auto sync is enabled
-    chrome.storage.sync.get({ autoSync: true }, (data) => {
-      if (data.autoSync && !syncInProgress) {
-        // Ensure we're authenticated before syncing
-        initializeAuth()
-          .then(async () => {
-            try {
-              // Ensure folder exists
-              await ensureBookDriveFolder(false);
+    // Ensure we're authenticated before syncing
+    initializeAuth()
+      .then(() => {
+        if (syncInProgress) {
+          console.log('Skipping auto sync, a sync is already in progress');
+          return null;
+        }
+        return runSync('auto');
+      })
+      .catch(() => {
+        // Failure already logged by runSync
+      });
+  }
 
-              // Trigger auto sync
-              const now = new Date().toISOString();
+  // Handle the debounced sync after bookmark changes
+  if (alarm.name === CHANGE_SYNC_ALARM_NAME) {
+    runChangeSync().catch(() => {
+      // Failure already logged by runSync
+    });
+  }
 
-              // Count bookmarks
-              chrome.bookmarks.getTree((tree) => {
-                let count = 0;
+  // Renew the access token shortly before it expires
+  if (alarm.name === TOKEN_REFRESH_ALARM_NAME) {
+    refreshAuthToken().catch((error) => {
+      console.warn('Failed to refresh access token:', error);
+    });
+  }
 
-                function countBookmarks(nodes) {
-                  for (const node of nodes) {
-                    if (node.url) count++;
-                    if (node.children) countBookmarks(node.children);
-                  }
-                }
+  // Run the queued sync once the network is back
+  if (alarm.name === CONNECTIVITY_PROBE_ALARM_NAME) {
+    drainOfflineQueue().catch((error) => {
+      console.warn('Failed to run queued sync:', error);
+    });
+  }
 
-                countBookmarks(tree);
-
-                // Update storage with sync results
-                chrome.storage.local.set({
-                  lastSync: now,
-                  lastSyncStatus: 'success',
-                  lastChange: now,
-                });
-
-                // Log the sync event
-                logSyncEvent({
-                  time: now,
-                  mode: 'auto',
-                  status: 'success',
-                  bookmarkCount: count,
-                });
-              });
-            } catch (error) {
-              console.error('Auto sync failed:', error);
-              logSyncEvent({
-                time: new Date().toISOString(),
-                mode: 'auto',
-                status: 'error',
-                error: error.message,
-              });
-            }
-          })
-          .catch((error) => {
-            console.error('Auto sync auth failed:', error);
-            logSyncEvent({
-              time: new Date().toISOString(),
-              mode: 'auto',
-              status: 'error',
-              error: 'Authentication failed',
-            });
-          });
-      }
+  // Check for changes published by other devices
+  if (alarm.name === REMOTE_CHANGES_ALARM_NAME) {
+    handleRemoteChangesAlarm().catch((error) => {
+      console.warn('Failed to check for remote changes:', error);
     });
   }
 });
@@ -715,6 +1163,7 @@ async function handleBackupError(error, backupMetadata, scheduleId, sendResponse
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Extension installed/updated, initializing auth...');
   initializeAuth();
+  invalidateJournal('installed');
 
   // Initialize backup alarms
   (async () => {
@@ -28,9 +28,15 @@ export const DEFAULTS = {
   AUTO_SYNC: true,
   SYNC_ON_STARTUP: true,
   SYNC_ON_CHANGE: true,
+  SYNC_ON_CHANGE_DELAY: 30, // seconds without changes before syncing (alarms fire after 30s at the earliest)
+  SYNC_ON_CHANGE_MAX_WAIT: 300, // seconds between the first change and the sync at most
+  REMOTE_CHANGES_INTERVAL: 5, // minutes between checks of the Drive change log
   NOTIFY_ON_SYNC: true,
   SYNC_MODE: 'host-to-many',
   DEVICE_ROLE: 'client',
+  CLIENT_INBOX: false, // clients submit their additions to the host's inbox folder
+  STORAGE_LOCATION: 'appDataFolder', // where sync state lives, or 'folder' for the BookDrive folder
+  MIRROR_BACKUPS: true, // copy backups to the visible BookDrive folder
   BACKUP_RETENTION: 10, // number of backups to keep
   BACKUP_INTERVAL: 24 * 60, // daily in minutes
 };
@@ -1,15 +1,16 @@
 /**
  * BookDrive Conflict Resolution
- * Visual merge tools for resolving bookmark conflicts
+ * Visual merge tools for resolving the conflicts held in the conflict inbox
  */
 
-import { resolveConflicts, CONFLICT_STRATEGIES } from '../lib/sync/conflict-resolver.js';
-import { generateSyncPreview } from '../lib/sync/sync-preview.js';
+import { CONFLICT_STRATEGIES } from '../lib/sync/conflict-resolver.js';
+import { CONFLICT_STATUS, getConflictInbox, resolveConflict } from '../lib/sync/conflict-inbox.js';
 
 // Global state
 let conflicts = [];
 let resolvedConflicts = [];
 let currentConflictIndex = 0;
+let syncPlan = null;
 
 /**
  * Initialize the conflict resolution page
@@ -135,21 +136,16 @@ function setupEventListeners() {
 }
 
 /**
- * Load conflicts from sync preview
+ * Load the conflicts held by the last sync
  */
 async function loadConflicts() {
   try {
     showLoading(true);
 
-    // Generate sync preview to detect conflicts
-    const preview = await generateSyncPreview('global');
-
-    if (!preview.success) {
-      throw new Error(preview.message || 'Failed to generate sync preview');
-    }
-
-    conflicts = preview.preview.details.conflicts || [];
-    resolvedConflicts = [];
+    conflicts = await getConflictInbox();
+    resolvedConflicts = conflicts
+      .map((conflict, index) => (conflict.status !== CONFLICT_STATUS.PENDING ? index : -1))
+      .filter((index) => index >= 0);
     currentConflictIndex = 0;
 
     // Update UI
@@ -162,6 +158,12 @@ async function loadConflicts() {
     if (conflicts.length === 0) {
       showEmptyState();
     }
+
+    // Check the inbox against what the next sync would find
+    loadSyncPlan().then(() => {
+      updateConflictList();
+      announceNewConflicts();
+    });
   } catch (error) {
     console.error('Failed to load conflicts:', error);
     showError('Failed to load conflicts. Please try again.');
@@ -169,6 +171,59 @@ async function loadConflicts() {
   }
 }
 
+/**
+ * Plan the next sync without running it
+ * @returns {Promise<void>}
+ */
+async function loadSyncPlan() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'planSync' });
+    syncPlan = response && response.status === 'ok' ? response.plan : null;
+  } catch (error) {
+    console.warn('Failed to plan the next sync:', error);
+    syncPlan = null;
+  }
+}
+
+/**
+ * Describe what the next sync would do with a conflict of the inbox
+ * @param {Object} conflict - Conflict from the inbox
+ * @returns {string|null} Description, or null without a plan
+ */
+function describePlannedConflict(conflict) {
+  if (!syncPlan) return null;
+
+  const planned = syncPlan.conflicts.find((item) => item.bookmarkId === conflict.bookmarkId);
+  if (conflict.status !== CONFLICT_STATUS.PENDING) {
+    if (planned) return 'Changed since it was resolved, the next sync holds it again';
+    const targets = syncPlan.operations
+      .filter((op) => op.id === conflict.bookmarkId)
+      .map((op) => (op.target === 'local' ? 'this device' : 'Google Drive'));
+    return targets.length > 0
+      ? `Next sync updates ${[...new Set(targets)].join(' and ')}`
+      : 'Both sides already match';
+  }
+
+  if (!planned) return 'Outdated, the next sync checks it again';
+  const unchanged =
+    JSON.stringify([planned.localVersion, planned.remoteVersion]) ===
+    JSON.stringify([conflict.localVersion, conflict.remoteVersion]);
+  return unchanged ? planned.reason : 'Changed since it was found, the next sync checks it again';
+}
+
+/**
+ * Tell the user about conflicts the next sync would hold that are not in the inbox yet
+ */
+function announceNewConflicts() {
+  if (!syncPlan) return;
+
+  const known = new Set(conflicts.map((conflict) => conflict.bookmarkId));
+  const count = syncPlan.conflicts.filter((item) => !known.has(item.bookmarkId)).length;
+  if (count > 0) {
+    showInfo(`The next sync will hold ${count} more conflict${count !== 1 ? 's' : ''}`);
+  }
+}
+
 /**
  * Update conflict summary
  */
@@ -202,19 +257,22 @@ function updateConflictList() {
       const isResolved = resolvedConflicts.includes(index);
       const severity = analyzeConflictSeverity(conflict);
       const type = analyzeConflictType(conflict);
+      const { title, url } = getDisplayVersion(conflict);
+      const planned = describePlannedConflict(conflict);
 
       return `
       <div class="conflict-item ${isResolved ? 'resolved' : ''}" data-index="${index}">
         <div class="conflict-header-row">
           <div>
-            <div class="conflict-title">${conflict.local.title || conflict.remote.title || 'Untitled Bookmark'}</div>
-            <div class="conflict-url">${conflict.local.url || conflict.remote.url || 'No URL'}</div>
+            <div class="conflict-title">${escapeHtml(title || 'Untitled Bookmark')}</div>
+            <div class="conflict-url">${escapeHtml(url || 'No URL')}</div>
           </div>
           <div class="conflict-severity ${severity}">${severity}</div>
         </div>
         <div class="conflict-meta">
           <span>Type: ${type}</span>
           <span>ID: ${conflict.id}</span>
+          ${planned ? `<span>${escapeHtml(planned)}</span>` : ''}
         </div>
         <input type="checkbox" class="conflict-checkbox" ${isResolved ? 'checked' : ''}>
       </div>
@@ -223,7 +281,7 @@ function updateConflictList() {
     .join('');
 
   // Add click handlers
-  const conflictItems = document.querySelectorAll('.conflict-item');
+  const conflictItems = document.querySelectorAll('.conflict-item:not(.resolved)');
   conflictItems.forEach((item) => {
     item.addEventListener('click', (e) => {
       if (e.target.type !== 'checkbox') {
@@ -250,13 +308,27 @@ function updateProgress() {
   }
 }
 
+/**
+ * Get the version to show a conflict with, preferring the local one
+ * @param {Object} conflict - Conflict from the inbox
+ * @returns {Object} Bookmark version
+ */
+function getDisplayVersion(conflict) {
+  return conflict.localVersion || conflict.remoteVersion || {};
+}
+
 /**
  * Analyze conflict severity
  * @param {Object} conflict - Conflict object
  * @returns {string} Severity level
  */
 function analyzeConflictSeverity(conflict) {
-  const { local, remote } = conflict;
+  const { localVersion: local, remoteVersion: remote } = conflict;
+
+  // High severity: one side deleted what the other changed
+  if (!local || !remote) {
+    return 'high';
+  }
 
   // High severity: URL changes
   if (local.url !== remote.url) {
@@ -278,7 +350,11 @@ function analyzeConflictSeverity(conflict) {
  * @returns {string} Conflict type
  */
 function analyzeConflictType(conflict) {
-  const { local, remote } = conflict;
+  const { localVersion: local, remoteVersion: remote } = conflict;
+
+  if (!local || !remote) {
+    return 'deletion';
+  }
 
   const titleChanged = local.title !== remote.title;
   const urlChanged = local.url !== remote.url;
@@ -311,20 +387,11 @@ async function autoResolveConflicts() {
 
     showLoading(true);
 
-    const resolution = resolveConflicts(conflicts, strategy);
+    const pending = conflicts.filter((_, index) => !resolvedConflicts.includes(index));
+    const resolvedCount = await resolveWithStrategy(pending, strategy);
 
-    // Mark conflicts as resolved
-    resolution.resolved.forEach((_, index) => {
-      if (!resolvedConflicts.includes(index)) {
-        resolvedConflicts.push(index);
-      }
-    });
-
-    updateConflictList();
-    updateProgress();
-
-    showSuccess(`Auto-resolved ${resolution.resolvedCount} conflicts`);
-    showLoading(false);
+    await loadConflicts();
+    showSuccess(`Auto-resolved ${resolvedCount} of ${pending.length} conflicts`);
   } catch (error) {
     console.error('Failed to auto-resolve conflicts:', error);
     showError('Failed to auto-resolve conflicts. Please try again.');
@@ -333,7 +400,28 @@ async function autoResolveConflicts() {
 }
 
 /**
- * Apply all resolutions
+ * Resolve conflicts with one strategy, skipping the ones it cannot resolve
+ * (a deleted bookmark cannot be merged)
+ * @param {Array<Object>} conflictsToResolve - Conflicts from the inbox
+ * @param {string} strategy - Resolution strategy
+ * @returns {Promise<number>} Number of resolved conflicts
+ */
+async function resolveWithStrategy(conflictsToResolve, strategy) {
+  let resolvedCount = 0;
+  for (const conflict of conflictsToResolve) {
+    try {
+      await resolveConflict(conflict.id, strategy);
+      resolvedCount++;
+    } catch (error) {
+      console.warn(`Could not resolve conflict ${conflict.id}:`, error.message);
+    }
+  }
+  return resolvedCount;
+}
+
+/**
+ * Apply all resolutions. The background sync writes the chosen versions to the
+ * local bookmarks and to Google Drive.
  */
 async function applyAllResolutions() {
   try {
@@ -344,18 +432,20 @@ async function applyAllResolutions() {
 
     showLoading(true);
 
-    // Apply resolutions to bookmarks
-    const resolvedBookmarks = resolvedConflicts.map((index) => {
-      const conflict = conflicts[index];
-      // For now, use local version as default
-      return conflict.local;
-    });
+    const applied = resolvedConflicts.length;
+    const response = await chrome.runtime.sendMessage({ action: 'syncNow' });
+    showLoading(false);
 
-    // Update bookmarks (this would integrate with the actual bookmark API)
-    console.log('Applying resolved bookmarks:', resolvedBookmarks);
+    if (response && response.status === 'queued') {
+      showInfo('You are offline. The resolutions will be applied when the connection is back.');
+      return;
+    }
+    if (!response || response.status !== 'ok') {
+      throw new Error(response?.error || 'Sync failed');
+    }
 
-    showSuccess(`Applied ${resolvedConflicts.length} resolutions`);
-    showLoading(false);
+    showSuccess(`Applied ${applied} resolutions`);
+    await loadConflicts();
 
     // Close the window after successful application
     setTimeout(() => {
@@ -387,28 +477,32 @@ function updateResolutionStrategy(strategy) {
 }
 
 /**
- * Resolve selected conflicts
+ * Resolve selected conflicts with the chosen strategy
  */
-function resolveSelectedConflicts() {
-  const selectedCheckboxes = document.querySelectorAll('.conflict-checkbox:checked');
+async function resolveSelectedConflicts() {
+  const selectedCheckboxes = document.querySelectorAll(
+    '.conflict-item:not(.resolved) .conflict-checkbox:checked',
+  );
 
   if (selectedCheckboxes.length === 0) {
     showError('Please select conflicts to resolve');
     return;
   }
 
-  selectedCheckboxes.forEach((checkbox) => {
-    const conflictItem = checkbox.closest('.conflict-item');
-    const index = parseInt(conflictItem.dataset.index);
+  const strategy = document.getElementById('resolution-strategy').value;
+  if (strategy === 'manual') {
+    showError('Please select a resolution strategy');
+    return;
+  }
 
-    if (!resolvedConflicts.includes(index)) {
-      resolvedConflicts.push(index);
-    }
+  const selected = Array.from(selectedCheckboxes).map((checkbox) => {
+    const conflictItem = checkbox.closest('.conflict-item');
+    return conflicts[parseInt(conflictItem.dataset.index)];
   });
+  const resolvedCount = await resolveWithStrategy(selected, strategy);
 
-  updateConflictList();
-  updateProgress();
-  showSuccess(`Marked ${selectedCheckboxes.length} conflicts as resolved`);
+  await loadConflicts();
+  showSuccess(`Resolved ${resolvedCount} of ${selected.length} conflicts`);
 }
 
 /**
@@ -433,19 +527,19 @@ function openConflictModal(index) {
     document.body.removeChild(modal);
   });
 
-  localBtn.addEventListener('click', () => {
-    resolveConflictByIndex(index, CONFLICT_STRATEGIES.LOCAL_WINS);
+  localBtn.addEventListener('click', async () => {
     document.body.removeChild(modal);
+    await resolveConflictByIndex(index, CONFLICT_STRATEGIES.LOCAL_WINS);
   });
 
-  remoteBtn.addEventListener('click', () => {
-    resolveConflictByIndex(index, CONFLICT_STRATEGIES.REMOTE_WINS);
+  remoteBtn.addEventListener('click', async () => {
     document.body.removeChild(modal);
+    await resolveConflictByIndex(index, CONFLICT_STRATEGIES.REMOTE_WINS);
   });
 
-  mergeBtn.addEventListener('click', () => {
-    resolveConflictByIndex(index, CONFLICT_STRATEGIES.MERGE);
+  mergeBtn.addEventListener('click', async () => {
     document.body.removeChild(modal);
+    await resolveConflictByIndex(index, CONFLICT_STRATEGIES.MERGE);
   });
 
   skipBtn.addEventListener('click', () => {
@@ -467,6 +561,8 @@ function openConflictModal(index) {
  * @returns {HTMLElement} Modal element
  */
 function createConflictModal(conflict, index) {
+  const { title, url } = getDisplayVersion(conflict);
+  const canMerge = Boolean(conflict.localVersion && conflict.remoteVersion);
   const modal = document.createElement('div');
   modal.className = 'conflict-modal';
   modal.innerHTML = `
@@ -480,29 +576,19 @@ function createConflictModal(conflict, index) {
       
       <div class="modal-body">
         <div class="conflict-info">
-          <h3>${conflict.local.title || conflict.remote.title || 'Untitled Bookmark'}</h3>
-          <p class="conflict-url">${conflict.local.url || conflict.remote.url || 'No URL'}</p>
+          <h3>${escapeHtml(title || 'Untitled Bookmark')}</h3>
+          <p class="conflict-url">${escapeHtml(url || 'No URL')}</p>
         </div>
         
         <div class="conflict-comparison">
           <div class="comparison-column">
             <h4>Local Version</h4>
-            <div class="version-details">
-              <p><strong>Title:</strong> ${conflict.local.title || 'No title'}</p>
-              <p><strong>URL:</strong> ${conflict.local.url || 'No URL'}</p>
-              <p><strong>Modified:</strong> ${formatDate(conflict.local.dateModified)}</p>
-              <p><strong>Folder:</strong> ${getFolderName(conflict.local.parentId)}</p>
-            </div>
+            <div class="version-details">${renderVersionDetails(conflict.localVersion)}</div>
           </div>
           
           <div class="comparison-column">
             <h4>Remote Version</h4>
-            <div class="version-details">
-              <p><strong>Title:</strong> ${conflict.remote.title || 'No title'}</p>
-              <p><strong>URL:</strong> ${conflict.remote.url || 'No URL'}</p>
-              <p><strong>Modified:</strong> ${formatDate(conflict.remote.dateModified)}</p>
-              <p><strong>Folder:</strong> ${getFolderName(conflict.remote.parentId)}</p>
-            </div>
+            <div class="version-details">${renderVersionDetails(conflict.remoteVersion)}</div>
           </div>
         </div>
         
@@ -517,7 +603,7 @@ function createConflictModal(conflict, index) {
               <span class="material-icons">cloud</span>
               <span>Keep Remote</span>
             </button>
-            <button class="resolve-btn resolve-merge">
+            <button class="resolve-btn resolve-merge" ${canMerge ? '' : 'disabled'}>
               <span class="material-icons">merge</span>
               <span>Smart Merge</span>
             </button>
@@ -534,24 +620,41 @@ function createConflictModal(conflict, index) {
   return modal;
 }
 
+/**
+ * Render one side of a conflict
+ * @param {Object|null} version - Bookmark version, null if it was deleted on this side
+ * @returns {string} HTML
+ */
+function renderVersionDetails(version) {
+  if (!version) {
+    return '<p><strong>Deleted</strong></p>';
+  }
+
+  return `
+    <p><strong>Title:</strong> ${escapeHtml(version.title || 'No title')}</p>
+    <p><strong>URL:</strong> ${escapeHtml(version.url || 'No URL')}</p>
+    <p><strong>Modified:</strong> ${formatDate(version.dateModified)}</p>
+    <p><strong>Folder:</strong> ${getFolderName(version.parentId)}</p>
+  `;
+}
+
 /**
  * Resolve a specific conflict
  * @param {number} index - Conflict index
  * @param {string} strategy - Resolution strategy
  */
-function resolveConflictByIndex(index, strategy) {
+async function resolveConflictByIndex(index, strategy) {
   if (index < 0 || index >= conflicts.length) return;
 
-  const conflict = conflicts[index];
-  const resolution = resolveConflicts([conflict], strategy);
-
-  if (resolution.resolvedCount > 0) {
-    resolvedConflicts.push(index);
-    updateConflictList();
-    updateProgress();
+  try {
+    await resolveConflict(conflicts[index].id, strategy);
+    await loadConflicts();
 
     // Show success message
     showToast(`Conflict resolved using ${strategy} strategy`, 'success');
+  } catch (error) {
+    console.error('Failed to resolve conflict:', error);
+    showError(error.message);
   }
 }
 
@@ -622,6 +725,33 @@ function showError(message) {
   showToast(message, 'error');
 }
 
+/**
+ * Show success message
+ * @param {string} message - Success message
+ */
+function showSuccess(message) {
+  showToast(message, 'success');
+}
+
+/**
+ * Show info message
+ * @param {string} message - Info message
+ */
+function showInfo(message) {
+  showToast(message, 'info');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 /**
  * Show empty state
  */
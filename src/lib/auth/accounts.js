@@ -0,0 +1,275 @@
+/**
+ * accounts.js - Google account profiles
+ *
+ * Each signed-in Google account has a profile with its own tokens, BookDrive folder
+ * and sync state. The active account keeps its state under the usual storage keys,
+ * so the rest of the extension only ever sees one account; switching saves those
+ * keys into the profile of the old account and loads the ones of the new account.
+ */
+
+import { signIn, signOut, AUTH_STORAGE_KEYS } from './drive-auth.js';
+
+const ACCOUNTS_KEY = 'bookDriveAccounts';
+
+// Local state that belongs to one account's Drive, besides its tokens
+const ACCOUNT_STATE_KEYS = [
+  'lastSyncState',
+  'lastSync',
+  'lastSyncStatus',
+  'bookDriveIdentityMap',
+  'bookDriveFileIds',
+  'bookDriveUploadSessions',
+  'bookDriveAppDataMigrated',
+  'bookDriveChangesCursor',
+  'bookDriveRemoteChangesPending',
+  'sync_offline_queue',
+  'sync_cache',
+  'bookDriveFolderId',
+  'bookDriveFolderName',
+  'bookDriveFolderStatus',
+  'bookDriveConflictInbox',
+];
+
+const ACCOUNT_KEYS = [...Object.values(AUTH_STORAGE_KEYS), ...ACCOUNT_STATE_KEYS];
+
+// Content of each interrupted upload in bookDriveUploadSessions, stored per session (see drive.js)
+const UPLOAD_SESSIONS_KEY = 'bookDriveUploadSessions';
+const UPLOAD_PAYLOAD_PREFIX = 'bookDriveUploadPayload_';
+
+/**
+ * @typedef {Object} Account
+ * @property {string} id - Google account ID (or email for older user info)
+ * @property {string} email - Email address
+ * @property {string} name - Display name
+ * @property {string} picture - Profile picture URL
+ * @property {string} addedAt - When the account was added
+ */
+
+/**
+ * Get the signed-in accounts
+ * @returns {Promise<{activeAccountId: string|null, accounts: Array<Account>}>} Accounts
+ */
+export async function getAccounts() {
+  const store = await readAccounts();
+  return {
+    activeAccountId: store.activeAccountId,
+    accounts: Object.values(store.accounts).map(toAccount),
+  };
+}
+
+/**
+ * Get the account syncs run against
+ * @returns {Promise<Account|null>} Active account
+ */
+export async function getActiveAccount() {
+  const store = await readAccounts();
+  const account = store.accounts[store.activeAccountId];
+  return account ? toAccount(account) : null;
+}
+
+/**
+ * Sign in to another Google account and make it the active account. The current
+ * account stays signed in and can be switched back to.
+ * @returns {Promise<Account>} Added account
+ */
+export async function addAccount() {
+  const store = await readAccounts();
+  const previous = store.accounts[store.activeAccountId];
+  if (previous) {
+    previous.state = await readAccountState();
+    await clearAccountState();
+  }
+
+  let userInfo;
+  try {
+    // The first account can use the browser's account; others are picked in the OAuth flow
+    userInfo = await signIn({ selectAccount: !!previous });
+  } catch (error) {
+    if (previous) {
+      await loadAccountState(previous.state);
+    }
+    throw error;
+  }
+
+  const id = userInfo.sub || userInfo.id || userInfo.email;
+  const existing = store.accounts[id];
+  if (existing && existing.state) {
+    // Signed in again to an account that was already added: keep its sync state
+    await chrome.storage.local.set(
+      pickKeys(existing.state, [...ACCOUNT_STATE_KEYS, ...getUploadPayloadKeys(existing.state)]),
+    );
+  }
+
+  store.accounts[id] = {
+    id,
+    email: userInfo.email,
+    name: userInfo.name,
+    picture: userInfo.picture,
+    addedAt: existing ? existing.addedAt : new Date().toISOString(),
+    state: null,
+  };
+  store.activeAccountId = id;
+  await writeAccounts(store);
+
+  return toAccount(store.accounts[id]);
+}
+
+/**
+ * Make another signed-in account the active account
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Account>} Active account
+ */
+export async function switchAccount(accountId) {
+  const store = await readAccounts();
+  const account = store.accounts[accountId];
+  if (!account) {
+    throw new Error(`Unknown account: ${accountId}`);
+  }
+
+  if (accountId !== store.activeAccountId) {
+    const previous = store.accounts[store.activeAccountId];
+    if (previous) {
+      previous.state = await readAccountState();
+    }
+    await loadAccountState(account.state);
+
+    account.state = null;
+    store.activeAccountId = accountId;
+    await writeAccounts(store);
+  }
+
+  return toAccount(account);
+}
+
+/**
+ * Sign out of an account and forget its sync state. Removing the active account
+ * switches to another signed-in account, if there is one.
+ * @param {string} accountId - Account ID (default: the active account)
+ * @returns {Promise<Account|null>} Active account afterwards
+ */
+export async function removeAccount(accountId) {
+  const store = await readAccounts();
+  const id = accountId || store.activeAccountId;
+  if (id && !store.accounts[id]) {
+    throw new Error(`Unknown account: ${id}`);
+  }
+
+  delete store.accounts[id];
+
+  if (id === store.activeAccountId) {
+    await signOut();
+    await clearAccountState();
+
+    const [next] = Object.values(store.accounts);
+    if (next) {
+      await loadAccountState(next.state);
+      next.state = null;
+    }
+    store.activeAccountId = next ? next.id : null;
+  }
+
+  await writeAccounts(store);
+
+  const active = store.accounts[store.activeAccountId];
+  return active ? toAccount(active) : null;
+}
+
+/**
+ * Read the account profiles. Before profiles existed there was a single signed-in
+ * account, which becomes the first profile.
+ * @returns {Promise<Object>} Profiles ({activeAccountId, accounts})
+ */
+async function readAccounts() {
+  const result = await chrome.storage.local.get([ACCOUNTS_KEY, AUTH_STORAGE_KEYS.USER_INFO]);
+  if (result && result[ACCOUNTS_KEY]) {
+    return result[ACCOUNTS_KEY];
+  }
+
+  const store = { activeAccountId: null, accounts: {} };
+  const userInfo = result && result[AUTH_STORAGE_KEYS.USER_INFO];
+  if (userInfo) {
+    const id = userInfo.sub || userInfo.id || userInfo.email;
+    store.accounts[id] = {
+      id,
+      email: userInfo.email,
+      name: userInfo.name,
+      picture: userInfo.picture,
+      addedAt: new Date().toISOString(),
+      state: null,
+    };
+    store.activeAccountId = id;
+  }
+  return store;
+}
+
+/**
+ * Save the account profiles
+ * @param {Object} store - Profiles ({activeAccountId, accounts})
+ * @returns {Promise<void>}
+ */
+async function writeAccounts(store) {
+  await chrome.storage.local.set({ [ACCOUNTS_KEY]: store });
+}
+
+/**
+ * Read the state of the active account
+ * @returns {Promise<Object>} Stored values by key
+ */
+async function readAccountState() {
+  const result = (await chrome.storage.local.get(ACCOUNT_KEYS)) || {};
+  const payloadKeys = getUploadPayloadKeys(result);
+  const payloads = payloadKeys.length > 0 ? await chrome.storage.local.get(payloadKeys) : {};
+  return pickKeys({ ...result, ...payloads }, [...ACCOUNT_KEYS, ...payloadKeys]);
+}
+
+/**
+ * Replace the state of the active account
+ * @param {Object|null} state - Stored values by key
+ * @returns {Promise<void>}
+ */
+async function loadAccountState(state) {
+  await clearAccountState();
+  if (state && Object.keys(state).length > 0) {
+    await chrome.storage.local.set(state);
+  }
+}
+
+/**
+ * Remove the state of the active account
+ * @returns {Promise<void>}
+ */
+async function clearAccountState() {
+  const result = (await chrome.storage.local.get(UPLOAD_SESSIONS_KEY)) || {};
+  await chrome.storage.local.remove([...ACCOUNT_KEYS, ...getUploadPayloadKeys(result)]);
+}
+
+/**
+ * Get the storage keys of the payloads of the stored upload sessions
+ * @param {Object} values - Values by key, holding the upload sessions
+ * @returns {Array<string>} Payload keys
+ */
+function getUploadPayloadKeys(values) {
+  const sessions = (values && values[UPLOAD_SESSIONS_KEY]) || {};
+  return Object.values(sessions).map((session) => `${UPLOAD_PAYLOAD_PREFIX}${session.id}`);
+}
+
+/**
+ * Copy the given keys that have a value
+ * @param {Object} values - Values by key
+ * @param {Array<string>} keys - Keys to copy
+ * @returns {Object} Copied values
+ */
+function pickKeys(values, keys) {
+  return Object.fromEntries(
+    keys.filter((key) => values[key] !== undefined).map((key) => [key, values[key]]),
+  );
+}
+
+/**
+ * Strip internal fields from a profile
+ * @param {Object} profile - Stored profile
+ * @returns {Account} Account
+ */
+function toAccount({ id, email, name, picture, addedAt }) {
+  return { id, email, name, picture, addedAt };
+}
@@ -0,0 +1,183 @@
+/**
+ * auth-manager.js - Access token lifecycle
+ *
+ * Tokens of the OAuth2 web flow are refreshed by an alarm shortly before they
+ * expire, so syncs do not start with an expired token. Chrome Identity tokens are
+ * renewed by Chrome itself and only replaced when Google rejects them.
+ *
+ * The auth state is kept in chrome.storage.local, which makes every change an
+ * `authStateChanged` event in the background, popup and options pages alike.
+ * When Google no longer accepts the refresh token (the user revoked access), the
+ * state becomes `reauthRequired` until the user signs in again.
+ */
+
+import { renewAuthToken, signIn, AUTH_STORAGE_KEYS } from './drive-auth.js';
+import { getActiveAccount } from './accounts.js';
+import { AuthenticationError } from '../../utils/error-handler.js';
+
+export const TOKEN_REFRESH_ALARM_NAME = 'authTokenRefresh';
+const AUTH_STATE_KEY = 'bookDriveAuthState';
+
+// Refresh this long before the token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// A token Google rejects within this time after issuing it will not be accepted
+// after another renewal either
+const FRESH_TOKEN_MS = 60 * 1000;
+
+export const AUTH_STATES = {
+  SIGNED_IN: 'signedIn',
+  SIGNED_OUT: 'signedOut',
+  REAUTH_REQUIRED: 'reauthRequired',
+};
+
+// State before the first sign-in and after signing out
+const SIGNED_OUT_STATE = { state: AUTH_STATES.SIGNED_OUT, reason: null, changedAt: null };
+
+// Last token that replaced a rejected one, to stop retrying a token Google will not accept
+let lastRenewal = { token: null, at: 0 };
+
+/**
+ * @typedef {Object} AuthState
+ * @property {string} state - One of AUTH_STATES
+ * @property {string|null} reason - Why the user has to sign in again
+ * @property {string} changedAt - When the state changed
+ */
+
+/**
+ * Get the auth state
+ * @returns {Promise<AuthState>} Auth state
+ */
+export async function getAuthState() {
+  const result = await chrome.storage.local.get(AUTH_STATE_KEY);
+  return (result && result[AUTH_STATE_KEY]) || SIGNED_OUT_STATE;
+}
+
+/**
+ * Set the auth state, notifying the subscribers of every extension page
+ * @param {string} state - One of AUTH_STATES
+ * @param {string|null} reason - Why the user has to sign in again
+ * @returns {Promise<void>}
+ */
+export async function setAuthState(state, reason = null) {
+  const current = await getAuthState();
+  if (current.state === state && current.reason === reason) {
+    return;
+  }
+
+  await chrome.storage.local.set({
+    [AUTH_STATE_KEY]: { state, reason, changedAt: new Date().toISOString() },
+  });
+}
+
+/**
+ * Subscribe to authStateChanged events
+ * @param {Function} listener - Called with the new AuthState
+ * @returns {Function} Unsubscribe function
+ */
+export function onAuthStateChanged(listener) {
+  const handleChange = (changes, areaName) => {
+    if (areaName === 'local' && changes[AUTH_STATE_KEY]) {
+      listener(changes[AUTH_STATE_KEY].newValue || SIGNED_OUT_STATE);
+    }
+  };
+
+  chrome.storage.onChanged.addListener(handleChange);
+  return () => chrome.storage.onChanged.removeListener(handleChange);
+}
+
+/**
+ * Set the refresh alarm for the stored token, or clear it when the token is
+ * renewed by Chrome or there is none
+ * @returns {Promise<number|null>} When the alarm fires (ms since epoch), or null
+ */
+export async function scheduleTokenRefresh() {
+  const stored = await chrome.storage.local.get([
+    AUTH_STORAGE_KEYS.TOKEN_EXPIRY,
+    AUTH_STORAGE_KEYS.AUTH_METHOD,
+  ]);
+  const expiry = stored[AUTH_STORAGE_KEYS.TOKEN_EXPIRY];
+
+  if (stored[AUTH_STORAGE_KEYS.AUTH_METHOD] !== 'oauth2_fallback' || !expiry) {
+    await chrome.alarms.clear(TOKEN_REFRESH_ALARM_NAME);
+    return null;
+  }
+
+  const when = Math.max(Date.now(), new Date(expiry).getTime() - REFRESH_MARGIN_MS);
+  // Creating an alarm with an existing name replaces it
+  await chrome.alarms.create(TOKEN_REFRESH_ALARM_NAME, { when });
+  return when;
+}
+
+/**
+ * Renew the access token, either before it expires or after Google rejected it
+ * @param {Object} options - Refresh options
+ * @param {string|null} options.rejectedToken - Token Google rejected
+ * @returns {Promise<string>} Access token
+ * @throws {AuthenticationError} When the user has to sign in again
+ */
+export async function refreshAuthToken({ rejectedToken = null } = {}) {
+  const rejectedRenewedToken =
+    rejectedToken === lastRenewal.token && Date.now() - lastRenewal.at < FRESH_TOKEN_MS;
+  if (rejectedToken && rejectedRenewedToken) {
+    const error = new AuthenticationError('Google rejected a newly issued token');
+    await setAuthState(AUTH_STATES.REAUTH_REQUIRED, error.message);
+    throw error;
+  }
+
+  try {
+    const token = await renewAuthToken({
+      rejectedToken,
+      minValidityMs: rejectedToken ? 0 : REFRESH_MARGIN_MS,
+    });
+    if (rejectedToken) {
+      lastRenewal = { token, at: Date.now() };
+    }
+
+    await setAuthState(AUTH_STATES.SIGNED_IN);
+    await scheduleTokenRefresh();
+    return token;
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      await setAuthState(AUTH_STATES.REAUTH_REQUIRED, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Let the user sign in again after access was revoked. The sign-in has to be to the
+ * active account: another account's tokens would sync its Drive into this profile.
+ * @returns {Promise<Object>} User information
+ * @throws {AuthenticationError} When the user signed in to another account
+ */
+export async function reauthenticate() {
+  const account = await getActiveAccount();
+  const authKeys = Object.values(AUTH_STORAGE_KEYS);
+  const previous = await chrome.storage.local.get(authKeys);
+
+  // The stored token may still look valid, so make sure the sign-in replaces it
+  await chrome.storage.local.remove([AUTH_STORAGE_KEYS.AUTH_TOKEN, AUTH_STORAGE_KEYS.TOKEN_EXPIRY]);
+
+  let userInfo;
+  try {
+    userInfo = await signIn({ loginHint: account ? account.email : null });
+    const id = userInfo.sub || userInfo.id || userInfo.email;
+    if (account && id !== account.id) {
+      throw new AuthenticationError(
+        `Signed in as ${userInfo.email}, sign in as ${account.email} to continue syncing`,
+      );
+    }
+  } catch (error) {
+    await chrome.storage.local.remove(authKeys);
+    await chrome.storage.local.set(
+      Object.fromEntries(Object.entries(previous).filter(([, value]) => value !== undefined)),
+    );
+    throw error;
+  }
+
+  lastRenewal = { token: null, at: 0 };
+  await setAuthState(AUTH_STATES.SIGNED_IN);
+  await scheduleTokenRefresh();
+  return userInfo;
+}
@@ -0,0 +1,72 @@
+/**
+ * device-key.js - Encryption key that never leaves this browser profile
+ *
+ * The key is a non-extractable AES-GCM key kept in IndexedDB, which can store
+ * CryptoKey objects as they are. Its raw bytes cannot be read back, not even by
+ * the extension, so copying the extension's storage does not copy the key.
+ */
+
+const DB_NAME = 'bookdrive-keys';
+const STORE_NAME = 'keys';
+const KEY_ID = 'device';
+
+let keyPromise = null;
+
+/**
+ * Get the device key, creating it on first use
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+export function getDeviceKey() {
+  if (!keyPromise) {
+    keyPromise = loadOrCreateKey().catch((error) => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * Read the key from IndexedDB, or generate and save one
+ * @returns {Promise<CryptoKey>} AES-GCM key
+ */
+async function loadOrCreateKey() {
+  const db = await openDatabase();
+  try {
+    const existing = await request(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(KEY_ID));
+    if (existing) {
+      return existing;
+    }
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+      'encrypt',
+      'decrypt',
+    ]);
+    await request(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(key, KEY_ID));
+    return key;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Open the key database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  const open = indexedDB.open(DB_NAME, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(STORE_NAME);
+  return request(open);
+}
+
+/**
+ * Wait for an IndexedDB request
+ * @param {IDBRequest} req - Request
+ * @returns {Promise<*>} Request result
+ */
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
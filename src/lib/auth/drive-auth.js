@@ -1,7 +1,15 @@
-// OAuth2 Configuration
+import { saveRefreshToken, loadRefreshToken } from './token-store.js';
+import { AuthenticationError } from '../../utils/error-handler.js';
+import {
+  getBrowserType,
+  supportsGetAuthToken,
+  getRedirectURL,
+  launchWebAuthFlow,
+} from '../browser-api.js';
+
+// OAuth2 Configuration. The web flow uses PKCE, so no client secret ships with the extension.
 const OAUTH2_CONFIG = {
   client_id: '334418543802-7nrfirqu0eofke7v822mscng2ouhlsfj.apps.googleusercontent.com', // Will be replaced from manifest
-  client_secret: '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', // Client secret for OAuth2 flow
   redirect_uri: chrome.identity
     ? chrome.identity.getRedirectURL()
     : 'https://YOUR_EXTENSION_ID.chromiumapp.org/',
@@ -11,27 +19,6 @@ const OAUTH2_CONFIG = {
   userinfo_url: 'https://www.googleapis.com/oauth2/v3/userinfo',
 };
 
-// Browser detection with enhanced accuracy
-function getBrowserType() {
-  const userAgent = navigator.userAgent;
-  if (userAgent.includes('Edg/')) return 'edge';
-  if (userAgent.includes('Chrome/') && !userAgent.includes('Edg/')) return 'chrome';
-  if (userAgent.includes('Firefox/')) return 'firefox';
-  if (userAgent.includes('Safari/') && !userAgent.includes('Chrome/')) return 'safari';
-  return 'unknown';
-}
-
-// Enhanced Chrome Identity API support check
-function isChromeIdentitySupported() {
-  return (
-    typeof chrome !== 'undefined' &&
-    chrome.identity &&
-    chrome.identity.getAuthToken &&
-    typeof chrome.identity.getAuthToken === 'function' &&
-    getBrowserType() === 'chrome'
-  );
-}
-
 /**
  * Get OAuth2 client ID from manifest with enhanced error handling
  * @returns {Promise<string>} OAuth2 client ID
@@ -57,22 +44,6 @@ async function getOAuth2ClientId() {
   }
 }
 
-/**
- * Get the correct redirect URI based on browser and context
- * @returns {string} Redirect URI
- */
-function getRedirectUri() {
-  const browserType = getBrowserType();
-
-  if (browserType === 'chrome' && chrome.identity && chrome.identity.getRedirectURL) {
-    // Use Chrome Identity API redirect URL (https://${chrome.runtime.id}.chromiumapp.org/)
-    return chrome.identity.getRedirectURL();
-  } else {
-    // For Edge and other browsers, use the proper Chrome extension redirect URI pattern
-    return `https://${chrome.runtime.id}.chromiumapp.org/`;
-  }
-}
-
 /**
  * Generate random state parameter for OAuth2 security
  * @returns {string} Random state string
@@ -83,6 +54,28 @@ function generateState() {
   return Array.from(array, (byte) => byte.toString(16).padStart(2, '0')).join('');
 }
 
+/**
+ * Encode bytes as base64url without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 code challenge
+ * @returns {Promise<{verifier: string, challenge: string}>} PKCE pair
+ */
+async function generatePkcePair() {
+  const verifier = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64UrlEncode(new Uint8Array(digest)) };
+}
+
 /**
  * Get Google OAuth token using Chrome Identity API (Chrome browsers)
  * @param {boolean} interactive - Whether to show account picker
@@ -99,6 +92,8 @@ async function getAuthTokenChrome(interactive = false) {
           // Handle specific error cases
           if (error.message.includes('OAuth2 client not found')) {
             reject(new Error('OAuth2 client not configured. Please check your manifest.json'));
+          } else if (error.message.includes('not granted or revoked')) {
+            reject(new AuthenticationError('Access to Google Drive was revoked'));
           } else if (error.message.includes('User not signed in')) {
             reject(new Error('User not signed in to Chrome'));
           } else {
@@ -123,19 +118,25 @@ async function getAuthTokenChrome(interactive = false) {
 }
 
 /**
- * Get Google OAuth token using fallback OAuth2 flow (non-Chrome browsers)
+ * Get Google OAuth token using fallback OAuth2 flow (non-Chrome browsers, and
+ * accounts other than the one signed in to Chrome)
  * @param {boolean} interactive - Whether to show account picker
+ * @param {Object} options - Flow options
+ * @param {boolean} options.selectAccount - Let the user pick any Google account
+ * @param {string|null} options.loginHint - Email of the account to sign in to
  * @returns {Promise<string>} OAuth token
  */
-async function getAuthTokenFallback(interactive = false) {
+async function getAuthTokenFallback(
+  interactive = false,
+  { selectAccount = false, loginHint = null } = {},
+) {
   try {
     const clientId = await getOAuth2ClientId();
-    const redirectUri = getRedirectUri();
+    const redirectUri = getRedirectURL();
     const state = generateState();
     const scope = OAUTH2_CONFIG.scope;
 
-    // Store state for verification
-    await chrome.storage.local.set({ oauth2_state: state });
+    const pkce = await generatePkcePair();
 
     // Build authorization URL
     const authUrl = new URL(OAUTH2_CONFIG.auth_url);
@@ -144,38 +145,34 @@ async function getAuthTokenFallback(interactive = false) {
     authUrl.searchParams.set('response_type', 'code');
     authUrl.searchParams.set('scope', scope);
     authUrl.searchParams.set('state', state);
+    authUrl.searchParams.set('code_challenge', pkce.challenge);
+    authUrl.searchParams.set('code_challenge_method', 'S256');
     authUrl.searchParams.set('access_type', 'offline');
-    authUrl.searchParams.set('prompt', interactive ? 'consent' : 'none');
-
-    // Open auth window
-    const windowId = await new Promise((resolve, reject) => {
-      chrome.windows.create(
-        {
-          url: authUrl.toString(),
-          type: 'popup',
-          width: 500,
-          height: 600,
-        },
-        (window) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(window.id);
-          }
-        },
-      );
+    authUrl.searchParams.set(
+      'prompt',
+      selectAccount ? 'select_account consent' : interactive ? 'consent' : 'none',
+    );
+    if (loginHint) {
+      authUrl.searchParams.set('login_hint', loginHint);
+    }
+
+    // Let the browser run the sign-in window and hand back the redirect URL
+    const responseUrl = await launchWebAuthFlow({
+      url: authUrl.toString(),
+      interactive: interactive || selectAccount,
     });
 
-    // Wait for auth code
-    const authCode = await waitForAuthCode(windowId, state);
+    const authCode = getAuthCode(responseUrl, state);
 
     // Exchange code for tokens
-    const tokens = await exchangeCodeForTokens(authCode);
+    const tokens = await exchangeCodeForTokens(authCode, pkce.verifier);
 
-    // Store tokens
+    // Store tokens; Google only sends a refresh token when the user consents
+    if (tokens.refresh_token) {
+      await saveRefreshToken(tokens.refresh_token);
+    }
     await chrome.storage.local.set({
       [STORAGE_KEYS.AUTH_TOKEN]: tokens.access_token,
-      [STORAGE_KEYS.REFRESH_TOKEN]: tokens.refresh_token,
       [STORAGE_KEYS.TOKEN_EXPIRY]: new Date(Date.now() + tokens.expires_in * 1000).toISOString(),
       [STORAGE_KEYS.AUTH_METHOD]: 'oauth2_fallback',
     });
@@ -188,60 +185,34 @@ async function getAuthTokenFallback(interactive = false) {
 }
 
 /**
- * Wait for OAuth2 authorization code from popup window
- * @param {number} windowId - Chrome window ID
- * @param {string} state - OAuth2 state parameter
- * @returns {Promise<string>} Authorization code
+ * Read the authorization code from the redirect URL
+ * @param {string} responseUrl - URL the authorization server redirected to
+ * @param {string} state - OAuth2 state parameter sent with the request
+ * @returns {string} Authorization code
  */
-async function waitForAuthCode(windowId, state) {
-  return new Promise((resolve, reject) => {
-    const listener = (tabId, changeInfo, tab) => {
-      if (changeInfo.status === 'complete' && tab.url) {
-        const url = new URL(tab.url);
-
-        // Check if this is our redirect URI
-        if (url.origin === new URL(getRedirectUri()).origin) {
-          const code = url.searchParams.get('code');
-          const returnedState = url.searchParams.get('state');
-          const error = url.searchParams.get('error');
-
-          if (error) {
-            chrome.tabs.onUpdated.removeListener(listener);
-            chrome.windows.remove(windowId);
-            reject(new Error(`OAuth2 error: ${error}`));
-            return;
-          }
-
-          if (code && returnedState === state) {
-            chrome.tabs.onUpdated.removeListener(listener);
-            chrome.windows.remove(windowId);
-            resolve(code);
-            return;
-          }
-        }
-      }
-    };
-
-    chrome.tabs.onUpdated.addListener(listener);
+function getAuthCode(responseUrl, state) {
+  const url = new URL(responseUrl);
+  const error = url.searchParams.get('error');
+  if (error) {
+    throw new Error(`OAuth2 error: ${error}`);
+  }
 
-    // Timeout after 5 minutes
-    setTimeout(() => {
-      chrome.tabs.onUpdated.removeListener(listener);
-      chrome.windows.remove(windowId);
-      reject(new Error('OAuth2 authorization timeout'));
-    }, 300000);
-  });
+  const code = url.searchParams.get('code');
+  if (!code || url.searchParams.get('state') !== state) {
+    throw new Error('OAuth2 response did not match the request');
+  }
+  return code;
 }
 
 /**
  * Exchange authorization code for access and refresh tokens
  * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier the challenge was made from
  * @returns {Promise<Object>} Token response
  */
-async function exchangeCodeForTokens(code) {
+async function exchangeCodeForTokens(code, codeVerifier) {
   const clientId = await getOAuth2ClientId();
-  const clientSecret = OAUTH2_CONFIG.client_secret;
-  const redirectUri = getRedirectUri();
+  const redirectUri = getRedirectURL();
 
   const response = await fetch(OAUTH2_CONFIG.token_url, {
     method: 'POST',
@@ -250,8 +221,8 @@ async function exchangeCodeForTokens(code) {
     },
     body: new URLSearchParams({
       client_id: clientId,
-      client_secret: clientSecret,
       code: code,
+      code_verifier: codeVerifier,
       grant_type: 'authorization_code',
       redirect_uri: redirectUri,
     }),
@@ -272,7 +243,6 @@ async function exchangeCodeForTokens(code) {
  */
 async function refreshAccessToken(refreshToken) {
   const clientId = await getOAuth2ClientId();
-  const clientSecret = OAUTH2_CONFIG.client_secret;
 
   const response = await fetch(OAUTH2_CONFIG.token_url, {
     method: 'POST',
@@ -281,7 +251,6 @@ async function refreshAccessToken(refreshToken) {
     },
     body: new URLSearchParams({
       client_id: clientId,
-      client_secret: clientSecret,
       refresh_token: refreshToken,
       grant_type: 'refresh_token',
     }),
@@ -289,12 +258,19 @@ async function refreshAccessToken(refreshToken) {
 
   if (!response.ok) {
     const error = await response.text();
+    // The user revoked access or the refresh token expired; only signing in again helps
+    if (error.includes('invalid_grant')) {
+      throw new AuthenticationError('Access to Google Drive was revoked');
+    }
     throw new Error(`Token refresh failed: ${error}`);
   }
 
   const tokens = await response.json();
 
-  // Update stored tokens
+  // Update stored tokens; Google may rotate the refresh token
+  if (tokens.refresh_token) {
+    await saveRefreshToken(tokens.refresh_token);
+  }
   await chrome.storage.local.set({
     [STORAGE_KEYS.AUTH_TOKEN]: tokens.access_token,
     [STORAGE_KEYS.TOKEN_EXPIRY]: new Date(Date.now() + tokens.expires_in * 1000).toISOString(),
@@ -303,7 +279,7 @@ async function refreshAccessToken(refreshToken) {
   return tokens.access_token;
 }
 
-// Storage keys for OAuth2 tokens
+// Storage keys for OAuth2 tokens of the active account
 const STORAGE_KEYS = {
   AUTH_TOKEN: 'bookDriveAuthToken',
   REFRESH_TOKEN: 'bookDriveRefreshToken',
@@ -312,12 +288,91 @@ const STORAGE_KEYS = {
   USER_INFO: 'bookDriveUserInfo',
 };
 
+// Account profiles swap these keys when switching accounts
+export const AUTH_STORAGE_KEYS = STORAGE_KEYS;
+
+// Lock name shared by the background, popup and options pages, so only one of them
+// renews the token at a time
+const TOKEN_RENEWAL_LOCK = 'bookDriveTokenRenewal';
+
+// Renewals of this page, chained when the Web Locks API is not available
+let pendingRenewal = Promise.resolve();
+
+/**
+ * Get a new access token without prompting the user. Renewals are serialised: a
+ * caller that waited for another renewal gets the token that one stored.
+ * @param {Object} options - Renewal options
+ * @param {string|null} options.rejectedToken - Token Google rejected; it is never returned
+ * @param {number} options.minValidityMs - Keep a stored token valid for at least this long
+ * @returns {Promise<string>} Access token
+ * @throws {AuthenticationError} When the user has to sign in again
+ */
+export function renewAuthToken({ rejectedToken = null, minValidityMs = 0 } = {}) {
+  const renew = () => renewStoredToken(rejectedToken, minValidityMs);
+
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(TOKEN_RENEWAL_LOCK, renew);
+  }
+
+  const renewal = pendingRenewal.then(renew, renew);
+  pendingRenewal = renewal.catch(() => {});
+  return renewal;
+}
+
+/**
+ * Replace the stored access token unless another renewal already did
+ * @param {string|null} rejectedToken - Token Google rejected
+ * @param {number} minValidityMs - Keep a stored token valid for at least this long
+ * @returns {Promise<string>} Access token
+ */
+async function renewStoredToken(rejectedToken, minValidityMs) {
+  const stored = await chrome.storage.local.get([
+    STORAGE_KEYS.AUTH_TOKEN,
+    STORAGE_KEYS.TOKEN_EXPIRY,
+    STORAGE_KEYS.AUTH_METHOD,
+  ]);
+  const currentToken = stored[STORAGE_KEYS.AUTH_TOKEN];
+
+  if (stored[STORAGE_KEYS.AUTH_METHOD] === 'oauth2_fallback') {
+    const expiresIn = new Date(stored[STORAGE_KEYS.TOKEN_EXPIRY]).getTime() - Date.now();
+    if (currentToken && currentToken !== rejectedToken && expiresIn > minValidityMs) {
+      return currentToken;
+    }
+
+    const refreshToken = await loadRefreshToken();
+    if (!refreshToken) {
+      throw new AuthenticationError('No refresh token, sign in again');
+    }
+    return refreshAccessToken(refreshToken);
+  }
+
+  // Chrome renews its own tokens; a different stored token is one renewed meanwhile
+  if (currentToken && rejectedToken && currentToken !== rejectedToken) {
+    return currentToken;
+  }
+  const cachedToken = rejectedToken || currentToken;
+  if (cachedToken && chrome.identity.removeCachedAuthToken) {
+    await new Promise((resolve) => {
+      chrome.identity.removeCachedAuthToken({ token: cachedToken }, resolve);
+    });
+  }
+
+  try {
+    return await getAuthTokenChrome(false);
+  } catch (error) {
+    // Without the account picker Chrome can only fail because the user has to act
+    throw new AuthenticationError(error.message);
+  }
+}
+
 /**
  * Get Google OAuth token with automatic method selection
  * @param {boolean} interactive - Whether to show account picker
+ * @param {Object} options - Token options
+ * @param {string|null} options.loginHint - Email of the account the web flow signs in to
  * @returns {Promise<string>} OAuth token
  */
-export async function getAuthToken(interactive = false) {
+export async function getAuthToken(interactive = false, { loginHint = null } = {}) {
   try {
     // Check if we have a valid stored token
     const stored = await chrome.storage.local.get([
@@ -334,23 +389,22 @@ export async function getAuthToken(interactive = false) {
       }
 
       // Token expired, try to refresh
-      if (
-        stored[STORAGE_KEYS.REFRESH_TOKEN] &&
-        stored[STORAGE_KEYS.AUTH_METHOD] === 'oauth2_fallback'
-      ) {
+      if (stored[STORAGE_KEYS.AUTH_METHOD] === 'oauth2_fallback') {
         try {
-          return await refreshAccessToken(stored[STORAGE_KEYS.REFRESH_TOKEN]);
+          return await renewAuthToken();
         } catch (error) {
           console.error('Token refresh failed, will re-authenticate:', error);
         }
       }
     }
 
-    // Get new token using appropriate method
-    if (isChromeIdentitySupported()) {
+    // Get new token using appropriate method. Accounts added through the OAuth2 flow
+    // are not the Chrome account, so the Chrome Identity API would return the wrong one.
+    const usesWebFlow = stored[STORAGE_KEYS.AUTH_METHOD] === 'oauth2_fallback';
+    if (supportsGetAuthToken() && !usesWebFlow) {
       return await getAuthTokenChrome(interactive);
     } else {
-      return await getAuthTokenFallback(interactive);
+      return await getAuthTokenFallback(interactive, { loginHint });
     }
   } catch (error) {
     console.error('Failed to get auth token:', error);
@@ -412,11 +466,16 @@ export async function isAuthenticated() {
 
 /**
  * Sign in user
+ * @param {Object} options - Sign-in options
+ * @param {boolean} options.selectAccount - Let the user pick any Google account, not only the Chrome one
+ * @param {string|null} options.loginHint - Email of the account to sign in to
  * @returns {Promise<Object>} User information
  */
-export async function signIn() {
+export async function signIn({ selectAccount = false, loginHint = null } = {}) {
   try {
-    const token = await getAuthToken(true);
+    const token = selectAccount
+      ? await getAuthTokenFallback(true, { selectAccount: true })
+      : await getAuthToken(true, { loginHint });
     const userInfo = await getUserInfo(token);
     return userInfo;
   } catch (error) {
@@ -467,72 +526,13 @@ export async function getStoredUserInfo() {
   }
 }
 
-/**
- * Ensure BookDrive folder exists in Google Drive
- * @param {boolean} createIfMissing - Whether to create folder if missing
- * @returns {Promise<string|null>} Folder ID or null
- */
-export async function ensureBookDriveFolder(createIfMissing = true) {
-  try {
-    const token = await getAuthToken();
-
-    // Check if folder already exists
-    const response = await fetch(
-      'https://www.googleapis.com/drive/v3/files?' +
-        'q=name="BookDrive" and mimeType="application/vnd.google-apps.folder" and trashed=false',
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      },
-    );
-
-    if (!response.ok) {
-      throw new Error(`Failed to check folder existence: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (data.files && data.files.length > 0) {
-      return data.files[0].id;
-    }
-
-    if (!createIfMissing) {
-      return null;
-    }
-
-    // Create folder
-    const createResponse = await fetch('https://www.googleapis.com/drive/v3/files', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        name: 'BookDrive',
-        mimeType: 'application/vnd.google-apps.folder',
-      }),
-    });
-
-    if (!createResponse.ok) {
-      throw new Error(`Failed to create folder: ${createResponse.statusText}`);
-    }
-
-    const folder = await createResponse.json();
-    return folder.id;
-  } catch (error) {
-    console.error('Failed to ensure BookDrive folder:', error);
-    throw error;
-  }
-}
-
 /**
  * Get browser compatibility information
  * @returns {Object} Compatibility information
  */
 export function getBrowserCompatibility() {
   const browserType = getBrowserType();
-  const chromeIdentitySupported = isChromeIdentitySupported();
+  const chromeIdentitySupported = supportsGetAuthToken();
 
   return {
     browserType,
@@ -22,7 +22,6 @@ const STORAGE_KEYS = {
 // OAuth2 Configuration
 const OAUTH2_CONFIG = {
   client_id: 'YOUR_OAUTH2_CLIENT_ID.apps.googleusercontent.com', // Replace with your actual client ID
-  client_secret: 'YOUR_OAUTH2_CLIENT_SECRET', // Replace with your actual client secret
   redirect_uri: chrome.identity
     ? chrome.identity.getRedirectURL()
     : `https://${chrome.runtime.id}.chromiumapp.org/`,
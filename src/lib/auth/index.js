@@ -3,3 +3,5 @@
  */
 
 export * from './drive-auth.js';
+export * from './accounts.js';
+export * from './auth-manager.js';
@@ -0,0 +1,78 @@
+/**
+ * token-store.js - Refresh token storage, encrypted at rest
+ *
+ * Refresh tokens of the OAuth2 web flow are long-lived, so they are encrypted with
+ * the device key before they are written to chrome.storage.local. Tokens saved in
+ * plain text by older versions are encrypted the next time they are read.
+ */
+
+import { getDeviceKey } from './device-key.js';
+
+const REFRESH_TOKEN_KEY = 'bookDriveRefreshToken';
+
+/**
+ * Encrypt and save a refresh token
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<void>}
+ */
+export async function saveRefreshToken(refreshToken) {
+  const key = await getDeviceKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(refreshToken),
+  );
+
+  await chrome.storage.local.set({
+    [REFRESH_TOKEN_KEY]: { iv: toBase64(iv), data: toBase64(new Uint8Array(encrypted)) },
+  });
+}
+
+/**
+ * Read and decrypt the saved refresh token
+ * @returns {Promise<string|null>} Refresh token, or null when there is none or it cannot be decrypted
+ */
+export async function loadRefreshToken() {
+  const result = await chrome.storage.local.get(REFRESH_TOKEN_KEY);
+  const stored = result && result[REFRESH_TOKEN_KEY];
+  if (!stored) {
+    return null;
+  }
+
+  if (typeof stored === 'string') {
+    await saveRefreshToken(stored);
+    return stored;
+  }
+
+  try {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+      await getDeviceKey(),
+      fromBase64(stored.data),
+    );
+    return new TextDecoder().decode(decrypted);
+  } catch (error) {
+    // The key is gone (e.g. site data was cleared), so the user has to sign in again
+    console.warn('Failed to decrypt refresh token:', error);
+    return null;
+  }
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+}
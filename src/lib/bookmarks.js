@@ -1,5 +1,7 @@
 // bookmarks.js - Native bookmarks integration for BookDrive
 
+import { BOOKMARK_ROOT_IDS, addBookmarkListener } from './browser-api.js';
+
 /**
  * Export the full bookmarks tree as JSON.
  * @returns {Promise<Array>}
@@ -14,7 +16,7 @@ export async function exportBookmarksTree() {
 
 /**
  * Export bookmarks as {folders, bookmarks, device, timestamp, hash}.
- * Bookmarks now include parentId for correct import.
+ * Folders and bookmarks include parentId and their index within the parent.
  * @returns {Promise<Object>}
  */
 export async function exportBookmarksState() {
@@ -45,12 +47,14 @@ function splitFoldersAndBookmarks(tree, folders = [], bookmarks = [], parentId =
         title: node.title,
         url: node.url,
         parentId: parentId ?? undefined,
+        index: node.index,
       });
     } else {
       folders.push({
         id: node.id || '0',
         title: node.title,
         parentId: parentId || '0',
+        index: node.index,
       });
       if (node.children) {
         splitFoldersAndBookmarks(node.children, folders, bookmarks, node.id || '0');
@@ -171,7 +175,7 @@ export async function importBookmarksTree(tree, mode = 'replace') {
 
     for (const added of diff.added) {
       const createParams = {
-        parentId: added.parentId || '1',
+        parentId: added.parentId || BOOKMARK_ROOT_IDS.TOOLBAR,
         title: added.title,
       };
       if (added.url) createParams.url = added.url;
@@ -224,7 +228,7 @@ async function removeNodeRecursive(node) {
   }
 
   // Don't remove root bookmark folders
-  const protectedIds = ['0', '1', '2'];
+  const protectedIds = Object.values(BOOKMARK_ROOT_IDS);
   if (node.id && !protectedIds.includes(node.id)) {
     try {
       chrome.bookmarks.removeTree(node.id);
@@ -268,7 +272,96 @@ async function importTreeRecursive(tree, parentId = '0') {
 export function listenForBookmarkChanges(callback) {
   const events = ['onCreated', 'onRemoved', 'onChanged', 'onMoved', 'onChildrenReordered'];
   for (const evt of events) {
-    chrome.bookmarks[evt].addListener(callback);
+    addBookmarkListener(evt, callback);
+  }
+}
+
+/**
+ * Apply a list of sync operations to the local bookmark tree.
+ * Supported operation types: 'create', 'update', 'move', 'remove'.
+ * Operations without a url apply to folders. Parents created earlier in the same
+ * list may be referenced by their operation id.
+ * @param {Array<Object>} operations - Operations ({type, id, bookmark})
+ * @param {Object} options - Apply options
+ * @param {string} options.fallbackParentId - Parent used when the target folder is missing
+ * @returns {Promise<{createdIds: Object, failed: Array<Object>}>} Map of operation ids to the
+ *   local node ids they created, and the operations that could not be applied
+ */
+export async function applyBookmarkOperations(operations, options = {}) {
+  const { fallbackParentId = BOOKMARK_ROOT_IDS.OTHER } = options;
+  const createdIds = {};
+  const failed = [];
+  const resolveParent = (parentId) => createdIds[parentId] || parentId;
+
+  for (const op of operations) {
+    try {
+      if (op.type === 'create') {
+        const created = await createWithFallbackParent(
+          { ...op.bookmark, parentId: resolveParent(op.bookmark.parentId) },
+          fallbackParentId,
+        );
+        createdIds[op.id] = created.id;
+      } else if (op.type === 'update') {
+        const changes = { title: op.bookmark.title };
+        if (op.bookmark.url !== undefined) changes.url = op.bookmark.url;
+        await chrome.bookmarks.update(op.id, changes);
+      } else if (op.type === 'move') {
+        await moveToPosition(op.id, resolveParent(op.bookmark.parentId), op.bookmark.index);
+      } else if (op.type === 'remove') {
+        if (op.bookmark && !op.bookmark.url) {
+          await chrome.bookmarks.removeTree(op.id);
+        } else {
+          await chrome.bookmarks.remove(op.id);
+        }
+      }
+    } catch (error) {
+      console.warn(`Failed to apply ${op.type} for bookmark ${op.id}:`, error);
+      failed.push(op);
+    }
+  }
+
+  return { createdIds, failed };
+}
+
+/**
+ * Move a node so that it ends up at the given index of its parent.
+ * Within the same parent, chrome.bookmarks.move counts the node itself when it
+ * moves down, so the index is shifted by one in that case.
+ * @param {string} id - Node ID
+ * @param {string} parentId - Target parent ID
+ * @param {number|undefined} index - Final index within the parent
+ * @returns {Promise<Object>} Moved node
+ */
+async function moveToPosition(id, parentId, index) {
+  const destination = { parentId };
+
+  if (index !== undefined) {
+    const [node] = await chrome.bookmarks.get(id);
+    destination.index =
+      node && node.parentId === parentId && node.index < index ? index + 1 : index;
+  }
+
+  return chrome.bookmarks.move(id, destination);
+}
+
+/**
+ * Create a bookmark or folder, falling back to another parent if the original one is gone.
+ * @param {Object} bookmark - Bookmark ({title, url, parentId, index}); folders have no url
+ * @param {string} fallbackParentId - Parent to use on failure
+ * @returns {Promise<Object>} Created node
+ */
+async function createWithFallbackParent(bookmark, fallbackParentId) {
+  const details = { title: bookmark.title };
+  if (bookmark.url !== undefined) details.url = bookmark.url;
+
+  try {
+    return await chrome.bookmarks.create({
+      ...details,
+      parentId: bookmark.parentId || fallbackParentId,
+      ...(bookmark.index !== undefined ? { index: bookmark.index } : {}),
+    });
+  } catch (error) {
+    return chrome.bookmarks.create({ ...details, parentId: fallbackParentId });
   }
 }
 
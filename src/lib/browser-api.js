@@ -0,0 +1,149 @@
+/**
+ * browser-api.js - Differences between Chromium browsers and Firefox
+ *
+ * Firefox provides the WebExtensions APIs under `browser` and, for compatibility,
+ * under `chrome` as well, so storage, alarms, bookmarks and the web Notification
+ * API are used the same way in both. This module covers the places where they
+ * differ:
+ * - identity: Firefox has no getAuthToken, only launchWebAuthFlow, and its own
+ *   redirect URL
+ * - bookmarks: the root folders have GUIDs instead of numeric IDs, and some events
+ *   (onChildrenReordered, onImportBegan/onImportEnded) do not exist
+ * - alarms: get() only returns a promise in Chromium's MV3 API and Firefox's
+ *   `browser` namespace
+ */
+
+/**
+ * Browsers BookDrive knows about
+ */
+export const BROWSERS = {
+  CHROME: 'chrome',
+  EDGE: 'edge',
+  FIREFOX: 'firefox',
+  SAFARI: 'safari',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Get the extension API namespace
+ * @returns {Object} `browser` in Firefox, `chrome` elsewhere
+ */
+export function getExtensionApi() {
+  if (typeof browser !== 'undefined' && browser.runtime) {
+    return browser;
+  }
+  return typeof chrome !== 'undefined' ? chrome : undefined;
+}
+
+/**
+ * Detect the browser from the user agent
+ * @returns {string} One of BROWSERS
+ */
+export function getBrowserType() {
+  const userAgent = navigator.userAgent;
+  if (userAgent.includes('Edg/')) return BROWSERS.EDGE;
+  if (userAgent.includes('Chrome/') && !userAgent.includes('Edg/')) return BROWSERS.CHROME;
+  if (userAgent.includes('Firefox/')) return BROWSERS.FIREFOX;
+  if (userAgent.includes('Safari/') && !userAgent.includes('Chrome/')) return BROWSERS.SAFARI;
+  return BROWSERS.UNKNOWN;
+}
+
+/**
+ * Check whether this is Firefox
+ * @returns {boolean} True in Firefox
+ */
+export function isFirefox() {
+  return getBrowserType() === BROWSERS.FIREFOX;
+}
+
+/**
+ * Local IDs of the built-in bookmark folders. Chromium has no bookmarks menu.
+ */
+export const BOOKMARK_ROOT_IDS = isFirefox()
+  ? {
+      ROOT: 'root________',
+      TOOLBAR: 'toolbar_____',
+      OTHER: 'unfiled_____',
+      MOBILE: 'mobile______',
+      MENU: 'menu________',
+    }
+  : { ROOT: '0', TOOLBAR: '1', OTHER: '2', MOBILE: '3', MENU: null };
+
+/**
+ * Listen to a bookmark event if this browser has it
+ * @param {string} eventName - Event name, e.g. 'onChildrenReordered'
+ * @param {Function} listener - Event listener
+ * @returns {boolean} False when the browser does not have the event
+ */
+export function addBookmarkListener(eventName, listener) {
+  const event = getExtensionApi()?.bookmarks?.[eventName];
+  if (!event) {
+    return false;
+  }
+  event.addListener(listener);
+  return true;
+}
+
+/**
+ * Get an alarm by name
+ * @param {string} name - Alarm name
+ * @returns {Promise<Object|undefined>} Alarm, or undefined when there is none
+ */
+export function getAlarm(name) {
+  return new Promise((resolve) => {
+    const result = chrome.alarms.get(name, resolve);
+    if (result && typeof result.then === 'function') {
+      result.then(resolve);
+    }
+  });
+}
+
+/**
+ * Check whether the browser can hand out tokens for its signed-in Google account
+ * (chrome.identity.getAuthToken). Only Chrome can; Edge and Brave have the
+ * function but not the Google account integration behind it.
+ * @returns {boolean} True when getAuthToken can be used
+ */
+export function supportsGetAuthToken() {
+  return (
+    typeof chrome !== 'undefined' &&
+    !!chrome.identity &&
+    typeof chrome.identity.getAuthToken === 'function' &&
+    getBrowserType() === BROWSERS.CHROME
+  );
+}
+
+/**
+ * Get the URL the OAuth2 web flow redirects back to
+ * @returns {string} Redirect URL (chromiumapp.org in Chromium, allizom.org in Firefox)
+ */
+export function getRedirectURL() {
+  const identity = getExtensionApi()?.identity;
+  if (identity && identity.getRedirectURL) {
+    return identity.getRedirectURL();
+  }
+  return `https://${chrome.runtime.id}.chromiumapp.org/`;
+}
+
+/**
+ * Run an OAuth2 web flow in a browser-managed window
+ * @param {Object} details - launchWebAuthFlow details ({url, interactive})
+ * @returns {Promise<string>} URL the flow redirected to
+ */
+export function launchWebAuthFlow(details) {
+  const api = getExtensionApi();
+  if (api !== chrome) {
+    // browser.identity only returns a promise
+    return api.identity.launchWebAuthFlow(details);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.identity.launchWebAuthFlow(details, (redirectUrl) => {
+      if (chrome.runtime.lastError || !redirectUrl) {
+        reject(new Error(chrome.runtime.lastError?.message || 'No response from sign-in'));
+      } else {
+        resolve(redirectUrl);
+      }
+    });
+  });
+}
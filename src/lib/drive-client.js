@@ -0,0 +1,210 @@
+/**
+ * drive-client.js - Request scheduler for the Google Drive API
+ *
+ * Every Drive request goes through driveFetch, which:
+ * - limits how many requests run at once
+ * - retries rate-limited requests (429, or 403 with a rate limit reason), waiting for
+ *   Retry-After when Drive sends it and backing off exponentially with jitter otherwise
+ * - retries server errors for GET requests, which are safe to repeat
+ * - shares one request between identical GETs that are in flight at the same time,
+ *   so opening the popup does not send the same listing a dozen times
+ *
+ * When the retries run out the last response is returned as is, so callers handle
+ * errors the way they would for a plain fetch.
+ */
+
+// Requests sent to Drive at the same time
+const MAX_CONCURRENT_REQUESTS = 4;
+
+// Retries after the first attempt
+const MAX_RETRIES = 5;
+
+// Exponential backoff: 1s, 2s, 4s, ... capped at 32s, plus up to 1s of jitter
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 32 * 1000;
+const MAX_JITTER_MS = 1000;
+
+// Waiting longer than this is left to the caller (e.g. the next scheduled sync)
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+// 403 reasons that mean "slow down" rather than "not allowed"
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const queue = [];
+const inFlight = new Map();
+let activeRequests = 0;
+
+// Set when Drive asks to slow down, so queued requests wait as well
+let pausedUntil = 0;
+
+/**
+ * Send a request to the Google Drive API
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+export function driveFetch(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  if (method !== 'GET') {
+    return sendWithRetries(url, options, method);
+  }
+
+  // Requests with different tokens may see different files, so they are not shared
+  const key = `${url}\n${getHeader(options.headers, 'Authorization') || ''}`;
+  let request = inFlight.get(key);
+  if (!request) {
+    request = sendWithRetries(url, options, method).finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+  }
+
+  // Each caller reads its own copy of the body
+  return request.then((response) =>
+    typeof response.clone === 'function' ? response.clone() : response,
+  );
+}
+
+/**
+ * Send a request, retrying while Drive asks to slow down
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {string} method - HTTP method
+ * @returns {Promise<Response>} - Last response
+ */
+async function sendWithRetries(url, options, method) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await schedule(() => fetch(url, options));
+    const delay = attempt < MAX_RETRIES ? await getRetryDelay(response, method, attempt) : null;
+    if (delay === null) {
+      return response;
+    }
+
+    console.warn(`Drive request failed with ${response.status}, retrying in ${delay}ms`);
+    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+  }
+}
+
+/**
+ * Run a request once a slot is free and any pause has passed
+ * @param {Function} send - Sends the request
+ * @returns {Promise<Response>} - Response
+ */
+function schedule(send) {
+  return new Promise((resolve, reject) => {
+    queue.push({ send, resolve, reject });
+    runQueue();
+  });
+}
+
+/**
+ * Start queued requests while slots are free
+ * @returns {void}
+ */
+function runQueue() {
+  while (activeRequests < MAX_CONCURRENT_REQUESTS && queue.length > 0) {
+    const { send, resolve, reject } = queue.shift();
+    activeRequests++;
+
+    waitForPause()
+      .then(send)
+      .then(resolve, reject)
+      .finally(() => {
+        activeRequests--;
+        runQueue();
+      });
+  }
+}
+
+/**
+ * Wait until Drive is willing to take requests again
+ * @returns {Promise<void>}
+ */
+async function waitForPause() {
+  const wait = pausedUntil - Date.now();
+  if (wait > 0) {
+    await new Promise((resolve) => setTimeout(resolve, wait));
+  }
+}
+
+/**
+ * Work out how long to wait before retrying a response
+ * @param {Response} response - Response
+ * @param {string} method - HTTP method
+ * @param {number} attempt - Attempts made so far, minus one
+ * @returns {Promise<number|null>} - Delay in ms, or null when the response is final
+ */
+async function getRetryDelay(response, method, attempt) {
+  if (response.status === 429 || (response.status === 403 && (await isRateLimited(response)))) {
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+    if (retryAfter === null) {
+      return getBackoffDelay(attempt);
+    }
+    return retryAfter <= MAX_RETRY_AFTER_MS ? retryAfter : null;
+  }
+
+  if (response.status >= 500 && method === 'GET') {
+    return getBackoffDelay(attempt);
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a 403 response is a rate limit rather than a permission error
+ * @param {Response} response - Response
+ * @returns {Promise<boolean>} - True for rate limit errors
+ */
+async function isRateLimited(response) {
+  if (typeof response.clone !== 'function') {
+    return false;
+  }
+
+  try {
+    const body = await response.clone().json();
+    const errors = (body.error && body.error.errors) || [];
+    return errors.some((error) => RATE_LIMIT_REASONS.includes(error.reason));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a Retry-After header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in ms, or null when missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the backoff delay for a retry
+ * @param {number} attempt - Attempts made so far, minus one
+ * @returns {number} - Delay in ms
+ */
+function getBackoffDelay(attempt) {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return delay + Math.floor(Math.random() * MAX_JITTER_MS);
+}
+
+/**
+ * Read a header from fetch options
+ * @param {Object|Headers} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const match = Object.keys(headers).find((key) => key.toLowerCase() === name.toLowerCase());
+  return match ? headers[match] : undefined;
+}
@@ -5,28 +5,57 @@
  * for storing and retrieving bookmark data.
  */
 
-import { getAuthToken } from './auth/drive-auth.js';
+import { refreshAuthToken } from './auth/auth-manager.js';
+import { driveFetch } from './drive-client.js';
+import {
+  AuthenticationError,
+  DriveApiError,
+  RevisionConflictError,
+  UploadInterruptedError,
+} from '../utils/error-handler.js';
+
+// Storage key for file IDs remembered by upsertFile
+const FILE_ID_CACHE_KEY = 'bookDriveFileIds';
+
+// Payloads larger than this are uploaded in chunks through a resumable session
+export const RESUMABLE_UPLOAD_THRESHOLD = 5 * 1024 * 1024;
+
+// Drive requires chunk sizes in multiples of 256 KiB
+const UPLOAD_CHUNK_SIZE = 4 * 256 * 1024;
+
+// Storage keys for interrupted uploads, so they can resume after the service worker restarts
+const UPLOAD_SESSIONS_KEY = 'bookDriveUploadSessions';
+const UPLOAD_PAYLOAD_PREFIX = 'bookDriveUploadPayload_';
+
+// Drive keeps a resumable session for a week
+const UPLOAD_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Attempts to continue after a network error before leaving the upload for later
+const MAX_UPLOAD_RETRIES = 3;
+
+// Folder alias for the hidden app data folder, only visible to BookDrive
+export const APP_DATA_FOLDER = 'appDataFolder';
 
 /**
- * Handle API response with automatic token refresh via Chrome Identity API
+ * Handle API response with automatic token renewal
  * @param {Response} response - Fetch response
  * @param {string} token - Current auth token
  * @param {Function} retryFn - Function to retry the operation with a new token
  * @returns {Promise<any>} - Response data or throws error
  */
 export async function handleApiResponse(response, token, retryFn) {
-  // If unauthorized, Chrome Identity API will handle token refresh automatically
+  // Retry with a renewed token; the rejected one is never handed out again
   if (response.status === 401) {
+    let newToken;
     try {
-      // Get a fresh token (Chrome Identity API handles refresh automatically)
-      const newToken = await getAuthToken(false);
-      return retryFn(newToken);
+      newToken = await refreshAuthToken({ rejectedToken: token });
     } catch (refreshError) {
-      throw new Error(`Authentication failed: ${refreshError.message}`);
+      throw new AuthenticationError(`Authentication failed: ${refreshError.message}`);
     }
+    return retryFn(newToken);
   }
 
-  // Handle rate limiting
+  // Still rate limited after driveFetch retried the request
   if (response.status === 429) {
     const retryAfter = response.headers.get('Retry-After') || '60';
     const delaySeconds = parseInt(retryAfter, 10);
@@ -41,7 +70,10 @@ export async function handleApiResponse(response, token, retryFn) {
 
   // Handle other errors
   if (!response.ok) {
-    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    throw new DriveApiError(
+      `API request failed: ${response.status} ${response.statusText}`,
+      response.status,
+    );
   }
 
   return response.json();
@@ -64,7 +96,7 @@ export async function createFolder(name, parentId = null, token) {
   }
 
   const makeRequest = async (currentToken) => {
-    const response = await fetch('https://www.googleapis.com/drive/v3/files', {
+    const response = await driveFetch('https://www.googleapis.com/drive/v3/files', {
       method: 'POST',
       headers: {
         Authorization: `Bearer ${currentToken}`,
@@ -85,9 +117,12 @@ export async function createFolder(name, parentId = null, token) {
  * @param {string|Object} content - File content
  * @param {string} parentId - Parent folder ID (optional)
  * @param {string} token - Auth token
+ * @param {Object} options - Upload options
+ * @param {boolean} options.resumable - Use a resumable session regardless of size
+ * @param {Function} options.onProgress - Called with (uploadedBytes, totalBytes) for resumable uploads
  * @returns {Promise<Object>} - The uploaded file metadata
  */
-export async function uploadFile(name, content, parentId = null, token) {
+export async function uploadFile(name, content, parentId = null, token, options = {}) {
   // Validate content
   if (!content) {
     throw new Error('File content cannot be empty');
@@ -96,6 +131,10 @@ export async function uploadFile(name, content, parentId = null, token) {
   // Convert content to string if it's an object
   const contentStr = typeof content === 'object' ? JSON.stringify(content) : content;
 
+  if (options.resumable || new Blob([contentStr]).size > RESUMABLE_UPLOAD_THRESHOLD) {
+    return uploadFileResumable(name, contentStr, parentId, token, options);
+  }
+
   // Create metadata part
   const metadata = {
     name,
@@ -121,7 +160,7 @@ export async function uploadFile(name, content, parentId = null, token) {
     closeDelimiter;
 
   const makeRequest = async (currentToken) => {
-    const response = await fetch(
+    const response = await driveFetch(
       'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart',
       {
         method: 'POST',
@@ -139,6 +178,482 @@ export async function uploadFile(name, content, parentId = null, token) {
   return makeRequest(token);
 }
 
+/**
+ * Replace the contents of an existing Google Drive file
+ * @param {string} fileId - File ID
+ * @param {string|Object} content - File content
+ * @param {string} token - Auth token
+ * @param {Object} options - Upload options (see uploadFile)
+ * @returns {Promise<Object|null>} - The updated file metadata, or null if the file no longer exists
+ */
+export async function updateFileContent(fileId, content, token, options = {}) {
+  if (!fileId) {
+    throw new Error('File ID cannot be empty');
+  }
+
+  if (!content) {
+    throw new Error('File content cannot be empty');
+  }
+
+  const contentStr = typeof content === 'object' ? JSON.stringify(content) : content;
+
+  if (options.resumable || new Blob([contentStr]).size > RESUMABLE_UPLOAD_THRESHOLD) {
+    return uploadFileResumable(null, contentStr, null, token, { ...options, fileId });
+  }
+
+  const makeRequest = async (currentToken) => {
+    const response = await driveFetch(
+      `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=media&fields=id,name,modifiedTime,trashed`,
+      {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${currentToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: contentStr,
+      },
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    return handleApiResponse(response, currentToken, (newToken) => makeRequest(newToken));
+  };
+
+  return makeRequest(token);
+}
+
+/**
+ * Upload a file in chunks through a Drive resumable session.
+ * The session and payload are kept in chrome.storage.local until the upload
+ * completes, so an upload cut short by the service worker stopping continues
+ * through resumePendingUploads on the next wake-up.
+ * @param {string} name - File name (ignored when replacing an existing file)
+ * @param {string|Object} content - File content
+ * @param {string} parentId - Parent folder ID (optional)
+ * @param {string} token - Auth token
+ * @param {Object} options - Upload options
+ * @param {string} options.fileId - Replace the contents of this file instead of creating one
+ * @param {string|null} options.expectedRevision - Head revision the write was checked against
+ *   (null: the file did not exist); a resumed upload is dropped if the file moved on since
+ * @param {Function} options.onProgress - Called with (uploadedBytes, totalBytes) after each chunk
+ * @param {number} options.chunkSize - Chunk size in bytes (multiple of 256 KiB)
+ * @returns {Promise<Object|null>} - The file metadata, or null if the file to replace no longer exists
+ * @throws {UploadInterruptedError} If the network kept failing; the upload resumes later
+ */
+export async function uploadFileResumable(name, content, parentId = null, token, options = {}) {
+  const {
+    fileId = null,
+    expectedRevision,
+    onProgress = null,
+    chunkSize = UPLOAD_CHUNK_SIZE,
+  } = options;
+  const contentStr = typeof content === 'object' ? JSON.stringify(content) : content;
+  const size = new Blob([contentStr]).size;
+
+  const metadata = fileId ? {} : { name, mimeType: 'application/json' };
+  if (parentId && !fileId) {
+    metadata.parents = [parentId];
+  }
+
+  const makeRequest = async (currentToken) => {
+    const response = await driveFetch(
+      fileId
+        ? `https://www.googleapis.com/upload/drive/v3/files/${fileId}?uploadType=resumable&fields=id,name,modifiedTime,trashed`
+        : 'https://www.googleapis.com/upload/drive/v3/files?uploadType=resumable',
+      {
+        method: fileId ? 'PATCH' : 'POST',
+        headers: {
+          Authorization: `Bearer ${currentToken}`,
+          'Content-Type': 'application/json; charset=UTF-8',
+          'X-Upload-Content-Type': 'application/json',
+          'X-Upload-Content-Length': String(size),
+        },
+        body: JSON.stringify(metadata),
+      },
+    );
+
+    if (fileId && response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      return handleApiResponse(response, currentToken, (newToken) => makeRequest(newToken));
+    }
+
+    return response.headers.get('Location');
+  };
+
+  const uri = await makeRequest(token);
+  if (!uri) {
+    return null;
+  }
+
+  const session = {
+    id: `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    uri,
+    name: name || fileId,
+    fileId,
+    parentId: fileId ? null : parentId,
+    size,
+    uploaded: 0,
+    createdAt: new Date().toISOString(),
+  };
+  if (expectedRevision !== undefined) {
+    session.expectedRevision = expectedRevision;
+  }
+  await chrome.storage.local.set({ [`${UPLOAD_PAYLOAD_PREFIX}${session.id}`]: contentStr });
+  await saveUploadSession(session);
+
+  return continueUpload(session, contentStr, { onProgress, chunkSize });
+}
+
+/**
+ * Continue the uploads that were interrupted, e.g. when the service worker was stopped.
+ * An upload only resumes while Drive still holds what it was started against: the
+ * replaced file at the expected revision, or no file of the same name for new files.
+ * Otherwise another write came first and the upload is dropped; the next sync or
+ * backup writes the file again.
+ * @param {Object} options - Upload options
+ * @param {string} options.token - Auth token for the checks; without one, uploads wait
+ * @param {Function} options.onProgress - Called with (name, uploadedBytes, totalBytes) after each chunk
+ * @returns {Promise<Array<Object>>} - Metadata of the files that finished uploading
+ */
+export async function resumePendingUploads({ token = null, onProgress = null } = {}) {
+  const completed = [];
+
+  for (const session of Object.values(await getUploadSessions())) {
+    const payloadKey = `${UPLOAD_PAYLOAD_PREFIX}${session.id}`;
+    const result = await chrome.storage.local.get(payloadKey);
+    const contentStr = result && result[payloadKey];
+
+    if (!contentStr || Date.now() - new Date(session.createdAt).getTime() > UPLOAD_SESSION_TTL_MS) {
+      await clearUploadSession(session.id);
+      continue;
+    }
+
+    try {
+      if (!token) continue;
+      if (await isUploadOutdated(session, token)) {
+        console.warn(`Dropped the interrupted upload of ${session.name}, the file changed since`);
+        await clearUploadSession(session.id);
+        continue;
+      }
+
+      const file = await continueUpload(session, contentStr, {
+        onProgress: onProgress && ((uploaded, total) => onProgress(session.name, uploaded, total)),
+        resume: true,
+      });
+      completed.push(file);
+    } catch (error) {
+      console.warn(`Failed to resume upload of ${session.name}:`, error);
+    }
+  }
+
+  return completed;
+}
+
+/**
+ * Check whether Drive moved on since an upload session was started
+ * @param {Object} session - Upload session
+ * @param {string} token - Auth token
+ * @returns {Promise<boolean>} - True when the upload would overwrite or duplicate a newer file
+ */
+async function isUploadOutdated(session, token) {
+  if (!session.fileId) {
+    const existing = await listFiles(session.parentId, token, { name: session.name });
+    return existing.length > 0;
+  }
+  if (session.expectedRevision === undefined) {
+    return false;
+  }
+
+  try {
+    const current = await getFileMetadata(session.fileId, token, 'id,headRevisionId,trashed');
+    return current.trashed || current.headRevisionId !== session.expectedRevision;
+  } catch (error) {
+    if (error instanceof DriveApiError && error.status === 404) return true;
+    throw error;
+  }
+}
+
+/**
+ * Send the remaining chunks of an upload session
+ * @param {Object} session - Upload session
+ * @param {string} contentStr - Full file content
+ * @param {Object} options - Upload options
+ * @param {Function} options.onProgress - Called with (uploadedBytes, totalBytes) after each chunk
+ * @param {number} options.chunkSize - Chunk size in bytes
+ * @param {boolean} options.resume - Ask Drive how much it received before sending
+ * @returns {Promise<Object>} - The file metadata
+ */
+async function continueUpload(
+  session,
+  contentStr,
+  { onProgress = null, chunkSize = UPLOAD_CHUNK_SIZE, resume = false } = {},
+) {
+  const blob = new Blob([contentStr]);
+  let checkStatus = resume;
+  let failures = 0;
+
+  for (;;) {
+    let result;
+    try {
+      result = await sendUploadChunk(session, blob, checkStatus ? 0 : chunkSize);
+    } catch (error) {
+      // fetch rejects with a TypeError when the network drops
+      if (!(error instanceof TypeError)) throw error;
+      result = { interrupted: true };
+    }
+
+    if (result.expired) {
+      await clearUploadSession(session.id);
+      throw new Error(`Upload session for ${session.name} expired`);
+    }
+
+    if (result.interrupted) {
+      if (++failures > MAX_UPLOAD_RETRIES) {
+        throw new UploadInterruptedError(`Upload of ${session.name} was interrupted`, {
+          sessionId: session.id,
+          uploaded: session.uploaded,
+          size: session.size,
+        });
+      }
+      checkStatus = true;
+      continue;
+    }
+
+    if (result.file) {
+      await clearUploadSession(session.id);
+      if (onProgress) onProgress(session.size, session.size);
+      return result.file;
+    }
+
+    failures = 0;
+    checkStatus = false;
+    session.uploaded = result.uploaded;
+    await saveUploadSession(session);
+    if (onProgress) onProgress(session.uploaded, session.size);
+  }
+}
+
+/**
+ * Send the next chunk of an upload, or ask for its status when the chunk size is 0
+ * @param {Object} session - Upload session
+ * @param {Blob} blob - Full file content
+ * @param {number} chunkSize - Chunk size in bytes
+ * @returns {Promise<Object>} - {uploaded}, {file}, {interrupted} or {expired}
+ */
+async function sendUploadChunk(session, blob, chunkSize) {
+  const start = session.uploaded;
+  const end = Math.min(start + chunkSize, session.size);
+
+  // The session URI identifies the upload, no auth header is needed
+  const response = await fetch(session.uri, {
+    method: 'PUT',
+    headers: {
+      'Content-Range':
+        end > start ? `bytes ${start}-${end - 1}/${session.size}` : `bytes */${session.size}`,
+    },
+    body: end > start ? blob.slice(start, end) : null,
+  });
+
+  if (response.status === 308) {
+    // Range is "bytes=0-<last byte received>", missing when nothing arrived yet
+    const range = response.headers.get('Range');
+    return { uploaded: range ? Number(range.split('-')[1]) + 1 : 0 };
+  }
+  if (response.ok) {
+    return { file: await response.json() };
+  }
+  if (response.status === 404 || response.status === 410) {
+    return { expired: true };
+  }
+  if (response.status >= 500) {
+    return { interrupted: true };
+  }
+
+  throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
+}
+
+/**
+ * Get the persisted upload sessions
+ * @returns {Promise<Object>} - Sessions by ID
+ */
+async function getUploadSessions() {
+  const result = await chrome.storage.local.get(UPLOAD_SESSIONS_KEY);
+  return (result && result[UPLOAD_SESSIONS_KEY]) || {};
+}
+
+/**
+ * Persist an upload session and its progress
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+async function saveUploadSession(session) {
+  const sessions = await getUploadSessions();
+  sessions[session.id] = session;
+  await chrome.storage.local.set({ [UPLOAD_SESSIONS_KEY]: sessions });
+}
+
+/**
+ * Forget an upload session and its payload
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<void>}
+ */
+async function clearUploadSession(sessionId) {
+  const sessions = await getUploadSessions();
+  delete sessions[sessionId];
+  await chrome.storage.local.set({ [UPLOAD_SESSIONS_KEY]: sessions });
+  await chrome.storage.local.remove(`${UPLOAD_PAYLOAD_PREFIX}${sessionId}`);
+}
+
+/**
+ * Get file metadata from Google Drive
+ * @param {string} fileId - File ID
+ * @param {string} token - Auth token
+ * @param {string} fields - Fields to return
+ * @returns {Promise<Object>} - The file metadata
+ */
+export async function getFileMetadata(
+  fileId,
+  token,
+  fields = 'id,name,modifiedTime,headRevisionId,version',
+) {
+  if (!fileId) {
+    throw new Error('File ID cannot be empty');
+  }
+
+  const makeRequest = async (currentToken) => {
+    const response = await driveFetch(
+      `https://www.googleapis.com/drive/v3/files/${fileId}?fields=${encodeURIComponent(fields)}`,
+      {
+        headers: {
+          Authorization: `Bearer ${currentToken}`,
+        },
+      },
+    );
+
+    return handleApiResponse(response, currentToken, (newToken) => makeRequest(newToken));
+  };
+
+  return makeRequest(token);
+}
+
+/**
+ * Replace the contents of a file only if its head revision has not moved.
+ * Drive v3 has no conditional writes, so the revision is checked right before the update.
+ * @param {string} fileId - File ID
+ * @param {string|Object} content - File content
+ * @param {string} expectedRevisionId - Head revision ID seen when the file was read
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} - The updated file metadata
+ * @throws {RevisionConflictError} If the file was changed by someone else
+ */
+export async function updateFileIfUnchanged(fileId, content, expectedRevisionId, token) {
+  const current = await getFileMetadata(fileId, token);
+
+  if (current.headRevisionId !== expectedRevisionId) {
+    throw new RevisionConflictError('File was modified by another device', {
+      fileId,
+      expectedRevisionId,
+      actualRevisionId: current.headRevisionId,
+    });
+  }
+
+  const updated = await updateFileContent(fileId, content, token, {
+    expectedRevision: expectedRevisionId,
+  });
+  if (!updated || updated.trashed) {
+    throw new RevisionConflictError('File was removed by another device', { fileId });
+  }
+
+  return updated;
+}
+
+/**
+ * Create or update a file by name, reusing the cached file ID when available.
+ * Older duplicates with the same name in the folder are removed.
+ * @param {string} name - File name
+ * @param {string|Object} content - File content
+ * @param {string} parentId - Parent folder ID
+ * @param {string} token - Auth token
+ * @param {Object} options - Upload options (see uploadFile)
+ * @returns {Promise<Object>} - The created or updated file metadata
+ */
+export async function upsertFile(name, content, parentId, token, options = {}) {
+  const cacheKey = `${parentId || 'root'}/${name}`;
+
+  let fileId = await getCachedFileId(cacheKey);
+  if (!fileId) {
+    fileId = await findFileIdByName(name, parentId, token);
+  }
+
+  if (fileId) {
+    const updated = await updateFileContent(fileId, content, token, options);
+    if (updated && !updated.trashed) {
+      await setCachedFileId(cacheKey, updated.id || fileId);
+      return updated;
+    }
+  }
+
+  // No existing file (or the cached one was deleted), create a new one
+  const created = await uploadFile(name, content, parentId, token, options);
+  await setCachedFileId(cacheKey, created.id);
+  return created;
+}
+
+/**
+ * Find the newest file with the given name, deleting older duplicates
+ * @param {string} name - File name
+ * @param {string} parentId - Parent folder ID
+ * @param {string} token - Auth token
+ * @returns {Promise<string|null>} - The file ID or null
+ */
+async function findFileIdByName(name, parentId, token) {
+  const files = (await listFiles(parentId, token, { name })).sort(
+    (a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime),
+  );
+
+  if (files.length === 0) {
+    return null;
+  }
+
+  for (const duplicate of files.slice(1)) {
+    try {
+      await deleteFile(duplicate.id, token);
+    } catch (error) {
+      console.warn(`Failed to remove duplicate ${name} (${duplicate.id}):`, error);
+    }
+  }
+
+  return files[0].id;
+}
+
+/**
+ * Get a cached file ID
+ * @param {string} cacheKey - Cache key (parentId/name)
+ * @returns {Promise<string|null>} - The cached file ID
+ */
+async function getCachedFileId(cacheKey) {
+  const result = await chrome.storage.local.get(FILE_ID_CACHE_KEY);
+  const cache = (result && result[FILE_ID_CACHE_KEY]) || {};
+  return cache[cacheKey] || null;
+}
+
+/**
+ * Cache a file ID for later upserts
+ * @param {string} cacheKey - Cache key (parentId/name)
+ * @param {string} fileId - File ID
+ * @returns {Promise<void>}
+ */
+async function setCachedFileId(cacheKey, fileId) {
+  const result = await chrome.storage.local.get(FILE_ID_CACHE_KEY);
+  const cache = (result && result[FILE_ID_CACHE_KEY]) || {};
+  cache[cacheKey] = fileId;
+  await chrome.storage.local.set({ [FILE_ID_CACHE_KEY]: cache });
+}
+
 /**
  * Download a file from Google Drive
  * @param {string} fileId - File ID
@@ -152,11 +667,14 @@ export async function downloadFile(fileId, token) {
   }
 
   const makeRequest = async (currentToken) => {
-    const response = await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`, {
-      headers: {
-        Authorization: `Bearer ${currentToken}`,
+    const response = await driveFetch(
+      `https://www.googleapis.com/drive/v3/files/${fileId}?alt=media`,
+      {
+        headers: {
+          Authorization: `Bearer ${currentToken}`,
+        },
       },
-    });
+    );
 
     return handleApiResponse(response, currentToken, (newToken) => makeRequest(newToken));
   };
@@ -164,31 +682,90 @@ export async function downloadFile(fileId, token) {
   return makeRequest(token);
 }
 
+// Fields returned for each file unless the caller asks for others
+const DEFAULT_FILE_FIELDS = 'id,name,mimeType,modifiedTime,size';
+
 /**
- * List files in a Google Drive folder
- * @param {string} folderId - Folder ID
+ * Build a Drive search query from criteria. Every criterion is optional and
+ * they are combined with "and"; trashed files are excluded unless asked for.
+ * @param {Object} criteria - Query criteria
+ * @param {string} criteria.parent - Parent folder ID
+ * @param {string} criteria.name - Exact file name
+ * @param {string} criteria.nameContains - Text the file name contains
+ * @param {string} criteria.mimeType - MIME type
+ * @param {Date|string} criteria.modifiedAfter - Only files modified after this time
+ * @param {Date|string} criteria.modifiedBefore - Only files modified before this time
+ * @param {Object} criteria.appProperties - App properties the file must have (key -> value)
+ * @param {boolean|null} criteria.trashed - Trashed state to match (null matches both)
+ * @param {string} criteria.query - Additional raw query clause
+ * @returns {string} - Drive query string
+ */
+export function buildFileQuery({
+  parent,
+  name,
+  nameContains,
+  mimeType,
+  modifiedAfter,
+  modifiedBefore,
+  appProperties = {},
+  trashed = false,
+  query,
+} = {}) {
+  const clauses = [];
+
+  if (parent) clauses.push(`'${escapeQueryValue(parent)}' in parents`);
+  if (name) clauses.push(`name='${escapeQueryValue(name)}'`);
+  if (nameContains) clauses.push(`name contains '${escapeQueryValue(nameContains)}'`);
+  if (mimeType) clauses.push(`mimeType='${escapeQueryValue(mimeType)}'`);
+  if (modifiedAfter) clauses.push(`modifiedTime > '${new Date(modifiedAfter).toISOString()}'`);
+  if (modifiedBefore) clauses.push(`modifiedTime < '${new Date(modifiedBefore).toISOString()}'`);
+  for (const [key, value] of Object.entries(appProperties)) {
+    clauses.push(
+      `appProperties has { key='${escapeQueryValue(key)}' and value='${escapeQueryValue(String(value))}' }`,
+    );
+  }
+  if (trashed !== null && trashed !== undefined) clauses.push(`trashed=${trashed}`);
+  if (query) clauses.push(query);
+
+  return clauses.join(' and ');
+}
+
+/**
+ * Walk every page of a file search
+ * @param {Object|string} query - Criteria for buildFileQuery, or a raw query string
  * @param {string} token - Auth token
- * @param {string} query - Query string (optional)
- * @param {number} pageSize - Number of files per page (default: 100)
- * @returns {Promise<Array>} - Array of file metadata
+ * @param {Object} options - Search options
+ * @param {string|Array<string>} options.fields - File fields to return
+ * @param {number} options.pageSize - Number of files per request (default: 100)
+ * @param {string} options.spaces - Spaces to search (e.g. 'appDataFolder'; default: 'drive')
+ * @returns {AsyncGenerator<Object>} - File metadata, one file at a time
  */
-export async function listFiles(folderId, token, query = '', pageSize = 100) {
-  const makeRequest = async (currentToken, pageToken = null) => {
-    let url = `https://www.googleapis.com/drive/v3/files?pageSize=${pageSize}&fields=files(id,name,mimeType,modifiedTime,size)`;
+export async function* iterateFiles(
+  query,
+  token,
+  { fields = DEFAULT_FILE_FIELDS, pageSize = 100, spaces } = {},
+) {
+  const q = typeof query === 'string' ? query : buildFileQuery(query);
+  const fileFields = Array.isArray(fields) ? fields.join(',') : fields;
 
-    if (folderId) {
-      url += `&q=${encodeURIComponent(`'${folderId}' in parents`)}`;
+  const makeRequest = async (currentToken, pageToken) => {
+    let url =
+      `https://www.googleapis.com/drive/v3/files?pageSize=${pageSize}` +
+      `&fields=${encodeURIComponent(`nextPageToken,files(${fileFields})`)}`;
+
+    if (q) {
+      url += `&q=${encodeURIComponent(q)}`;
     }
 
-    if (query) {
-      url += `&q=${encodeURIComponent(query)}`;
+    if (spaces) {
+      url += `&spaces=${encodeURIComponent(spaces)}`;
     }
 
     if (pageToken) {
-      url += `&pageToken=${pageToken}`;
+      url += `&pageToken=${encodeURIComponent(pageToken)}`;
     }
 
-    const response = await fetch(url, {
+    const response = await driveFetch(url, {
       headers: {
         Authorization: `Bearer ${currentToken}`,
       },
@@ -199,7 +776,115 @@ export async function listFiles(folderId, token, query = '', pageSize = 100) {
     );
   };
 
-  return makeRequest(token);
+  let pageToken = null;
+  do {
+    const page = await makeRequest(token, pageToken);
+    yield* (page && page.files) || [];
+    pageToken = page && page.nextPageToken;
+  } while (pageToken);
+}
+
+/**
+ * List every file in a Google Drive folder, following all result pages
+ * @param {string} folderId - Folder ID or APP_DATA_FOLDER (optional)
+ * @param {string} token - Auth token
+ * @param {Object|string} query - Criteria for buildFileQuery, or a raw query string (optional)
+ * @param {number} pageSize - Number of files per request (default: 100)
+ * @returns {Promise<Array>} - Array of file metadata
+ */
+export async function listFiles(folderId, token, query = '', pageSize = 100) {
+  const q =
+    typeof query === 'string'
+      ? [folderId && buildFileQuery({ parent: folderId, trashed: null }), query]
+          .filter(Boolean)
+          .join(' and ')
+      : buildFileQuery({ parent: folderId || undefined, ...query });
+
+  // Files in the app data folder are only found when searching that space
+  const spaces = folderId === APP_DATA_FOLDER ? APP_DATA_FOLDER : undefined;
+
+  const files = [];
+  for await (const file of iterateFiles(q, token, { pageSize, spaces })) {
+    files.push(file);
+  }
+  return files;
+}
+
+// Fields returned for each change
+const CHANGE_FIELDS = 'fileId,removed,file(name,parents,trashed,modifiedTime)';
+
+/**
+ * Get the page token that marks the current end of the change log
+ * @param {string} token - Auth token
+ * @param {Object} options - Options
+ * @param {string} options.spaces - Spaces to watch (e.g. 'appDataFolder'; default: 'drive')
+ * @returns {Promise<string>} - Start page token for listChanges
+ */
+export async function getChangesStartPageToken(token, { spaces } = {}) {
+  const makeRequest = async (currentToken) => {
+    const response = await driveFetch(
+      'https://www.googleapis.com/drive/v3/changes/startPageToken' +
+        (spaces ? `?spaces=${encodeURIComponent(spaces)}` : ''),
+      {
+        headers: {
+          Authorization: `Bearer ${currentToken}`,
+        },
+      },
+    );
+
+    return handleApiResponse(response, currentToken, (newToken) => makeRequest(newToken));
+  };
+
+  const data = await makeRequest(token);
+  return data.startPageToken;
+}
+
+/**
+ * List the changes made since a page token, following all result pages
+ * @param {string} pageToken - Token from getChangesStartPageToken or a previous call
+ * @param {string} token - Auth token
+ * @param {Object} options - Options
+ * @param {string} options.spaces - Spaces to watch (e.g. 'appDataFolder'; default: 'drive')
+ * @returns {Promise<{changes: Array<Object>, newStartPageToken: string}>} - Changes and the token to continue from
+ */
+export async function listChanges(pageToken, token, { spaces } = {}) {
+  const makeRequest = async (currentToken, currentPageToken) => {
+    let url =
+      `https://www.googleapis.com/drive/v3/changes?pageToken=${encodeURIComponent(currentPageToken)}` +
+      `&fields=${encodeURIComponent(`nextPageToken,newStartPageToken,changes(${CHANGE_FIELDS})`)}`;
+
+    if (spaces) {
+      url += `&spaces=${encodeURIComponent(spaces)}`;
+    }
+
+    const response = await driveFetch(url, {
+      headers: {
+        Authorization: `Bearer ${currentToken}`,
+      },
+    });
+
+    return handleApiResponse(response, currentToken, (newToken) =>
+      makeRequest(newToken, currentPageToken),
+    );
+  };
+
+  const changes = [];
+  let page = { nextPageToken: pageToken };
+  while (page.nextPageToken) {
+    page = await makeRequest(token, page.nextPageToken);
+    changes.push(...(page.changes || []));
+  }
+
+  return { changes, newStartPageToken: page.newStartPageToken };
+}
+
+/**
+ * Escape a value for use inside a quoted Drive query string
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+function escapeQueryValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
 }
 
 /**
@@ -210,7 +895,7 @@ export async function listFiles(folderId, token, query = '', pageSize = 100) {
  */
 export async function deleteFile(fileId, token) {
   const makeRequest = async (currentToken) => {
-    const response = await fetch(`https://www.googleapis.com/drive/v3/files/${fileId}`, {
+    const response = await driveFetch(`https://www.googleapis.com/drive/v3/files/${fileId}`, {
       method: 'DELETE',
       headers: {
         Authorization: `Bearer ${currentToken}`,
@@ -223,14 +908,41 @@ export async function deleteFile(fileId, token) {
   return makeRequest(token);
 }
 
+/**
+ * Take a file or folder out of the trash
+ * @param {string} fileId - File ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} - The restored file metadata
+ */
+export async function restoreFile(fileId, token) {
+  const makeRequest = async (currentToken) => {
+    const response = await driveFetch(
+      `https://www.googleapis.com/drive/v3/files/${fileId}?fields=id,name,trashed`,
+      {
+        method: 'PATCH',
+        headers: {
+          Authorization: `Bearer ${currentToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ trashed: false }),
+      },
+    );
+
+    return handleApiResponse(response, currentToken, (newToken) => makeRequest(newToken));
+  };
+
+  return makeRequest(token);
+}
+
 /**
  * Upload bookmarks file to Google Drive
  * @param {Object} bookmarks - Bookmarks data
  * @param {string} folderId - Folder ID
  * @param {string} token - Auth token
+ * @param {string} filename - Fixed file name to update in place (optional, defaults to a new timestamped file)
  * @returns {Promise<Object>} - The uploaded file metadata
  */
-export async function uploadBookmarksFile(bookmarks, folderId, token) {
+export async function uploadBookmarksFile(bookmarks, folderId, token, filename = null) {
   // Validate inputs
   if (!bookmarks) {
     throw new Error('Bookmarks data cannot be empty');
@@ -240,8 +952,40 @@ export async function uploadBookmarksFile(bookmarks, folderId, token) {
     throw new Error('Folder ID cannot be empty');
   }
 
-  // Add metadata to bookmarks file
-  const bookmarksWithMetadata = {
+  const bookmarksWithMetadata = withBookmarksMetadata(bookmarks);
+
+  if (filename) {
+    return upsertFile(filename, bookmarksWithMetadata, folderId, token);
+  }
+
+  const timestamp = new Date().toISOString().replace(/:/g, '-');
+  return uploadFile(`bookmarks_${timestamp}.json`, bookmarksWithMetadata, folderId, token);
+}
+
+/**
+ * Update the bookmarks file only if nobody else wrote it since it was read
+ * @param {string} fileId - File ID
+ * @param {Object} bookmarks - Bookmarks data
+ * @param {string} expectedRevisionId - Head revision ID seen when the file was read
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} - The updated file metadata
+ * @throws {RevisionConflictError} If the file was changed by someone else
+ */
+export async function updateBookmarksFileIfUnchanged(fileId, bookmarks, expectedRevisionId, token) {
+  if (!bookmarks) {
+    throw new Error('Bookmarks data cannot be empty');
+  }
+
+  return updateFileIfUnchanged(fileId, withBookmarksMetadata(bookmarks), expectedRevisionId, token);
+}
+
+/**
+ * Wrap bookmarks data with file metadata
+ * @param {Object} bookmarks - Bookmarks data
+ * @returns {Object} - Bookmarks with metadata
+ */
+export function withBookmarksMetadata(bookmarks) {
+  return {
     data: bookmarks,
     metadata: {
       version: '1.0',
@@ -249,11 +993,6 @@ export async function uploadBookmarksFile(bookmarks, folderId, token) {
       bookmarkCount: countBookmarks(bookmarks),
     },
   };
-
-  const timestamp = new Date().toISOString().replace(/:/g, '-');
-  const filename = `bookmarks_${timestamp}.json`;
-
-  return uploadFile(filename, bookmarksWithMetadata, folderId, token);
 }
 
 /**
@@ -263,16 +1002,23 @@ export async function uploadBookmarksFile(bookmarks, folderId, token) {
  * @returns {Promise<Object>} - The bookmarks data
  */
 export async function downloadBookmarksFile(fileId, token) {
-  const result = await downloadFile(fileId, token);
+  return readBookmarksData(await downloadFile(fileId, token));
+}
 
+/**
+ * Get the bookmarks data out of a bookmarks file's content
+ * @param {Object} content - File content
+ * @returns {Object} - The bookmarks data
+ */
+export function readBookmarksData(content) {
   // Handle both old format (direct bookmarks) and new format (with metadata)
-  if (result && result.data && result.metadata) {
+  if (content && content.data && content.metadata) {
     // New format with metadata
-    return result.data;
+    return content.data;
   }
 
   // Old format (direct bookmarks)
-  return result;
+  return content;
 }
 
 /**
@@ -304,38 +1050,3 @@ function countBookmarks(bookmarks) {
 
   return count;
 }
-
-/**
- * Find or create the BookDrive folder
- * @param {string} token - Auth token
- * @returns {Promise<string>} - The folder ID
- */
-export async function findOrCreateBookDriveFolder(token) {
-  const makeRequest = async (currentToken) => {
-    // Try to find existing folder
-    const query = "name = 'BookDrive' and mimeType = 'application/vnd.google-apps.folder'";
-    const response = await fetch(
-      `https://www.googleapis.com/drive/v3/files?q=${encodeURIComponent(query)}&fields=files(id)`,
-      {
-        headers: {
-          Authorization: `Bearer ${currentToken}`,
-        },
-      },
-    );
-
-    const result = await handleApiResponse(response, currentToken, (newToken) =>
-      makeRequest(newToken),
-    );
-
-    // If folder exists, return its ID
-    if (result.files && result.files.length > 0) {
-      return result.files[0].id;
-    }
-
-    // Otherwise create the folder
-    const folder = await createFolder('BookDrive', null, currentToken);
-    return folder.id;
-  };
-
-  return makeRequest(token);
-}
@@ -8,6 +8,8 @@ export * from './bookmarks.js';
 export * from './encryption/index.js';
 export * from './notification-manager.js';
 export * from './drive.js';
+export * from './drive-client.js';
+export * from './browser-api.js';
 export * from './public-collections.js';
 
 // Storage and Drive
@@ -5,8 +5,8 @@
  * public bookmark collections that can be accessed by anyone with the link.
  */
 
-import { getAuthToken, ensureBookDriveFolder } from './auth/drive-auth.js';
-import { uploadFile, downloadFile, listFiles } from './drive.js';
+import { getAuthToken } from './auth/drive-auth.js';
+import { getStorageProvider } from './storage/provider.js';
 import { encryptData, decryptData } from './encryption.js';
 
 // Storage keys
@@ -46,12 +46,6 @@ export async function createPublicCollection(collectionData, options = {}) {
       throw new Error('Authentication required');
     }
 
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(false);
-    if (!folderId) {
-      throw new Error('BookDrive folder not found');
-    }
-
     const collection = {
       id: `collection_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       name: collectionData.name,
@@ -544,11 +538,8 @@ export async function getCollectionStats(collectionId) {
  */
 async function saveCollectionMetadata(collection) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     const filename = `${COLLECTION_METADATA_PREFIX}${collection.id}.json`;
-    await uploadFile(filename, collection, folderId, token);
+    await getStorageProvider().put(filename, collection);
   } catch (error) {
     console.error('Failed to save collection metadata:', error);
     throw error;
@@ -562,17 +553,10 @@ async function saveCollectionMetadata(collection) {
  */
 async function getCollectionMetadata(collectionId) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     const filename = `${COLLECTION_METADATA_PREFIX}${collectionId}.json`;
-    const files = await listFiles(folderId, token, `name='${filename}'`);
+    const file = await getStorageProvider().get(filename);
 
-    if (files.length === 0) {
-      return null;
-    }
-
-    return await downloadFile(files[0].id, token);
+    return file ? file.content : null;
   } catch (error) {
     console.error('Failed to get collection metadata:', error);
     return null;
@@ -586,14 +570,8 @@ async function getCollectionMetadata(collectionId) {
  */
 async function deleteCollectionMetadata(collectionId) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     const filename = `${COLLECTION_METADATA_PREFIX}${collectionId}.json`;
-    const files = await listFiles(folderId, token, `name='${filename}'`);
-
-    if (files.length > 0) {
-      // Note: This would require implementing file deletion in drive.js
+    if (await getStorageProvider().delete(filename)) {
       console.log('Collection metadata deleted:', collectionId);
     }
   } catch (error) {
@@ -0,0 +1,160 @@
+/**
+ * drive.js - Google Drive storage provider
+ *
+ * Stores BookDrive data files in the BookDrive folder of the user's Google Drive, or
+ * in the hidden app data folder, which users cannot rename, delete or duplicate.
+ * File names are resolved to Drive file IDs on every call; when several files share
+ * a name the newest one wins, matching what the Drive API helpers do on upsert.
+ */
+
+import { getAuthToken } from '../auth/drive-auth.js';
+import { ensureBookDriveFolder } from './sync-folder.js';
+import {
+  listFiles,
+  downloadFile,
+  uploadFile,
+  upsertFile,
+  deleteFile,
+  getFileMetadata,
+  updateFileIfUnchanged,
+  APP_DATA_FOLDER,
+} from '../drive.js';
+import { AuthenticationError, RevisionConflictError } from '../../utils/error-handler.js';
+
+// How often watch() polls the folder for changes
+const WATCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a storage provider backed by Google Drive
+ * @param {Object} options - Provider options
+ * @param {string} options.location - 'folder' for the BookDrive folder, 'appDataFolder' for app data
+ * @param {Function} options.getToken - Returns an auth token (defaults to the non-interactive token)
+ * @param {Function} options.getFolderId - Returns the chosen folder's ID; throws when it is required and unusable
+ * @returns {import('./provider.js').StorageProvider} Storage provider
+ */
+export function createDriveProvider({
+  location = 'folder',
+  getToken = () => getAuthToken(false),
+  getFolderId = (required) => ensureBookDriveFolder(required),
+} = {}) {
+  // The app data folder always exists and is addressed by its alias
+  let folderId = location === APP_DATA_FOLDER ? APP_DATA_FOLDER : null;
+
+  /**
+   * Get a token and the folder ID. Reads without a chosen folder find no files.
+   * @param {boolean} required - Fail when no folder was chosen
+   * @returns {Promise<{token: string, folderId: string|null}>} Drive context
+   */
+  async function connect(required) {
+    const token = await getToken();
+    if (!token) {
+      throw new AuthenticationError('Authentication required');
+    }
+
+    if (!folderId) {
+      folderId = await getFolderId(required);
+      if (!folderId && required) {
+        throw new Error('No sync folder chosen');
+      }
+    }
+
+    return { token, folderId };
+  }
+
+  /**
+   * Find files in the folder, newest first
+   * @param {string} token - Auth token
+   * @param {Object} filter - Filter ({name} or {prefix})
+   * @returns {Promise<Array<Object>>} Files ({id, name, modifiedTime})
+   */
+  async function findFiles(token, { name, prefix } = {}) {
+    const files = await listFiles(folderId, token, { name, nameContains: prefix });
+    return files
+      .filter((file) => !prefix || file.name.startsWith(prefix))
+      .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime))
+      .map(({ id, name: fileName, modifiedTime }) => ({ id, name: fileName, modifiedTime }));
+  }
+
+  const provider = {
+    name: 'drive',
+    location,
+
+    async list({ prefix } = {}) {
+      const { token } = await connect(false);
+      return folderId ? findFiles(token, { prefix }) : [];
+    },
+
+    async get(name) {
+      const { token } = await connect(false);
+      if (!folderId) return null;
+
+      const [file] = await findFiles(token, { name });
+      if (!file) return null;
+
+      const metadata = await getFileMetadata(file.id, token);
+      const content = await downloadFile(file.id, token);
+      return { ...file, revision: metadata.headRevisionId, content };
+    },
+
+    async put(name, content, { expectedRevision, onProgress } = {}) {
+      const { token } = await connect(true);
+      if (expectedRevision === undefined) {
+        return upsertFile(name, content, folderId, token, { onProgress });
+      }
+
+      const [file] = await findFiles(token, { name });
+      if (expectedRevision === null) {
+        if (file) {
+          throw new RevisionConflictError('File was created by another device', { name });
+        }
+        return uploadFile(name, content, folderId, token, { onProgress, expectedRevision: null });
+      }
+
+      if (!file) {
+        throw new RevisionConflictError('File was removed by another device', { name });
+      }
+      return updateFileIfUnchanged(file.id, content, expectedRevision, token);
+    },
+
+    async delete(name) {
+      const { token } = await connect(false);
+      if (!folderId) return false;
+
+      const files = await findFiles(token, { name });
+      for (const file of files) {
+        await deleteFile(file.id, token);
+      }
+      return files.length > 0;
+    },
+
+    watch(callback, { prefix, interval = WATCH_INTERVAL_MS } = {}) {
+      let known = null;
+
+      const poll = async () => {
+        try {
+          const files = await provider.list({ prefix });
+          const current = new Map(files.map((file) => [file.name, file.modifiedTime]));
+
+          // The first poll only records what is there
+          if (known) {
+            for (const [name, modifiedTime] of current) {
+              if (known.get(name) !== modifiedTime) callback({ name, type: 'changed' });
+            }
+            for (const name of known.keys()) {
+              if (!current.has(name)) callback({ name, type: 'deleted' });
+            }
+          }
+          known = current;
+        } catch (error) {
+          console.warn('Failed to poll Google Drive for changes:', error);
+        }
+      };
+
+      poll();
+      const timer = setInterval(poll, interval);
+      return () => clearInterval(timer);
+    },
+  };
+
+  return provider;
+}
@@ -3,4 +3,8 @@
  */
 
 export * from './storage.js';
+export * from './provider.js';
 export * from './drive.js';
+export * from './memory.js';
+export * from './location.js';
+export * from './sync-folder.js';
@@ -0,0 +1,157 @@
+/**
+ * location.js - Where BookDrive keeps its sync state on Google Drive
+ *
+ * Internal state (sync snapshot and deltas, sync and backup metadata, device
+ * registry, client inboxes) lives in the hidden app data folder by default, so
+ * renaming, deleting or duplicating the visible BookDrive folder cannot break sync.
+ * Backups are written next to the sync state and, if enabled, mirrored to the
+ * visible folder where users can find them. Team files and public collections are
+ * shared with other people and always stay in the visible folder.
+ */
+
+import { getStorageProvider } from './provider.js';
+import { DEFAULTS } from '../../config/constants.js';
+import { RevisionConflictError } from '../../utils/error-handler.js';
+
+export const STORAGE_LOCATIONS = {
+  APP_DATA: 'appDataFolder',
+  FOLDER: 'folder',
+};
+
+// Settings saved by the options page
+export const STORAGE_LOCATION_SETTING_KEY = 'bookDriveStorageLocation';
+export const MIRROR_BACKUPS_SETTING_KEY = 'bookDriveMirrorBackups';
+
+// Set once the internal files of the visible folder were copied to the app data folder
+const APP_DATA_MIGRATED_KEY = 'bookDriveAppDataMigrated';
+
+// Internal files, by exact name or prefix
+const INTERNAL_FILES = [
+  'bookmarks_sync.json',
+  'sync_metadata.json',
+  'backup_metadata.json',
+  'bookdrive_devices.json',
+  'bookdrive_conflict_rules.json',
+];
+const INTERNAL_FILE_PREFIXES = ['bookmarks_delta_', 'bookmarks_inbox_'];
+
+/**
+ * Read the storage location settings
+ * @returns {Promise<{location: string, mirrorBackups: boolean}>} Settings
+ */
+export async function getStorageSettings() {
+  const result = await chrome.storage.sync.get({
+    [STORAGE_LOCATION_SETTING_KEY]: DEFAULTS.STORAGE_LOCATION,
+    [MIRROR_BACKUPS_SETTING_KEY]: DEFAULTS.MIRROR_BACKUPS,
+  });
+
+  return {
+    location:
+      result[STORAGE_LOCATION_SETTING_KEY] === STORAGE_LOCATIONS.FOLDER
+        ? STORAGE_LOCATIONS.FOLDER
+        : STORAGE_LOCATIONS.APP_DATA,
+    mirrorBackups: result[MIRROR_BACKUPS_SETTING_KEY] === true,
+  };
+}
+
+/**
+ * Get the storage provider for sync state. The first time the app data folder is
+ * used, internal files from the visible folder are copied over so existing sync
+ * state, devices and inboxes carry on.
+ * @param {Object} options - Options
+ * @param {boolean} options.readOnly - Do not copy; until the copy is made, the state is
+ *   read where it currently is (used by dry runs, which must not write to Drive)
+ * @returns {Promise<import('./provider.js').StorageProvider>} Storage provider
+ */
+export async function getSyncStorageProvider({ readOnly = false } = {}) {
+  const { location } = await getStorageSettings();
+  const storage = getStorageProvider(location);
+  const folder = getStorageProvider(STORAGE_LOCATIONS.FOLDER);
+
+  if (location === STORAGE_LOCATIONS.APP_DATA && storage !== folder) {
+    const result = await chrome.storage.local.get(APP_DATA_MIGRATED_KEY);
+    if (!result || !result[APP_DATA_MIGRATED_KEY]) {
+      if (readOnly) {
+        // Another device may have moved the state already
+        const moved = (await storage.list()).some((file) => isInternalFile(file.name));
+        return moved ? storage : folder;
+      }
+      await copyInternalFiles(folder, storage);
+      await chrome.storage.local.set({ [APP_DATA_MIGRATED_KEY]: true });
+    }
+  }
+
+  return storage;
+}
+
+/**
+ * Get the provider backups are mirrored to, if mirroring applies
+ * @param {import('./provider.js').StorageProvider} storage - Provider backups are written to
+ * @returns {Promise<import('./provider.js').StorageProvider|null>} Mirror provider or null
+ */
+export async function getBackupMirrorProvider(storage) {
+  const { mirrorBackups } = await getStorageSettings();
+  const folder = getStorageProvider(STORAGE_LOCATIONS.FOLDER);
+  return mirrorBackups && folder !== storage ? folder : null;
+}
+
+/**
+ * Copy sync state to another location before the setting is changed, replacing
+ * what is there, so sync carries on from the latest state
+ * @param {string} from - Current location
+ * @param {string} to - New location
+ * @returns {Promise<number>} Number of files copied
+ */
+export async function copySyncState(from, to) {
+  if (from === to) return 0;
+
+  const copied = await copyInternalFiles(getStorageProvider(from), getStorageProvider(to), {
+    overwrite: true,
+  });
+  if (to === STORAGE_LOCATIONS.APP_DATA) {
+    await chrome.storage.local.set({ [APP_DATA_MIGRATED_KEY]: true });
+  }
+  return copied;
+}
+
+/**
+ * Check whether a file holds internal state
+ * @param {string} name - File name
+ * @returns {boolean} True for internal files
+ */
+export function isInternalFile(name) {
+  return (
+    INTERNAL_FILES.includes(name) ||
+    INTERNAL_FILE_PREFIXES.some((prefix) => name.startsWith(prefix))
+  );
+}
+
+/**
+ * Copy internal files between providers
+ * @param {import('./provider.js').StorageProvider} from - Source provider
+ * @param {import('./provider.js').StorageProvider} to - Target provider
+ * @param {Object} options - Copy options
+ * @param {boolean} options.overwrite - Replace files that already exist in the target
+ * @returns {Promise<number>} Number of files copied
+ */
+async function copyInternalFiles(from, to, { overwrite = false } = {}) {
+  const names = new Set(
+    (await from.list()).map((file) => file.name).filter((name) => isInternalFile(name)),
+  );
+
+  let copied = 0;
+  for (const name of names) {
+    const file = await from.get(name);
+    if (!file) continue;
+
+    try {
+      await to.put(name, file.content, overwrite ? {} : { expectedRevision: null });
+      copied++;
+    } catch (error) {
+      // Another device already created the file in the target
+      if (!(error instanceof RevisionConflictError)) throw error;
+    }
+  }
+
+  return copied;
+}
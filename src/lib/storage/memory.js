@@ -0,0 +1,132 @@
+/**
+ * memory.js - In-memory storage provider
+ *
+ * Keeps BookDrive data files in memory, optionally persisted to chrome.storage.local
+ * so they survive restarts. Used by tests to run whole pipelines without network
+ * access, and usable as an offline backend. Contents are copied on every read and
+ * write, like a real backend that serializes them.
+ */
+
+import { RevisionConflictError } from '../../utils/error-handler.js';
+
+/**
+ * Create a storage provider that keeps files in memory
+ * @param {Object} options - Provider options
+ * @param {Object} options.files - Initial files (name -> content)
+ * @param {string|null} options.storageKey - chrome.storage.local key to persist files under
+ * @returns {import('./provider.js').StorageProvider} Storage provider
+ */
+export function createMemoryProvider({ files = {}, storageKey = null } = {}) {
+  const store = new Map();
+  const watchers = new Set();
+  let revisionCounter = 0;
+  let loaded = !storageKey;
+
+  const copy = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+  const write = (name, content) => {
+    const entry = {
+      id: `memory-${name}`,
+      name,
+      modifiedTime: new Date().toISOString(),
+      revision: `rev-${++revisionCounter}`,
+      content: copy(content),
+    };
+    store.set(name, entry);
+    return entry;
+  };
+
+  for (const [name, content] of Object.entries(files)) {
+    write(name, content);
+  }
+
+  /**
+   * Load persisted files on first use
+   * @returns {Promise<void>}
+   */
+  async function load() {
+    if (loaded) return;
+    loaded = true;
+
+    const result = await chrome.storage.local.get(storageKey);
+    const persisted = (result && result[storageKey]) || {};
+    for (const entry of Object.values(persisted)) {
+      store.set(entry.name, entry);
+      revisionCounter = Math.max(revisionCounter, Number(entry.revision.slice(4)) || 0);
+    }
+  }
+
+  /**
+   * Persist files and tell watchers about a change
+   * @param {import('./provider.js').StorageChange} change - Change
+   * @returns {Promise<void>}
+   */
+  async function commit(change) {
+    if (storageKey) {
+      await chrome.storage.local.set({ [storageKey]: Object.fromEntries(store) });
+    }
+
+    for (const { callback, prefix } of watchers) {
+      if (!prefix || change.name.startsWith(prefix)) callback(change);
+    }
+  }
+
+  const describe = ({ id, name, modifiedTime }) => ({ id, name, modifiedTime });
+
+  return {
+    name: 'memory',
+
+    async list({ prefix } = {}) {
+      await load();
+      return Array.from(store.values())
+        .filter((entry) => !prefix || entry.name.startsWith(prefix))
+        .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime))
+        .map(describe);
+    },
+
+    async get(name) {
+      await load();
+      const entry = store.get(name);
+      return entry
+        ? { ...describe(entry), revision: entry.revision, content: copy(entry.content) }
+        : null;
+    },
+
+    async put(name, content, { expectedRevision } = {}) {
+      await load();
+      const current = store.get(name);
+
+      if (expectedRevision === null && current) {
+        throw new RevisionConflictError('File was created by another device', { name });
+      }
+      if (expectedRevision && !current) {
+        throw new RevisionConflictError('File was removed by another device', { name });
+      }
+      if (expectedRevision && current.revision !== expectedRevision) {
+        throw new RevisionConflictError('File was modified by another device', {
+          name,
+          expectedRevisionId: expectedRevision,
+          actualRevisionId: current.revision,
+        });
+      }
+
+      const entry = write(name, content);
+      await commit({ name, type: 'changed' });
+      return describe(entry);
+    },
+
+    async delete(name) {
+      await load();
+      if (!store.delete(name)) return false;
+
+      await commit({ name, type: 'deleted' });
+      return true;
+    },
+
+    watch(callback, { prefix } = {}) {
+      const watcher = { callback, prefix };
+      watchers.add(watcher);
+      return () => watchers.delete(watcher);
+    },
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * provider.js - Storage provider for BookDrive data files
+ *
+ * Sync state, backups, team data and collections are kept as named JSON files on
+ * Google Drive, either in the BookDrive folder or in the hidden app data folder
+ * (see location.js). Modules reach those files through the active storage provider
+ * instead of calling the Drive API, so the backend can be swapped (e.g. for the
+ * in-memory provider in tests or offline).
+ *
+ * A provider implements:
+ * - list({prefix}) - files, newest first
+ * - get(name) - newest file with that name and the revision it was read at, or null
+ * - put(name, content, {expectedRevision}) - create or replace a file. With
+ *   expectedRevision set, the write fails with a RevisionConflictError unless the
+ *   file is still at that revision; null means the file must not exist yet.
+ *   onProgress, if given, is called with (uploadedBytes, totalBytes) for large uploads.
+ * - delete(name) - remove every file with that name
+ * - watch(callback, {prefix}) - report changed and deleted files, returns a stop function
+ */
+
+import { createDriveProvider } from './drive.js';
+
+/**
+ * @typedef {Object} StoredFile
+ * @property {string} id - Backend file ID
+ * @property {string} name - File name
+ * @property {string} modifiedTime - Time of the last write (ISO string)
+ */
+
+/**
+ * @typedef {Object} StoredContent
+ * @property {string} id - Backend file ID
+ * @property {string} name - File name
+ * @property {string} modifiedTime - Time of the last write (ISO string)
+ * @property {string} revision - Revision the content was read at
+ * @property {*} content - Parsed file content
+ */
+
+/**
+ * @typedef {Object} StorageChange
+ * @property {string} name - File name
+ * @property {'changed'|'deleted'} type - Kind of change
+ */
+
+/**
+ * @typedef {Object} StorageProvider
+ * @property {string} name - Provider name ('drive', 'memory')
+ * @property {string} [location] - Where a Drive provider keeps files ('folder', 'appDataFolder')
+ * @property {function(Object=): Promise<Array<StoredFile>>} list - List files
+ * @property {function(string): Promise<StoredContent|null>} get - Read a file
+ * @property {function(string, *, Object=): Promise<StoredFile>} put - Write a file
+ * @property {function(string): Promise<boolean>} delete - Delete a file
+ * @property {function(function(StorageChange): void, Object=): Function} watch - Watch for changes
+ */
+
+let activeProvider = null;
+const driveProviders = new Map();
+
+/**
+ * Get the active storage provider, defaulting to Google Drive
+ * @param {string} location - Drive location ('folder' or 'appDataFolder', default: 'folder')
+ * @returns {StorageProvider} Storage provider
+ */
+export function getStorageProvider(location = 'folder') {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  if (!driveProviders.has(location)) {
+    driveProviders.set(location, createDriveProvider({ location }));
+  }
+  return driveProviders.get(location);
+}
+
+/**
+ * Replace the active storage provider for every location
+ * @param {StorageProvider|null} provider - Provider to use (null restores Google Drive)
+ * @returns {void}
+ */
+export function setStorageProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Forget the Drive providers, which remember the folder of the account they were
+ * first used with. Called after switching accounts.
+ * @returns {void}
+ */
+export function resetStorageProviders() {
+  driveProviders.clear();
+}
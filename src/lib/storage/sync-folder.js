@@ -0,0 +1,199 @@
+/**
+ * sync-folder.js - The Drive folder BookDrive keeps its files in
+ *
+ * BookDrive only has the drive.file scope, so it sees the folders it created and
+ * nothing else in the user's Drive. During onboarding the user picks one of those
+ * folders (e.g. the one another device created) or creates a new one. The folder ID
+ * is stored per account and checked before every sync: a trashed folder can be
+ * restored, one that was deleted or is no longer accessible has to be replaced.
+ */
+
+import { getAuthToken } from '../auth/drive-auth.js';
+import { createFolder, getFileMetadata, listFiles, restoreFile } from '../drive.js';
+import { DriveApiError, SyncFolderError } from '../../utils/error-handler.js';
+
+export const SYNC_FOLDER_KEYS = {
+  ID: 'bookDriveFolderId',
+  NAME: 'bookDriveFolderName',
+  STATUS: 'bookDriveFolderStatus',
+};
+
+export const DEFAULT_SYNC_FOLDER_NAME = 'BookDrive';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+export const SYNC_FOLDER_STATUS = {
+  OK: 'ok',
+  UNSET: 'unset',
+  TRASHED: 'trashed',
+  INACCESSIBLE: 'inaccessible',
+};
+
+const STATUS_MESSAGES = {
+  [SYNC_FOLDER_STATUS.UNSET]: 'No sync folder chosen',
+  [SYNC_FOLDER_STATUS.TRASHED]: 'The sync folder is in the trash',
+  [SYNC_FOLDER_STATUS.INACCESSIBLE]: 'The sync folder was deleted or is no longer accessible',
+};
+
+/**
+ * @typedef {Object} SyncFolder
+ * @property {string} id - Drive folder ID
+ * @property {string} name - Folder name
+ */
+
+/**
+ * Get the ID of the chosen folder without checking it in Drive
+ * @returns {Promise<string|null>} Folder ID, or null when none was chosen
+ */
+export async function getSyncFolderId() {
+  const result = await chrome.storage.local.get(SYNC_FOLDER_KEYS.ID);
+  return (result && result[SYNC_FOLDER_KEYS.ID]) || null;
+}
+
+/**
+ * Get the folder status found by the last check
+ * @returns {Promise<string>} One of SYNC_FOLDER_STATUS
+ */
+export async function getSyncFolderStatus() {
+  const result = await chrome.storage.local.get([SYNC_FOLDER_KEYS.ID, SYNC_FOLDER_KEYS.STATUS]);
+  if (!result[SYNC_FOLDER_KEYS.ID]) {
+    return SYNC_FOLDER_STATUS.UNSET;
+  }
+  return result[SYNC_FOLDER_KEYS.STATUS] || SYNC_FOLDER_STATUS.OK;
+}
+
+/**
+ * List the folders the user can choose from: the ones BookDrive created, on any device
+ * @returns {Promise<Array<Object>>} Folders ({id, name, modifiedTime}), newest first
+ */
+export async function listSyncFolderCandidates() {
+  const token = await getAuthToken(false);
+  const folders = await listFiles(null, token, { mimeType: FOLDER_MIME_TYPE });
+  return folders.sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime));
+}
+
+/**
+ * Use an existing folder
+ * @param {string} folderId - Drive folder ID
+ * @returns {Promise<SyncFolder>} Chosen folder
+ */
+export async function selectSyncFolder(folderId) {
+  const token = await getAuthToken(false);
+  const folder = await getFileMetadata(folderId, token, 'id,name,mimeType,trashed');
+
+  if (folder.mimeType !== FOLDER_MIME_TYPE || folder.trashed) {
+    throw new Error(`"${folder.name}" cannot be used as the sync folder`);
+  }
+
+  return saveSyncFolder(folder);
+}
+
+/**
+ * Create a new folder and use it
+ * @param {string} name - Folder name
+ * @returns {Promise<SyncFolder>} Created folder
+ */
+export async function createSyncFolder(name = DEFAULT_SYNC_FOLDER_NAME) {
+  const token = await getAuthToken(false);
+  const folder = await createFolder(name.trim() || DEFAULT_SYNC_FOLDER_NAME, null, token);
+  return saveSyncFolder({ id: folder.id, name: folder.name || name });
+}
+
+/**
+ * Take the chosen folder out of the trash
+ * @returns {Promise<SyncFolder>} Restored folder
+ */
+export async function restoreSyncFolder() {
+  const folderId = await getSyncFolderId();
+  if (!folderId) {
+    throw new SyncFolderError(STATUS_MESSAGES[SYNC_FOLDER_STATUS.UNSET], SYNC_FOLDER_STATUS.UNSET);
+  }
+
+  const token = await getAuthToken(false);
+  const folder = await restoreFile(folderId, token);
+  return saveSyncFolder(folder);
+}
+
+/**
+ * Check that the chosen folder still exists and is not in the trash. The result is
+ * stored, so the popup can offer a way out without asking Drive again.
+ * @returns {Promise<{status: string, folder: SyncFolder|null}>} Folder status (one of SYNC_FOLDER_STATUS)
+ */
+export async function checkSyncFolder() {
+  const token = await getAuthToken(false);
+  const folderId = (await getSyncFolderId()) || (await adoptLegacyFolder(token));
+  if (!folderId) {
+    return { status: SYNC_FOLDER_STATUS.UNSET, folder: null };
+  }
+
+  let status;
+  let folder = null;
+  try {
+    folder = await getFileMetadata(folderId, token, 'id,name,trashed');
+    status = folder.trashed ? SYNC_FOLDER_STATUS.TRASHED : SYNC_FOLDER_STATUS.OK;
+  } catch (error) {
+    // Other errors (offline, rate limits) say nothing about the folder
+    if (!(error instanceof DriveApiError) || ![403, 404].includes(error.status)) {
+      throw error;
+    }
+    status = SYNC_FOLDER_STATUS.INACCESSIBLE;
+  }
+
+  await chrome.storage.local.set({ [SYNC_FOLDER_KEYS.STATUS]: status });
+  return { status, folder };
+}
+
+/**
+ * Get the ID of the chosen folder after checking it in Drive
+ * @param {boolean} required - Throw instead of returning null when no folder was chosen
+ * @returns {Promise<string|null>} Folder ID
+ * @throws {SyncFolderError} When the folder is trashed or inaccessible, or required but not chosen
+ */
+export async function ensureBookDriveFolder(required = true) {
+  const { status, folder } = await checkSyncFolder();
+
+  if (status === SYNC_FOLDER_STATUS.OK) {
+    return folder.id;
+  }
+  if (status === SYNC_FOLDER_STATUS.UNSET && !required) {
+    return null;
+  }
+  throw new SyncFolderError(STATUS_MESSAGES[status], status);
+}
+
+/**
+ * Store the chosen folder
+ * @param {SyncFolder} folder - Folder
+ * @returns {Promise<SyncFolder>} Stored folder
+ */
+async function saveSyncFolder(folder) {
+  await chrome.storage.local.set({
+    [SYNC_FOLDER_KEYS.ID]: folder.id,
+    [SYNC_FOLDER_KEYS.NAME]: folder.name,
+    [SYNC_FOLDER_KEYS.STATUS]: SYNC_FOLDER_STATUS.OK,
+  });
+  return { id: folder.id, name: folder.name };
+}
+
+/**
+ * Installs from before the folder choice synced through the folder named BookDrive.
+ * Keep using it when there is exactly one, so their syncs go on without asking.
+ * @param {string} token - Auth token
+ * @returns {Promise<string|null>} Folder ID, or null when the user has to choose
+ */
+async function adoptLegacyFolder(token) {
+  const { lastSync } = await chrome.storage.local.get('lastSync');
+  if (!lastSync) {
+    return null;
+  }
+
+  const folders = await listFiles(null, token, {
+    name: DEFAULT_SYNC_FOLDER_NAME,
+    mimeType: FOLDER_MIME_TYPE,
+  });
+  if (folders.length !== 1) {
+    return null;
+  }
+
+  await saveSyncFolder(folders[0]);
+  return folders[0].id;
+}
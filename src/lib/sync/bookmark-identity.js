@@ -0,0 +1,364 @@
+/**
+ * bookmark-identity.js - Stable cross-device identity for bookmarks and folders
+ *
+ * Browser node IDs differ between machines and profiles, so sync keys every
+ * bookmark and folder by a BookDrive sync ID instead. The mapping from local
+ * node IDs to sync IDs is kept per device; items without a mapping are paired
+ * with known items by URL, title and folder path before a new ID is minted.
+ */
+
+import { BOOKMARK_ROOT_IDS } from '../browser-api.js';
+
+// Storage key for the local ID -> sync ID mapping table
+const IDENTITY_MAP_KEY = 'bookDriveIdentityMap';
+
+// Marker stored on states whose ids are sync IDs
+export const SYNC_ID_SCHEME = 'sync-id';
+
+/**
+ * Sync IDs of the built-in root folders, which are Firefox's root GUIDs. The
+ * bookmarks menu only exists in Firefox.
+ */
+export const ROOT_FOLDER_SYNC_IDS = {
+  ROOT: 'root________',
+  TOOLBAR: 'toolbar_____',
+  OTHER: 'unfiled_____',
+  MOBILE: 'mobile______',
+  MENU: 'menu________',
+};
+
+/**
+ * Sync IDs of the built-in root folders of this browser, keyed by local node ID
+ */
+export const ROOT_SYNC_IDS = Object.fromEntries(
+  Object.entries(BOOKMARK_ROOT_IDS)
+    .filter(([, localId]) => localId)
+    .map(([root, localId]) => [localId, ROOT_FOLDER_SYNC_IDS[root]]),
+);
+
+const ROOT_IDS = new Set(Object.values(ROOT_FOLDER_SYNC_IDS));
+
+/**
+ * Generate a new sync ID
+ * @returns {string} Sync ID
+ */
+export function generateSyncId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return `bd-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Get the mapping table of local node IDs to sync IDs
+ * @returns {Promise<Object>} Map of local IDs to sync IDs
+ */
+export async function getIdentityMap() {
+  const result = await chrome.storage.local.get(IDENTITY_MAP_KEY);
+  return (result && result[IDENTITY_MAP_KEY]) || {};
+}
+
+/**
+ * Store the mapping table of local node IDs to sync IDs
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @returns {Promise<void>}
+ */
+export async function saveIdentityMap(identityMap) {
+  await chrome.storage.local.set({ [IDENTITY_MAP_KEY]: identityMap });
+}
+
+/**
+ * Convert a local state keyed by node IDs into a state keyed by sync IDs.
+ * Unmapped items are first paired with an item of the reference states that has
+ * the same URL, title and folder path; only unmatched items get a new sync ID.
+ * @param {Object} localState - Local state ({folders, bookmarks}) with node IDs
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @param {Array<Object|null>} referenceStates - Known states with sync IDs (remote, base)
+ * @returns {{state: Object, identityMap: Object, matched: number, created: number}} Sync state and updated mapping
+ */
+export function assignSyncIds(localState, identityMap, referenceStates = []) {
+  const localFolders = localState.folders || [];
+  const localBookmarks = localState.bookmarks || [];
+  const nextMap = {};
+  let matched = 0;
+  let created = 0;
+
+  // Sync IDs are unique: a mapping that points at an id claimed twice is dropped
+  const claimed = new Set();
+  for (const node of [...localFolders, ...localBookmarks]) {
+    const syncId = ROOT_SYNC_IDS[node.id] || identityMap[node.id];
+    if (syncId && !claimed.has(syncId)) {
+      nextMap[node.id] = syncId;
+      claimed.add(syncId);
+    }
+  }
+
+  const candidates = indexByFingerprint(referenceStates, claimed);
+  const localPathOf = buildFolderPaths(localFolders);
+
+  const resolve = (node, fingerprint) => {
+    if (nextMap[node.id]) return;
+
+    const queue = candidates.get(fingerprint);
+    while (queue && queue.length > 0) {
+      const syncId = queue.shift();
+      if (!claimed.has(syncId)) {
+        nextMap[node.id] = syncId;
+        claimed.add(syncId);
+        matched++;
+        return;
+      }
+    }
+
+    nextMap[node.id] = generateSyncId();
+    claimed.add(nextMap[node.id]);
+    created++;
+  };
+
+  for (const folder of localFolders) {
+    resolve(folder, folderFingerprint(folder, localPathOf));
+  }
+  for (const bookmark of localBookmarks) {
+    resolve(bookmark, bookmarkFingerprint(bookmark, localPathOf));
+  }
+
+  const toSyncId = (id) =>
+    id === undefined || id === null ? id : nextMap[id] || ROOT_SYNC_IDS[id] || id;
+
+  return {
+    state: {
+      ...localState,
+      idScheme: SYNC_ID_SCHEME,
+      folders: localFolders.map((f) => ({
+        ...f,
+        id: toSyncId(f.id),
+        parentId: toSyncId(f.parentId),
+      })),
+      bookmarks: localBookmarks.map((b) => ({
+        ...b,
+        id: toSyncId(b.id),
+        parentId: toSyncId(b.parentId),
+      })),
+    },
+    identityMap: nextMap,
+    matched,
+    created,
+  };
+}
+
+/**
+ * Convert a state keyed by sync IDs back to local node IDs.
+ * Items that have no local node keep their sync ID.
+ * @param {Object} syncState - State with sync IDs
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @returns {Object} State with local node IDs
+ */
+export function toLocalState(syncState, identityMap) {
+  const reverse = reverseIdentityMap(identityMap);
+  const toLocalId = (id) => (id === undefined || id === null ? id : reverse[id] || id);
+
+  return {
+    ...syncState,
+    folders: (syncState.folders || []).map((f) => ({
+      ...f,
+      id: toLocalId(f.id),
+      parentId: toLocalId(f.parentId),
+    })),
+    bookmarks: (syncState.bookmarks || []).map((b) => ({
+      ...b,
+      id: toLocalId(b.id),
+      parentId: toLocalId(b.parentId),
+    })),
+  };
+}
+
+/**
+ * Translate sync operations keyed by sync IDs into operations on local nodes.
+ * Creates keep their sync ID as operation id so the created node can be mapped,
+ * and parents created earlier in the same list are referenced by that sync ID;
+ * operations on items that have no local node are dropped.
+ * @param {Array<Object>} operations - Operations ({type, id, bookmark}) with sync IDs
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @returns {Array<Object>} Operations with local node IDs
+ */
+export function toLocalOperations(operations, identityMap) {
+  const reverse = reverseIdentityMap(identityMap);
+  const createdInBatch = new Set();
+  const localOperations = [];
+
+  for (const op of operations) {
+    const syncParentId = op.bookmark ? op.bookmark.parentId : undefined;
+    const parentId =
+      reverse[syncParentId] || (createdInBatch.has(syncParentId) ? syncParentId : undefined);
+
+    if (op.type === 'create') {
+      createdInBatch.add(op.id);
+      localOperations.push({ ...op, bookmark: { ...op.bookmark, parentId } });
+      continue;
+    }
+
+    const localId = reverse[op.id];
+    if (!localId || (op.type === 'move' && !parentId)) continue;
+
+    localOperations.push({
+      ...op,
+      id: localId,
+      bookmark: op.bookmark ? { ...op.bookmark, id: localId, parentId } : op.bookmark,
+    });
+  }
+
+  return localOperations;
+}
+
+/**
+ * Add the nodes created while applying operations to the mapping table
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @param {Object} createdIds - Map of sync IDs to the local node IDs created for them
+ * @returns {Object} Updated mapping
+ */
+export function recordCreatedIds(identityMap, createdIds) {
+  const nextMap = { ...identityMap };
+  for (const [syncId, localId] of Object.entries(createdIds)) {
+    nextMap[localId] = syncId;
+  }
+  return nextMap;
+}
+
+/**
+ * Identify a change for the sync preview. A new local node only gets its sync ID
+ * from the sync that uploads it, so items that exist locally are identified by
+ * their node ID, and items that only exist remotely by their sync ID.
+ * @param {string|null} localId - Local node ID, null for remote-only items
+ * @param {string} syncId - Sync ID
+ * @returns {string} Change ID
+ */
+export function getChangeId(localId, syncId) {
+  return localId ? `local:${localId}` : `sync:${syncId}`;
+}
+
+/**
+ * Translate change IDs accepted in the sync preview into the sync IDs of a running sync
+ * @param {Array<string>} changeIds - Change IDs (see getChangeId)
+ * @param {Object} identityMap - Map of local IDs to sync IDs used by the sync
+ * @returns {Set<string>} Sync IDs
+ */
+export function resolveChangeIds(changeIds, identityMap) {
+  const syncIds = changeIds.map((changeId) => {
+    const separator = changeId.indexOf(':');
+    const id = changeId.slice(separator + 1);
+    return changeId.slice(0, separator) === 'local' ? identityMap[id] : id;
+  });
+  return new Set(syncIds.filter(Boolean));
+}
+
+/**
+ * Bring a state written before sync IDs existed into the sync ID scheme.
+ * Only the root folders can be translated; other ids are kept as opaque sync IDs.
+ * @param {Object|null} state - Remote or stored state
+ * @returns {Object|null} State with sync IDs
+ */
+export function normalizeLegacyState(state) {
+  if (!state || state.idScheme === SYNC_ID_SCHEME) return state;
+
+  const toSyncId = (id) => ROOT_SYNC_IDS[id] || id;
+  return {
+    ...state,
+    idScheme: SYNC_ID_SCHEME,
+    folders: (state.folders || []).map((f) => ({
+      ...f,
+      id: toSyncId(f.id),
+      parentId: toSyncId(f.parentId),
+    })),
+    bookmarks: (state.bookmarks || []).map((b) => ({ ...b, parentId: toSyncId(b.parentId) })),
+  };
+}
+
+/**
+ * Build a lookup of fingerprints to sync IDs from the reference states
+ * @param {Array<Object|null>} states - States with sync IDs
+ * @param {Set<string>} claimed - Sync IDs already used by local items
+ * @returns {Map<string, Array<string>>} Sync IDs by fingerprint
+ */
+function indexByFingerprint(states, claimed) {
+  const index = new Map();
+  const seen = new Set();
+
+  const add = (fingerprint, id) => {
+    if (claimed.has(id) || seen.has(id)) return;
+    seen.add(id);
+    if (!index.has(fingerprint)) index.set(fingerprint, []);
+    index.get(fingerprint).push(id);
+  };
+
+  for (const state of states) {
+    if (!state) continue;
+    const pathOf = buildFolderPaths(state.folders || []);
+    for (const folder of state.folders || []) {
+      add(folderFingerprint(folder, pathOf), folder.id);
+    }
+    for (const bookmark of state.bookmarks || []) {
+      add(bookmarkFingerprint(bookmark, pathOf), bookmark.id);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Create a lookup for the path of a folder from the root, built from folder titles.
+ * Root folders are identified by their sync ID since their titles are localized.
+ * @param {Array<Object>} folders - Folders ({id, title, parentId})
+ * @returns {Function} Returns the path of a folder id
+ */
+function buildFolderPaths(folders) {
+  const byId = new Map(folders.map((f) => [f.id, f]));
+  const paths = new Map();
+
+  const pathOf = (id, depth = 0) => {
+    const rootId = ROOT_SYNC_IDS[id] || id;
+    if (ROOT_IDS.has(rootId)) return rootId;
+    if (paths.has(id)) return paths.get(id);
+
+    const folder = byId.get(id);
+    if (!folder || depth > folders.length) return `?${id}`;
+
+    const path = `${pathOf(folder.parentId, depth + 1)}/${folder.title}`;
+    paths.set(id, path);
+    return path;
+  };
+
+  return (id) => pathOf(id);
+}
+
+/**
+ * Fingerprint used to pair folders without a mapping
+ * @param {Object} folder - Folder
+ * @param {Function} pathOf - Folder path lookup
+ * @returns {string} Fingerprint
+ */
+function folderFingerprint(folder, pathOf) {
+  return `folder\u0000${pathOf(folder.id)}`;
+}
+
+/**
+ * Fingerprint used to pair bookmarks without a mapping
+ * @param {Object} bookmark - Bookmark
+ * @param {Function} pathOf - Folder path lookup
+ * @returns {string} Fingerprint
+ */
+function bookmarkFingerprint(bookmark, pathOf) {
+  return `bookmark\u0000${bookmark.url}\u0000${bookmark.title}\u0000${pathOf(bookmark.parentId)}`;
+}
+
+/**
+ * Invert the mapping table, including the root folders
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @returns {Object} Map of sync IDs to local IDs
+ */
+function reverseIdentityMap(identityMap) {
+  const reverse = {};
+  for (const [localId, syncId] of Object.entries({ ...identityMap, ...ROOT_SYNC_IDS })) {
+    reverse[syncId] = localId;
+  }
+  return reverse;
+}
@@ -0,0 +1,368 @@
+/**
+ * change-journal.js - Persistent journal of local bookmark changes
+ *
+ * Records chrome.bookmarks events between syncs so a sync can rebuild the local
+ * state from the last synced state instead of exporting and diffing the whole tree.
+ */
+
+import { addBookmarkListener } from '../browser-api.js';
+
+// Storage key for the journal
+const JOURNAL_KEY = 'bookDriveChangeJournal';
+
+// Maximum number of entries kept before the journal falls back to a full export
+const MAX_JOURNAL_ENTRIES = 5000;
+
+// Chrome may deliver the events of sync's own changes after the changes were made
+const EXPECTED_EVENT_TTL_MS = 30 * 1000;
+
+/**
+ * Journal operation types
+ */
+export const JOURNAL_OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  MOVE: 'move',
+  REMOVE: 'remove',
+  REORDER: 'reorder',
+};
+
+let journalStarted = false;
+let applyingSyncOperations = 0;
+let writeQueue = Promise.resolve();
+
+// Events the operations applied by sync will cause, each skipped once when it arrives
+let expectedEvents = [];
+
+/**
+ * Start recording bookmark events into the journal.
+ * Must be called at the top level of the background worker so events wake it up.
+ */
+export function startChangeJournal() {
+  if (journalStarted || !chrome.bookmarks) return;
+  journalStarted = true;
+
+  chrome.bookmarks.onCreated.addListener((id, node) => {
+    recordEntry({
+      type: JOURNAL_OPERATIONS.CREATE,
+      id,
+      folder: !node.url,
+      data: { title: node.title, url: node.url, parentId: node.parentId, index: node.index },
+    });
+  });
+
+  chrome.bookmarks.onChanged.addListener((id, changeInfo) => {
+    recordEntry({
+      type: JOURNAL_OPERATIONS.UPDATE,
+      id,
+      data: { title: changeInfo.title, url: changeInfo.url },
+    });
+  });
+
+  chrome.bookmarks.onMoved.addListener((id, moveInfo) => {
+    recordEntry({
+      type: JOURNAL_OPERATIONS.MOVE,
+      id,
+      data: { parentId: moveInfo.parentId, index: moveInfo.index },
+    });
+  });
+
+  chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
+    recordEntry({
+      type: JOURNAL_OPERATIONS.REMOVE,
+      id,
+      folder: !!(removeInfo.node && !removeInfo.node.url),
+      data: { parentId: removeInfo.parentId },
+    });
+  });
+
+  // Firefox reports reordering as moves
+  addBookmarkListener('onChildrenReordered', (id, reorderInfo) => {
+    recordEntry({
+      type: JOURNAL_OPERATIONS.REORDER,
+      id,
+      data: { childIds: reorderInfo.childIds },
+    });
+  });
+
+  // Bulk imports are not reported reliably, fall back to a full export afterwards
+  addBookmarkListener('onImportBegan', () => invalidateJournal('import'));
+}
+
+/**
+ * Run a function that applies sync operations to the local tree without journaling
+ * the bookmark events those operations cause. Only the events matching an operation
+ * are skipped, so edits the user makes in the meantime are still recorded.
+ * @param {Array<Object>} operations - Operations with local IDs ({type, id, bookmark})
+ * @param {Function} fn - Async function applying the operations
+ * @returns {Promise<any>} Result of fn
+ */
+export async function withSyncOperations(operations, fn) {
+  const expected = operations.map(toExpectedEvent);
+  expectedEvents.push(...expected);
+  applyingSyncOperations++;
+  try {
+    return await fn();
+  } finally {
+    applyingSyncOperations--;
+    const expires = Date.now() + EXPECTED_EVENT_TTL_MS;
+    for (const event of expected) event.expires = expires;
+  }
+}
+
+/**
+ * Check whether sync is currently applying operations to the local tree
+ * @returns {boolean} Whether bookmark events are likely caused by sync itself
+ */
+export function isApplyingSyncOperations() {
+  return applyingSyncOperations > 0;
+}
+
+/**
+ * Get the current journal
+ * @returns {Promise<{entries: Array<Object>, lastSeq: number, invalid: string|null, invalidSeq: number}>} Journal
+ */
+export async function getJournal() {
+  await writeQueue;
+  return readJournal();
+}
+
+/**
+ * Drop journal entries that have been synced
+ * @param {number} upToSeq - Last sequence number included in the sync
+ * @returns {Promise<void>}
+ */
+export async function clearJournal(upToSeq) {
+  await enqueueWrite((journal) => {
+    // An invalidation after the sync read the journal still needs a full export
+    const stillInvalid = journal.invalid && journal.invalidSeq > upToSeq;
+    return {
+      entries: journal.entries.filter((entry) => entry.seq > upToSeq),
+      lastSeq: journal.lastSeq,
+      invalid: stillInvalid ? journal.invalid : null,
+      invalidSeq: stillInvalid ? journal.invalidSeq : 0,
+    };
+  });
+}
+
+/**
+ * Mark the journal as unusable so the next sync does a full export
+ * @param {string} reason - Why the journal cannot be trusted
+ * @returns {Promise<void>}
+ */
+export async function invalidateJournal(reason) {
+  await enqueueWrite((journal) => {
+    const seq = journal.lastSeq + 1;
+    return { entries: [], lastSeq: seq, invalid: reason, invalidSeq: seq };
+  });
+}
+
+/**
+ * Rebuild a bookmark state by replaying journal entries on top of it.
+ * Child order is replayed as well, so indexes match what the browser reports.
+ * @param {Object} state - State at the last sync ({folders, bookmarks})
+ * @param {Array<Object>} entries - Journal entries in recording order
+ * @returns {Object} Updated state
+ */
+export function applyJournalToState(state, entries) {
+  const bookmarks = new Map((state.bookmarks || []).map((b) => [b.id, { ...b }]));
+  const folders = new Map((state.folders || []).map((f) => [f.id, { ...f }]));
+  const children = buildChildLists([...folders.values(), ...bookmarks.values()]);
+
+  const detach = (node) => {
+    const siblings = children.get(node.parentId) || [];
+    const position = siblings.indexOf(node.id);
+    if (position !== -1) siblings.splice(position, 1);
+  };
+  const attach = (node, index) => {
+    if (!children.has(node.parentId)) children.set(node.parentId, []);
+    const siblings = children.get(node.parentId);
+    siblings.splice(index === undefined ? siblings.length : index, 0, node.id);
+  };
+
+  for (const entry of entries) {
+    const target = bookmarks.get(entry.id) || folders.get(entry.id);
+
+    switch (entry.type) {
+      case JOURNAL_OPERATIONS.CREATE: {
+        const node = { id: entry.id, title: entry.data.title, parentId: entry.data.parentId };
+        if (entry.folder) {
+          folders.set(entry.id, node);
+        } else {
+          node.url = entry.data.url;
+          bookmarks.set(entry.id, node);
+        }
+        attach(node, entry.data.index);
+        break;
+      }
+      case JOURNAL_OPERATIONS.UPDATE:
+        if (target) {
+          if (entry.data.title !== undefined) target.title = entry.data.title;
+          if (entry.data.url !== undefined && bookmarks.has(entry.id)) target.url = entry.data.url;
+        }
+        break;
+      case JOURNAL_OPERATIONS.MOVE:
+        if (target) {
+          detach(target);
+          target.parentId = entry.data.parentId;
+          attach(target, entry.data.index);
+        }
+        break;
+      case JOURNAL_OPERATIONS.REMOVE:
+        if (target) detach(target);
+        removeSubtree(entry.id, bookmarks, folders);
+        break;
+      case JOURNAL_OPERATIONS.REORDER:
+        children.set(entry.id, [...entry.data.childIds]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Write the replayed order back as indexes
+  for (const siblings of children.values()) {
+    let index = 0;
+    for (const id of siblings) {
+      const node = bookmarks.get(id) || folders.get(id);
+      if (node) node.index = index++;
+    }
+  }
+
+  return {
+    ...state,
+    folders: Array.from(folders.values()),
+    bookmarks: Array.from(bookmarks.values()),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Group node ids by parent, ordered by their index
+ * @param {Array<Object>} nodes - Folders and bookmarks
+ * @returns {Map<string, Array<string>>} Child ids by parent id
+ */
+function buildChildLists(nodes) {
+  const children = new Map();
+  const sorted = nodes
+    .filter((node) => node.id !== node.parentId)
+    .sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+
+  for (const node of sorted) {
+    if (!children.has(node.parentId)) children.set(node.parentId, []);
+    children.get(node.parentId).push(node.id);
+  }
+
+  return children;
+}
+
+/**
+ * Remove a node and, for folders, everything below it
+ * @param {string} id - Node ID
+ * @param {Map<string, Object>} bookmarks - Bookmarks by id
+ * @param {Map<string, Object>} folders - Folders by id
+ */
+function removeSubtree(id, bookmarks, folders) {
+  bookmarks.delete(id);
+  if (!folders.delete(id)) return;
+
+  for (const [childId, bookmark] of bookmarks) {
+    if (bookmark.parentId === id) bookmarks.delete(childId);
+  }
+  for (const [childId, folder] of folders) {
+    if (folder.parentId === id) removeSubtree(childId, bookmarks, folders);
+  }
+}
+
+/**
+ * Append an entry to the journal
+ * @param {Object} entry - Journal entry without sequence number
+ */
+function recordEntry(entry) {
+  if (takeExpectedEvent(entry)) return;
+
+  enqueueWrite((journal) => {
+    const seq = journal.lastSeq + 1;
+    const entries = [...journal.entries, { ...entry, seq, timestamp: new Date().toISOString() }];
+
+    if (entries.length > MAX_JOURNAL_ENTRIES) {
+      return { entries: [], lastSeq: seq, invalid: 'overflow', invalidSeq: seq };
+    }
+
+    return { entries, lastSeq: seq, invalid: journal.invalid, invalidSeq: journal.invalidSeq };
+  }).catch((error) => {
+    console.error('Failed to record bookmark change:', error);
+  });
+}
+
+/**
+ * Describe the bookmark event an operation applied by sync causes. Created nodes
+ * get their ID only once created, so creations are matched by title and URL.
+ * @param {Object} op - Operation with local IDs ({type, id, bookmark})
+ * @returns {Object} Expected event ({type, id} or {type, title, url})
+ */
+function toExpectedEvent(op) {
+  const expires = Infinity;
+  if (op.type === JOURNAL_OPERATIONS.CREATE) {
+    return { type: op.type, title: op.bookmark.title, url: op.bookmark.url, expires };
+  }
+  return { type: op.type, id: op.id, expires };
+}
+
+/**
+ * Skip an event if sync expects it from an operation it applied
+ * @param {Object} entry - Journal entry for the event
+ * @returns {boolean} Whether the event was caused by sync
+ */
+function takeExpectedEvent(entry) {
+  const now = Date.now();
+  expectedEvents = expectedEvents.filter((event) => event.expires > now);
+
+  const index = expectedEvents.findIndex(
+    (event) =>
+      event.type === entry.type &&
+      (event.id !== undefined
+        ? event.id === entry.id
+        : event.title === entry.data.title && event.url === entry.data.url),
+  );
+  if (index === -1) return false;
+
+  expectedEvents.splice(index, 1);
+  return true;
+}
+
+/**
+ * Serialize read-modify-write cycles on the stored journal
+ * @param {Function} update - Receives the current journal, returns the new one
+ * @returns {Promise<void>}
+ */
+function enqueueWrite(update) {
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      const journal = await readJournal();
+      await chrome.storage.local.set({ [JOURNAL_KEY]: update(journal) });
+    });
+  return writeQueue;
+}
+
+/**
+ * Read the journal from storage
+ * @returns {Promise<Object>} Stored journal
+ */
+async function readJournal() {
+  const result = await chrome.storage.local.get(JOURNAL_KEY);
+  const journal = result && result[JOURNAL_KEY];
+
+  // A journal that was never reset by a sync cannot tell what changed before it started
+  if (!journal) {
+    return { entries: [], lastSeq: 0, invalid: 'missing', invalidSeq: 0 };
+  }
+
+  return {
+    entries: journal.entries || [],
+    lastSeq: journal.lastSeq || 0,
+    invalid: journal.invalid || null,
+    invalidSeq: journal.invalidSeq || 0,
+  };
+}
@@ -0,0 +1,92 @@
+// change-sync-scheduler.js - Debounced sync after local bookmark changes
+
+import { DEFAULTS } from '../../config/constants.js';
+
+// Constants
+export const CHANGE_SYNC_ALARM_NAME = 'syncOnChange';
+const PENDING_STATE_KEY = 'bookDriveChangeSyncPending';
+
+// Settings keys (saved by the options page in chrome.storage.sync)
+export const CHANGE_SYNC_SETTINGS_KEYS = {
+  ENABLED: 'bookDriveSyncOnChange',
+  QUIET_PERIOD: 'bookDriveSyncOnChangeDelay',
+  MAX_WAIT: 'bookDriveSyncOnChangeMaxWait',
+};
+
+/**
+ * Get the sync-on-change settings
+ * @returns {Promise<{enabled: boolean, quietPeriod: number, maxWait: number}>} Settings (periods in seconds)
+ */
+export async function getChangeSyncSettings() {
+  const result = await chrome.storage.sync.get({
+    [CHANGE_SYNC_SETTINGS_KEYS.ENABLED]: DEFAULTS.SYNC_ON_CHANGE,
+    [CHANGE_SYNC_SETTINGS_KEYS.QUIET_PERIOD]: DEFAULTS.SYNC_ON_CHANGE_DELAY,
+    [CHANGE_SYNC_SETTINGS_KEYS.MAX_WAIT]: DEFAULTS.SYNC_ON_CHANGE_MAX_WAIT,
+  });
+
+  const quietPeriod = Number(result[CHANGE_SYNC_SETTINGS_KEYS.QUIET_PERIOD]);
+  const maxWait = Number(result[CHANGE_SYNC_SETTINGS_KEYS.MAX_WAIT]);
+
+  return {
+    enabled: result[CHANGE_SYNC_SETTINGS_KEYS.ENABLED] !== false,
+    quietPeriod: quietPeriod > 0 ? quietPeriod : DEFAULTS.SYNC_ON_CHANGE_DELAY,
+    maxWait: maxWait > 0 ? maxWait : DEFAULTS.SYNC_ON_CHANGE_MAX_WAIT,
+  };
+}
+
+/**
+ * Record a bookmark change and (re)schedule the sync that uploads it.
+ * The sync fires once no change has happened for the quiet period, but never
+ * later than the max wait after the first change of the batch.
+ * @param {Object} options - Schedule options
+ * @param {number} options.quietPeriod - Seconds without changes before syncing
+ * @param {number} options.maxWait - Maximum seconds between the first change and the sync
+ * @returns {Promise<Object>} Pending batch ({firstChangeAt, lastChangeAt, changeCount, fireAt})
+ */
+export async function scheduleChangeSync({ quietPeriod, maxWait }) {
+  const now = Date.now();
+  const pending = await getPendingChangeSync();
+  const firstChangeAt = pending ? pending.firstChangeAt : now;
+
+  const batch = {
+    firstChangeAt,
+    lastChangeAt: now,
+    changeCount: (pending ? pending.changeCount : 0) + 1,
+    fireAt: Math.min(now + quietPeriod * 1000, firstChangeAt + maxWait * 1000),
+  };
+
+  await chrome.storage.local.set({ [PENDING_STATE_KEY]: batch });
+
+  // Creating an alarm with an existing name replaces it
+  await chrome.alarms.create(CHANGE_SYNC_ALARM_NAME, { when: batch.fireAt });
+
+  return batch;
+}
+
+/**
+ * Get the batch of changes waiting for a sync
+ * @returns {Promise<Object|null>} Pending batch or null
+ */
+export async function getPendingChangeSync() {
+  const result = await chrome.storage.local.get(PENDING_STATE_KEY);
+  return (result && result[PENDING_STATE_KEY]) || null;
+}
+
+/**
+ * Take the pending batch when its alarm fires, clearing it
+ * @returns {Promise<Object|null>} Pending batch or null
+ */
+export async function takePendingChangeSync() {
+  const pending = await getPendingChangeSync();
+  await chrome.storage.local.remove(PENDING_STATE_KEY);
+  return pending;
+}
+
+/**
+ * Drop the pending batch and its alarm
+ * @returns {Promise<void>}
+ */
+export async function cancelChangeSync() {
+  await chrome.alarms.clear(CHANGE_SYNC_ALARM_NAME);
+  await chrome.storage.local.remove(PENDING_STATE_KEY);
+}
@@ -0,0 +1,122 @@
+/**
+ * child-order.js - Position-aware merging of folder contents
+ *
+ * Orders are merged per parent folder: a side that reordered the common children
+ * since the last sync wins over a side that did not, and items only known to the
+ * other side are inserted after the sibling they followed there.
+ */
+
+/**
+ * Group the items of a state by parent, ordered by index
+ * @param {Object|null} state - State ({folders, bookmarks})
+ * @returns {Map<string, Array<string>>} Child ids by parent id
+ */
+export function buildChildOrder(state) {
+  const children = new Map();
+  if (!state) return children;
+
+  const items = [...(state.folders || []), ...(state.bookmarks || [])]
+    .map((item, position) => ({ item, position }))
+    .filter(({ item }) => item.id !== item.parentId)
+    .sort(
+      (a, b) => (a.item.index ?? Infinity) - (b.item.index ?? Infinity) || a.position - b.position,
+    );
+
+  for (const { item } of items) {
+    if (!children.has(item.parentId)) children.set(item.parentId, []);
+    children.get(item.parentId).push(item.id);
+  }
+
+  return children;
+}
+
+/**
+ * Merge the order of one folder's children
+ * @param {Array<string>} baseOrder - Child ids at the last sync
+ * @param {Array<string>} localOrder - Local child ids
+ * @param {Array<string>} remoteOrder - Remote child ids
+ * @param {Set<string>} members - Ids that end up in the folder after the merge
+ * @returns {Array<string>} Merged child ids
+ */
+export function mergeChildOrder(baseOrder, localOrder, remoteOrder, members) {
+  const localChanged = orderChanged(baseOrder, localOrder);
+  const remoteChanged = orderChanged(baseOrder, remoteOrder);
+  const [primary, secondary] =
+    remoteChanged && !localChanged ? [remoteOrder, localOrder] : [localOrder, remoteOrder];
+
+  const result = primary.filter((id) => members.has(id));
+  const placed = new Set(result);
+
+  secondary.forEach((id, position) => {
+    if (placed.has(id) || !members.has(id)) return;
+
+    // Insert after the closest preceding sibling that is already placed
+    let insertAt = 0;
+    for (let i = position - 1; i >= 0; i--) {
+      const previous = result.indexOf(secondary[i]);
+      if (previous !== -1) {
+        insertAt = previous + 1;
+        break;
+      }
+    }
+
+    result.splice(insertAt, 0, id);
+    placed.add(id);
+  });
+
+  // Items neither side listed here (e.g. restored folders) go last
+  for (const id of members) {
+    if (!placed.has(id)) result.push(id);
+  }
+
+  return result;
+}
+
+/**
+ * Assign merged indexes to the items of a state
+ * @param {Object} state - Merged state ({folders, bookmarks})
+ * @param {Object} orders - Child orders of the merge inputs ({base, local, remote})
+ * @param {Set<string>} fixedIds - Ids whose index is left alone (root folders)
+ * @returns {Object} State with indexes
+ */
+export function orderSiblings(state, orders, fixedIds = new Set()) {
+  const members = new Map();
+  for (const item of [...state.folders, ...state.bookmarks]) {
+    if (fixedIds.has(item.id)) continue;
+    if (!members.has(item.parentId)) members.set(item.parentId, new Set());
+    members.get(item.parentId).add(item.id);
+  }
+
+  const indexes = new Map();
+  for (const [parentId, ids] of members) {
+    const merged = mergeChildOrder(
+      orders.base.get(parentId) || [],
+      orders.local.get(parentId) || [],
+      orders.remote.get(parentId) || [],
+      ids,
+    );
+    merged.forEach((id, index) => indexes.set(id, index));
+  }
+
+  const withIndex = (item) =>
+    indexes.has(item.id) ? { ...item, index: indexes.get(item.id) } : item;
+  return {
+    folders: state.folders.map(withIndex),
+    bookmarks: state.bookmarks.map(withIndex),
+  };
+}
+
+/**
+ * Check whether the relative order of the children both lists share has changed
+ * @param {Array<string>} before - Earlier order
+ * @param {Array<string>} after - Later order
+ * @returns {boolean} Whether the order changed
+ */
+function orderChanged(before, after) {
+  const afterIds = new Set(after);
+  const beforeIds = new Set(before);
+  const common = before.filter((id) => afterIds.has(id));
+  const commonAfter = after.filter((id) => beforeIds.has(id));
+
+  return common.some((id, position) => commonAfter[position] !== id);
+}
@@ -0,0 +1,131 @@
+/**
+ * client-inbox.js - Bookmarks added on client devices in host-to-many mode
+ *
+ * Clients never publish the bookmark state; their tree is overwritten with the
+ * host's. With the inbox policy enabled, bookmarks a client added since its last
+ * sync are first submitted to the client's inbox file in storage. The host files
+ * them into an inbox folder and publishes them like any other bookmark.
+ */
+
+import { getOrCreateDeviceId } from '../team/team-manager.js';
+import { ROOT_FOLDER_SYNC_IDS } from './bookmark-identity.js';
+
+// Inbox configuration
+const INBOX_FILE_PREFIX = 'bookmarks_inbox_';
+
+// Settings key (saved by the options page in chrome.storage.sync)
+export const CLIENT_INBOX_SETTING_KEY = 'bookDriveClientInbox';
+
+// The inbox folder has a fixed sync ID so every host files into the same folder
+export const INBOX_FOLDER_ID = 'bookdrive-inbox';
+export const INBOX_FOLDER_TITLE = 'BookDrive Inbox';
+const INBOX_PARENT_ID = ROOT_FOLDER_SYNC_IDS.OTHER;
+
+/**
+ * Find the bookmarks a client added since its last sync
+ * @param {Object} localState - Local state with sync IDs
+ * @param {Object|null} remoteState - State published by the host
+ * @param {Object|null} baseState - State after the last successful sync
+ * @returns {Array<Object>} Added bookmarks ({id, title, url})
+ */
+export function collectClientAdditions(localState, remoteState, baseState) {
+  const known = new Set(
+    [
+      ...((remoteState && remoteState.bookmarks) || []),
+      ...((baseState && baseState.bookmarks) || []),
+    ].map((b) => b.id),
+  );
+
+  return (localState.bookmarks || [])
+    .filter((b) => !known.has(b.id))
+    .map(({ id, title, url }) => ({ id, title, url }));
+}
+
+/**
+ * Append bookmarks to this device's inbox file.
+ * Items the host already took (up to its cursor for this device) are dropped on the way.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {Array<Object>} items - Bookmarks to submit ({id, title, url})
+ * @param {Object} cursors - Inbox cursors of the published state (device ID -> last taken seq)
+ * @returns {Promise<Object>} Uploaded file metadata
+ */
+export async function submitInboxItems(storage, items, cursors = {}) {
+  const deviceId = await getOrCreateDeviceId();
+  const existing = (await fetchInboxFiles(storage)).find((inbox) => inbox.deviceId === deviceId);
+  const cursor = cursors[deviceId] || 0;
+
+  let seq = existing ? existing.lastSeq || 0 : 0;
+  const timestamp = new Date().toISOString();
+  const appended = items.map((item) => ({ ...item, seq: ++seq, deviceId, timestamp }));
+
+  return storage.put(`${INBOX_FILE_PREFIX}${deviceId}.json`, {
+    deviceId,
+    lastSeq: seq,
+    items: [...(existing ? existing.items.filter((item) => item.seq > cursor) : []), ...appended],
+  });
+}
+
+/**
+ * Collect the inbox items the host has not taken yet
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {Object} cursors - Inbox cursors of the published state (device ID -> last taken seq)
+ * @returns {Promise<{items: Array<Object>, cursors: Object}>} Pending items and the cursors after taking them
+ */
+export async function fetchInboxSubmissions(storage, cursors = {}) {
+  const nextCursors = { ...cursors };
+  const items = [];
+
+  for (const inbox of await fetchInboxFiles(storage)) {
+    const cursor = cursors[inbox.deviceId] || 0;
+    items.push(...inbox.items.filter((item) => item.seq > cursor));
+    nextCursors[inbox.deviceId] = Math.max(cursor, inbox.lastSeq || 0);
+  }
+
+  items.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return { items, cursors: nextCursors };
+}
+
+/**
+ * File inbox items into the inbox folder of a state, creating the folder if needed.
+ * Items the state already contains are skipped.
+ * @param {Object|null} state - State with sync IDs
+ * @param {Array<Object>} items - Inbox items ({id, title, url})
+ * @returns {Object} State with the inbox items
+ */
+export function addInboxItems(state, items) {
+  const folders = [...((state && state.folders) || [])];
+  const bookmarks = [...((state && state.bookmarks) || [])];
+  const present = new Set(bookmarks.map((b) => b.id));
+
+  if (!folders.some((f) => f.id === INBOX_FOLDER_ID)) {
+    folders.push({ id: INBOX_FOLDER_ID, title: INBOX_FOLDER_TITLE, parentId: INBOX_PARENT_ID });
+  }
+
+  for (const item of items) {
+    if (present.has(item.id)) continue;
+    present.add(item.id);
+    bookmarks.push({ id: item.id, title: item.title, url: item.url, parentId: INBOX_FOLDER_ID });
+  }
+
+  return { ...state, folders, bookmarks };
+}
+
+/**
+ * Download every client's inbox file
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Array<Object>>} Inbox files ({fileId, deviceId, lastSeq, items})
+ */
+async function fetchInboxFiles(storage) {
+  const files = await storage.list({ prefix: INBOX_FILE_PREFIX });
+
+  const inboxes = [];
+  for (const file of files) {
+    const stored = await storage.get(file.name);
+    const content = stored && stored.content;
+    if (content && content.deviceId && Array.isArray(content.items)) {
+      inboxes.push({ fileId: file.id, ...content });
+    }
+  }
+
+  return inboxes;
+}
@@ -0,0 +1,171 @@
+/**
+ * conflict-inbox.js - Conflicts a sync did not resolve on its own
+ *
+ * Syncs without automatic resolution leave conflicting items untouched on both
+ * sides and hold them here as SyncConflicts (see src/types/sync.js). The conflict
+ * resolution page picks a version for each one. The next sync writes that version
+ * to the local tree and to Drive, then takes the conflict out of the inbox.
+ */
+
+import { resolveConflicts, CONFLICT_STRATEGIES } from './conflict-resolver.js';
+
+export const CONFLICT_INBOX_KEY = 'bookDriveConflictInbox';
+
+export const CONFLICT_STATUS = {
+  PENDING: 'pending',
+  RESOLVED_LOCAL: 'resolved-local',
+  RESOLVED_REMOTE: 'resolved-remote',
+  RESOLVED_MANUAL: 'resolved-manual',
+};
+
+/**
+ * @typedef {import('../../types/sync.js').SyncConflict} SyncConflict
+ */
+
+/**
+ * Get every conflict in the inbox, resolved or not
+ * @returns {Promise<Array<SyncConflict>>} Conflicts, oldest first
+ */
+export async function getConflictInbox() {
+  const result = await chrome.storage.local.get(CONFLICT_INBOX_KEY);
+  return (result && result[CONFLICT_INBOX_KEY]) || [];
+}
+
+/**
+ * Get the conflicts still waiting for the user
+ * @returns {Promise<Array<SyncConflict>>} Pending conflicts
+ */
+export async function getPendingConflicts() {
+  const inbox = await getConflictInbox();
+  return inbox.filter((conflict) => conflict.status === CONFLICT_STATUS.PENDING);
+}
+
+/**
+ * Get the resolved conflicts the next sync has to apply
+ * @returns {Promise<Map<string, SyncConflict>>} Resolved conflicts keyed by bookmark ID
+ */
+export async function getConflictResolutions() {
+  const inbox = await getConflictInbox();
+  return new Map(
+    inbox
+      .filter((conflict) => conflict.status !== CONFLICT_STATUS.PENDING)
+      .map((conflict) => [conflict.bookmarkId, conflict]),
+  );
+}
+
+/**
+ * Choose the version a conflict is resolved with. The choice takes effect with the
+ * next sync.
+ * @param {string} conflictId - Conflict ID
+ * @param {string} strategy - CONFLICT_STRATEGIES.LOCAL_WINS, REMOTE_WINS, MERGE or MANUAL
+ * @param {Object|null} version - Fields edited by the user (MANUAL only)
+ * @returns {Promise<SyncConflict>} Resolved conflict
+ */
+export async function resolveConflict(conflictId, strategy, version = null) {
+  const inbox = await getConflictInbox();
+  const conflict = inbox.find((item) => item.id === conflictId);
+  if (!conflict) {
+    throw new Error('The conflict was already resolved by another sync');
+  }
+
+  const { localVersion, remoteVersion } = conflict;
+  let status;
+  let resolvedVersion;
+
+  switch (strategy) {
+    case CONFLICT_STRATEGIES.LOCAL_WINS:
+      status = CONFLICT_STATUS.RESOLVED_LOCAL;
+      resolvedVersion = localVersion;
+      break;
+
+    case CONFLICT_STRATEGIES.REMOTE_WINS:
+      status = CONFLICT_STATUS.RESOLVED_REMOTE;
+      resolvedVersion = remoteVersion;
+      break;
+
+    case CONFLICT_STRATEGIES.MERGE:
+      if (!localVersion || !remoteVersion) {
+        throw new Error('A deleted bookmark cannot be merged, keep one of the versions');
+      }
+      status = CONFLICT_STATUS.RESOLVED_MANUAL;
+      resolvedVersion = resolveConflicts(
+        [{ local: localVersion, remote: remoteVersion }],
+        CONFLICT_STRATEGIES.MERGE,
+      ).resolved[0];
+      break;
+
+    case CONFLICT_STRATEGIES.MANUAL:
+      if (!version) {
+        throw new Error('Manual resolution needs the version to keep');
+      }
+      status = CONFLICT_STATUS.RESOLVED_MANUAL;
+      resolvedVersion = { ...(localVersion || remoteVersion), ...version, id: conflict.bookmarkId };
+      break;
+
+    default:
+      throw new Error(`Unknown resolution strategy: ${strategy}`);
+  }
+
+  const resolved = {
+    ...conflict,
+    status,
+    resolvedVersion,
+    resolvedAt: new Date().toISOString(),
+  };
+  await saveConflictInbox(inbox.map((item) => (item.id === conflictId ? resolved : item)));
+  return resolved;
+}
+
+/**
+ * Update the inbox after a sync: hold the conflicts it left unresolved, and drop
+ * the resolutions it was given, which it either applied or found outdated.
+ * Conflicts resolved while the sync ran are kept for the next one.
+ * @param {Array<Object>} conflictDetails - Conflicts left by the sync (mergeBookmarkStates)
+ * @param {Map<string, SyncConflict>} handled - Resolutions the sync started with
+ * @returns {Promise<Array<SyncConflict>>} Pending conflicts
+ */
+export async function recordSyncConflicts(conflictDetails, handled = new Map()) {
+  const inbox = await getConflictInbox();
+  const resolvedMeanwhile = inbox.filter(
+    (conflict) => conflict.status !== CONFLICT_STATUS.PENDING && !handled.has(conflict.bookmarkId),
+  );
+  const resolvedIds = new Set(resolvedMeanwhile.map((conflict) => conflict.bookmarkId));
+  const previous = new Map(inbox.map((conflict) => [conflict.bookmarkId, conflict]));
+
+  const pending = conflictDetails
+    .filter((detail) => !resolvedIds.has(detail.bookmarkId))
+    .map((detail) => {
+      // Keep the ID and detection time of a conflict that is still the same
+      const known = previous.get(detail.bookmarkId);
+      const unchanged =
+        known &&
+        known.status === CONFLICT_STATUS.PENDING &&
+        JSON.stringify([known.localVersion, known.remoteVersion]) ===
+          JSON.stringify([detail.localVersion, detail.remoteVersion]);
+
+      return {
+        id: unchanged
+          ? known.id
+          : `conflict_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        bookmarkId: detail.bookmarkId,
+        itemType: detail.itemType,
+        type: detail.type,
+        localVersion: detail.localVersion,
+        remoteVersion: detail.remoteVersion,
+        timestamp: unchanged ? known.timestamp : new Date().toISOString(),
+        status: CONFLICT_STATUS.PENDING,
+      };
+    });
+
+  await saveConflictInbox([...pending, ...resolvedMeanwhile]);
+  return pending;
+}
+
+/**
+ * Store the inbox
+ * @param {Array<SyncConflict>} inbox - Conflicts
+ * @returns {Promise<void>}
+ */
+async function saveConflictInbox(inbox) {
+  await chrome.storage.local.set({ [CONFLICT_INBOX_KEY]: inbox });
+}
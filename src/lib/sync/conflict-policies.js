@@ -0,0 +1,314 @@
+/**
+ * conflict-policies.js - User-defined rules for resolving conflicts
+ *
+ * A rule matches conflicts by folder, by URL domain and by what changed, and says
+ * how to resolve them. resolveConflictsAdvanced checks the rules in order before
+ * its strategy: the first enabled rule whose conditions all match decides. Rules
+ * are kept in a file next to the sync state, so every device that syncs there uses
+ * the same ones, whatever browser or profile it runs in.
+ */
+
+import { ROOT_FOLDER_SYNC_IDS } from './bookmark-identity.js';
+
+const POLICIES_FILE = 'bookdrive_conflict_rules.json';
+
+export const POLICY_ACTIONS = {
+  LOCAL_WINS: 'local',
+  REMOTE_WINS: 'remote',
+  NEWER_WINS: 'newer',
+  LONGER_TITLE: 'longer_title',
+  NEVER_AUTO_RESOLVE: 'manual',
+};
+
+// What changed on both sides, named like CONFLICT_TYPES in conflict-resolver.js
+export const POLICY_CONFLICT_TYPES = {
+  TITLE_ONLY: 'title_only',
+  URL_ONLY: 'url_only',
+  FOLDER_ONLY: 'folder_only',
+  MIXED: 'mixed',
+  DELETION_CONFLICT: 'deletion_conflict',
+};
+
+const ROOT_IDS = new Set(Object.values(ROOT_FOLDER_SYNC_IDS));
+
+// How the options page and rule descriptions name each action
+export const POLICY_ACTION_LABELS = {
+  [POLICY_ACTIONS.LOCAL_WINS]: 'this device wins',
+  [POLICY_ACTIONS.REMOTE_WINS]: 'remote wins',
+  [POLICY_ACTIONS.NEWER_WINS]: 'newer version wins',
+  [POLICY_ACTIONS.LONGER_TITLE]: 'prefer the longer title',
+  [POLICY_ACTIONS.NEVER_AUTO_RESOLVE]: 'never auto-resolve',
+};
+
+/**
+ * @typedef {Object} ConflictPolicy
+ * @property {string} id - Rule ID
+ * @property {boolean} enabled - Whether the rule is checked
+ * @property {string} [folder] - Folder path below the root folders, e.g. "Work" or "Work/Clients";
+ *   matches the folder and its subfolders
+ * @property {string} [domain] - Host name pattern, "*" matching any characters, e.g. "*.internal.corp"
+ * @property {string} [conflictType] - One of POLICY_CONFLICT_TYPES
+ * @property {string} action - One of POLICY_ACTIONS
+ */
+
+/**
+ * Get the conflict rules, in the order they are checked
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Array<ConflictPolicy>>} Rules
+ */
+export async function getConflictPolicies(storage) {
+  const { policies } = await readConflictPolicies(storage);
+  return policies;
+}
+
+/**
+ * Download the conflict rules along with the revision they were read at
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<{policies: Array<ConflictPolicy>, revision: string|null}>} Rules and revision
+ */
+export async function readConflictPolicies(storage) {
+  const file = await storage.get(POLICIES_FILE);
+  if (!file) {
+    return { policies: [], revision: null };
+  }
+
+  return { policies: file.content.policies || [], revision: file.revision };
+}
+
+/**
+ * Check and store the conflict rules. The write only succeeds if nobody changed the
+ * rules since they were read, so edits made on another device are never overwritten.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {Array<Object>} policies - Rules, in the order they are checked
+ * @param {string|null} expectedRevision - Revision the rules were read at, null if there were none
+ * @returns {Promise<Array<ConflictPolicy>>} Stored rules
+ * @throws {Error} When a rule is invalid
+ * @throws {RevisionConflictError} When the rules changed since they were read
+ */
+export async function saveConflictPolicies(storage, policies, expectedRevision) {
+  const validated = validateConflictPolicies(policies);
+  await storage.put(
+    POLICIES_FILE,
+    { policies: validated, updatedAt: new Date().toISOString() },
+    { expectedRevision },
+  );
+  return validated;
+}
+
+/**
+ * Check conflict rules and fill in their defaults
+ * @param {Array<Object>} policies - Rules as entered by the user
+ * @returns {Array<ConflictPolicy>} Rules with an ID and the enabled flag
+ * @throws {Error} When a rule is invalid
+ */
+export function validateConflictPolicies(policies) {
+  if (!Array.isArray(policies)) {
+    throw new Error('Conflict rules must be a list');
+  }
+
+  return policies.map((policy, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!policy || typeof policy !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!Object.values(POLICY_ACTIONS).includes(policy.action)) {
+      throw new Error(
+        `${label}: action must be one of ${Object.values(POLICY_ACTIONS).join(', ')}`,
+      );
+    }
+    if (
+      policy.conflictType !== undefined &&
+      !Object.values(POLICY_CONFLICT_TYPES).includes(policy.conflictType)
+    ) {
+      throw new Error(
+        `${label}: conflictType must be one of ${Object.values(POLICY_CONFLICT_TYPES).join(', ')}`,
+      );
+    }
+    for (const field of ['folder', 'domain']) {
+      if (policy[field] !== undefined && (typeof policy[field] !== 'string' || !policy[field])) {
+        throw new Error(`${label}: ${field} must be a non-empty text`);
+      }
+    }
+
+    const validated = {
+      id: policy.id || `policy_${Date.now()}_${index}`,
+      enabled: policy.enabled !== false,
+      action: policy.action,
+    };
+    if (policy.folder) validated.folder = policy.folder;
+    if (policy.domain) validated.domain = policy.domain;
+    if (policy.conflictType) validated.conflictType = policy.conflictType;
+    return validated;
+  });
+}
+
+/**
+ * Describe a rule for the user
+ * @param {ConflictPolicy} policy - Rule
+ * @returns {string} Description, e.g. "Work/: remote wins"
+ */
+export function describeConflictPolicy(policy) {
+  const conditions = [];
+  if (policy.folder) conditions.push(`${normalizeFolderPath(policy.folder)}/`);
+  if (policy.domain) conditions.push(`${policy.domain} URLs`);
+  if (policy.conflictType) conditions.push(`${policy.conflictType.replace(/_/g, '-')} conflicts`);
+
+  return `${conditions.join(', ') || 'All conflicts'}: ${POLICY_ACTION_LABELS[policy.action]}`;
+}
+
+/**
+ * Find the rule that decides a conflict
+ * @param {Object} conflict - Conflict ({local, remote}, either may be null)
+ * @param {Array<ConflictPolicy>} policies - Rules, in order
+ * @param {Map<string, Object>} folders - Folders by ID, to find the folder path of the versions
+ * @returns {ConflictPolicy|null} First enabled rule that matches, or null
+ */
+export function findConflictPolicy(conflict, policies, folders = new Map()) {
+  const versions = [conflict.local, conflict.remote].filter(Boolean);
+  const conflictType = getPolicyConflictType(conflict.local, conflict.remote);
+
+  return (
+    policies.find(
+      (policy) =>
+        policy.enabled !== false &&
+        (!policy.conflictType || policy.conflictType === conflictType) &&
+        (!policy.folder ||
+          versions.some((version) => isInFolder(version.parentId, policy.folder, folders))) &&
+        (!policy.domain || versions.some((version) => matchesDomain(version.url, policy.domain))),
+    ) || null
+  );
+}
+
+/**
+ * Resolve a conflict the way a rule says
+ * @param {ConflictPolicy} policy - Rule
+ * @param {Object} conflict - Conflict ({local, remote}, either may be null)
+ * @returns {Object} Resolution result ({resolved, bookmark, reason}); bookmark is null to delete
+ */
+export function applyConflictPolicy(policy, conflict) {
+  const { local, remote } = conflict;
+  const reason = `Conflict rule "${describeConflictPolicy(policy)}"`;
+  const unresolved = (why) => ({ resolved: false, bookmark: null, reason: `${reason}: ${why}` });
+
+  switch (policy.action) {
+    case POLICY_ACTIONS.LOCAL_WINS:
+      return { resolved: true, bookmark: local || null, reason };
+
+    case POLICY_ACTIONS.REMOTE_WINS:
+      return { resolved: true, bookmark: remote || null, reason };
+
+    case POLICY_ACTIONS.NEWER_WINS: {
+      if (!local || !remote) return unresolved('a deleted version has no date');
+      const localTime = new Date(local.dateModified || local.dateAdded || 0).getTime();
+      const remoteTime = new Date(remote.dateModified || remote.dateAdded || 0).getTime();
+      return { resolved: true, bookmark: remoteTime > localTime ? remote : local, reason };
+    }
+
+    case POLICY_ACTIONS.LONGER_TITLE:
+      if (!local || !remote) return unresolved('a deleted version has no title');
+      return {
+        resolved: true,
+        bookmark: (remote.title || '').length > (local.title || '').length ? remote : local,
+        reason,
+      };
+
+    default:
+      return unresolved('left for the conflict page');
+  }
+}
+
+/**
+ * Tell what changed on both sides of a conflict
+ * @param {Object|null} local - Local version
+ * @param {Object|null} remote - Remote version
+ * @returns {string} One of POLICY_CONFLICT_TYPES
+ */
+function getPolicyConflictType(local, remote) {
+  if (!local || !remote) {
+    return POLICY_CONFLICT_TYPES.DELETION_CONFLICT;
+  }
+
+  const changed = ['title', 'url', 'parentId'].filter((field) => local[field] !== remote[field]);
+  if (changed.length !== 1) {
+    return POLICY_CONFLICT_TYPES.MIXED;
+  }
+  return {
+    title: POLICY_CONFLICT_TYPES.TITLE_ONLY,
+    url: POLICY_CONFLICT_TYPES.URL_ONLY,
+    parentId: POLICY_CONFLICT_TYPES.FOLDER_ONLY,
+  }[changed[0]];
+}
+
+/**
+ * Check whether a folder is the rule's folder or one of its subfolders
+ * @param {string} folderId - ID of the folder holding the item
+ * @param {string} pattern - Folder path of the rule
+ * @param {Map<string, Object>} folders - Folders by ID
+ * @returns {boolean} Whether the folder matches
+ */
+function isInFolder(folderId, pattern, folders) {
+  const path = getFolderPath(folderId, folders).toLowerCase();
+  const wanted = normalizeFolderPath(pattern).toLowerCase();
+  return path === wanted || path.startsWith(`${wanted}/`);
+}
+
+/**
+ * Build the path of a folder from the titles below the root folders
+ * @param {string} folderId - Folder ID
+ * @param {Map<string, Object>} folders - Folders by ID
+ * @returns {string} Path, e.g. "Work/Clients"
+ */
+function getFolderPath(folderId, folders) {
+  // The tree root is its own parent; the root folders (Bookmarks Bar, Other
+  // Bookmarks) are its children and not part of the path
+  const isTreeRoot = (folder) => !!folder && folder.parentId === folder.id;
+  const isRootFolder = (folder) =>
+    ROOT_IDS.has(folder.id) || isTreeRoot(folder) || isTreeRoot(folders.get(folder.parentId));
+
+  const titles = [];
+  const seen = new Set();
+  let folder = folders.get(folderId);
+  while (folder && !isRootFolder(folder)) {
+    if (seen.has(folder.id)) break;
+    seen.add(folder.id);
+    titles.unshift(folder.title);
+    folder = folders.get(folder.parentId);
+  }
+  return titles.join('/');
+}
+
+/**
+ * Trim spaces and slashes around a folder path
+ * @param {string} path - Folder path
+ * @returns {string} Normalized path
+ */
+function normalizeFolderPath(path) {
+  return path
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Check a URL's host name against a pattern
+ * @param {string} url - URL
+ * @param {string} pattern - Host name pattern, "*" matching any characters
+ * @returns {boolean} Whether the host name matches
+ */
+function matchesDomain(url, pattern) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+
+  const source = pattern
+    .trim()
+    .toLowerCase()
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(hostname);
+}
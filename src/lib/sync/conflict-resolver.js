@@ -3,6 +3,8 @@
  * Provides visual merge tools for resolving bookmark conflicts
  */
 
+import { findConflictPolicy, applyConflictPolicy } from './conflict-policies.js';
+
 /**
  * Conflict resolution strategies
  */
@@ -212,19 +214,25 @@ function mergeBookmarks(local, remote) {
 }
 
 /**
- * Resolve conflicts with advanced strategies
- * @param {Array} conflicts - Array of conflict objects
+ * Resolve conflicts with advanced strategies. The user's conflict rules are checked
+ * first, in order; the strategy only handles conflicts no rule matches.
+ * @param {Array} conflicts - Array of conflict objects ({id, local, remote})
  * @param {string} strategy - Resolution strategy
  * @param {Object} options - Advanced options
- * @returns {Object} Resolution result
+ * @param {Array<Object>} options.policies - Conflict rules (see getConflictPolicies)
+ * @param {Map<string, Object>} options.folders - Folders by ID, for rules that match a folder
+ * @param {boolean} options.recordHistory - Add the resolutions to the resolution history
+ * @returns {Object} Resolution result; resolvedVersions maps conflict IDs to the chosen version
  */
 export async function resolveConflictsAdvanced(
   conflicts,
   strategy = CONFLICT_STRATEGIES.INTELLIGENT_MERGE,
   options = {},
 ) {
+  const { policies = [], folders = new Map(), recordHistory = true } = options;
   const resolved = [];
   const unresolved = [];
+  const resolvedVersions = new Map();
   const resolutionHistory = [];
   const stats = {
     totalConflicts: conflicts.length,
@@ -239,10 +247,14 @@ export async function resolveConflictsAdvanced(
 
   for (const conflict of conflicts) {
     const conflictInfo = await analyzeConflict(conflict);
-    const resolution = await resolveConflictAdvanced(conflict, strategy, options, conflictInfo);
+    const policy = findConflictPolicy(conflict, policies, folders);
+    const resolution = policy
+      ? { ...applyConflictPolicy(policy, conflict), strategy: policy.action }
+      : await resolveConflictAdvanced(conflict, strategy, options, conflictInfo);
 
     if (resolution.resolved) {
       resolved.push(resolution.bookmark);
+      resolvedVersions.set(conflict.id, resolution.bookmark);
       stats.resolvedCount++;
     } else {
       unresolved.push(conflict);
@@ -252,6 +264,7 @@ export async function resolveConflictsAdvanced(
     resolutionHistory.push({
       conflictId: conflict.id,
       strategy: resolution.strategy,
+      policyId: policy ? policy.id : null,
       reason: resolution.reason,
       timestamp: new Date().toISOString(),
       severity: conflictInfo.severity,
@@ -260,11 +273,14 @@ export async function resolveConflictsAdvanced(
   }
 
   // Save resolution history
-  await saveResolutionHistory(resolutionHistory);
+  if (recordHistory) {
+    await saveResolutionHistory(resolutionHistory);
+  }
 
   return {
     resolved,
     unresolved,
+    resolvedVersions,
     strategy,
     stats,
     resolutionHistory,
@@ -284,16 +300,19 @@ async function analyzeConflict(conflict) {
   let type = CONFLICT_TYPES.MIXED;
   let severity = CONFLICT_SEVERITY.MEDIUM;
 
-  // Check for deletion conflicts
-  if (!local && remote) {
-    type = CONFLICT_TYPES.DELETION_CONFLICT;
-    severity = CONFLICT_SEVERITY.HIGH;
-  } else if (local && !remote) {
-    type = CONFLICT_TYPES.DELETION_CONFLICT;
-    severity = CONFLICT_SEVERITY.HIGH;
+  // Deletion conflicts have only one version to analyze
+  if (!local || !remote) {
+    return {
+      type: CONFLICT_TYPES.DELETION_CONFLICT,
+      severity: CONFLICT_SEVERITY.HIGH,
+      localChanges: {},
+      remoteChanges: {},
+      similarity: 0,
+    };
   }
+
   // Check for title-only conflicts
-  else if (
+  if (
     local.title !== remote.title &&
     local.url === remote.url &&
     local.parentId === remote.parentId
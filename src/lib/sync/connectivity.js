@@ -0,0 +1,68 @@
+// connectivity.js - Tell network failures apart from other sync errors and notice when the network is back
+
+// Constants
+export const CONNECTIVITY_PROBE_ALARM_NAME = 'connectivityProbe';
+
+// Chrome's minimum alarm period for packed extensions is 30 seconds
+const PROBE_INTERVAL_MINUTES = 1;
+
+// Answers with an empty 204 response, without authentication
+const PROBE_URL = 'https://www.googleapis.com/generate_204';
+
+// How fetch reports a request that never reached the server (Chromium, Firefox, Safari)
+const NETWORK_ERROR_PATTERN = /Failed to fetch|NetworkError|Load failed|network error/i;
+
+/**
+ * Check whether the browser reports being offline
+ * @returns {boolean} True when navigator.onLine is false
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Check whether an error means the network was unreachable rather than that the
+ * request itself failed
+ * @param {Error|string} error - Error, or the message of a failed sync result
+ * @returns {boolean} True for network failures
+ */
+export function isNetworkError(error) {
+  const message = typeof error === 'string' ? error : error && error.message;
+  return isOffline() || NETWORK_ERROR_PATTERN.test(message || '');
+}
+
+/**
+ * Check whether Google's servers can be reached. navigator.onLine alone is not
+ * enough: it stays true behind captive portals and on networks without internet.
+ * @returns {Promise<boolean>} True when a request got a response
+ */
+export async function probeConnectivity() {
+  if (isOffline()) {
+    return false;
+  }
+
+  try {
+    await fetch(PROBE_URL, { method: 'HEAD', cache: 'no-store' });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+/**
+ * Probe the network periodically until a queued sync could run
+ * @returns {Promise<void>}
+ */
+export async function scheduleConnectivityProbe() {
+  await chrome.alarms.create(CONNECTIVITY_PROBE_ALARM_NAME, {
+    periodInMinutes: PROBE_INTERVAL_MINUTES,
+  });
+}
+
+/**
+ * Stop probing the network
+ * @returns {Promise<void>}
+ */
+export async function cancelConnectivityProbe() {
+  await chrome.alarms.clear(CONNECTIVITY_PROBE_ALARM_NAME);
+}
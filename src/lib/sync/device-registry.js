@@ -0,0 +1,242 @@
+/**
+ * device-registry.js - Host and client roles for host-to-many sync
+ *
+ * A registry file in the BookDrive folder lists every device that syncs there and
+ * records which one holds the host role. Only the host publishes the bookmark state.
+ * Handing the role to another device is a two-step flow: the request is stored in the
+ * registry and the host completes it after its next successful publish, so edits made
+ * on the old host are never lost. A host that has not been seen for a week can be
+ * replaced right away.
+ */
+
+import { RevisionConflictError } from '../../utils/error-handler.js';
+import { getOrCreateDeviceId } from '../team/team-manager.js';
+
+// Registry configuration
+const REGISTRY_FILE = 'bookdrive_devices.json';
+const MAX_RETRIES = 3;
+
+// A host that has not synced for this long can be replaced without a handover
+export const HOST_STALE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const DEVICE_ROLES = {
+  HOST: 'host',
+  CLIENT: 'client',
+};
+
+/**
+ * Get the device registry
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Object>} Registry ({hostDeviceId, devices, handover, updatedAt})
+ */
+export async function getDeviceRegistry(storage) {
+  const { registry } = await readRegistry(storage);
+  return registry;
+}
+
+/**
+ * Get the role a device holds in the registry
+ * @param {Object} registry - Device registry
+ * @param {string} deviceId - Device ID
+ * @returns {string} 'host' or 'client'
+ */
+export function getDeviceRole(registry, deviceId) {
+  return registry && registry.hostDeviceId === deviceId ? DEVICE_ROLES.HOST : DEVICE_ROLES.CLIENT;
+}
+
+/**
+ * Get the role registerDevice would give this device, without registering it
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<string>} 'host' or 'client'
+ */
+export async function peekDeviceRole(storage) {
+  const deviceId = await getOrCreateDeviceId();
+  const registry = await getDeviceRegistry(storage);
+  return registry.devices[registry.hostDeviceId]
+    ? getDeviceRole(registry, deviceId)
+    : DEVICE_ROLES.HOST;
+}
+
+/**
+ * Add this device to the registry or refresh its entry.
+ * The first device to register becomes the host.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<{registry: Object, deviceId: string, role: string}>} Registry and this device's role
+ */
+export async function registerDevice(storage) {
+  const deviceId = await getOrCreateDeviceId();
+
+  const registry = await updateRegistry(storage, (draft) => {
+    draft.devices[deviceId] = {
+      ...draft.devices[deviceId],
+      ...describeDevice(),
+      id: deviceId,
+      lastSeen: new Date().toISOString(),
+    };
+
+    if (!draft.devices[draft.hostDeviceId]) {
+      draft.hostDeviceId = deviceId;
+      draft.handover = null;
+    }
+  });
+
+  return { registry, deviceId, role: getDeviceRole(registry, deviceId) };
+}
+
+/**
+ * Record a finished sync of this device. If this device is the host and a
+ * handover is pending, the role moves to the requested device now that the
+ * host's latest state is published.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Object>} Updated registry
+ */
+export async function finishDeviceSync(storage) {
+  const deviceId = await getOrCreateDeviceId();
+
+  return updateRegistry(storage, (draft) => {
+    const now = new Date().toISOString();
+    if (draft.devices[deviceId]) {
+      draft.devices[deviceId].lastSyncTime = now;
+      draft.devices[deviceId].lastSeen = now;
+    }
+
+    const { handover } = draft;
+    if (handover && draft.hostDeviceId === deviceId) {
+      if (draft.devices[handover.to]) draft.hostDeviceId = handover.to;
+      draft.handover = null;
+    }
+  });
+}
+
+/**
+ * Ask for the host role to move to a device.
+ * The handover completes after the current host's next sync, or immediately
+ * when there is no host or the host has not been seen for a while.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {string|null} toDeviceId - Device that should become host (defaults to this device)
+ * @returns {Promise<Object>} Updated registry
+ * @throws {Error} If the target device is not registered
+ */
+export async function requestHostHandover(storage, toDeviceId = null) {
+  const deviceId = await getOrCreateDeviceId();
+  const targetId = toDeviceId || deviceId;
+
+  return updateRegistry(storage, (draft) => {
+    if (!draft.devices[targetId]) {
+      throw new Error(`Device ${targetId} is not registered`);
+    }
+    if (draft.hostDeviceId === targetId) {
+      draft.handover = null;
+      return;
+    }
+
+    const host = draft.devices[draft.hostDeviceId];
+    if (!host || isStale(host)) {
+      draft.hostDeviceId = targetId;
+      draft.handover = null;
+      return;
+    }
+
+    draft.handover = {
+      from: draft.hostDeviceId,
+      to: targetId,
+      requestedBy: deviceId,
+      requestedAt: new Date().toISOString(),
+    };
+  });
+}
+
+/**
+ * Withdraw a pending handover
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Object>} Updated registry
+ */
+export async function cancelHostHandover(storage) {
+  return updateRegistry(storage, (draft) => {
+    draft.handover = null;
+  });
+}
+
+/**
+ * Check whether a device has not been seen for longer than the stale period
+ * @param {Object} device - Device entry
+ * @returns {boolean} Whether the device is stale
+ */
+function isStale(device) {
+  const lastSeen = new Date(device.lastSeen || 0).getTime();
+  return Date.now() - lastSeen > HOST_STALE_AFTER_MS;
+}
+
+/**
+ * Describe the browser and operating system of this device
+ * @returns {{name: string, browserInfo: string, osInfo: string}} Device description
+ */
+function describeDevice() {
+  const userAgent = (globalThis.navigator && globalThis.navigator.userAgent) || '';
+
+  let browserInfo = 'Browser';
+  if (/Edg\//.test(userAgent)) browserInfo = 'Edge';
+  else if (/Firefox\//.test(userAgent)) browserInfo = 'Firefox';
+  else if (/Chrome\//.test(userAgent)) browserInfo = 'Chrome';
+
+  let osInfo = 'Unknown';
+  if (/Windows/.test(userAgent)) osInfo = 'Windows';
+  else if (/CrOS/.test(userAgent)) osInfo = 'ChromeOS';
+  else if (/Android/.test(userAgent)) osInfo = 'Android';
+  else if (/Mac OS X/.test(userAgent)) osInfo = 'macOS';
+  else if (/Linux/.test(userAgent)) osInfo = 'Linux';
+
+  return { name: `${browserInfo} on ${osInfo}`, browserInfo, osInfo };
+}
+
+/**
+ * Download the registry along with the revision it was read at
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<{registry: Object, revision: string|null}>} Registry and its revision
+ */
+async function readRegistry(storage) {
+  const file = await storage.get(REGISTRY_FILE);
+  if (!file) {
+    return { registry: emptyRegistry(), revision: null };
+  }
+
+  return { registry: { ...emptyRegistry(), ...file.content }, revision: file.revision };
+}
+
+/**
+ * Change the registry with compare-and-swap semantics, retrying when another
+ * device wrote it in the meantime
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {Function} update - Changes the registry copy it is given
+ * @returns {Promise<Object>} Updated registry
+ */
+async function updateRegistry(storage, update) {
+  for (let attempt = 1; ; attempt++) {
+    const current = await readRegistry(storage);
+    const draft = JSON.parse(JSON.stringify(current.registry));
+    update(draft);
+
+    // Keep the role of every entry in line with the host
+    for (const device of Object.values(draft.devices)) {
+      device.role = getDeviceRole(draft, device.id);
+    }
+    draft.updatedAt = new Date().toISOString();
+
+    try {
+      await storage.put(REGISTRY_FILE, draft, { expectedRevision: current.revision });
+      return draft;
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError) || attempt >= MAX_RETRIES) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Registry used before any device registered
+ * @returns {Object} Empty registry
+ */
+function emptyRegistry() {
+  return { hostDeviceId: null, devices: {}, handover: null, updatedAt: null };
+}
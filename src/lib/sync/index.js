@@ -5,3 +5,14 @@
 export * from './sync-preview.js';
 export * from './sync-optimizer.js';
 export * from './sync-service.js';
+export * from './change-journal.js';
+export * from './change-sync-scheduler.js';
+export * from './bookmark-identity.js';
+export * from './child-order.js';
+export * from './device-registry.js';
+export * from './client-inbox.js';
+export * from './remote-changes.js';
+export * from './connectivity.js';
+export * from './conflict-inbox.js';
+export * from './sync-plan.js';
+export * from './conflict-policies.js';
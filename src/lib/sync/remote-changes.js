@@ -0,0 +1,133 @@
+// remote-changes.js - Detect sync files changed by other devices through the Drive Changes API
+
+import { getAuthToken } from '../auth/drive-auth.js';
+import { getChangesStartPageToken, listChanges, APP_DATA_FOLDER } from '../drive.js';
+import { STORAGE_LOCATIONS, getStorageSettings } from '../storage/location.js';
+import { getSyncFolderId } from '../storage/sync-folder.js';
+import { getOrCreateDeviceId } from '../team/team-manager.js';
+
+// Constants
+export const REMOTE_CHANGES_ALARM_NAME = 'remoteChangesPoll';
+const CURSOR_KEY = 'bookDriveChangesCursor';
+const PENDING_KEY = 'bookDriveRemoteChangesPending';
+
+// Files other devices write when they publish bookmarks. The device registry is
+// left out: every sync updates it, so it would trigger a pull after each sync.
+const SNAPSHOT_FILE = 'bookmarks_sync.json';
+const DELTA_FILE_PREFIX = 'bookmarks_delta_';
+const INBOX_FILE_PREFIX = 'bookmarks_inbox_';
+
+/**
+ * Check the Drive change log for sync files changed since the last check.
+ * The first check only records where the change log ends.
+ * @returns {Promise<{changed: boolean, files: Array<string>}>} Whether a pull is needed and the changed files
+ */
+export async function checkRemoteChanges() {
+  const token = await getAuthToken(false);
+  if (!token) {
+    return { changed: false, files: [] };
+  }
+
+  const scope = await getChangeScope();
+  if (!scope) {
+    return { changed: false, files: [] };
+  }
+
+  const cursor = await getCursor();
+  if (!cursor || cursor.location !== scope.location) {
+    await saveCursor(scope.location, await getChangesStartPageToken(token, scope));
+    return { changed: false, files: [] };
+  }
+
+  const { changes, newStartPageToken } = await listChanges(cursor.pageToken, token, scope);
+  const ownDeltaFile = `${DELTA_FILE_PREFIX}${await getOrCreateDeviceId()}.json`;
+
+  const files = [
+    ...new Set(
+      changes
+        .filter(({ removed, file }) => !removed && file && !file.trashed)
+        .filter(({ file }) => !scope.folderId || (file.parents || []).includes(scope.folderId))
+        .map(({ file }) => file.name)
+        .filter((name) => name !== ownDeltaFile && isSyncFile(name)),
+    ),
+  ];
+
+  await saveCursor(scope.location, newStartPageToken || cursor.pageToken);
+  if (files.length > 0) {
+    await chrome.storage.local.set({ [PENDING_KEY]: true });
+  }
+
+  return { changed: files.length > 0, files };
+}
+
+/**
+ * Skip the changes made so far, e.g. after a sync pulled them (and wrote its own).
+ * Changes other devices make while this device syncs are picked up by the next
+ * scheduled sync.
+ * @returns {Promise<void>}
+ */
+export async function resetRemoteChanges() {
+  await chrome.storage.local.set({ [PENDING_KEY]: false });
+
+  const token = await getAuthToken(false);
+  const scope = token ? await getChangeScope() : null;
+  if (scope) {
+    await saveCursor(scope.location, await getChangesStartPageToken(token, scope));
+  }
+}
+
+/**
+ * Check whether remote changes are waiting to be pulled
+ * @returns {Promise<boolean>} True when a check found changes no sync has pulled yet
+ */
+export async function hasPendingRemoteChanges() {
+  const result = await chrome.storage.local.get(PENDING_KEY);
+  return !!(result && result[PENDING_KEY]);
+}
+
+/**
+ * Work out which part of Drive holds the sync files
+ * @returns {Promise<Object|null>} Scope ({location, spaces, folderId}) or null without a BookDrive folder
+ */
+async function getChangeScope() {
+  const { location } = await getStorageSettings();
+  if (location === STORAGE_LOCATIONS.APP_DATA) {
+    // Only BookDrive can see the app data space, so every change there is ours
+    return { location, spaces: APP_DATA_FOLDER, folderId: null };
+  }
+
+  const folderId = await getSyncFolderId();
+  return folderId ? { location, spaces: 'drive', folderId } : null;
+}
+
+/**
+ * Check whether another device's change to a file needs a pull
+ * @param {string} name - File name
+ * @returns {boolean} True for sync files
+ */
+function isSyncFile(name) {
+  return (
+    name === SNAPSHOT_FILE ||
+    name.startsWith(DELTA_FILE_PREFIX) ||
+    name.startsWith(INBOX_FILE_PREFIX)
+  );
+}
+
+/**
+ * Get the saved change log position
+ * @returns {Promise<Object|null>} Cursor ({location, pageToken})
+ */
+async function getCursor() {
+  const result = await chrome.storage.local.get(CURSOR_KEY);
+  return (result && result[CURSOR_KEY]) || null;
+}
+
+/**
+ * Save the change log position
+ * @param {string} location - Storage location the token belongs to
+ * @param {string} pageToken - Page token
+ * @returns {Promise<void>}
+ */
+async function saveCursor(location, pageToken) {
+  await chrome.storage.local.set({ [CURSOR_KEY]: { location, pageToken } });
+}
@@ -12,20 +12,25 @@ import { processBatch, runWhenIdle } from '../scheduling/resource-processor.js';
 const MAX_RETRY_ATTEMPTS = 5;
 const RETRY_DELAY_BASE = 1000; // Base delay in milliseconds
 const BATCH_SIZE = 100; // Default batch size for bookmark processing
-const OFFLINE_QUEUE_KEY = 'sync_offline_queue';
+export const OFFLINE_QUEUE_KEY = 'sync_offline_queue';
 const SYNC_CACHE_KEY = 'sync_cache';
 
 /**
- * Calculate the difference between two bookmark trees
+ * Calculate the difference between two bookmark trees.
+ * Bookmarks are matched by their sync ID (node.syncId or the identity map entry
+ * for the node) and fall back to the node ID.
  * @param {Array} sourceTree - Source bookmark tree
  * @param {Array} targetTree - Target bookmark tree
+ * @param {Object} identityMap - Optional map of local node IDs to sync IDs
  * @returns {Object} - Differences between the trees
  */
-export function calculateDelta(sourceTree, targetTree) {
+export function calculateDelta(sourceTree, targetTree, identityMap = {}) {
+  const keyOf = (bookmark) => bookmark.syncId || identityMap[bookmark.id] || bookmark.id;
+
   // Convert target tree to a map for faster lookups
   const targetMap = new Map();
   flattenBookmarks(targetTree).forEach((bookmark) => {
-    targetMap.set(bookmark.id, bookmark);
+    targetMap.set(keyOf(bookmark), bookmark);
   });
 
   // Find added, modified, and unchanged bookmarks
@@ -35,7 +40,7 @@ export function calculateDelta(sourceTree, targetTree) {
   const sourceFlat = flattenBookmarks(sourceTree);
 
   sourceFlat.forEach((sourceBookmark) => {
-    const targetBookmark = targetMap.get(sourceBookmark.id);
+    const targetBookmark = targetMap.get(keyOf(sourceBookmark));
 
     if (!targetBookmark) {
       // Bookmark doesn't exist in target, so it's new
@@ -53,7 +58,7 @@ export function calculateDelta(sourceTree, targetTree) {
     }
 
     // Remove from target map to track what's left (deleted)
-    targetMap.delete(sourceBookmark.id);
+    targetMap.delete(keyOf(sourceBookmark));
   });
 
   // Remaining bookmarks in target map are deleted in source
@@ -312,14 +317,31 @@ export async function smartRetry(operation, options = {}) {
 }
 
 /**
- * Offline queue management
- * @param {Object} syncOperation - Sync operation to queue
+ * Offline queue management. A sync that is already queued with the same mode and
+ * options is not queued again, since running it once catches up on both.
+ * @param {Object} syncOperation - Sync operation to queue ({mode, options})
  * @returns {Promise<Object>} - Queue result
  */
 export async function queueOfflineOperation(syncOperation) {
   try {
     const queue = await getOfflineQueue();
 
+    const duplicate = queue.find(
+      (queued) => getOperationKey(queued.operation) === getOperationKey(syncOperation),
+    );
+    if (duplicate) {
+      duplicate.collapsed = (duplicate.collapsed || 0) + 1;
+      duplicate.lastQueuedAt = new Date().toISOString();
+      await saveOfflineQueue(queue);
+
+      return {
+        success: true,
+        operationId: duplicate.id,
+        queueLength: queue.length,
+        collapsed: true,
+      };
+    }
+
     const queuedOperation = {
       id: `op_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       operation: syncOperation,
@@ -349,10 +371,21 @@ export async function queueOfflineOperation(syncOperation) {
 }
 
 /**
- * Process offline queue when connection is restored
+ * Get the number of operations waiting in the offline queue
+ * @returns {Promise<number>} - Queue length
+ */
+export async function getOfflineQueueLength() {
+  return (await getOfflineQueue()).length;
+}
+
+/**
+ * Process offline queue when connection is restored. Failed operations stay queued
+ * until they run out of attempts.
+ * @param {Object} options - Processing options
+ * @param {Function} options.execute - Runs one queued operation (defaults to performRealSync)
  * @returns {Promise<Object>} - Processing result
  */
-export async function processOfflineQueue() {
+export async function processOfflineQueue({ execute = executeSyncOperation } = {}) {
   try {
     const queue = await getOfflineQueue();
 
@@ -360,6 +393,7 @@ export async function processOfflineQueue() {
       return {
         success: true,
         processed: 0,
+        remainingInQueue: 0,
         message: 'No offline operations to process',
       };
     }
@@ -373,10 +407,10 @@ export async function processOfflineQueue() {
     for (let i = 0; i < queue.length; i += batchSize) {
       const batch = queue.slice(i, i + batchSize);
 
-      const batchResults = await Promise.allSettled(
+      await Promise.allSettled(
         batch.map(async (operation) => {
           try {
-            const result = await smartRetry(() => executeSyncOperation(operation.operation), {
+            const result = await smartRetry(() => execute(operation.operation), {
               maxAttempts: operation.maxAttempts,
               baseDelay: RETRY_DELAY_BASE,
             });
@@ -402,24 +436,27 @@ export async function processOfflineQueue() {
           }
         }),
       );
+    }
 
-      // Remove processed operations from queue
-      // const successfulOperations = batchResults
-      //   .filter((result) => result.status === 'fulfilled' && result.value.success)
-      //   .map((result) => result.value.operationId); // Removed unused variable
+    // Re-read the queue: operations queued while these ran have to stay
+    const handledIds = new Set(queue.map((operation) => operation.id));
+    const failedIds = new Set(errors.map((error) => error.operationId));
+    const remaining = (await getOfflineQueue()).flatMap((operation) => {
+      if (!handledIds.has(operation.id)) return [operation];
+      if (!failedIds.has(operation.id)) return [];
 
-      queue.splice(i, batch.length);
-      i -= batch.length; // Adjust index since we removed items
-    }
+      const attempts = operation.attempts + 1;
+      return attempts < operation.maxAttempts ? [{ ...operation, attempts }] : [];
+    });
 
-    await saveOfflineQueue(queue);
+    await saveOfflineQueue(remaining);
 
     return {
       success: true,
       processed,
       failed,
       errors,
-      remainingInQueue: queue.length,
+      remainingInQueue: remaining.length,
     };
   } catch (error) {
     console.error('Failed to process offline queue:', error);
@@ -439,6 +476,15 @@ async function executeSyncOperation(operation) {
   return await performRealSync(operation.mode, operation.options);
 }
 
+/**
+ * Key that identifies duplicate queued operations
+ * @param {Object} operation - Sync operation
+ * @returns {string} - Operation key
+ */
+function getOperationKey(operation) {
+  return JSON.stringify([operation.mode ?? null, operation.options ?? null]);
+}
+
 /**
  * Get offline queue from storage
  * @returns {Promise<Array>} - Offline queue
@@ -0,0 +1,176 @@
+/**
+ * sync-plan.js - Machine-readable description of what a sync would do
+ *
+ * A dry run of performRealSync goes through the whole pipeline and, instead of
+ * writing to the bookmark tree and Drive, returns a SyncPlan (see src/types/sync.js):
+ * every operation with the reason it is made, the conflicts found and how Drive
+ * would be written. The sync preview and the conflict page are built from it, and
+ * it can be attached to bug reports as JSON.
+ */
+
+import { getChangeId } from './bookmark-identity.js';
+import { DEVICE_ROLES } from './device-registry.js';
+
+export const SYNC_PLAN_VERSION = 1;
+
+const CONFLICT_REASONS = {
+  'both-modified': 'Changed on this device and on another device',
+  'both-added': 'Added on this device and on another device with different details',
+  'delete-modify': 'Removed on this device, changed on another device',
+  'modify-delete': 'Changed on this device, removed on another device',
+};
+
+const OPERATION_VERBS = {
+  create: 'Added',
+  update: 'Changed',
+  move: 'Moved',
+  remove: 'Removed',
+};
+
+/**
+ * @typedef {import('../../types/sync.js').SyncPlan} SyncPlan
+ * @typedef {import('../../types/sync.js').PlannedOperation} PlannedOperation
+ */
+
+/**
+ * Describe a merge the way the sync would carry it out
+ * @param {Object} input - What the sync found
+ * @param {string} input.mode - Sync mode
+ * @param {string|null} input.role - Device role in host-to-many mode
+ * @param {boolean} input.incremental - Local state rebuilt from the change journal
+ * @param {string} input.upload - 'none', 'delta' or 'snapshot'
+ * @param {Object} input.mergeResult - Result of mergeBookmarkStates or mirrorHostState
+ * @param {Array<Object>} input.remoteOperations - Operations that bring Drive to the upload state
+ * @param {Object} input.sides - States the operations apply to ({local, remote}, with sync IDs)
+ * @param {Object} input.identityMap - Map of local IDs to sync IDs
+ * @param {Map<string, Object>} input.resolutions - Conflicts resolved on the conflict page or by
+ *   a conflict rule
+ * @param {Array<Object>} input.inboxItems - Client submissions the host files
+ * @param {Array<Object>} input.submissions - Bookmarks this client submits to the host
+ * @returns {SyncPlan} Sync plan
+ */
+export function buildSyncPlan({
+  mode,
+  role,
+  incremental,
+  upload,
+  mergeResult,
+  remoteOperations,
+  sides,
+  identityMap,
+  resolutions = new Map(),
+  inboxItems = [],
+  submissions = [],
+}) {
+  const localIds = Object.fromEntries(
+    Object.entries(identityMap).map(([localId, syncId]) => [syncId, localId]),
+  );
+  const context = {
+    role,
+    localIds,
+    sides: { local: toItemMap(sides.local), remote: toItemMap(sides.remote) },
+    resolutions,
+    conflicts: new Map(mergeResult.conflictDetails.map((detail) => [detail.bookmarkId, detail])),
+    inboxIds: new Set(inboxItems.map((item) => item.id)),
+  };
+
+  return {
+    version: SYNC_PLAN_VERSION,
+    createdAt: new Date().toISOString(),
+    mode,
+    role,
+    incremental,
+    upload,
+    operations: [
+      ...mergeResult.localOperations.map((op) => describeOperation(op, 'local', context)),
+      ...remoteOperations.map((op) => describeOperation(op, 'remote', context)),
+    ],
+    conflicts: mergeResult.conflictDetails.map((detail) => ({
+      bookmarkId: detail.bookmarkId,
+      itemType: detail.itemType,
+      type: detail.type,
+      reason: CONFLICT_REASONS[detail.type] || 'Changed on both sides',
+      resolution: detail.held ? 'held' : 'automatic',
+      localVersion: detail.localVersion,
+      remoteVersion: detail.remoteVersion,
+    })),
+    inboxItems: inboxItems.length,
+    submissions,
+    changes: mergeResult.changes,
+  };
+}
+
+/**
+ * Describe one operation of a merge
+ * @param {Object} op - Operation ({type, id, bookmark})
+ * @param {string} target - 'local' or 'remote'
+ * @param {Object} context - Roles, sides, ID maps and conflicts of the merge
+ * @returns {PlannedOperation} Planned operation
+ */
+function describeOperation(op, target, context) {
+  const item = op.bookmark || {};
+  const localId = context.localIds[op.id] || null;
+  const previous = context.sides[target].get(op.id);
+  const reorderOnly = op.type === 'move' && !!previous && previous.parentId === item.parentId;
+
+  return {
+    type: op.type,
+    reorderOnly,
+    target,
+    itemType: item.url ? 'bookmark' : 'folder',
+    id: op.id,
+    localId,
+    changeId: getChangeId(localId, op.id),
+    title: item.title || '',
+    url: item.url || null,
+    parentId: item.parentId,
+    reason: explainOperation(op, target, reorderOnly, context),
+  };
+}
+
+/**
+ * Index the folders and bookmarks of a state by ID
+ * @param {Object|null} state - Bookmark state
+ * @returns {Map<string, Object>} Items by ID
+ */
+function toItemMap(state) {
+  return new Map(
+    [...((state && state.folders) || []), ...((state && state.bookmarks) || [])].map((item) => [
+      item.id,
+      item,
+    ]),
+  );
+}
+
+/**
+ * Explain why the sync makes an operation
+ * @param {Object} op - Operation ({type, id})
+ * @param {string} target - 'local' or 'remote'
+ * @param {boolean} reorderOnly - Whether the operation only reorders the item in its folder
+ * @param {Object} context - Roles, ID maps and conflicts of the merge
+ * @returns {string} Reason
+ */
+function explainOperation(op, target, reorderOnly, context) {
+  const resolution = context.resolutions.get(op.id);
+  if (resolution) {
+    return resolution.rule
+      ? `Resolved by the conflict rule "${resolution.rule}"`
+      : 'Resolved on the conflict page';
+  }
+
+  const conflict = context.conflicts.get(op.id);
+  if (conflict) {
+    return `${CONFLICT_REASONS[conflict.type] || 'Changed on both sides'}, resolved automatically`;
+  }
+
+  if (context.inboxIds.has(op.id)) {
+    return 'Submitted by a client to the inbox folder';
+  }
+
+  if (target === 'local' && context.role === DEVICE_ROLES.CLIENT) {
+    return 'Published by the host';
+  }
+
+  const verb = reorderOnly ? 'Reordered' : OPERATION_VERBS[op.type] || 'Changed';
+  return `${verb} on ${target === 'local' ? 'another device' : 'this device'}`;
+}
@@ -1,157 +1,93 @@
 /**
  * Sync Preview Module
- * Shows what changes will be made before syncing
+ * Shows what changes will be made before syncing, from the plan of a dry-run sync
  */
 
-import { exportBookmarksState } from '../bookmarks.js';
-import { getAuthToken, ensureBookDriveFolder } from '../auth/drive-auth.js';
-import { listFiles, downloadBookmarksFile } from '../drive.js';
-
 /**
- * Generate sync preview
- * @param {string} mode - Sync mode
- * @returns {Promise<Object>} Preview data
+ * @typedef {import('../../types/sync.js').SyncPlan} SyncPlan
  */
-export async function generateSyncPreview(mode = 'host-to-many') {
-  try {
-    // Get auth token
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    // Export current local bookmarks
-    const localState = await exportBookmarksState();
-
-    // Get remote state
-    let remoteState = null;
-    try {
-      const folderId = await ensureBookDriveFolder(false);
-      if (folderId) {
-        const files = await listFiles(
-          folderId,
-          token,
-          `name contains 'bookmarks_sync' and mimeType='application/json'`,
-        );
-        if (files.length > 0) {
-          const latestFile = files.sort(
-            (a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime),
-          )[0];
-          remoteState = await downloadBookmarksFile(latestFile.id, token);
-        }
-      }
-    } catch (error) {
-      console.log('No remote state found for preview');
-    }
-
-    // Generate preview
-    const preview = await analyzeChanges(localState, remoteState, mode);
 
-    return {
-      success: true,
-      preview,
-      localBookmarkCount: localState.bookmarks.length,
-      remoteBookmarkCount: remoteState ? remoteState.bookmarks.length : 0,
-    };
-  } catch (error) {
-    console.error('Failed to generate sync preview:', error);
-    return {
-      success: false,
-      message: error.message,
-    };
-  }
-}
+// Section of the preview for each operation type
+const PREVIEW_SECTIONS = {
+  create: 'newBookmarks',
+  update: 'updatedBookmarks',
+  move: 'updatedBookmarks',
+  remove: 'removedBookmarks',
+};
 
 /**
- * Analyze changes between local and remote states
- * @param {Object} localState - Local bookmark state
- * @param {Object} remoteState - Remote bookmark state
- * @param {string} mode - Sync mode
- * @returns {Object} Change analysis
+ * Generate sync preview
+ * @param {SyncPlan} plan - Plan of a dry-run sync (performRealSync with dryRun)
+ * @returns {Object} Preview data
  */
-async function analyzeChanges(localState, remoteState, mode) {
-  if (!remoteState) {
-    return {
-      type: 'initial_sync',
-      changes: {
-        added: localState.bookmarks.length,
-        updated: 0,
-        removed: 0,
-        conflicts: 0,
-      },
-      details: {
-        newBookmarks: localState.bookmarks,
-        updatedBookmarks: [],
-        removedBookmarks: [],
-        conflicts: [],
-      },
-    };
-  }
-
-  const changes = {
-    added: 0,
-    updated: 0,
-    removed: 0,
-    conflicts: 0,
-  };
-
+export function generateSyncPreview(plan) {
   const details = {
     newBookmarks: [],
     updatedBookmarks: [],
     removedBookmarks: [],
     conflicts: [],
+    // Reordered siblings follow the items that moved; they are accepted with any selection
+    reordered: [],
   };
 
-  // Create maps for efficient lookup
-  const localBookmarks = new Map(localState.bookmarks.map((b) => [b.id, b]));
-  const remoteBookmarks = new Map(remoteState.bookmarks.map((b) => [b.id, b]));
-
-  // Find new bookmarks (in local but not in remote)
-  for (const [id, localBookmark] of localBookmarks) {
-    if (!remoteBookmarks.has(id)) {
-      changes.added++;
-      details.newBookmarks.push(localBookmark);
+  // One entry per item, even when the sync changes it on both sides
+  const items = new Map();
+  for (const op of plan.operations) {
+    const item = items.get(op.id);
+    if (item) {
+      item.types.push(op.type);
+      item.reasons.push(op.reason);
+      item.reorderOnly = item.reorderOnly && op.reorderOnly;
+      continue;
     }
+    items.set(op.id, {
+      id: op.id,
+      changeId: op.changeId,
+      itemType: op.itemType,
+      title: op.title,
+      url: op.url,
+      types: [op.type],
+      reasons: [op.reason],
+      reorderOnly: op.reorderOnly,
+    });
   }
 
-  // Find updated bookmarks and conflicts
-  for (const [id, localBookmark] of localBookmarks) {
-    const remoteBookmark = remoteBookmarks.get(id);
-    if (remoteBookmark) {
-      if (localBookmark.dateModified !== remoteBookmark.dateModified) {
-        if (mode === 'global') {
-          // In global mode, this is a conflict
-          changes.conflicts++;
-          details.conflicts.push({
-            id,
-            local: localBookmark,
-            remote: remoteBookmark,
-          });
-        } else {
-          // In host-to-many mode, local wins
-          changes.updated++;
-          details.updatedBookmarks.push({
-            id,
-            local: localBookmark,
-            remote: remoteBookmark,
-          });
-        }
-      }
+  for (const { types, reasons, ...item } of items.values()) {
+    if (item.reorderOnly) {
+      details.reordered.push(item.changeId);
+      continue;
     }
+    const type = ['remove', 'create'].find((t) => types.includes(t)) || types[0];
+    details[PREVIEW_SECTIONS[type]].push({ ...item, reason: [...new Set(reasons)].join('; ') });
   }
 
-  // Find removed bookmarks (in remote but not in local)
-  for (const [id, remoteBookmark] of remoteBookmarks) {
-    if (!localBookmarks.has(id)) {
-      changes.removed++;
-      details.removedBookmarks.push(remoteBookmark);
-    }
+  // Conflicts are held for the conflict page, they cannot be accepted here
+  for (const conflict of plan.conflicts) {
+    const version = conflict.localVersion || conflict.remoteVersion || {};
+    details.conflicts.push({
+      id: conflict.bookmarkId,
+      itemType: conflict.itemType,
+      title: version.title,
+      url: version.url,
+      reason:
+        conflict.resolution === 'held'
+          ? `${conflict.reason}; resolve it on the conflict page`
+          : `${conflict.reason}; resolved automatically`,
+    });
   }
 
   return {
-    type: 'sync_preview',
-    changes,
-    details,
+    success: true,
+    plan,
+    preview: {
+      changes: {
+        added: details.newBookmarks.length,
+        updated: details.updatedBookmarks.length,
+        removed: details.removedBookmarks.length,
+        conflicts: details.conflicts.length,
+      },
+      details,
+    },
   };
 }
 
@@ -244,62 +180,26 @@ export function createSyncPreviewInterface(preview) {
     </div>
     
     <div class="preview-details">
+      <p class="preview-hint">Uncheck the changes to leave out of this sync. They stay as they are until a later sync.</p>
+
       <div class="detail-section">
-        <h3>New Bookmarks (${details.newBookmarks.length})</h3>
+        <h3>New (${details.newBookmarks.length})</h3>
         <div class="bookmark-list">
-          ${details.newBookmarks
-            .map(
-              (bookmark) => `
-            <div class="bookmark-item new">
-              <div class="bookmark-info">
-                <div class="bookmark-title">${bookmark.title || 'Untitled'}</div>
-                <div class="bookmark-url">${bookmark.url || 'No URL'}</div>
-              </div>
-              <div class="bookmark-action">Will be added</div>
-            </div>
-          `,
-            )
-            .join('')}
+          ${details.newBookmarks.map((item) => renderPreviewItem(item, 'new')).join('')}
         </div>
       </div>
       
       <div class="detail-section">
-        <h3>Updated Bookmarks (${details.updatedBookmarks.length})</h3>
+        <h3>Updated (${details.updatedBookmarks.length})</h3>
         <div class="bookmark-list">
-          ${details.updatedBookmarks
-            .map(
-              (update) => `
-            <div class="bookmark-item updated">
-              <div class="bookmark-info">
-                <div class="bookmark-title">${update.local.title || 'Untitled'}</div>
-                <div class="bookmark-url">${update.local.url || 'No URL'}</div>
-              </div>
-              <div class="bookmark-changes">
-                ${getChangeDescription(update.local, update.remote)}
-              </div>
-            </div>
-          `,
-            )
-            .join('')}
+          ${details.updatedBookmarks.map((item) => renderPreviewItem(item, 'updated')).join('')}
         </div>
       </div>
       
       <div class="detail-section">
-        <h3>Removed Bookmarks (${details.removedBookmarks.length})</h3>
+        <h3>Removed (${details.removedBookmarks.length})</h3>
         <div class="bookmark-list">
-          ${details.removedBookmarks
-            .map(
-              (bookmark) => `
-            <div class="bookmark-item removed">
-              <div class="bookmark-info">
-                <div class="bookmark-title">${bookmark.title || 'Untitled'}</div>
-                <div class="bookmark-url">${bookmark.url || 'No URL'}</div>
-              </div>
-              <div class="bookmark-action">Will be removed</div>
-            </div>
-          `,
-            )
-            .join('')}
+          ${details.removedBookmarks.map((item) => renderPreviewItem(item, 'removed')).join('')}
         </div>
       </div>
       
@@ -309,19 +209,7 @@ export function createSyncPreviewInterface(preview) {
         <div class="detail-section">
           <h3>Conflicts (${details.conflicts.length})</h3>
           <div class="bookmark-list">
-            ${details.conflicts
-              .map(
-                (conflict) => `
-              <div class="bookmark-item conflict">
-                <div class="bookmark-info">
-                  <div class="bookmark-title">${conflict.local.title || conflict.remote.title || 'Untitled'}</div>
-                  <div class="bookmark-url">${conflict.local.url || conflict.remote.url || 'No URL'}</div>
-                </div>
-                <div class="bookmark-action">Needs resolution</div>
-              </div>
-            `,
-              )
-              .join('')}
+            ${details.conflicts.map((conflict) => renderPreviewItem(conflict, 'conflict')).join('')}
           </div>
         </div>
       `
@@ -330,40 +218,61 @@ export function createSyncPreviewInterface(preview) {
     </div>
     
     <div class="preview-actions">
+      <button class="preview-btn secondary" id="preview-copy-plan" title="Copy the sync plan as JSON, e.g. for a bug report">Copy Plan</button>
       <button class="preview-btn secondary" id="preview-cancel">Cancel</button>
       <button class="preview-btn primary" id="preview-confirm">Confirm Sync</button>
     </div>
   `;
 
+  // Dim the changes that will be left out
+  container.querySelectorAll('.preview-accept').forEach((checkbox) => {
+    checkbox.addEventListener('change', () => {
+      checkbox.closest('.bookmark-item').classList.toggle('rejected', !checkbox.checked);
+    });
+  });
+
   return container;
 }
 
 /**
- * Get change description for updated bookmarks
- * @param {Object} local - Local bookmark
- * @param {Object} remote - Remote bookmark
- * @returns {string} Change description
+ * Render a change, with the checkbox that accepts or rejects it unless it is a conflict
+ * @param {Object} change - Change ({changeId, itemType, title, url, reason})
+ * @param {string} status - new, updated, removed or conflict
+ * @returns {string} HTML
  */
-function getChangeDescription(local, remote) {
-  const changes = [];
-
-  if (local.title !== remote.title) {
-    changes.push('Title changed');
-  }
-  if (local.url !== remote.url) {
-    changes.push('URL changed');
-  }
-  if (local.parentId !== remote.parentId) {
-    changes.push('Folder changed');
-  }
+function renderPreviewItem(change, status) {
+  const isFolder = change.itemType === 'folder';
+  const checkbox = change.changeId
+    ? `<input type="checkbox" class="preview-accept" data-change-id="${escapeHtml(change.changeId)}" checked />`
+    : '';
+  return `
+    <label class="bookmark-item ${status}">
+      ${checkbox}
+      <div class="bookmark-info">
+        <div class="bookmark-title">${isFolder ? '📁 ' : ''}${escapeHtml(change.title || 'Untitled')}</div>
+        <div class="bookmark-url">${escapeHtml(change.url || (isFolder ? 'Folder' : 'No URL'))}</div>
+      </div>
+      <div class="bookmark-action">${escapeHtml(change.reason)}</div>
+    </label>
+  `;
+}
 
-  return changes.length > 0 ? changes.join(', ') : 'Metadata updated';
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 /**
  * Show sync preview modal
  * @param {Object} preview - Preview data
- * @returns {Promise<boolean>} Whether user confirmed sync
+ * @returns {Promise<Array<string>|null|false>} Change IDs the user accepted, null when all
+ *   of them were accepted, or false when the user cancelled
  */
 export function showSyncPreviewModal(preview) {
   return new Promise((resolve) => {
@@ -378,6 +287,18 @@ export function showSyncPreviewModal(preview) {
     // Add event listeners
     const cancelBtn = modal.querySelector('#preview-cancel');
     const confirmBtn = modal.querySelector('#preview-confirm');
+    const copyPlanBtn = modal.querySelector('#preview-copy-plan');
+
+    copyPlanBtn.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(JSON.stringify(preview.plan, null, 2));
+        copyPlanBtn.textContent = 'Copied';
+      } catch (error) {
+        // The page may lack clipboard access or focus
+        console.warn('Failed to copy the sync plan:', error);
+        copyPlanBtn.textContent = 'Copy failed';
+      }
+    });
 
     cancelBtn.addEventListener('click', () => {
       document.body.removeChild(modal);
@@ -385,8 +306,17 @@ export function showSyncPreviewModal(preview) {
     });
 
     confirmBtn.addEventListener('click', () => {
+      const checkboxes = [...modal.querySelectorAll('.preview-accept')];
+      const accepted = checkboxes.filter((checkbox) => checkbox.checked);
       document.body.removeChild(modal);
-      resolve(true);
+      resolve(
+        accepted.length === checkboxes.length
+          ? null
+          : [
+              ...accepted.map((checkbox) => checkbox.dataset.changeId),
+              ...preview.preview.details.reordered,
+            ],
+      );
     });
 
     // Close on backdrop click
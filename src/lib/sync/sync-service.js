@@ -5,23 +5,65 @@
  * replacing all simulated operations with real API calls.
  */
 
-import { getAuthToken, ensureBookDriveFolder } from '../auth/drive-auth.js';
+import { getStorageProvider } from '../storage/provider.js';
 import {
-  uploadFile,
-  downloadFile,
-  listFiles,
-  // deleteFile, // Removed unused import
-  uploadBookmarksFile,
-  downloadBookmarksFile,
-} from '../drive.js';
-import { exportBookmarksState, importBookmarksState } from '../bookmarks.js';
+  STORAGE_LOCATIONS,
+  getSyncStorageProvider,
+  getBackupMirrorProvider,
+} from '../storage/location.js';
+import { withBookmarksMetadata, readBookmarksData } from '../drive.js';
+import {
+  exportBookmarksState,
+  importBookmarksState,
+  applyBookmarkOperations,
+} from '../bookmarks.js';
 import { recordEvent, ANALYTICS_EVENTS } from '../analytics/sync-analytics.js';
+import { RevisionConflictError } from '../../utils/error-handler.js';
+import { getOrCreateDeviceId } from '../team/team-manager.js';
+import {
+  getJournal,
+  clearJournal,
+  applyJournalToState,
+  withSyncOperations,
+} from './change-journal.js';
+import {
+  SYNC_ID_SCHEME,
+  ROOT_FOLDER_SYNC_IDS,
+  getIdentityMap,
+  saveIdentityMap,
+  assignSyncIds,
+  toLocalState,
+  toLocalOperations,
+  recordCreatedIds,
+  normalizeLegacyState,
+  resolveChangeIds,
+} from './bookmark-identity.js';
+import { buildChildOrder, orderSiblings } from './child-order.js';
+import {
+  DEVICE_ROLES,
+  registerDevice,
+  peekDeviceRole,
+  finishDeviceSync,
+} from './device-registry.js';
+import {
+  collectClientAdditions,
+  submitInboxItems,
+  fetchInboxSubmissions,
+  addInboxItems,
+} from './client-inbox.js';
+import { getConflictResolutions, recordSyncConflicts } from './conflict-inbox.js';
+import { resolveConflictsAdvanced, CONFLICT_STRATEGIES } from './conflict-resolver.js';
+import { getConflictPolicies, describeConflictPolicy } from './conflict-policies.js';
+import { buildSyncPlan } from './sync-plan.js';
 
 // Sync configuration
 const SYNC_CONFIG = {
   BOOKMARKS_FILE: 'bookmarks_sync.json',
   BACKUP_FILE_PREFIX: 'bookmarks_backup_',
   METADATA_FILE: 'sync_metadata.json',
+  BASE_STATE_KEY: 'lastSyncState',
+  DELTA_FILE_PREFIX: 'bookmarks_delta_',
+  DELTA_COMPACT_THRESHOLD: 500,
   MAX_RETRIES: 3,
   RETRY_DELAY: 1000,
 };
@@ -33,80 +75,218 @@ export const SYNC_MODES = {
 };
 
 /**
- * Perform real sync with Google Drive
+ * Perform real sync with Google Drive.
+ * In host-to-many mode the device registry decides the role of this device: the
+ * host merges and publishes, clients overwrite their tree with the published state.
+ * The user's conflict rules decide conflicts first. Conflicts that are not auto
+ * resolved are held in the conflict inbox, and the versions chosen there are
+ * written to both sides.
+ * A dry run goes through the same steps without writing to the bookmark tree,
+ * Drive or the sync state, and returns the plan of what the sync would do.
  * @param {string} mode - Sync mode
  * @param {Object} options - Sync options
- * @returns {Promise<Object>} Sync result
+ * @param {boolean} options.autoResolveConflicts - Auto resolve conflicts
+ * @param {boolean} options.clientInbox - Submit bookmarks added on a client to the host's inbox folder
+ * @param {Array<string>|null} options.acceptedChanges - Change IDs accepted in the sync preview;
+ *   other changes are left for a later sync. Null applies everything.
+ * @param {boolean} options.dryRun - Only plan the sync; the result holds the plan
+ * @param {Function} options.progressCallback - Progress callback
+ * @returns {Promise<Object>} Sync result ({success, plan} for dry runs)
  */
 export async function performRealSync(mode = SYNC_MODES.HOST_TO_MANY, options = {}) {
-  const { autoResolveConflicts = true, progressCallback } = options;
+  const {
+    autoResolveConflicts = true,
+    clientInbox = false,
+    acceptedChanges = null,
+    dryRun = false,
+    progressCallback,
+  } = options;
 
   try {
     // Record sync start
-    await recordEvent(ANALYTICS_EVENTS.SYNC_STARTED, { mode, autoResolveConflicts });
-
-    // Get auth token
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
+    if (!dryRun) await recordEvent(ANALYTICS_EVENTS.SYNC_STARTED, { mode, autoResolveConflicts });
 
+    const storage = await getSyncStorageProvider({ readOnly: dryRun });
     if (progressCallback) progressCallback(10, 'Starting sync...');
 
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(true);
-    if (!folderId) {
-      throw new Error('Failed to create BookDrive folder');
+    let role = null;
+    if (mode === SYNC_MODES.HOST_TO_MANY) {
+      role = dryRun ? await peekDeviceRole(storage) : (await registerDevice(storage)).role;
     }
 
-    if (progressCallback) progressCallback(20, 'Exported local bookmarks...');
+    // Merge and write with compare-and-swap semantics: if another device writes the
+    // remote file between our read and our write, re-fetch and merge again
+    const baseState = await getSyncBaseState();
+    const journal = await getJournal();
+    let identityMap = await getIdentityMap();
+    const resolutions = await getConflictResolutions();
+    const policies = await getConflictPolicies(storage);
+    let syncResult = null;
+    let failedOperations = [];
 
-    // Export current local bookmarks
-    const localState = await exportBookmarksState();
+    for (let attempt = 1; !syncResult; attempt++) {
+      // Rebuild local state from the change journal when possible, otherwise export it.
+      // Retries always export since the previous attempt already changed the tree.
+      const local = await getLocalStateForSync(baseState, journal, identityMap, attempt === 1);
+      if (progressCallback) progressCallback(20, 'Exported local bookmarks...');
 
-    // Upload local state to Google Drive
-    // const syncFileName = `${SYNC_CONFIG.BOOKMARKS_FILE}_${mode}_${Date.now()}.json`; // Removed unused variable
-    await uploadBookmarksFile(localState, folderId, token);
-    if (progressCallback) progressCallback(40, 'Uploaded to Google Drive...');
+      const remote = await fetchRemoteSyncState(storage);
+      if (progressCallback) progressCallback(40, 'Downloaded remote state...');
 
-    // Download remote state (if exists)
-    let remoteState = null;
-    try {
-      const files = await listFiles(
-        folderId,
-        token,
-        `name contains '${SYNC_CONFIG.BOOKMARKS_FILE}' and mimeType='application/json'`,
+      // The host files bookmarks submitted by clients into the inbox folder
+      const inbox =
+        role === DEVICE_ROLES.HOST
+          ? await fetchInboxSubmissions(storage, remote.inboxCursors)
+          : { items: [], cursors: remote.inboxCursors };
+      const mergeRemoteState =
+        inbox.items.length > 0 ? addInboxItems(remote.state, inbox.items) : remote.state;
+
+      // Match local nodes to their cross-device sync IDs
+      const identity = assignSyncIds(local.state, identityMap, [remote.state, baseState]);
+      identityMap = identity.identityMap;
+
+      // Clients send their additions to the host before their tree is overwritten
+      const additions =
+        role === DEVICE_ROLES.CLIENT && clientInbox
+          ? collectClientAdditions(identity.state, remote.state, baseState)
+          : [];
+      if (additions.length > 0 && !dryRun) {
+        await submitInboxItems(storage, additions, remote.inboxCursors);
+      }
+
+      // Clients mirror the host; everyone else merges three-way against the last sync
+      const acceptedIds = acceptedChanges && resolveChangeIds(acceptedChanges, identityMap);
+      const merge = (chosen, manualIds) =>
+        mergeBookmarkStates(identity.state, mergeRemoteState, baseState, autoResolveConflicts, {
+          resolutions: chosen,
+          acceptedIds,
+          manualIds,
+        });
+      let mergeResult =
+        role === DEVICE_ROLES.CLIENT
+          ? mirrorHostState(identity.state, remote.state)
+          : merge(resolutions, new Set());
+      let mergeResolutions = resolutions;
+
+      // Merge again with the versions the conflict rules chose
+      const ruled = await applyConflictRules(
+        mergeResult.conflictDetails,
+        policies,
+        [mergeRemoteState, identity.state],
+        !dryRun,
       );
-      if (files.length > 0) {
-        // Get the most recent sync file
-        const latestFile = files.sort(
-          (a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime),
-        )[0];
-        remoteState = await downloadBookmarksFile(latestFile.id, token);
+      if (ruled.resolutions.size > 0 || ruled.manualIds.size > 0) {
+        mergeResolutions = new Map([...resolutions, ...ruled.resolutions]);
+        mergeResult = merge(mergeResolutions, ruled.manualIds);
       }
-    } catch (error) {
-      console.log('No remote state found, creating initial sync');
-    }
+      if (progressCallback) progressCallback(60, 'Merged bookmark states...');
 
-    if (progressCallback) progressCallback(60, 'Downloaded remote state...');
+      if (dryRun) {
+        const remoteOperations =
+          mergeResult.remoteChanged || inbox.items.length > 0
+            ? diffStates(remote.state, mergeResult.uploadState)
+            : [];
+        let upload = 'none';
+        if (remoteOperations.length > 0 || inbox.items.length > 0) {
+          upload =
+            inbox.items.length === 0 &&
+            shouldUploadDelta(local, remote, mergeResult, remoteOperations)
+              ? 'delta'
+              : 'snapshot';
+        }
 
-    // Compare and merge states
-    const syncResult = await mergeBookmarkStates(
-      localState,
-      remoteState,
-      mode,
-      autoResolveConflicts,
+        return {
+          success: true,
+          dryRun: true,
+          role,
+          plan: buildSyncPlan({
+            mode,
+            role,
+            incremental: local.incremental,
+            upload,
+            mergeResult,
+            remoteOperations,
+            sides: { local: identity.state, remote: remote.state },
+            identityMap,
+            resolutions: mergeResolutions,
+            inboxItems: inbox.items,
+            submissions: additions,
+          }),
+        };
+      }
+
+      // Apply merged changes to the local tree without journaling them as local edits
+      failedOperations = [];
+      if (mergeResult.hasChanges) {
+        const operations = toLocalOperations(mergeResult.localOperations, identityMap);
+        const applied = await withSyncOperations(operations, () =>
+          applyBookmarkOperations(operations),
+        );
+        identityMap = recordCreatedIds(identityMap, applied.createdIds);
+        failedOperations = applied.failed;
+        if (progressCallback) progressCallback(70, 'Applied merged state...');
+      }
+      await saveIdentityMap(identityMap);
+
+      try {
+        // Upload the merged state if the remote copy is out of date
+        if (mergeResult.remoteChanged || inbox.items.length > 0) {
+          const remoteOperations = diffStates(remote.state, mergeResult.uploadState);
+
+          // Taking inbox items moves the inbox cursors, which only the snapshot holds
+          if (
+            inbox.items.length === 0 &&
+            shouldUploadDelta(local, remote, mergeResult, remoteOperations)
+          ) {
+            // Incremental sync: only upload this device's operations
+            await appendRemoteDelta(storage, remoteOperations, remote);
+          } else {
+            await writeRemoteSyncState(
+              storage,
+              {
+                ...mergeResult.uploadState,
+                deltaCursors: remote.deltaCursors,
+                inboxCursors: inbox.cursors,
+              },
+              remote,
+            );
+          }
+          if (progressCallback) progressCallback(85, 'Uploaded to Google Drive...');
+        }
+      } catch (error) {
+        if (!(error instanceof RevisionConflictError) || attempt >= SYNC_CONFIG.MAX_RETRIES) {
+          throw error;
+        }
+        console.log(`Remote sync file changed during sync, retrying (attempt ${attempt})`);
+        continue;
+      }
+
+      // Remember the merged result as the base of the next sync. Items whose local
+      // operation failed keep their old base so the next sync applies them again.
+      const failedIds = new Set(
+        failedOperations.map((op) => (op.type === 'create' ? op.id : identityMap[op.id])),
+      );
+      await saveSyncBaseState(keepBaseItems(mergeResult.nextBaseState, baseState, failedIds));
+      await clearJournal(journal.lastSeq);
+      syncResult = mergeResult;
+    }
+
+    await recordSyncConflicts(
+      syncResult.conflictDetails.filter((detail) => detail.held),
+      resolutions,
     );
-    if (progressCallback) progressCallback(80, 'Merged bookmark states...');
 
-    // Apply merged state if there are changes
-    if (syncResult.hasChanges) {
-      await importBookmarksState(syncResult.mergedState, 'merge');
-      if (progressCallback) progressCallback(90, 'Applied merged state...');
+    // A pending host handover completes once the host's state is published
+    if (role) {
+      try {
+        await finishDeviceSync(storage);
+      } catch (error) {
+        console.warn('Failed to update the device registry:', error);
+      }
     }
 
     // Update sync metadata
-    await updateSyncMetadata(folderId, token, {
+    await updateSyncMetadata(storage, {
       lastSync: new Date().toISOString(),
       mode,
       bookmarkCount: syncResult.mergedState.bookmarks.length,
@@ -125,21 +305,28 @@ export async function performRealSync(mode = SYNC_MODES.HOST_TO_MANY, options =
 
     return {
       success: true,
+      role,
       bookmarkCount: syncResult.mergedState.bookmarks.length,
       localChanges:
         syncResult.changes.added + syncResult.changes.updated + syncResult.changes.removed,
       conflicts: syncResult.conflicts,
-      message: `Sync completed: ${syncResult.changes.added} added, ${syncResult.changes.updated} updated, ${syncResult.changes.removed} removed`,
+      heldChanges: syncResult.held,
+      failedChanges: failedOperations.length,
+      message:
+        `Sync completed: ${syncResult.changes.added} added, ${syncResult.changes.updated} updated, ${syncResult.changes.removed} removed` +
+        (failedOperations.length > 0 ? `, ${failedOperations.length} failed` : ''),
     };
   } catch (error) {
     console.error('Real sync failed:', error);
 
     // Record sync failure
-    await recordEvent(ANALYTICS_EVENTS.SYNC_FAILED, {
-      mode,
-      error: error.message,
-      errorType: error.name,
-    });
+    if (!dryRun) {
+      await recordEvent(ANALYTICS_EVENTS.SYNC_FAILED, {
+        mode,
+        error: error.message,
+        errorType: error.name,
+      });
+    }
 
     return {
       success: false,
@@ -157,20 +344,9 @@ export async function createRealBackup(options = {}) {
   const { type = 'manual', description = '', progressCallback } = options;
 
   try {
-    // Get auth token
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
+    const storage = await getSyncStorageProvider();
     if (progressCallback) progressCallback(10, 'Starting backup...');
 
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(true);
-    if (!folderId) {
-      throw new Error('Failed to create BookDrive folder');
-    }
-
     if (progressCallback) progressCallback(30, 'Exported bookmarks...');
 
     // Export current bookmarks
@@ -192,12 +368,28 @@ export async function createRealBackup(options = {}) {
 
     if (progressCallback) progressCallback(50, 'Preparing backup data...');
 
-    // Upload backup to Google Drive
-    await uploadFile(backupFileName, backupData, folderId, token);
+    // Upload backup to Google Drive; large backups report progress per chunk
+    await storage.put(backupFileName, backupData, {
+      onProgress: (uploaded, total) => {
+        if (progressCallback) {
+          progressCallback(50 + Math.round((uploaded / total) * 30), 'Uploading backup...');
+        }
+      },
+    });
     if (progressCallback) progressCallback(80, 'Uploaded to Google Drive...');
 
+    // Keep a copy where users can see it when the backup went to the app data folder
+    const mirror = await getBackupMirrorProvider(storage);
+    if (mirror) {
+      try {
+        await mirror.put(backupFileName, backupData);
+      } catch (error) {
+        console.warn('Failed to mirror backup to the BookDrive folder:', error);
+      }
+    }
+
     // Update backup metadata
-    await updateBackupMetadata(folderId, token, backupData);
+    await updateBackupMetadata(storage, backupData);
     if (progressCallback) progressCallback(100, 'Backup completed successfully');
 
     // Record backup creation
@@ -233,34 +425,21 @@ export async function restoreRealBackup(backupId, options = {}) {
   const { mode = 'replace', progressCallback } = options;
 
   try {
-    // Get auth token
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
+    const storage = await getSyncStorageProvider();
     if (progressCallback) progressCallback(10, 'Starting restore...');
 
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(false);
-    if (!folderId) {
-      throw new Error('BookDrive folder not found');
-    }
-
-    if (progressCallback) progressCallback(30, 'Found backup file...');
-
-    // Find backup file
-    const files = await listFiles(
-      folderId,
-      token,
-      `name contains '${backupId}' and mimeType='application/json'`,
-    );
-    if (files.length === 0) {
+    // Find and download the backup file; older backups may only be in the visible folder
+    const backupFileName = `${SYNC_CONFIG.BACKUP_FILE_PREFIX}${backupId}.json`;
+    const folder = getStorageProvider(STORAGE_LOCATIONS.FOLDER);
+    const backupFile =
+      (await storage.get(backupFileName)) ||
+      (folder !== storage ? await folder.get(backupFileName) : null);
+    if (!backupFile) {
       throw new Error(`Backup ${backupId} not found`);
     }
+    if (progressCallback) progressCallback(30, 'Found backup file...');
 
-    // Download backup data
-    const backupData = await downloadFile(files[0].id, token);
+    const backupData = backupFile.content;
     if (progressCallback) progressCallback(50, 'Downloaded backup data...');
 
     // Validate backup data
@@ -289,103 +468,766 @@ export async function restoreRealBackup(backupId, options = {}) {
   }
 }
 
+// Fields compared when merging a bookmark or folder; positions are merged separately
+const MERGE_FIELDS = ['title', 'url', 'parentId'];
+
+// Built-in folders that are never created or removed by sync. Items in a root this
+// browser lacks (the Firefox bookmarks menu in Chromium) go to Other bookmarks.
+const ROOT_FOLDER_IDS = new Set(Object.values(ROOT_FOLDER_SYNC_IDS));
+
+/**
+ * Get the state recorded at the end of the last successful sync on this device
+ * @returns {Promise<Object|null>} Base state or null if this device never synced
+ */
+export async function getSyncBaseState() {
+  const result = await chrome.storage.local.get(SYNC_CONFIG.BASE_STATE_KEY);
+  const baseState = result[SYNC_CONFIG.BASE_STATE_KEY] || null;
+
+  // A base keyed by local node IDs cannot be compared with sync IDs, start over
+  return baseState && baseState.idScheme === SYNC_ID_SCHEME ? baseState : null;
+}
+
+/**
+ * Store the common ancestor used by the next three-way merge
+ * @param {Object} state - Bookmark state after a successful sync
+ * @returns {Promise<void>}
+ */
+export async function saveSyncBaseState(state) {
+  await chrome.storage.local.set({
+    [SYNC_CONFIG.BASE_STATE_KEY]: {
+      idScheme: SYNC_ID_SCHEME,
+      folders: state.folders || [],
+      bookmarks: state.bookmarks || [],
+      pendingConflicts: state.pendingConflicts || 0,
+      pendingChanges: state.pendingChanges || 0,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
 /**
- * Merge bookmark states
+ * Put back the previous base version of items, dropping them if the old base had none
+ * @param {Object} nextBase - Base state to save
+ * @param {Object|null} base - Base state of this sync
+ * @param {Set<string>} ids - Sync IDs of the items to keep
+ * @returns {Object} Base state to save
+ */
+function keepBaseItems(nextBase, base, ids) {
+  if (ids.size === 0) return nextBase;
+
+  const previous = toItemMaps(base);
+  const keep = (items, previousItems) => [
+    ...items.filter((item) => !ids.has(item.id)),
+    ...[...ids].filter((id) => previousItems.has(id)).map((id) => previousItems.get(id)),
+  ];
+
+  return {
+    ...nextBase,
+    folders: keep(nextBase.folders || [], previous.folders),
+    bookmarks: keep(nextBase.bookmarks || [], previous.bookmarks),
+  };
+}
+
+/**
+ * Three-way merge of bookmark states against their common ancestor.
+ * Folders and bookmarks are merged field by field, then the children of every
+ * folder are ordered position-aware. Without a base, an item missing on one side
+ * is treated as added on the other.
  * @param {Object} localState - Local bookmark state
- * @param {Object} remoteState - Remote bookmark state
- * @param {string} mode - Sync mode
+ * @param {Object|null} remoteState - Remote bookmark state
+ * @param {Object|null} baseState - State after the last successful sync
  * @param {boolean} autoResolveConflicts - Auto resolve conflicts
- * @returns {Promise<Object>} Merge result
+ * @param {Object} options - Merge options
+ * @param {Map<string, Object>} options.resolutions - Conflicts resolved in the conflict inbox, by item ID
+ * @param {Set<string>|null} options.acceptedIds - Items whose changes may be applied, null for all
+ * @param {Set<string>} options.manualIds - Conflicts held even when conflicts are auto resolved
+ * @returns {Object} Merge result; conflicts that were held have the held flag
  */
-async function mergeBookmarkStates(localState, remoteState, mode, autoResolveConflicts) {
-  if (!remoteState) {
+export function mergeBookmarkStates(
+  localState,
+  remoteState,
+  baseState,
+  autoResolveConflicts,
+  { resolutions = new Map(), acceptedIds = null, manualIds = new Set() } = {},
+) {
+  if (!remoteState && !acceptedIds) {
     return {
       mergedState: localState,
+      uploadState: localState,
+      nextBaseState: localState,
+      localOperations: [],
+      remoteChanged: true,
       hasChanges: false,
       changes: { added: 0, updated: 0, removed: 0 },
       conflicts: 0,
+      conflictDetails: [],
+      held: 0,
     };
   }
 
-  const changes = { added: 0, updated: 0, removed: 0 };
-  let conflicts = 0;
-
-  // Create maps for efficient lookup
-  const localBookmarks = new Map(localState.bookmarks.map((b) => [b.id, b]));
-  const remoteBookmarks = new Map(remoteState.bookmarks.map((b) => [b.id, b]));
-
-  const mergedBookmarks = [];
-  const processedIds = new Set();
-
-  // Process all bookmarks
-  for (const [id, localBookmark] of localBookmarks) {
-    const remoteBookmark = remoteBookmarks.get(id);
-
-    if (remoteBookmark) {
-      // Bookmark exists in both - check for conflicts
-      if (localBookmark.dateModified !== remoteBookmark.dateModified) {
-        conflicts++;
-        if (autoResolveConflicts) {
-          // Prefer the newer version
-          const localTime = new Date(localBookmark.dateModified || 0).getTime();
-          const remoteTime = new Date(remoteBookmark.dateModified || 0).getTime();
-          const chosenBookmark = localTime > remoteTime ? localBookmark : remoteBookmark;
-          mergedBookmarks.push(chosenBookmark);
-          changes.updated++;
-        }
-      } else {
-        mergedBookmarks.push(localBookmark);
-      }
-    } else {
-      // Only in local - add
-      mergedBookmarks.push(localBookmark);
-      changes.added++;
-    }
-    processedIds.add(id);
+  // A selective first sync only uploads the accepted items
+  const remoteSide = remoteState || { folders: [], bookmarks: [] };
+  const base = toItemMaps(baseState);
+  const local = toItemMaps(localState);
+  const remote = toItemMaps(remoteSide);
+
+  const options = { autoResolveConflicts, resolutions, acceptedIds, manualIds };
+  const folders = mergeItems('folder', base.folders, local.folders, remote.folders, options);
+  const bookmarks = mergeItems(
+    'bookmark',
+    base.bookmarks,
+    local.bookmarks,
+    remote.bookmarks,
+    options,
+  );
+  const conflictDetails = [...folders.conflictDetails, ...bookmarks.conflictDetails];
+  const held = folders.held + bookmarks.held;
+
+  // Root folders are never synced; every side keeps its own
+  const rootFolders = (localState.folders || []).filter((f) => ROOT_FOLDER_IDS.has(f.id));
+  const orders = {
+    base: buildChildOrder(baseState),
+    local: buildChildOrder(localState),
+    remote: buildChildOrder(remoteSide),
+  };
+  const buildTarget = (target) => {
+    const targetFolders = restoreMissingParents(folders[target], bookmarks[target], [
+      local.folders,
+      remote.folders,
+    ]);
+    return orderSiblings(
+      { folders: [...rootFolders, ...targetFolders], bookmarks: bookmarks[target] },
+      orders,
+      ROOT_FOLDER_IDS,
+    );
+  };
+
+  const lastSync = new Date().toISOString();
+  const mergedState = { ...localState, ...buildTarget('merged'), lastSync };
+  const uploadState = { ...localState, ...buildTarget('upload'), lastSync };
+  const nextBaseState = {
+    ...localState,
+    ...buildTarget('nextBase'),
+    pendingConflicts: conflictDetails.filter((detail) => detail.held).length,
+    pendingChanges: held,
+  };
+
+  const localOperations = diffStates(localState, mergedState);
+  const remoteOperations = diffStates(remoteSide, uploadState);
+  const changes = countChanges(baseState || localState, mergedState);
+
+  return {
+    mergedState,
+    uploadState,
+    nextBaseState,
+    localOperations,
+    remoteChanged: remoteOperations.length > 0,
+    hasChanges: localOperations.length > 0,
+    changes,
+    conflicts: conflictDetails.length,
+    conflictDetails,
+    held,
+  };
+}
+
+/**
+ * Decide the conflicts of a merge with the user's conflict rules
+ * @param {Array<Object>} conflictDetails - Conflicts found by mergeBookmarkStates
+ * @param {Array<Object>} policies - Conflict rules, in order
+ * @param {Array<Object>} states - States whose folders give the folder paths, later ones win
+ * @param {boolean} recordHistory - Add the resolutions to the resolution history
+ * @returns {Promise<Object>} Versions the rules chose, as conflict resolutions by item ID
+ *   ({resolutions}), and the conflicts rules leave for the conflict page ({manualIds})
+ */
+async function applyConflictRules(conflictDetails, policies, states, recordHistory) {
+  const resolutions = new Map();
+  const manualIds = new Set();
+  if (conflictDetails.length === 0 || policies.length === 0) {
+    return { resolutions, manualIds };
   }
 
-  // Add bookmarks only in remote
-  for (const [id, remoteBookmark] of remoteBookmarks) {
-    if (!processedIds.has(id)) {
-      mergedBookmarks.push(remoteBookmark);
-      changes.added++;
+  const folders = new Map(
+    states.flatMap((state) => (state && state.folders) || []).map((f) => [f.id, f]),
+  );
+  const result = await resolveConflictsAdvanced(
+    conflictDetails.map((detail) => ({
+      id: detail.bookmarkId,
+      local: detail.localVersion,
+      remote: detail.remoteVersion,
+    })),
+    CONFLICT_STRATEGIES.MANUAL,
+    { policies, folders, recordHistory },
+  );
+
+  const details = new Map(conflictDetails.map((detail) => [detail.bookmarkId, detail]));
+  for (const entry of result.resolutionHistory) {
+    const policy = entry.policyId && policies.find((p) => p.id === entry.policyId);
+    if (!policy) continue;
+
+    if (!result.resolvedVersions.has(entry.conflictId)) {
+      manualIds.add(entry.conflictId);
+      continue;
     }
+    const { localVersion, remoteVersion } = details.get(entry.conflictId);
+    resolutions.set(entry.conflictId, {
+      localVersion,
+      remoteVersion,
+      resolvedVersion: result.resolvedVersions.get(entry.conflictId),
+      rule: describeConflictPolicy(policy),
+    });
+  }
+
+  return { resolutions, manualIds };
+}
+
+/**
+ * Make a client's tree a copy of the state published by the host.
+ * Local edits are discarded; before the host published anything the local tree is kept.
+ * @param {Object} localState - Local bookmark state
+ * @param {Object|null} remoteState - State published by the host
+ * @returns {Object} Result shaped like the one of mergeBookmarkStates
+ */
+export function mirrorHostState(localState, remoteState) {
+  const noChanges = { added: 0, updated: 0, removed: 0 };
+  if (!remoteState) {
+    return {
+      mergedState: localState,
+      uploadState: localState,
+      nextBaseState: localState,
+      localOperations: [],
+      remoteChanged: false,
+      hasChanges: false,
+      changes: noChanges,
+      conflicts: 0,
+      conflictDetails: [],
+      held: 0,
+    };
   }
 
+  // Root folders are never synced; every side keeps its own
+  const rootFolders = (localState.folders || []).filter((f) => ROOT_FOLDER_IDS.has(f.id));
   const mergedState = {
     ...localState,
-    bookmarks: mergedBookmarks,
+    folders: [
+      ...rootFolders,
+      ...(remoteState.folders || []).filter((f) => !ROOT_FOLDER_IDS.has(f.id)),
+    ],
+    bookmarks: remoteState.bookmarks || [],
     lastSync: new Date().toISOString(),
   };
+  const localOperations = diffStates(localState, mergedState);
 
   return {
     mergedState,
-    hasChanges: changes.added > 0 || changes.updated > 0 || changes.removed > 0,
-    changes,
-    conflicts,
+    uploadState: remoteState,
+    nextBaseState: mergedState,
+    localOperations,
+    remoteChanged: false,
+    hasChanges: localOperations.length > 0,
+    changes: countChanges(localState, mergedState),
+    conflicts: 0,
+    conflictDetails: [],
+    held: 0,
+  };
+}
+
+/**
+ * Merge one kind of item (folders or bookmarks) from all three sides
+ * @param {string} itemType - 'folder' or 'bookmark'
+ * @param {Map<string, Object>} base - Items at the last sync
+ * @param {Map<string, Object>} local - Local items
+ * @param {Map<string, Object>} remote - Remote items
+ * @param {Object} options - Merge options
+ * @param {boolean} options.autoResolveConflicts - Auto resolve conflicts
+ * @param {Map<string, Object>} options.resolutions - Resolved conflicts by item ID
+ * @param {Set<string>|null} options.acceptedIds - Items whose changes may be applied, null for all
+ * @param {Set<string>} options.manualIds - Conflicts held even when conflicts are auto resolved
+ * @returns {Object} Items for each target ({merged, upload, nextBase, conflictDetails, held})
+ */
+function mergeItems(
+  itemType,
+  base,
+  local,
+  remote,
+  { autoResolveConflicts, resolutions, acceptedIds, manualIds },
+) {
+  const result = { merged: [], upload: [], nextBase: [], conflictDetails: [], held: 0 };
+  const allIds = new Set([...base.keys(), ...local.keys(), ...remote.keys()]);
+
+  // Leave both sides and the base untouched, so the next sync finds the change again
+  const hold = (id) => {
+    if (local.has(id)) result.merged.push(local.get(id));
+    if (remote.has(id)) result.upload.push(remote.get(id));
+    if (base.has(id)) result.nextBase.push(base.get(id));
+  };
+
+  for (const id of allIds) {
+    let outcome = mergeBookmark(base.get(id), local.get(id), remote.get(id));
+
+    // A resolution only applies to the versions the user compared; if either side
+    // changed since, the conflict is held again
+    const resolution = outcome.conflict && resolutions.get(id);
+    if (
+      resolution &&
+      sameVersion(resolution.localVersion, local.get(id)) &&
+      sameVersion(resolution.remoteVersion, remote.get(id))
+    ) {
+      outcome = { bookmark: resolution.resolvedVersion, conflict: null };
+    }
+
+    if (outcome.conflict) {
+      const held = !autoResolveConflicts || manualIds.has(id);
+      result.conflictDetails.push({
+        bookmarkId: id,
+        itemType,
+        type: outcome.conflict,
+        localVersion: local.get(id) || null,
+        remoteVersion: remote.get(id) || null,
+        held,
+      });
+      if (held) {
+        hold(id);
+        continue;
+      }
+    }
+
+    // Changes rejected in the sync preview wait for a later sync
+    const changesItem =
+      !sameVersion(outcome.bookmark, local.get(id)) ||
+      !sameVersion(outcome.bookmark, remote.get(id));
+    if (acceptedIds && !acceptedIds.has(id) && changesItem) {
+      hold(id);
+      result.held++;
+      continue;
+    }
+
+    if (outcome.bookmark) {
+      result.merged.push(outcome.bookmark);
+      result.upload.push(outcome.bookmark);
+      result.nextBase.push(outcome.bookmark);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Bring back folders that were deleted on one side while the other side still
+ * placed items in them
+ * @param {Array<Object>} folders - Merged folders
+ * @param {Array<Object>} bookmarks - Merged bookmarks
+ * @param {Array<Map<string, Object>>} sources - Folder maps to restore from
+ * @returns {Array<Object>} Folders including restored parents
+ */
+function restoreMissingParents(folders, bookmarks, sources) {
+  const present = new Set(folders.map((f) => f.id));
+  const result = [...folders];
+  const pending = [...folders, ...bookmarks];
+
+  while (pending.length > 0) {
+    const { parentId } = pending.shift();
+    if (!parentId || present.has(parentId) || ROOT_FOLDER_IDS.has(parentId)) continue;
+
+    const source = sources.find((map) => map.has(parentId));
+    if (!source) continue;
+
+    const parent = source.get(parentId);
+    present.add(parentId);
+    result.push(parent);
+    pending.push(parent);
+  }
+
+  return result;
+}
+
+/**
+ * Index the synced folders and bookmarks of a state by id
+ * @param {Object|null} state - Bookmark state
+ * @returns {{folders: Map<string, Object>, bookmarks: Map<string, Object>}} Items keyed by id
+ */
+function toItemMaps(state) {
+  return {
+    folders: toBookmarkMap(
+      ((state && state.folders) || []).filter((f) => !ROOT_FOLDER_IDS.has(f.id)),
+    ),
+    bookmarks: toBookmarkMap((state && state.bookmarks) || []),
   };
 }
 
+/**
+ * Index bookmarks by id
+ * @param {Array<Object>} bookmarks - Bookmarks
+ * @returns {Map<string, Object>} Bookmarks keyed by id
+ */
+function toBookmarkMap(bookmarks) {
+  return new Map(bookmarks.map((b) => [b.id, b]));
+}
+
+/**
+ * Merge a single bookmark from its base, local and remote versions
+ * @param {Object|undefined} base - Version at the last sync
+ * @param {Object|undefined} local - Local version
+ * @param {Object|undefined} remote - Remote version
+ * @returns {{bookmark: Object|null, conflict: string|null}} Merge outcome
+ */
+function mergeBookmark(base, local, remote) {
+  if (!base) {
+    if (local && remote && !sameBookmark(local, remote)) {
+      return { bookmark: pickNewer(local, remote), conflict: 'both-added' };
+    }
+    return { bookmark: local || remote || null, conflict: null };
+  }
+
+  if (!local && !remote) {
+    return { bookmark: null, conflict: null };
+  }
+
+  if (!local) {
+    // Deleted locally; a remote edit since the last sync wins over the deletion
+    return sameBookmark(base, remote)
+      ? { bookmark: null, conflict: null }
+      : { bookmark: remote, conflict: 'delete-modify' };
+  }
+
+  if (!remote) {
+    return sameBookmark(base, local)
+      ? { bookmark: null, conflict: null }
+      : { bookmark: local, conflict: 'modify-delete' };
+  }
+
+  const merged = { ...local };
+  let conflict = null;
+
+  for (const field of MERGE_FIELDS) {
+    if (local[field] === remote[field] || remote[field] === base[field]) continue;
+    if (local[field] === base[field]) {
+      merged[field] = remote[field];
+    } else {
+      conflict = 'both-modified';
+      merged[field] = pickNewer(local, remote)[field];
+    }
+  }
+
+  return { bookmark: merged, conflict };
+}
+
+/**
+ * Compare the synced fields of two bookmarks
+ * @param {Object} a - First bookmark
+ * @param {Object} b - Second bookmark
+ * @returns {boolean} Whether the bookmarks match
+ */
+function sameBookmark(a, b) {
+  return MERGE_FIELDS.every((field) => a[field] === b[field]);
+}
+
+/**
+ * Compare two versions of an item, either of which may be missing
+ * @param {Object|null} a - First version
+ * @param {Object|undefined} b - Second version
+ * @returns {boolean} Whether both are missing or have the same synced fields
+ */
+function sameVersion(a, b) {
+  return !a || !b ? !a && !b : sameBookmark(a, b);
+}
+
+/**
+ * Pick the more recently modified bookmark, preferring local on ties
+ * @param {Object} local - Local bookmark
+ * @param {Object} remote - Remote bookmark
+ * @returns {Object} Chosen bookmark
+ */
+function pickNewer(local, remote) {
+  const localTime = new Date(local.dateModified || 0).getTime();
+  const remoteTime = new Date(remote.dateModified || 0).getTime();
+  return remoteTime > localTime ? remote : local;
+}
+
+/**
+ * Build the operations that turn one state into another.
+ * Operations are ordered so they can be applied in sequence: removals first,
+ * then creations and moves from the top of the tree down in index order, then updates.
+ * @param {Object|null} fromState - Current state
+ * @param {Object} toState - Target state
+ * @returns {Array<Object>} Operations ({type, id, bookmark})
+ */
+function diffStates(fromState, toState) {
+  const fromItems = toItemMaps(fromState);
+  const toItems = toItemMaps(toState);
+  const from = new Map([...fromItems.folders, ...fromItems.bookmarks]);
+  const to = new Map([...toItems.folders, ...toItems.bookmarks]);
+
+  const removals = [];
+  const placements = [];
+  const updates = [];
+
+  for (const [id, item] of to) {
+    const current = from.get(id);
+    if (!current) {
+      placements.push({ type: 'create', id, bookmark: item });
+      continue;
+    }
+    if (current.title !== item.title || current.url !== item.url) {
+      updates.push({ type: 'update', id, bookmark: item });
+    }
+    const reordered =
+      current.index !== undefined && item.index !== undefined && current.index !== item.index;
+    if (current.parentId !== item.parentId || reordered) {
+      placements.push({ type: 'move', id, bookmark: item });
+    }
+  }
+
+  for (const [id, item] of from) {
+    // Removing a folder removes its contents as well
+    if (!to.has(id) && !(fromItems.folders.has(item.parentId) && !to.has(item.parentId))) {
+      removals.push({ type: 'remove', id, bookmark: item });
+    }
+  }
+
+  const depthOf = (id, seen = new Set()) => {
+    const item = to.get(id);
+    if (!item || seen.has(id)) return 0;
+    seen.add(id);
+    return 1 + depthOf(item.parentId, seen);
+  };
+  placements.sort(
+    (a, b) => depthOf(a.id) - depthOf(b.id) || (a.bookmark.index ?? 0) - (b.bookmark.index ?? 0),
+  );
+
+  return [...removals, ...placements, ...updates];
+}
+
+/**
+ * Count changes between the last synced state and the merged result
+ * @param {Object} previousState - State at the last sync
+ * @param {Object} mergedState - Merged state
+ * @returns {{added: number, updated: number, removed: number}} Change counts
+ */
+function countChanges(previousState, mergedState) {
+  const changes = { added: 0, updated: 0, removed: 0 };
+  const previousItems = toItemMaps(previousState);
+  const mergedItems = toItemMaps(mergedState);
+  const previous = new Map([...previousItems.folders, ...previousItems.bookmarks]);
+  const merged = new Map([...mergedItems.folders, ...mergedItems.bookmarks]);
+
+  for (const [id, item] of merged) {
+    const before = previous.get(id);
+    if (!before) changes.added++;
+    else if (!sameBookmark(before, item)) changes.updated++;
+  }
+  for (const id of previous.keys()) {
+    if (!merged.has(id)) changes.removed++;
+  }
+
+  return changes;
+}
+
+/**
+ * Get the local state to merge, replaying the change journal on top of the base
+ * state instead of exporting the whole tree when the journal can be trusted
+ * @param {Object|null} baseState - State after the last successful sync
+ * @param {Object} journal - Change journal
+ * @param {Object} identityMap - Map of local IDs to sync IDs
+ * @param {boolean} allowJournal - Whether the journal may be used
+ * @returns {Promise<{state: Object, incremental: boolean}>} Local state with local node IDs
+ */
+async function getLocalStateForSync(baseState, journal, identityMap, allowJournal) {
+  // Held conflicts and rejected changes are not in the journal anymore
+  const pending = baseState && (baseState.pendingConflicts || baseState.pendingChanges);
+  if (allowJournal && baseState && !journal.invalid && !pending) {
+    const localBase = toLocalState(baseState, identityMap);
+    return { state: applyJournalToState(localBase, journal.entries), incremental: true };
+  }
+
+  return { state: await exportBookmarksState(), incremental: false };
+}
+
+/**
+ * Download the remote sync state along with the revision it was read at.
+ * The remote state is the snapshot file plus the per-device delta files
+ * holding operations that were not folded into the snapshot yet.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Object>} Remote state ({state, fileId, revisionId, deltas, deltaCursors, inboxCursors, pendingDeltaCount})
+ */
+async function fetchRemoteSyncState(storage) {
+  const snapshotFile = await storage.get(SYNC_CONFIG.BOOKMARKS_FILE);
+  const snapshot = snapshotFile
+    ? normalizeLegacyState(readBookmarksData(snapshotFile.content))
+    : null;
+
+  // Collect delta operations that are newer than what the snapshot contains
+  const snapshotCursors = (snapshot && snapshot.deltaCursors) || {};
+  const deltas = await fetchRemoteDeltas(storage);
+  const deltaCursors = { ...snapshotCursors };
+  const pending = [];
+
+  for (const delta of deltas) {
+    const cursor = snapshotCursors[delta.deviceId] || 0;
+    pending.push(...delta.operations.filter((op) => op.seq > cursor));
+    deltaCursors[delta.deviceId] = Math.max(cursor, delta.lastSeq || 0);
+  }
+
+  pending.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  let state = snapshot;
+  if (pending.length > 0) {
+    state = applyDeltaOperations(snapshot || { folders: [], bookmarks: [] }, pending);
+  }
+
+  return {
+    state,
+    fileId: snapshotFile ? snapshotFile.id : null,
+    revisionId: snapshotFile ? snapshotFile.revision : null,
+    deltas,
+    snapshotCursors,
+    deltaCursors,
+    inboxCursors: (snapshot && snapshot.inboxCursors) || {},
+    pendingDeltaCount: pending.length,
+  };
+}
+
+/**
+ * Download every device's delta file
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @returns {Promise<Array<Object>>} Delta files ({fileId, deviceId, lastSeq, operations})
+ */
+async function fetchRemoteDeltas(storage) {
+  const files = await storage.list({ prefix: SYNC_CONFIG.DELTA_FILE_PREFIX });
+
+  const deltas = [];
+  for (const file of files) {
+    const stored = await storage.get(file.name);
+    const content = stored && stored.content;
+    if (content && content.deviceId && Array.isArray(content.operations)) {
+      deltas.push({ fileId: file.id, ...content });
+    }
+  }
+
+  return deltas;
+}
+
+/**
+ * Apply delta operations on top of a bookmark state
+ * @param {Object} state - Snapshot state
+ * @param {Array<Object>} operations - Operations ({type, id, bookmark}) in order
+ * @returns {Object} Updated state
+ */
+function applyDeltaOperations(state, operations) {
+  const folders = toBookmarkMap(state.folders || []);
+  const bookmarks = toBookmarkMap(state.bookmarks || []);
+
+  for (const op of operations) {
+    // Folder operations carry no url
+    const items = op.bookmark && op.bookmark.url === undefined ? folders : bookmarks;
+    if (op.type === 'remove') {
+      items.delete(op.id);
+      // Removals of a folder's contents are not listed separately
+      if (items === folders) removeFolderContents(op.id, folders, bookmarks);
+    } else {
+      items.set(op.id, op.bookmark);
+    }
+  }
+
+  return {
+    ...state,
+    folders: Array.from(folders.values()),
+    bookmarks: Array.from(bookmarks.values()),
+  };
+}
+
+/**
+ * Remove the bookmarks and subfolders below a removed folder
+ * @param {string} folderId - Removed folder ID
+ * @param {Map<string, Object>} folders - Folders by id
+ * @param {Map<string, Object>} bookmarks - Bookmarks by id
+ */
+function removeFolderContents(folderId, folders, bookmarks) {
+  for (const [id, bookmark] of bookmarks) {
+    if (bookmark.parentId === folderId) bookmarks.delete(id);
+  }
+  for (const [id, folder] of folders) {
+    if (folder.parentId === folderId) {
+      folders.delete(id);
+      removeFolderContents(id, folders, bookmarks);
+    }
+  }
+}
+
+/**
+ * Decide whether this sync can upload an incremental delta instead of a full snapshot
+ * @param {Object} local - Local state info from getLocalStateForSync
+ * @param {Object} remote - Remote state info from fetchRemoteSyncState
+ * @param {Object} mergeResult - Merge result
+ * @param {Array<Object>} operations - Operations to upload
+ * @returns {boolean} Whether to append a delta
+ */
+function shouldUploadDelta(local, remote, mergeResult, operations) {
+  return (
+    local.incremental &&
+    !!remote.fileId &&
+    mergeResult.conflicts === 0 &&
+    remote.pendingDeltaCount + operations.length <= SYNC_CONFIG.DELTA_COMPACT_THRESHOLD
+  );
+}
+
+/**
+ * Append operations to this device's delta file.
+ * Only this device writes its delta file; operations already folded into the
+ * snapshot are dropped on the way.
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {Array<Object>} operations - Operations to append
+ * @param {Object} remote - Remote state info from fetchRemoteSyncState
+ * @returns {Promise<Object>} Uploaded file metadata
+ */
+async function appendRemoteDelta(storage, operations, remote) {
+  const deviceId = await getOrCreateDeviceId();
+  const existing = remote.deltas.find((delta) => delta.deviceId === deviceId);
+  const cursor = remote.snapshotCursors[deviceId] || 0;
+
+  let seq = existing ? existing.lastSeq || 0 : 0;
+  const timestamp = new Date().toISOString();
+  const appended = operations.map((op) => ({ ...op, seq: ++seq, timestamp }));
+
+  return storage.put(`${SYNC_CONFIG.DELTA_FILE_PREFIX}${deviceId}.json`, {
+    deviceId,
+    lastSeq: seq,
+    operations: [
+      ...(existing ? existing.operations.filter((op) => op.seq > cursor) : []),
+      ...appended,
+    ],
+  });
+}
+
+/**
+ * Write the merged state, failing if the remote file moved since it was read
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
+ * @param {Object} state - State to upload
+ * @param {Object} remote - Remote state as returned by fetchRemoteSyncState
+ * @returns {Promise<Object>} Uploaded file metadata
+ * @throws {RevisionConflictError} If another device wrote the file in the meantime
+ */
+async function writeRemoteSyncState(storage, state, remote) {
+  // Without a remote file yet, the upload fails if another device created it meanwhile
+  return storage.put(SYNC_CONFIG.BOOKMARKS_FILE, withBookmarksMetadata(state), {
+    expectedRevision: remote.revisionId,
+  });
+}
+
 /**
  * Update sync metadata
- * @param {string} folderId - Google Drive folder ID
- * @param {string} token - Auth token
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
  * @param {Object} metadata - Metadata to update
  */
-async function updateSyncMetadata(folderId, token, metadata) {
+async function updateSyncMetadata(storage, metadata) {
   try {
     const metadataFile = SYNC_CONFIG.METADATA_FILE;
     let existingMetadata = {};
 
     // Try to download existing metadata
     try {
-      const files = await listFiles(
-        folderId,
-        token,
-        `name='${metadataFile}' and mimeType='application/json'`,
-      );
-      if (files.length > 0) {
-        existingMetadata = await downloadFile(files[0].id, token);
+      const file = await storage.get(metadataFile);
+      if (file) {
+        existingMetadata = file.content;
       }
     } catch (error) {
       console.log('No existing metadata found');
@@ -399,7 +1241,7 @@ async function updateSyncMetadata(folderId, token, metadata) {
     };
 
     // Upload updated metadata
-    await uploadFile(metadataFile, updatedMetadata, folderId, token);
+    await storage.put(metadataFile, updatedMetadata);
   } catch (error) {
     console.error('Failed to update sync metadata:', error);
   }
@@ -407,24 +1249,19 @@ async function updateSyncMetadata(folderId, token, metadata) {
 
 /**
  * Update backup metadata
- * @param {string} folderId - Google Drive folder ID
- * @param {string} token - Auth token
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
  * @param {Object} backupData - Backup data
  */
-async function updateBackupMetadata(folderId, token, backupData) {
+async function updateBackupMetadata(storage, backupData) {
   try {
     const backupMetadataFile = 'backup_metadata.json';
     let existingMetadata = { backups: [] };
 
     // Try to download existing metadata
     try {
-      const files = await listFiles(
-        folderId,
-        token,
-        `name='${backupMetadataFile}' and mimeType='application/json'`,
-      );
-      if (files.length > 0) {
-        existingMetadata = await downloadFile(files[0].id, token);
+      const file = await storage.get(backupMetadataFile);
+      if (file) {
+        existingMetadata = file.content;
       }
     } catch (error) {
       console.log('No existing backup metadata found');
@@ -445,7 +1282,7 @@ async function updateBackupMetadata(folderId, token, backupData) {
     }
 
     // Upload updated metadata
-    await uploadFile(backupMetadataFile, existingMetadata, folderId, token);
+    await storage.put(backupMetadataFile, existingMetadata);
   } catch (error) {
     console.error('Failed to update backup metadata:', error);
   }
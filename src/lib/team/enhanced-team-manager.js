@@ -5,8 +5,8 @@
  * granular permissions, detailed activity logs, and advanced member management.
  */
 
-import { getAuthToken, ensureBookDriveFolder } from '../auth/drive-auth.js';
-import { uploadFile, downloadFile, listFiles } from '../drive.js';
+import { getAuthToken } from '../auth/drive-auth.js';
+import { getStorageProvider } from '../storage/provider.js';
 import {
   getTeamMembers,
   // addTeamMember, // Removed unused import
@@ -72,27 +72,16 @@ export const LOG_LEVELS = {
  */
 export async function getEnhancedTeamConfig(options = {}) {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const folderId = await ensureBookDriveFolder(false);
-    if (!folderId) {
-      return getDefaultTeamConfig();
-    }
-
     // Get enhanced team configuration
-    const files = await listFiles(folderId, token, `name='${ENHANCED_TEAM_FILE}'`);
+    const file = await getStorageProvider().get(ENHANCED_TEAM_FILE);
 
-    if (files.length === 0) {
+    if (!file) {
       const defaultConfig = getDefaultTeamConfig();
       await saveEnhancedTeamConfig(defaultConfig);
       return defaultConfig;
     }
 
-    const config = await downloadFile(files[0].id, token);
-    return { ...getDefaultTeamConfig(), ...config };
+    return { ...getDefaultTeamConfig(), ...file.content };
   } catch (error) {
     console.error('Failed to get enhanced team config:', error);
     return getDefaultTeamConfig();
@@ -220,17 +209,14 @@ export async function setUserPermission(
  */
 export async function getUserPermissions(userId, options = {}) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     // Get permissions file
-    const files = await listFiles(folderId, token, `name='${PERMISSIONS_FILE}'`);
+    const file = await getStorageProvider().get(PERMISSIONS_FILE);
 
-    if (files.length === 0) {
+    if (!file) {
       return [];
     }
 
-    const permissionsData = await downloadFile(files[0].id, token);
+    const permissionsData = file.content;
     const permissions = permissionsData.permissions || [];
 
     // Filter by user
@@ -326,19 +312,14 @@ export async function hasPermission(permission, resourceType, resourceId = null,
  */
 export async function removeUserPermission(permissionId, options = {}) {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    const folderId = await ensureBookDriveFolder(false);
-    const files = await listFiles(folderId, token, `name='${PERMISSIONS_FILE}'`);
+    const storage = getStorageProvider();
+    const file = await storage.get(PERMISSIONS_FILE);
 
-    if (files.length === 0) {
+    if (!file) {
       throw new Error('No permissions found');
     }
 
-    const permissionsData = await downloadFile(files[0].id, token);
+    const permissionsData = file.content;
     const permissions = permissionsData.permissions || [];
 
     const permissionIndex = permissions.findIndex((p) => p.id === permissionId);
@@ -356,7 +337,7 @@ export async function removeUserPermission(permissionId, options = {}) {
     permissions.splice(permissionIndex, 1);
     permissionsData.permissions = permissions;
 
-    await uploadFile(PERMISSIONS_FILE, permissionsData, folderId, token);
+    await storage.put(PERMISSIONS_FILE, permissionsData);
 
     // Log the permission removal
     await logTeamActivity(
@@ -391,17 +372,14 @@ export async function removeUserPermission(permissionId, options = {}) {
  */
 export async function getDetailedActivityLogs(filters = {}, options = {}) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     // Get activity logs file
-    const files = await listFiles(folderId, token, `name='${ACTIVITY_LOGS_FILE}'`);
+    const file = await getStorageProvider().get(ACTIVITY_LOGS_FILE);
 
-    if (files.length === 0) {
+    if (!file) {
       return [];
     }
 
-    const logsData = await downloadFile(files[0].id, token);
+    const logsData = file.content;
     let logs = logsData.logs || [];
 
     // Apply filters
@@ -464,8 +442,7 @@ export async function getDetailedActivityLogs(filters = {}, options = {}) {
  */
 export async function logDetailedActivity(action, data, level = LOG_LEVELS.INFO, options = {}) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
+    const storage = getStorageProvider();
 
     const logEntry = {
       id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -484,12 +461,8 @@ export async function logDetailedActivity(action, data, level = LOG_LEVELS.INFO,
     };
 
     // Get existing logs
-    const files = await listFiles(folderId, token, `name='${ACTIVITY_LOGS_FILE}'`);
-    let logsData = { logs: [] };
-
-    if (files.length > 0) {
-      logsData = await downloadFile(files[0].id, token);
-    }
+    const file = await storage.get(ACTIVITY_LOGS_FILE);
+    const logsData = file ? file.content : { logs: [] };
 
     // Add new log entry
     logsData.logs.push(logEntry);
@@ -500,7 +473,7 @@ export async function logDetailedActivity(action, data, level = LOG_LEVELS.INFO,
     }
 
     // Save updated logs
-    await uploadFile(ACTIVITY_LOGS_FILE, logsData, folderId, token);
+    await storage.put(ACTIVITY_LOGS_FILE, logsData);
 
     console.log('Detailed activity logged:', logEntry);
   } catch (error) {
@@ -704,10 +677,7 @@ function getDefaultTeamConfig() {
  */
 async function saveEnhancedTeamConfig(config) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
-    await uploadFile(ENHANCED_TEAM_FILE, config, folderId, token);
+    await getStorageProvider().put(ENHANCED_TEAM_FILE, config);
   } catch (error) {
     console.error('Failed to save enhanced team config:', error);
     throw error;
@@ -721,22 +691,17 @@ async function saveEnhancedTeamConfig(config) {
  */
 async function saveUserPermission(permission) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
+    const storage = getStorageProvider();
 
     // Get existing permissions
-    const files = await listFiles(folderId, token, `name='${PERMISSIONS_FILE}'`);
-    let permissionsData = { permissions: [] };
-
-    if (files.length > 0) {
-      permissionsData = await downloadFile(files[0].id, token);
-    }
+    const file = await storage.get(PERMISSIONS_FILE);
+    const permissionsData = file ? file.content : { permissions: [] };
 
     // Add new permission
     permissionsData.permissions.push(permission);
 
     // Save updated permissions
-    await uploadFile(PERMISSIONS_FILE, permissionsData, folderId, token);
+    await storage.put(PERMISSIONS_FILE, permissionsData);
   } catch (error) {
     console.error('Failed to save user permission:', error);
     throw error;
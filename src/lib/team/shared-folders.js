@@ -5,8 +5,9 @@
  * real-time collaboration features, and team-specific conflict resolution.
  */
 
-import { getAuthToken, ensureBookDriveFolder } from '../auth/drive-auth.js';
-import { uploadFile, downloadFile, listFiles } from '../drive.js';
+import { getAuthToken } from '../auth/drive-auth.js';
+import { driveFetch } from '../drive-client.js';
+import { getStorageProvider } from '../storage/provider.js';
 import { getTeamMembers, isTeamAdmin } from './team-manager.js';
 
 // Shared folder constants
@@ -42,9 +43,6 @@ export async function createSharedFolder(folderData, options = {}) {
       throw new Error('Authentication required');
     }
 
-    // Ensure BookDrive folder exists
-    const driveFolderId = await ensureBookDriveFolder(true);
-
     // Create shared folder metadata
     const sharedFolder = {
       id: `shared_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -79,7 +77,7 @@ export async function createSharedFolder(folderData, options = {}) {
     }
 
     // Save shared folder metadata
-    await saveSharedFolderMetadata(sharedFolder, driveFolderId, token);
+    await saveSharedFolderMetadata(sharedFolder);
 
     // Sync with team if requested
     if (syncWithTeam) {
@@ -112,26 +110,13 @@ export async function getSharedFolders(options = {}) {
       throw new Error('Authentication required');
     }
 
-    // Ensure BookDrive folder exists
-    const driveFolderId = await ensureBookDriveFolder(false);
-    if (!driveFolderId) {
-      return [];
-    }
-
     // Get shared folders metadata
-    const files = await listFiles(
-      driveFolderId,
-      token,
-      `name='${SHARED_FOLDERS_FILE}' and mimeType='application/json'`,
-    );
-
-    if (files.length === 0) {
+    const file = await getStorageProvider().get(SHARED_FOLDERS_FILE);
+    if (!file) {
       return [];
     }
 
-    // Download shared folders data
-    const sharedFoldersData = await downloadFile(files[0].id, token);
-    const sharedFolders = sharedFoldersData.folders || [];
+    const sharedFolders = file.content.folders || [];
 
     // Filter folders user has access to
     const userEmail = await getCurrentUserEmail();
@@ -213,8 +198,7 @@ export async function addBookmarksToSharedFolder(folderId, bookmarks, options =
     folder.metadata.lastModifiedBy = userEmail;
 
     // Save updated folder
-    const driveFolderId = await ensureBookDriveFolder(true);
-    await saveSharedFolderMetadata(folder, driveFolderId, token);
+    await saveSharedFolderMetadata(folder);
 
     // Notify team if requested
     if (notifyTeam) {
@@ -285,8 +269,7 @@ export async function removeBookmarksFromSharedFolder(folderId, bookmarkIds, opt
     folder.metadata.lastModifiedBy = userEmail;
 
     // Save updated folder
-    const driveFolderId = await ensureBookDriveFolder(true);
-    await saveSharedFolderMetadata(folder, driveFolderId, token);
+    await saveSharedFolderMetadata(folder);
 
     // Notify team if requested
     if (notifyTeam) {
@@ -338,9 +321,7 @@ export async function updateSharedFolderPermission(folderId, memberEmail, permis
     folder.metadata.lastModifiedBy = userEmail;
 
     // Save updated folder
-    const token = await getAuthToken(false);
-    const driveFolderId = await ensureBookDriveFolder(true);
-    await saveSharedFolderMetadata(folder, driveFolderId, token);
+    await saveSharedFolderMetadata(folder);
 
     // Notify team
     await notifyTeamMembers(folder, 'permission_updated', {
@@ -415,21 +396,13 @@ function getFolderPermission(folder, userEmail) {
 /**
  * Save shared folder metadata
  * @param {Object} folder - Shared folder
- * @param {string} driveFolderId - Google Drive folder ID
- * @param {string} token - Auth token
  */
-async function saveSharedFolderMetadata(folder, driveFolderId, token) {
-  // Get existing shared folders
-  const files = await listFiles(
-    driveFolderId,
-    token,
-    `name='${SHARED_FOLDERS_FILE}' and mimeType='application/json'`,
-  );
+async function saveSharedFolderMetadata(folder) {
+  const storage = getStorageProvider();
 
-  let sharedFoldersData = { folders: [] };
-  if (files.length > 0) {
-    sharedFoldersData = await downloadFile(files[0].id, token);
-  }
+  // Get existing shared folders
+  const file = await storage.get(SHARED_FOLDERS_FILE);
+  const sharedFoldersData = file ? file.content : { folders: [] };
 
   // Update or add folder
   const existingIndex = sharedFoldersData.folders.findIndex((f) => f.id === folder.id);
@@ -440,7 +413,7 @@ async function saveSharedFolderMetadata(folder, driveFolderId, token) {
   }
 
   // Save updated data
-  await uploadFile(SHARED_FOLDERS_FILE, sharedFoldersData, driveFolderId, token);
+  await storage.put(SHARED_FOLDERS_FILE, sharedFoldersData);
 }
 
 /**
@@ -449,7 +422,7 @@ async function saveSharedFolderMetadata(folder, driveFolderId, token) {
  */
 async function getCurrentUserEmail() {
   try {
-    const response = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
+    const response = await driveFetch('https://www.googleapis.com/oauth2/v2/userinfo', {
       headers: {
         Authorization: `Bearer ${await getAuthToken(false)}`,
       },
@@ -547,11 +520,8 @@ async function notifyTeamMembers(folder, action, details = {}) {
     };
 
     // Save notification for team members
-    const token = await getAuthToken(false);
-    const driveFolderId = await ensureBookDriveFolder(true);
-
     const notificationFile = `notifications_${Date.now()}.json`;
-    await uploadFile(notificationFile, notification, driveFolderId, token);
+    await getStorageProvider().put(notificationFile, notification);
 
     console.log(
       `Notified ${teamMembers.length} team members of ${action} on folder ${folder.name}`,
@@ -567,28 +537,16 @@ async function notifyTeamMembers(folder, action, details = {}) {
  */
 export async function getPendingNotifications() {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      return [];
-    }
-
-    const driveFolderId = await ensureBookDriveFolder(false);
-    if (!driveFolderId) {
-      return [];
-    }
+    const storage = getStorageProvider();
 
     // Get notification files
-    const files = await listFiles(
-      driveFolderId,
-      token,
-      `name contains 'notifications_' and mimeType='application/json'`,
-    );
+    const files = await storage.list({ prefix: 'notifications_' });
 
     const notifications = [];
     for (const file of files) {
       try {
-        const notification = await downloadFile(file.id, token);
-        notifications.push(notification);
+        const stored = await storage.get(file.name);
+        if (stored) notifications.push(stored.content);
       } catch (error) {
         console.warn(`Failed to download notification ${file.id}:`, error);
       }
@@ -5,8 +5,8 @@
  * for monitoring team activities, performance metrics, and collaboration insights.
  */
 
-import { getAuthToken, ensureBookDriveFolder } from '../auth/drive-auth.js';
-import { uploadFile, downloadFile, listFiles } from '../drive.js';
+import { getAuthToken } from '../auth/drive-auth.js';
+import { getStorageProvider } from '../storage/provider.js';
 import { getTeamMembers } from './team-manager.js';
 import { getSharedFolders } from './shared-folders.js';
 
@@ -154,18 +154,14 @@ export async function getTeamDashboard(options = {}) {
  */
 export async function getTeamActivities(startDate, endDate) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     // Get activity log file
-    const files = await listFiles(folderId, token, `name='${TEAM_ACTIVITY_LOG_FILE}'`);
+    const file = await getStorageProvider().get(TEAM_ACTIVITY_LOG_FILE);
 
-    if (files.length === 0) {
+    if (!file) {
       return [];
     }
 
-    const activityLog = await downloadFile(files[0].id, token);
-    const activities = activityLog.activities || [];
+    const activities = file.content.activities || [];
 
     // Filter activities by date range
     return activities.filter((activity) => {
@@ -187,8 +183,7 @@ export async function getTeamActivities(startDate, endDate) {
  */
 export async function recordTeamActivity(type, data, userId = null) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
+    const storage = getStorageProvider();
 
     const activity = {
       id: `activity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
@@ -200,12 +195,8 @@ export async function recordTeamActivity(type, data, userId = null) {
     };
 
     // Get existing activity log
-    const files = await listFiles(folderId, token, `name='${TEAM_ACTIVITY_LOG_FILE}'`);
-    let activityLog = { activities: [] };
-
-    if (files.length > 0) {
-      activityLog = await downloadFile(files[0].id, token);
-    }
+    const file = await storage.get(TEAM_ACTIVITY_LOG_FILE);
+    const activityLog = file ? file.content : { activities: [] };
 
     // Add new activity
     activityLog.activities.push(activity);
@@ -216,7 +207,7 @@ export async function recordTeamActivity(type, data, userId = null) {
     }
 
     // Save updated activity log
-    await uploadFile(TEAM_ACTIVITY_LOG_FILE, activityLog, folderId, token);
+    await storage.put(TEAM_ACTIVITY_LOG_FILE, activityLog);
 
     console.log('Team activity recorded:', activity);
   } catch (error) {
@@ -877,10 +868,7 @@ function generateRecommendations(dashboard) {
  */
 async function saveDashboardData(dashboard) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
-    await uploadFile(TEAM_ANALYTICS_FILE, dashboard, folderId, token);
+    await getStorageProvider().put(TEAM_ANALYTICS_FILE, dashboard);
   } catch (error) {
     console.error('Failed to save dashboard data:', error);
   }
@@ -893,11 +881,8 @@ async function saveDashboardData(dashboard) {
  */
 async function saveTeamReport(report) {
   try {
-    const token = await getAuthToken(false);
-    const folderId = await ensureBookDriveFolder(false);
-
     const filename = `team_report_${new Date().toISOString().split('T')[0]}.json`;
-    await uploadFile(filename, report, folderId, token);
+    await getStorageProvider().put(filename, report);
   } catch (error) {
     console.error('Failed to save team report:', error);
   }
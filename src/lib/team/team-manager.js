@@ -1,7 +1,6 @@
 // team-manager.js - Team mode functionality for BookDrive
 
-import { getAuthToken, ensureBookDriveFolder } from '../auth/drive-auth.js';
-import { uploadFile, downloadFile, listFiles } from '../drive.js';
+import { getStorageProvider } from '../storage/provider.js';
 
 // Team metadata file name
 const TEAM_METADATA_FILE = 'team_metadata.json';
@@ -12,33 +11,16 @@ const TEAM_METADATA_FILE = 'team_metadata.json';
  */
 export async function getTeamMembers() {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      console.log('No authentication token available');
-      return [];
-    }
-
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(false);
-    if (!folderId) {
-      console.log('BookDrive folder not found');
-      return [];
-    }
+    const storage = getStorageProvider();
 
     // Look for team metadata file
-    const files = await listFiles(
-      folderId,
-      token,
-      `name='${TEAM_METADATA_FILE}' and mimeType='application/json'`,
-    );
-
-    if (files.length === 0) {
+    const file = await storage.get(TEAM_METADATA_FILE);
+    if (!file) {
       console.log('No team metadata file found, creating initial team');
-      return await createInitialTeam(folderId, token);
+      return await createInitialTeam(storage);
     }
 
-    // Download team metadata
-    const teamMetadata = await downloadFile(files[0].id, token);
+    const teamMetadata = file.content;
     console.log('Team metadata loaded:', teamMetadata);
 
     return teamMetadata.members || [];
@@ -50,11 +32,10 @@ export async function getTeamMembers() {
 
 /**
  * Create initial team with current user as admin
- * @param {string} folderId - Google Drive folder ID
- * @param {string} token - Auth token
+ * @param {import('../storage/provider.js').StorageProvider} storage - Storage provider
  * @returns {Promise<Array>} Initial team members
  */
-async function createInitialTeam(folderId, token) {
+async function createInitialTeam(storage) {
   try {
     // Get current user info
     const userInfo = await getCurrentUserInfo();
@@ -75,7 +56,7 @@ async function createInitialTeam(folderId, token) {
     };
 
     // Upload team metadata to Google Drive
-    await uploadFile(TEAM_METADATA_FILE, initialTeam, folderId, token);
+    await storage.put(TEAM_METADATA_FILE, initialTeam);
 
     console.log('Initial team created:', initialTeam);
     return initialTeam.members;
@@ -93,26 +74,15 @@ async function createInitialTeam(folderId, token) {
  */
 export async function addTeamMember(email, role = 'member') {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(true);
+    const storage = getStorageProvider();
 
     // Get current team metadata
-    const files = await listFiles(
-      folderId,
-      token,
-      `name='${TEAM_METADATA_FILE}' and mimeType='application/json'`,
-    );
-
-    if (files.length === 0) {
+    const file = await storage.get(TEAM_METADATA_FILE);
+    if (!file) {
       throw new Error('Team metadata not found');
     }
 
-    const teamMetadata = await downloadFile(files[0].id, token);
+    const teamMetadata = file.content;
 
     // Check if member already exists
     const existingMember = teamMetadata.members.find((m) => m.email === email);
@@ -133,7 +103,7 @@ export async function addTeamMember(email, role = 'member') {
     teamMetadata.updated = new Date().toISOString();
 
     // Update team metadata in Google Drive
-    await uploadFile(TEAM_METADATA_FILE, teamMetadata, folderId, token);
+    await storage.put(TEAM_METADATA_FILE, teamMetadata);
 
     console.log('Team member added:', newMember);
     return {
@@ -154,29 +124,15 @@ export async function addTeamMember(email, role = 'member') {
  */
 export async function removeTeamMember(email) {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(false);
-    if (!folderId) {
-      throw new Error('BookDrive folder not found');
-    }
+    const storage = getStorageProvider();
 
     // Get current team metadata
-    const files = await listFiles(
-      folderId,
-      token,
-      `name='${TEAM_METADATA_FILE}' and mimeType='application/json'`,
-    );
-
-    if (files.length === 0) {
+    const file = await storage.get(TEAM_METADATA_FILE);
+    if (!file) {
       throw new Error('Team metadata not found');
     }
 
-    const teamMetadata = await downloadFile(files[0].id, token);
+    const teamMetadata = file.content;
 
     // Find and remove member
     const memberIndex = teamMetadata.members.findIndex((m) => m.email === email);
@@ -188,7 +144,7 @@ export async function removeTeamMember(email) {
     teamMetadata.updated = new Date().toISOString();
 
     // Update team metadata in Google Drive
-    await uploadFile(TEAM_METADATA_FILE, teamMetadata, folderId, token);
+    await storage.put(TEAM_METADATA_FILE, teamMetadata);
 
     console.log('Team member removed:', removedMember);
     return {
@@ -210,29 +166,15 @@ export async function removeTeamMember(email) {
  */
 export async function updateMemberRole(email, role) {
   try {
-    const token = await getAuthToken(false);
-    if (!token) {
-      throw new Error('Authentication required');
-    }
-
-    // Ensure BookDrive folder exists
-    const folderId = await ensureBookDriveFolder(false);
-    if (!folderId) {
-      throw new Error('BookDrive folder not found');
-    }
+    const storage = getStorageProvider();
 
     // Get current team metadata
-    const files = await listFiles(
-      folderId,
-      token,
-      `name='${TEAM_METADATA_FILE}' and mimeType='application/json'`,
-    );
-
-    if (files.length === 0) {
+    const file = await storage.get(TEAM_METADATA_FILE);
+    if (!file) {
       throw new Error('Team metadata not found');
     }
 
-    const teamMetadata = await downloadFile(files[0].id, token);
+    const teamMetadata = file.content;
 
     // Find and update member
     const member = teamMetadata.members.find((m) => m.email === email);
@@ -246,7 +188,7 @@ export async function updateMemberRole(email, role) {
     teamMetadata.updated = new Date().toISOString();
 
     // Update team metadata in Google Drive
-    await uploadFile(TEAM_METADATA_FILE, teamMetadata, folderId, token);
+    await storage.put(TEAM_METADATA_FILE, teamMetadata);
 
     console.log('Team member role updated:', { email, oldRole, newRole: role });
     return {
@@ -295,7 +237,7 @@ async function getCurrentUserInfo() {
  * Get or create device ID
  * @returns {Promise<string>} Device ID
  */
-async function getOrCreateDeviceId() {
+export async function getOrCreateDeviceId() {
   const result = await chrome.storage.local.get(['bookDriveDeviceId']);
 
   if (result.bookDriveDeviceId) {
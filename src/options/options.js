@@ -7,12 +7,35 @@ import { getTeamMembers, addTeamMember, removeTeamMember } from '../lib/team/tea
 import { getTeamDashboard, exportTeamAnalytics } from '../lib/team/team-analytics.js';
 import { createPublicCollection, searchPublicCollections } from '../lib/public-collections.js';
 import { createAdvancedSmartFolder, getSmartFolders } from '../lib/bookmarks.js';
-import { resolveConflictsAdvanced, CONFLICT_STRATEGIES } from '../lib/sync/conflict-resolver.js';
+import { CONFLICT_STRATEGIES } from '../lib/sync/conflict-resolver.js';
+import { getPendingConflicts } from '../lib/sync/conflict-inbox.js';
+import {
+  POLICY_ACTION_LABELS,
+  POLICY_CONFLICT_TYPES,
+  readConflictPolicies,
+  saveConflictPolicies,
+  describeConflictPolicy,
+} from '../lib/sync/conflict-policies.js';
 import {
   AdvancedEncryptionManager,
   ENCRYPTION_ALGORITHMS,
   getRecommendedConfig,
 } from '../lib/encryption/advanced-encryption.js';
+import { DEFAULTS } from '../config/constants.js';
+import {
+  getStorageSettings,
+  getSyncStorageProvider,
+  copySyncState,
+} from '../lib/storage/location.js';
+import { AuthenticationError, RevisionConflictError } from '../utils/error-handler.js';
+import { AUTH_STATES, onAuthStateChanged } from '../lib/auth/auth-manager.js';
+import {
+  DEVICE_ROLES,
+  getDeviceRegistry,
+  requestHostHandover,
+  cancelHostHandover,
+} from '../lib/sync/device-registry.js';
+import { getOrCreateDeviceId } from '../lib/team/team-manager.js';
 
 // Storage keys
 const STORAGE_KEYS = {
@@ -20,6 +43,12 @@ const STORAGE_KEYS = {
   SYNC_MODE: 'bookDriveSyncMode',
   AUTO_SYNC: 'bookDriveAutoSync',
   SYNC_INTERVAL: 'bookDriveSyncInterval',
+  SYNC_ON_CHANGE: 'bookDriveSyncOnChange',
+  SYNC_ON_CHANGE_DELAY: 'bookDriveSyncOnChangeDelay',
+  SYNC_ON_CHANGE_MAX_WAIT: 'bookDriveSyncOnChangeMaxWait',
+  CLIENT_INBOX: 'bookDriveClientInbox',
+  STORAGE_LOCATION: 'bookDriveStorageLocation',
+  MIRROR_BACKUPS: 'bookDriveMirrorBackups',
   TEAM_MODE: 'bookDriveTeamMode',
   USER_EMAIL: 'bookDriveUserEmail',
   TEAM_MEMBERS: 'bookDriveTeamMembers',
@@ -43,6 +72,13 @@ let encryptionManager = null;
 let currentTeamMembers = [];
 let currentSmartFolders = [];
 let currentPublicCollections = [];
+let currentDeviceRegistry = null;
+let currentDeviceId = null;
+// Conflict rules being edited, the revision they were loaded at and whether they have
+// unsaved changes
+let currentConflictPolicies = [];
+let conflictPoliciesRevision = null;
+let conflictPoliciesChanged = false;
 
 // Initialize the page when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
@@ -65,12 +101,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load saved settings
     await loadSettings();
 
+    // Load device registry
+    await loadDeviceRegistry();
+
     // Load team data
     await loadTeamData();
 
     // Load smart folders
     await loadSmartFolders();
 
+    // Load conflict rules
+    await loadConflictPolicies();
+
     // Load public collections
     await loadPublicCollections();
 
@@ -186,6 +228,12 @@ async function loadSettings() {
       [STORAGE_KEYS.SYNC_MODE]: 'host',
       [STORAGE_KEYS.AUTO_SYNC]: true,
       [STORAGE_KEYS.SYNC_INTERVAL]: 30,
+      [STORAGE_KEYS.SYNC_ON_CHANGE]: DEFAULTS.SYNC_ON_CHANGE,
+      [STORAGE_KEYS.SYNC_ON_CHANGE_DELAY]: DEFAULTS.SYNC_ON_CHANGE_DELAY,
+      [STORAGE_KEYS.SYNC_ON_CHANGE_MAX_WAIT]: DEFAULTS.SYNC_ON_CHANGE_MAX_WAIT,
+      [STORAGE_KEYS.CLIENT_INBOX]: DEFAULTS.CLIENT_INBOX,
+      [STORAGE_KEYS.STORAGE_LOCATION]: DEFAULTS.STORAGE_LOCATION,
+      [STORAGE_KEYS.MIRROR_BACKUPS]: DEFAULTS.MIRROR_BACKUPS,
       [STORAGE_KEYS.THEME]: 'auto',
       [STORAGE_KEYS.TEAM_MODE]: false,
       [STORAGE_KEYS.USER_EMAIL]: '',
@@ -215,6 +263,19 @@ async function loadSettings() {
   }
 }
 
+// Load device registry
+async function loadDeviceRegistry() {
+  try {
+    currentDeviceId = await getOrCreateDeviceId();
+    currentDeviceRegistry = await getDeviceRegistry(await getSyncStorageProvider());
+    updateDeviceList();
+  } catch (error) {
+    // Not signed in yet: the list stays empty
+    if (error instanceof AuthenticationError) return;
+    console.error('Failed to load device registry:', error);
+  }
+}
+
 // Load team data
 async function loadTeamData() {
   try {
@@ -235,6 +296,19 @@ async function loadSmartFolders() {
   }
 }
 
+// Load conflict rules into the editor
+async function loadConflictPolicies() {
+  try {
+    const { policies, revision } = await readConflictPolicies(await getSyncStorageProvider());
+    currentConflictPolicies = policies;
+    conflictPoliciesRevision = revision;
+    conflictPoliciesChanged = false;
+    updateConflictPoliciesEditor();
+  } catch (error) {
+    console.error('Failed to load conflict rules:', error);
+  }
+}
+
 // Load public collections
 async function loadPublicCollections() {
   try {
@@ -270,6 +344,38 @@ function applySettingsToUI(settings) {
     syncInterval.value = settings[STORAGE_KEYS.SYNC_INTERVAL] || 30;
   }
 
+  const syncOnChangeToggle = document.getElementById('sync-on-change-toggle');
+  if (syncOnChangeToggle) {
+    syncOnChangeToggle.checked = settings[STORAGE_KEYS.SYNC_ON_CHANGE] !== false;
+  }
+
+  const syncOnChangeDelay = document.getElementById('sync-on-change-delay');
+  if (syncOnChangeDelay) {
+    syncOnChangeDelay.value =
+      settings[STORAGE_KEYS.SYNC_ON_CHANGE_DELAY] || DEFAULTS.SYNC_ON_CHANGE_DELAY;
+  }
+
+  const syncOnChangeMaxWait = document.getElementById('sync-on-change-max-wait');
+  if (syncOnChangeMaxWait) {
+    syncOnChangeMaxWait.value =
+      settings[STORAGE_KEYS.SYNC_ON_CHANGE_MAX_WAIT] || DEFAULTS.SYNC_ON_CHANGE_MAX_WAIT;
+  }
+
+  const clientInboxToggle = document.getElementById('client-inbox-toggle');
+  if (clientInboxToggle) {
+    clientInboxToggle.checked = settings[STORAGE_KEYS.CLIENT_INBOX] === true;
+  }
+
+  const storageLocationSelect = document.getElementById('storage-location');
+  if (storageLocationSelect) {
+    storageLocationSelect.value = settings[STORAGE_KEYS.STORAGE_LOCATION];
+  }
+
+  const mirrorBackupsToggle = document.getElementById('mirror-backups-toggle');
+  if (mirrorBackupsToggle) {
+    mirrorBackupsToggle.checked = settings[STORAGE_KEYS.MIRROR_BACKUPS] === true;
+  }
+
   // Team mode
   const teamModeToggle = document.getElementById('team-mode-toggle');
   if (teamModeToggle) {
@@ -403,6 +509,47 @@ function updateTeamMembersList() {
   teamMembersList.innerHTML = membersHtml;
 }
 
+// Update device list
+function updateDeviceList() {
+  const deviceList = document.getElementById('device-list');
+  const handoverStatus = document.getElementById('handover-status');
+  if (!deviceList) return;
+
+  const devices = currentDeviceRegistry ? Object.values(currentDeviceRegistry.devices) : [];
+  if (devices.length === 0) {
+    deviceList.innerHTML = '<div class="help-text">No devices registered yet</div>';
+    if (handoverStatus) handoverStatus.textContent = '';
+    return;
+  }
+
+  deviceList.innerHTML = devices
+    .map(
+      (device) => `
+    <div class="device-item" style="display: flex; justify-content: space-between; align-items: center; padding: var(--md-spacing-sm); border: 1px solid var(--md-outline); border-radius: var(--md-radius-sm); margin-bottom: var(--md-spacing-sm);">
+      <div>
+        <strong>${device.name}</strong>${device.id === currentDeviceId ? ' (this device)' : ''}
+        <span class="status-badge ${device.role === DEVICE_ROLES.HOST ? 'enabled' : 'disabled'}">${device.role}</span>
+        <div class="help-text">Last sync: ${device.lastSyncTime ? new Date(device.lastSyncTime).toLocaleString() : 'never'}</div>
+      </div>
+      ${
+        device.role === DEVICE_ROLES.HOST
+          ? ''
+          : `<button type="button" class="btn btn-secondary" data-make-host="${device.id}">Make Host</button>`
+      }
+    </div>
+  `,
+    )
+    .join('');
+
+  if (handoverStatus) {
+    const { handover, devices: byId } = currentDeviceRegistry;
+    handoverStatus.innerHTML = handover
+      ? `Handing the host role to ${byId[handover.to] ? byId[handover.to].name : handover.to} after the host's next sync.
+        <button type="button" class="btn btn-secondary" id="cancel-handover-btn">Cancel</button>`
+      : '';
+  }
+}
+
 // Update smart folders list
 function updateSmartFoldersList() {
   const smartFoldersList = document.getElementById('smart-folders-list');
@@ -432,6 +579,112 @@ function updateSmartFoldersList() {
   smartFoldersList.innerHTML = foldersHtml;
 }
 
+// Update the conflict rule editor: one row per rule, in the order they are checked
+function updateConflictPoliciesEditor() {
+  const editor = document.getElementById('conflict-policies-editor');
+  if (!editor) return;
+
+  if (currentConflictPolicies.length === 0) {
+    editor.innerHTML = '<div class="help-text">No conflict rules added yet</div>';
+    return;
+  }
+
+  editor.replaceChildren(
+    ...currentConflictPolicies.map((policy, index) =>
+      createConflictPolicyItem(policy, index, currentConflictPolicies.length),
+    ),
+  );
+}
+
+// Create the editor row of a conflict rule
+function createConflictPolicyItem(policy, index, count) {
+  const item = document.createElement('div');
+  item.className = 'conflict-policy-item';
+  item.dataset.policyIndex = index;
+  item.setAttribute('role', 'listitem');
+  item.style.cssText =
+    'padding: var(--md-spacing-sm); border: 1px solid var(--md-outline); border-radius: var(--md-radius-sm); margin-bottom: var(--md-spacing-sm);';
+
+  const label = `Rule ${index + 1}`;
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.checked = policy.enabled !== false;
+  enabled.dataset.policyField = 'enabled';
+  enabled.setAttribute('aria-label', `${label} enabled`);
+
+  const folder = createConflictPolicyInput(policy, 'folder', 'Folder, e.g. Work/Clients', label);
+  const domain = createConflictPolicyInput(policy, 'domain', 'Domain, e.g. *.internal.corp', label);
+
+  const conflictType = createConflictPolicySelect(
+    policy,
+    'conflictType',
+    [
+      ['', 'Any conflict'],
+      ...Object.values(POLICY_CONFLICT_TYPES).map((type) => [type, type.replace(/_/g, '-')]),
+    ],
+    `${label} conflict type`,
+  );
+  const action = createConflictPolicySelect(
+    policy,
+    'action',
+    Object.entries(POLICY_ACTION_LABELS),
+    `${label} action`,
+  );
+
+  const buttons = [
+    ['up', 'arrow_upward', 'Move up', index === 0],
+    ['down', 'arrow_downward', 'Move down', index === count - 1],
+    ['remove', 'delete', 'Delete', false],
+  ].map(([policyAction, icon, title, disabled]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = policyAction === 'remove' ? 'btn btn-danger' : 'btn btn-secondary';
+    button.dataset.policyAction = policyAction;
+    button.disabled = disabled;
+    button.title = title;
+    button.setAttribute('aria-label', `${title}: ${label}`);
+    button.innerHTML = `<span class="material-icons">${icon}</span>`;
+    return button;
+  });
+
+  const controls = document.createElement('div');
+  controls.style.cssText =
+    'display: flex; flex-wrap: wrap; gap: var(--md-spacing-sm); align-items: center;';
+  controls.append(enabled, folder, domain, conflictType, action, ...buttons);
+
+  const description = document.createElement('div');
+  description.className = 'help-text conflict-policy-description';
+  description.textContent = describeConflictPolicy(policy);
+
+  item.append(controls, description);
+  return item;
+}
+
+// Create a text input for a condition of a conflict rule
+function createConflictPolicyInput(policy, field, placeholder, label) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'form-control';
+  input.value = policy[field] || '';
+  input.placeholder = placeholder;
+  input.dataset.policyField = field;
+  input.setAttribute('aria-label', `${label} ${field}`);
+  input.style.flex = '1 1 10rem';
+  return input;
+}
+
+// Create a select for a field of a conflict rule
+function createConflictPolicySelect(policy, field, options, label) {
+  const select = document.createElement('select');
+  select.className = 'form-control';
+  select.dataset.policyField = field;
+  select.setAttribute('aria-label', label);
+  select.style.flex = '0 1 auto';
+  select.append(...options.map(([value, text]) => new Option(text, value)));
+  select.value = policy[field] || '';
+  return select;
+}
+
 // Update public collections list
 function updatePublicCollectionsList() {
   const collectionsList = document.getElementById('public-collections-list');
@@ -591,6 +844,41 @@ function setupEventListeners() {
   if (resolveConflictsBtn) {
     resolveConflictsBtn.addEventListener('click', handleResolveConflicts);
   }
+
+  const saveConflictPoliciesBtn = document.getElementById('save-conflict-policies-btn');
+  if (saveConflictPoliciesBtn) {
+    saveConflictPoliciesBtn.addEventListener('click', handleSaveConflictPolicies);
+  }
+
+  const addConflictPolicyBtn = document.getElementById('add-conflict-policy-btn');
+  if (addConflictPolicyBtn) {
+    addConflictPolicyBtn.addEventListener('click', handleAddConflictPolicy);
+  }
+
+  const conflictPoliciesEditor = document.getElementById('conflict-policies-editor');
+  if (conflictPoliciesEditor) {
+    conflictPoliciesEditor.addEventListener('input', handleConflictPolicyInput);
+    conflictPoliciesEditor.addEventListener('change', handleConflictPolicyInput);
+    conflictPoliciesEditor.addEventListener('click', handleConflictPolicyClick);
+  }
+
+  // Pick up rules changed on another device, unless they would replace unsaved edits
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && !conflictPoliciesChanged) {
+      loadConflictPolicies();
+    }
+  });
+
+  // Host handover (buttons are re-rendered with the device list)
+  const deviceList = document.getElementById('device-list');
+  if (deviceList) {
+    deviceList.addEventListener('click', handleMakeHost);
+  }
+
+  const handoverStatus = document.getElementById('handover-status');
+  if (handoverStatus) {
+    handoverStatus.addEventListener('click', handleCancelHandover);
+  }
 }
 
 // Handle form submission
@@ -929,27 +1217,134 @@ async function handleCreatePublicCollection() {
   }
 }
 
-// Handle resolve conflicts
+// Handle edits in the conflict rule editor
+function handleConflictPolicyInput(event) {
+  const item = event.target.closest('[data-policy-index]');
+  const field = event.target.dataset.policyField;
+  if (!item || !field) return;
+
+  const policy = currentConflictPolicies[Number(item.dataset.policyIndex)];
+  const { value } = event.target;
+  if (field === 'enabled') {
+    policy.enabled = event.target.checked;
+  } else if (field === 'action' || value.trim()) {
+    policy[field] = field === 'action' ? value : value.trim();
+  } else {
+    delete policy[field];
+  }
+
+  conflictPoliciesChanged = true;
+  item.querySelector('.conflict-policy-description').textContent = describeConflictPolicy(policy);
+}
+
+// Handle the move and delete buttons of the conflict rule editor
+function handleConflictPolicyClick(event) {
+  const button = event.target.closest('button[data-policy-action]');
+  if (!button) return;
+
+  const index = Number(button.closest('[data-policy-index]').dataset.policyIndex);
+  const [policy] = currentConflictPolicies.splice(index, 1);
+  if (button.dataset.policyAction !== 'remove') {
+    const target = index + (button.dataset.policyAction === 'up' ? -1 : 1);
+    currentConflictPolicies.splice(target, 0, policy);
+  }
+
+  conflictPoliciesChanged = true;
+  updateConflictPoliciesEditor();
+}
+
+// Handle add conflict rule
+function handleAddConflictPolicy() {
+  currentConflictPolicies.push({ enabled: true, action: 'remote' });
+  conflictPoliciesChanged = true;
+  updateConflictPoliciesEditor();
+}
+
+// Handle save conflict rules
+async function handleSaveConflictPolicies() {
+  try {
+    const saved = await saveConflictPolicies(
+      await getSyncStorageProvider(),
+      currentConflictPolicies,
+      conflictPoliciesRevision,
+    );
+    await loadConflictPolicies();
+    showToast(`${saved.length} conflict rule(s) saved`, 'success');
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      await loadConflictPolicies();
+      showToast('Conflict rules were changed on another device. Make your change again.', 'error');
+      return;
+    }
+    console.error('Failed to save conflict rules:', error);
+    showToast('Failed to save conflict rules: ' + error.message, 'error');
+  }
+}
+
+// Handle resolve conflicts: open the conflicts held by the last sync
 async function handleResolveConflicts() {
   try {
-    // Get conflicts from storage or API
-    const conflicts = []; // This would be populated with actual conflicts
+    const conflicts = await getPendingConflicts();
 
     if (conflicts.length === 0) {
       showToast('No conflicts found to resolve', 'info');
       return;
     }
 
-    const strategy = document.getElementById('conflict-strategy').value;
-    const resolved = await resolveConflictsAdvanced(conflicts, strategy);
-
-    showToast(`Resolved ${resolved.length} conflicts successfully!`, 'success');
+    await chrome.tabs.create({
+      url: chrome.runtime.getURL('conflict-resolution/conflict-resolution.html'),
+    });
   } catch (error) {
     console.error('Failed to resolve conflicts:', error);
     showToast('Failed to resolve conflicts: ' + error.message, 'error');
   }
 }
 
+// Request the host role for a device
+async function handleMakeHost(event) {
+  const button = event.target.closest('[data-make-host]');
+  if (!button) return;
+
+  try {
+    currentDeviceRegistry = await requestHostHandover(
+      await getSyncStorageProvider(),
+      button.dataset.makeHost,
+    );
+    updateDeviceList();
+
+    if (currentDeviceRegistry.handover) {
+      // The host completes the handover after publishing its latest state
+      if (currentDeviceRegistry.hostDeviceId === currentDeviceId) {
+        chrome.runtime.sendMessage({ action: 'syncNow' });
+      }
+      showToast('Host handover requested', 'success');
+    } else {
+      showToast('Host role moved', 'success');
+    }
+  } catch (error) {
+    if (error instanceof AuthenticationError) {
+      showToast('Sign in to Google Drive first', 'error');
+      return;
+    }
+    console.error('Failed to request host handover:', error);
+    showToast('Failed to request host handover: ' + error.message, 'error');
+  }
+}
+
+// Withdraw a pending host handover
+async function handleCancelHandover(event) {
+  if (!event.target.closest('#cancel-handover-btn')) return;
+
+  try {
+    currentDeviceRegistry = await cancelHostHandover(await getSyncStorageProvider());
+    updateDeviceList();
+    showToast('Host handover cancelled', 'success');
+  } catch (error) {
+    console.error('Failed to cancel host handover:', error);
+    showToast('Failed to cancel host handover: ' + error.message, 'error');
+  }
+}
+
 // Handle passphrase input
 function handlePassphraseInput(event) {
   const passphrase = event.target.value;
@@ -1072,6 +1467,19 @@ async function saveAllSettings() {
     [STORAGE_KEYS.SYNC_MODE]: document.getElementById('mode-select')?.value || 'host',
     [STORAGE_KEYS.AUTO_SYNC]: document.getElementById('auto-sync-toggle')?.checked || false,
     [STORAGE_KEYS.SYNC_INTERVAL]: parseInt(document.getElementById('sync-interval')?.value) || 30,
+    [STORAGE_KEYS.SYNC_ON_CHANGE]:
+      document.getElementById('sync-on-change-toggle')?.checked || false,
+    [STORAGE_KEYS.SYNC_ON_CHANGE_DELAY]:
+      parseInt(document.getElementById('sync-on-change-delay')?.value) ||
+      DEFAULTS.SYNC_ON_CHANGE_DELAY,
+    [STORAGE_KEYS.SYNC_ON_CHANGE_MAX_WAIT]:
+      parseInt(document.getElementById('sync-on-change-max-wait')?.value) ||
+      DEFAULTS.SYNC_ON_CHANGE_MAX_WAIT,
+    [STORAGE_KEYS.CLIENT_INBOX]: document.getElementById('client-inbox-toggle')?.checked || false,
+    [STORAGE_KEYS.STORAGE_LOCATION]:
+      document.getElementById('storage-location')?.value || DEFAULTS.STORAGE_LOCATION,
+    [STORAGE_KEYS.MIRROR_BACKUPS]:
+      document.getElementById('mirror-backups-toggle')?.checked || false,
     [STORAGE_KEYS.TEAM_MODE]: document.getElementById('team-mode-toggle')?.checked || false,
     [STORAGE_KEYS.USER_EMAIL]: document.getElementById('user-email')?.value || '',
     [STORAGE_KEYS.ENCRYPTION]: document.getElementById('encryption-toggle')?.checked || false,
@@ -1096,6 +1504,17 @@ async function saveAllSettings() {
     },
   };
 
+  // Sync carries on from the same state in the new location
+  const { location } = await getStorageSettings();
+  if (settings[STORAGE_KEYS.STORAGE_LOCATION] !== location) {
+    try {
+      await copySyncState(location, settings[STORAGE_KEYS.STORAGE_LOCATION]);
+    } catch (error) {
+      // Not signed in yet: there is no sync state to move
+      if (!(error instanceof AuthenticationError)) throw error;
+    }
+  }
+
   await chrome.storage.sync.set(settings);
 }
 
@@ -1129,6 +1548,13 @@ function setupMessageListener() {
       showToast('Settings updated from another tab', 'info');
     }
   });
+
+  // Settings stored in Drive cannot be loaded or saved until the user signs in again
+  onAuthStateChanged((authState) => {
+    if (authState.state === AUTH_STATES.REAUTH_REQUIRED) {
+      showToast('Access to Google Drive was lost, sign in again from the popup', 'error');
+    }
+  });
 }
 
 // Global functions for HTML onclick handlers
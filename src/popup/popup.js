@@ -5,13 +5,22 @@
 
 // Import lib modules
 import {
-  signIn,
-  signOut,
   // isAuthenticated, // Removed unused import
-  getStoredUserInfo,
-  ensureBookDriveFolder,
   getBrowserCompatibility,
 } from '../lib/auth/drive-auth.js';
+import { addAccount, getAccounts, getActiveAccount } from '../lib/auth/accounts.js';
+import { AUTH_STATES, getAuthState, onAuthStateChanged } from '../lib/auth/auth-manager.js';
+import {
+  SYNC_FOLDER_STATUS,
+  DEFAULT_SYNC_FOLDER_NAME,
+  getSyncFolderStatus,
+  listSyncFolderCandidates,
+  selectSyncFolder,
+  createSyncFolder,
+  restoreSyncFolder,
+} from '../lib/storage/sync-folder.js';
+import { OFFLINE_QUEUE_KEY, getOfflineQueueLength } from '../lib/sync/sync-optimizer.js';
+import { generateSyncPreview, showSyncPreviewModal } from '../lib/sync/sync-preview.js';
 
 // Import real sync service
 // import { performRealSync, createRealBackup, SYNC_MODES } from '../lib/sync/sync-service.js'; // Removed unused imports
@@ -30,8 +39,16 @@ const STORAGE_KEYS = {
   LAST_COUNT_RESET: 'bookDriveLastCountReset',
 };
 
+// Messages for the sync folder banner
+const FOLDER_BANNER_MESSAGES = {
+  [SYNC_FOLDER_STATUS.UNSET]: 'Choose a Drive folder to sync with.',
+  [SYNC_FOLDER_STATUS.TRASHED]: 'The sync folder is in the trash.',
+  [SYNC_FOLDER_STATUS.INACCESSIBLE]: 'The sync folder is no longer accessible.',
+};
+
 // Global state
 let currentUser = null;
+let folderSetupDone = null;
 let autoSync = false;
 let theme = 'auto';
 let notifications = true;
@@ -53,6 +70,16 @@ async function initializePopup() {
     // Set up event listeners
     setupEventListeners();
 
+    // Ask for a new sign-in as soon as access to Drive is lost
+    onAuthStateChanged(updateReauthBanner);
+
+    // Syncs are queued and run by the background while the popup is open
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[OFFLINE_QUEUE_KEY]) {
+        updateOfflineQueueStatus((changes[OFFLINE_QUEUE_KEY].newValue || []).length);
+      }
+    });
+
     // Apply feature states to UI
     applyFeatureStates();
 
@@ -85,6 +112,7 @@ async function applyInitialTheme() {
 function showOnboarding() {
   document.getElementById('onboarding').style.display = 'block';
   document.getElementById('welcome-setup').style.display = 'none';
+  document.getElementById('folder-setup').style.display = 'none';
   document.getElementById('popup-root').style.display = 'none';
 
   // Check browser compatibility and update UI
@@ -100,6 +128,7 @@ function showOnboarding() {
 function showWelcomeSetup() {
   document.getElementById('onboarding').style.display = 'none';
   document.getElementById('welcome-setup').style.display = 'block';
+  document.getElementById('folder-setup').style.display = 'none';
   document.getElementById('popup-root').style.display = 'none';
 
   // Setup welcome event listeners
@@ -112,9 +141,47 @@ function showWelcomeSetup() {
 function showMainPopup() {
   document.getElementById('onboarding').style.display = 'none';
   document.getElementById('welcome-setup').style.display = 'none';
+  document.getElementById('folder-setup').style.display = 'none';
   document.getElementById('popup-root').style.display = 'flex';
 }
 
+/**
+ * Show the sync folder screen
+ * @param {Function} onDone - Shows the next screen once a folder was chosen
+ */
+async function showFolderSetup(onDone) {
+  document.getElementById('onboarding').style.display = 'none';
+  document.getElementById('welcome-setup').style.display = 'none';
+  document.getElementById('folder-setup').style.display = 'block';
+  document.getElementById('popup-root').style.display = 'none';
+  folderSetupDone = onDone;
+
+  const folderList = document.getElementById('folder-list');
+  folderList.innerHTML = '';
+
+  try {
+    const folders = await listSyncFolderCandidates();
+    folders.forEach((folder) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'folder-item';
+
+      const icon = document.createElement('span');
+      icon.className = 'material-icons';
+      icon.textContent = 'folder';
+      const label = document.createElement('span');
+      label.textContent = folder.name;
+
+      item.append(icon, label);
+      item.addEventListener('click', () => handleChooseFolder(() => selectSyncFolder(folder.id)));
+      folderList.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Failed to list folders:', error);
+    showError('Failed to list your Drive folders');
+  }
+}
+
 /**
  * Setup onboarding event listeners
  */
@@ -165,19 +232,11 @@ function setupWelcomeListeners() {
  */
 async function handleGoogleSignIn() {
   try {
-    // Start Google Sign-In process
-    const userInfo = await signIn();
-
-    // Set up BookDrive folder
-    try {
-      await ensureBookDriveFolder(true);
-    } catch (folderError) {
-      // Log folder setup warning but don't fail the sign-in
-      console.warn('Folder setup failed:', folderError);
-    }
+    // Start Google Sign-In process; the first account becomes the active one
+    currentUser = await addAccount();
 
-    // Show welcome setup screen
-    showWelcomeSetup();
+    // Choose the sync folder, then the sync preferences
+    await showFolderSetup(showWelcomeSetup);
   } catch (error) {
     console.error('Sign-In failed:', error);
     showError('Sign-In failed. Please try again.');
@@ -276,6 +335,10 @@ function setupEventListeners() {
   if (syncTabBtn) {
     syncTabBtn.addEventListener('click', handleSync);
   }
+  const previewSyncBtn = document.getElementById('preview-sync-btn');
+  if (previewSyncBtn) {
+    previewSyncBtn.addEventListener('click', handlePreviewSync);
+  }
 
   // Backup buttons
   if (quickBackupBtn) {
@@ -288,6 +351,37 @@ function setupEventListeners() {
     viewBackupsBtn.addEventListener('click', handleViewBackups);
   }
 
+  // Sign in again after access was revoked
+  const reauthBtn = document.getElementById('reauth-btn');
+  if (reauthBtn) {
+    reauthBtn.addEventListener('click', handleReauthenticate);
+  }
+
+  // Sync folder screen and banner
+  const createFolderBtn = document.getElementById('create-folder-btn');
+  const folderRestoreBtn = document.getElementById('folder-restore-btn');
+  const folderChooseBtn = document.getElementById('folder-choose-btn');
+  const menuSyncFolder = document.getElementById('menu-sync-folder');
+
+  if (createFolderBtn) {
+    createFolderBtn.addEventListener('click', () => {
+      const name = document.getElementById('new-folder-name').value;
+      handleChooseFolder(() => createSyncFolder(name || DEFAULT_SYNC_FOLDER_NAME));
+    });
+  }
+  if (folderRestoreBtn) {
+    folderRestoreBtn.addEventListener('click', handleRestoreFolder);
+  }
+  if (folderChooseBtn) {
+    folderChooseBtn.addEventListener('click', () => showFolderSetup(showMainPopup));
+  }
+  if (menuSyncFolder) {
+    menuSyncFolder.addEventListener('click', () => {
+      hideDropdownMenu();
+      showFolderSetup(showMainPopup);
+    });
+  }
+
   // Header menu
   if (headerMenuBtn) {
     headerMenuBtn.addEventListener('click', toggleDropdownMenu);
@@ -306,7 +400,7 @@ function setupEventListeners() {
     menuThemeToggle.addEventListener('click', handleThemeToggle);
   }
   if (menuAccount) {
-    menuAccount.addEventListener('click', showAccountInfo);
+    menuAccount.addEventListener('click', toggleAccountSwitcher);
   }
   if (menuSignOut) {
     menuSignOut.addEventListener('click', handleSignOut);
@@ -481,6 +575,17 @@ function updateSyncCount(count) {
   }
 }
 
+/**
+ * Update the number of syncs waiting for the network
+ * @param {number} length - Offline queue length
+ */
+function updateOfflineQueueStatus(length) {
+  const queueStatusElement = document.getElementById('offline-queue-status');
+  if (queueStatusElement) {
+    queueStatusElement.textContent = length === 0 ? 'None' : `${length} waiting for connection`;
+  }
+}
+
 /**
  * Update backup count display
  */
@@ -549,10 +654,19 @@ async function loadInitialData() {
 
     updateSyncCount(syncCount);
     updateBackupCount(backupCount);
+    updateOfflineQueueStatus(await getOfflineQueueLength());
 
     // Load recent activity
     await loadRecentActivity();
 
+    // Load the account syncs run against
+    currentUser = await getActiveAccount();
+    updateUserDisplay();
+    updateReauthBanner(await getAuthState());
+    if (currentUser) {
+      updateFolderBanner(await getSyncFolderStatus());
+    }
+
     console.log('Initial data loaded:', { syncCount, backupCount, bookmarkCount });
   } catch (error) {
     console.error('Failed to load initial data:', error);
@@ -599,12 +713,15 @@ async function loadRecentActivity() {
 
 /**
  * Handle sync action
+ * @param {Array<string>|null} acceptedChanges - Change IDs accepted in the sync preview,
+ *   or null to sync every change
  */
-async function handleSync() {
+async function handleSync(acceptedChanges = null) {
   try {
     // Send message to background script to start sync
     const response = await chrome.runtime.sendMessage({
       action: 'syncNow',
+      acceptedChanges: Array.isArray(acceptedChanges) ? acceptedChanges : null,
     });
 
     if (response && response.status === 'ok') {
@@ -616,6 +733,8 @@ async function handleSync() {
       const newCount = currentCount + 1;
       await chrome.storage.local.set({ [STORAGE_KEYS.SYNC_COUNT]: newCount });
       updateSyncCount(newCount);
+    } else if (response && response.status === 'queued') {
+      showToast('You are offline. The sync will run when the connection is back.', 'info');
     } else {
       showToast(response?.error || 'Sync failed', 'error');
     }
@@ -625,6 +744,29 @@ async function handleSync() {
   }
 }
 
+/**
+ * Preview the changes of a sync and run it with the ones the user accepts
+ */
+async function handlePreviewSync() {
+  try {
+    // The background plans the sync with the settings the sync itself uses
+    const response = await chrome.runtime.sendMessage({ action: 'planSync' });
+    if (!response || response.status !== 'ok') {
+      showToast(response?.error || 'Sync preview failed', 'error');
+      return;
+    }
+
+    const acceptedChanges = await showSyncPreviewModal(generateSyncPreview(response.plan));
+    if (acceptedChanges === false) {
+      return;
+    }
+    await handleSync(acceptedChanges);
+  } catch (error) {
+    console.error('Sync preview failed:', error);
+    showToast('Sync preview failed. Please try again.', 'error');
+  }
+}
+
 /**
  * Handle quick backup action
  */
@@ -982,10 +1124,26 @@ async function handleTeamDashboard() {
  */
 async function handleSignOut() {
   try {
-    await signOut();
+    // Sign out of the active account; other signed-in accounts stay
+    const response = await chrome.runtime.sendMessage({
+      action: 'removeAccount',
+      accountId: currentUser ? currentUser.id : null,
+    });
+    if (!response || response.status !== 'ok') {
+      throw new Error(response?.error || 'Sign out failed');
+    }
+
+    if (response.account) {
+      currentUser = response.account;
+      updateUserDisplay();
+      hideDropdownMenu();
+      showToast(`Signed out, now syncing ${currentUser.email}`, 'success');
+      return;
+    }
 
     // Clear chrome.storage.local instead of localStorage
     await chrome.storage.local.clear();
+    currentUser = null;
 
     // Reset counts
     updateBookmarkCount(0);
@@ -1125,12 +1283,172 @@ function hideDropdownMenu() {
   }
 }
 
-function showAccountInfo() {
-  // Show account information in a modal or toast
-  if (currentUser) {
-    showToast(`Signed in as: ${currentUser.email}`, 'info');
+/**
+ * Show or hide the list of signed-in accounts in the dropdown menu
+ */
+async function toggleAccountSwitcher() {
+  const switcher = document.getElementById('account-switcher');
+  if (!switcher) return;
+
+  if (switcher.style.display !== 'none') {
+    switcher.style.display = 'none';
+    return;
+  }
+
+  try {
+    const { activeAccountId, accounts } = await getAccounts();
+    switcher.innerHTML = '';
+
+    accounts.forEach((account) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'dropdown-item account-item';
+      item.title = account.email;
+
+      const icon = document.createElement('span');
+      icon.className = 'material-icons';
+      icon.textContent = account.id === activeAccountId ? 'check_circle' : 'account_circle';
+      const label = document.createElement('span');
+      label.textContent = account.email || account.name;
+
+      item.append(icon, label);
+      if (account.id !== activeAccountId) {
+        item.addEventListener('click', () => handleSwitchAccount(account));
+      }
+      switcher.appendChild(item);
+    });
+
+    const addItem = document.createElement('button');
+    addItem.type = 'button';
+    addItem.className = 'dropdown-item account-item';
+    addItem.innerHTML = '<span class="material-icons">person_add</span><span>Add account</span>';
+    addItem.addEventListener('click', handleAddAccount);
+    switcher.appendChild(addItem);
+
+    switcher.style.display = 'block';
+  } catch (error) {
+    console.error('Failed to load accounts:', error);
+    showToast('Failed to load accounts', 'error');
+  }
+}
+
+/**
+ * Make another signed-in account the one syncs run against
+ * @param {Object} account - Account to switch to
+ */
+async function handleSwitchAccount(account) {
+  const response = await chrome.runtime.sendMessage({
+    action: 'switchAccount',
+    accountId: account.id,
+  });
+
+  if (response && response.status === 'ok') {
+    await handleAccountChanged(response.account);
+    showToast(`Now syncing ${response.account.email}`, 'success');
   } else {
-    showToast('No user information available', 'info');
+    showToast(response?.error || 'Failed to switch account', 'error');
+  }
+}
+
+/**
+ * Sign in to another Google account
+ */
+async function handleAddAccount() {
+  // The sign-in window takes focus and closes the popup, so the background signs in
+  const response = await chrome.runtime.sendMessage({ action: 'addAccount' });
+
+  if (response && response.status === 'ok') {
+    await handleAccountChanged(response.account);
+    showToast(`Added ${response.account.email}`, 'success');
+  } else {
+    showToast(response?.error || 'Failed to add account', 'error');
+  }
+}
+
+/**
+ * Refresh the popup for a new active account
+ * @param {Object} account - Active account
+ */
+async function handleAccountChanged(account) {
+  currentUser = account;
+  updateUserDisplay();
+  updateFolderBanner(await getSyncFolderStatus());
+  hideDropdownMenu();
+
+  const switcher = document.getElementById('account-switcher');
+  if (switcher) {
+    switcher.style.display = 'none';
+  }
+
+  await loadRecentActivity();
+}
+
+/**
+ * Show the sign-in banner while access to Google Drive is revoked
+ * @param {Object} authState - Auth state ({state, reason})
+ */
+function updateReauthBanner(authState) {
+  const banner = document.getElementById('reauth-banner');
+  if (banner) {
+    banner.style.display = authState.state === AUTH_STATES.REAUTH_REQUIRED ? 'flex' : 'none';
+  }
+}
+
+/**
+ * Sign in again to the active account
+ */
+async function handleReauthenticate() {
+  // The sign-in window takes focus and closes the popup, so the background signs in
+  const response = await chrome.runtime.sendMessage({ action: 'reauthenticate' });
+
+  if (response && response.status === 'ok') {
+    showToast('Signed in again', 'success');
+  } else {
+    showToast(response?.error || 'Sign-in failed', 'error');
+  }
+}
+
+/**
+ * Show how to fix the sync folder when it cannot be used
+ * @param {string} status - Folder status (one of SYNC_FOLDER_STATUS)
+ */
+function updateFolderBanner(status) {
+  const banner = document.getElementById('folder-banner');
+  if (!banner) return;
+
+  banner.style.display = status === SYNC_FOLDER_STATUS.OK ? 'none' : 'flex';
+  document.getElementById('folder-banner-text').textContent = FOLDER_BANNER_MESSAGES[status] || '';
+  document.getElementById('folder-restore-btn').style.display =
+    status === SYNC_FOLDER_STATUS.TRASHED ? '' : 'none';
+}
+
+/**
+ * Use a folder for syncing and continue where the folder screen was opened from
+ * @param {Function} choose - Selects or creates the folder, resolves with it
+ */
+async function handleChooseFolder(choose) {
+  try {
+    const folder = await choose();
+    updateFolderBanner(SYNC_FOLDER_STATUS.OK);
+    showToast(`Syncing with "${folder.name}"`, 'success');
+    (folderSetupDone || showMainPopup)();
+  } catch (error) {
+    console.error('Failed to set the sync folder:', error);
+    showError(error.message || 'Failed to set the sync folder');
+  }
+}
+
+/**
+ * Take the sync folder out of the trash
+ */
+async function handleRestoreFolder() {
+  try {
+    const folder = await restoreSyncFolder();
+    updateFolderBanner(SYNC_FOLDER_STATUS.OK);
+    showToast(`Restored "${folder.name}"`, 'success');
+  } catch (error) {
+    console.error('Failed to restore the sync folder:', error);
+    showError('Failed to restore the sync folder, choose another one');
   }
 }
 
@@ -19,7 +19,7 @@
  * @typedef {Object} SyncState
  * @property {boolean} isInitialized - Whether sync has been initialized
  * @property {boolean} isSyncing - Whether a sync operation is in progress
- * @property {string} lastSyncStatus - Status of last sync: 'success', 'error', 'conflict'
+ * @property {string} lastSyncStatus - Status of last sync: 'success', 'error', 'conflict', 'queued'
  * @property {string} lastSyncTime - Timestamp of last sync attempt
  * @property {string} lastSuccessfulSyncTime - Timestamp of last successful sync
  * @property {number} pendingChanges - Number of local changes pending upload
@@ -30,10 +30,44 @@
  * @typedef {Object} SyncConflict
  * @property {string} id - Unique identifier for the conflict
  * @property {string} bookmarkId - ID of the bookmark with conflict
- * @property {Object} localVersion - Local version of the bookmark
- * @property {Object} remoteVersion - Remote version of the bookmark
+ * @property {string} itemType - 'bookmark' or 'folder'
+ * @property {string} type - 'both-modified', 'both-added', 'delete-modify' or 'modify-delete'
+ * @property {Object|null} localVersion - Local version of the bookmark, null if deleted locally
+ * @property {Object|null} remoteVersion - Remote version of the bookmark, null if deleted remotely
  * @property {string} timestamp - When the conflict was detected
  * @property {string} status - Status: 'pending', 'resolved-local', 'resolved-remote', 'resolved-manual'
+ * @property {Object|null} [resolvedVersion] - Version the next sync writes to both sides, null to delete
+ * @property {string} [resolvedAt] - When the conflict was resolved
+ */
+
+/**
+ * @typedef {Object} PlannedOperation
+ * @property {string} type - 'create', 'update', 'move' or 'remove'
+ * @property {boolean} reorderOnly - A move within the same folder
+ * @property {string} target - Where it is applied: 'local' (bookmark tree) or 'remote' (Drive)
+ * @property {string} itemType - 'bookmark' or 'folder'
+ * @property {string} id - Sync ID of the item
+ * @property {string|null} localId - Local node ID, null for items that only exist in Drive
+ * @property {string} changeId - ID the sync preview accepts or rejects the change by
+ * @property {string} title - Title after the operation (before it, for removals)
+ * @property {string|null} url - URL, null for folders
+ * @property {string} parentId - Sync ID of the parent folder
+ * @property {string} reason - Why the sync makes the change
+ */
+
+/**
+ * @typedef {Object} SyncPlan
+ * @property {number} version - Plan format version
+ * @property {string} createdAt - When the plan was made
+ * @property {string} mode - Sync mode: 'host-to-many' or 'global'
+ * @property {string|null} role - 'host' or 'client' in host-to-many mode
+ * @property {boolean} incremental - Whether the local state was rebuilt from the change journal
+ * @property {string} upload - How Drive would be written: 'none', 'delta' or 'snapshot'
+ * @property {Array<PlannedOperation>} operations - Operations on the bookmark tree and on Drive
+ * @property {Array<Object>} conflicts - Conflicts ({bookmarkId, itemType, type, reason, resolution, localVersion, remoteVersion})
+ * @property {number} inboxItems - Client submissions the host would file
+ * @property {Array<Object>} submissions - Bookmarks a client would submit to the host's inbox
+ * @property {{added: number, updated: number, removed: number}} changes - Change counts
  */
 
 /**
@@ -51,6 +85,7 @@
  * @typedef {SyncConfig} SyncConfig
  * @typedef {SyncState} SyncState
  * @typedef {SyncConflict} SyncConflict
+ * @typedef {SyncPlan} SyncPlan
  * @typedef {DeviceInfo} DeviceInfo
  */
 
@@ -59,4 +94,5 @@
 export const SyncConfigType = 'SyncConfig';
 export const SyncStateType = 'SyncState';
 export const SyncConflictType = 'SyncConflict';
+export const SyncPlanType = 'SyncPlan';
 export const DeviceInfoType = 'DeviceInfo';
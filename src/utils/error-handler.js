@@ -80,3 +80,63 @@ export class AuthenticationError extends Error {
     this.name = 'AuthenticationError';
   }
 }
+
+export class RevisionConflictError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'RevisionConflictError';
+    this.details = details;
+  }
+}
+
+export class UploadInterruptedError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'UploadInterruptedError';
+    this.details = details;
+  }
+}
+
+export class DriveApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - HTTP status of the Drive response
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'DriveApiError';
+    this.status = status;
+  }
+}
+
+export class OfflineError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - Queue state ({queueLength})
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = 'OfflineError';
+    this.details = details;
+  }
+}
+
+export class SyncFolderError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} status - Folder status ('unset', 'trashed' or 'inaccessible')
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'SyncFolderError';
+    this.status = status;
+  }
+}